@@ -22,9 +22,11 @@ const ConversationDetail = () => {
   const [call, setCall] = useState(null);
   const [loading, setLoading] = useState(true);
   const [playingAudio, setPlayingAudio] = useState(null);
+  const [latencyTurns, setLatencyTurns] = useState([]);
 
   useEffect(() => {
     fetchCallDetail();
+    fetchLatency();
   }, [id]);
 
   const fetchCallDetail = async () => {
@@ -38,6 +40,27 @@ const ConversationDetail = () => {
     }
   };
 
+  const fetchLatency = async () => {
+    try {
+      const response = await axios.get(`/api/calls/${id}/latency`);
+      setLatencyTurns(response.data.turns || []);
+    } catch (error) {
+      console.error('Error fetching call latency:', error);
+    }
+  };
+
+  // Waterfall segments: each ends at its stage, measured from when the customer stopped speaking
+  const latencySegments = [
+    { stage: 'commit', label: 'Commit', color: 'bg-gray-400' },
+    { stage: 'firstToken', label: 'First token', color: 'bg-blue-500' },
+    { stage: 'ttsStart', label: 'TTS start', color: 'bg-indigo-500' },
+    { stage: 'firstAudio', label: 'First audio', color: 'bg-green-500' }
+  ];
+
+  const maxLatency = Math.max(1, ...latencyTurns.map(turn =>
+    Math.max(0, ...Object.values(turn.offsets).filter(value => value !== null))
+  ));
+
   const getSentimentIcon = (sentiment) => {
     switch (sentiment?.toLowerCase()) {
       case 'positive':
@@ -352,6 +375,48 @@ const ConversationDetail = () => {
             </div>
           )}
 
+          {/* Response Latency */}
+          {latencyTurns.length > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Response Latency</h3>
+
+              <div className="space-y-3">
+                {latencyTurns.map((turn) => {
+                  let previous = 0;
+                  return (
+                    <div key={`${turn.turn}-${turn.speechEndAt}`}>
+                      <div className="flex justify-between text-xs text-gray-500 mb-1">
+                        <span>Turn {turn.turn}</span>
+                        <span>
+                          {turn.offsets.firstAudio !== null ? `${turn.offsets.firstAudio} ms to audio` : 'No audio'}
+                        </span>
+                      </div>
+                      <div className="flex w-full bg-gray-100 rounded h-3 overflow-hidden">
+                        {latencySegments.map(({ stage, label, color }) => {
+                          const end = turn.offsets[stage];
+                          if (end === null || end < previous) return null;
+                          const width = ((end - previous) / maxLatency) * 100;
+                          const title = `${label}: ${end} ms`;
+                          previous = end;
+                          return <div key={stage} className={`${color} h-3`} style={{ width: `${width}%` }} title={title}></div>;
+                        })}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="flex flex-wrap gap-3 mt-4 text-xs text-gray-500">
+                {latencySegments.map(({ stage, label, color }) => (
+                  <div key={stage} className="flex items-center">
+                    <div className={`h-2 w-2 rounded-full mr-1 ${color}`}></div>
+                    {label}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Follow-up Actions */}
           {call.followUpDate && (
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -712,9 +712,17 @@ const CampaignModal = ({ selectedLeads, onClose, onSuccess }) => {
     name: '',
     scheduledAt: '',
     delayBetweenCalls: 60,
-    maxConcurrentCalls: 2
+    maxConcurrentCalls: 2,
+    brandId: ''
   });
   const [loading, setLoading] = useState(false);
+  const [brands, setBrands] = useState([]);
+
+  useEffect(() => {
+    axios.get('/api/brands')
+      .then(response => setBrands(response.data.brands))
+      .catch(error => console.error('Error fetching brands:', error));
+  }, []);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -725,7 +733,8 @@ const CampaignModal = ({ selectedLeads, onClose, onSuccess }) => {
         leadIds: selectedLeads,
         campaignName: campaignData.name || `Campaign ${new Date().toLocaleDateString()}`,
         delayBetweenCalls: parseInt(campaignData.delayBetweenCalls),
-        maxConcurrentCalls: parseInt(campaignData.maxConcurrentCalls)
+        maxConcurrentCalls: parseInt(campaignData.maxConcurrentCalls),
+        brandId: campaignData.brandId || null
       });
 
       alert(`Campaign started successfully! ${selectedLeads.length} leads will be called.`);
@@ -766,6 +775,20 @@ const CampaignModal = ({ selectedLeads, onClose, onSuccess }) => {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Brand</label>
+            <select
+              value={campaignData.brandId}
+              onChange={(e) => setCampaignData({...campaignData, brandId: e.target.value})}
+              className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Default brand</option>
+              {brands.map((brand) => (
+                <option key={brand.id} value={brand.id}>{brand.name} ({brand.market})</option>
+              ))}
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700">
               Delay Between Calls (seconds)
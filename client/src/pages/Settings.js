@@ -5,10 +5,61 @@ import {
   BellIcon,
   UserIcon,
   ShieldCheckIcon,
-  MicrophoneIcon
+  MicrophoneIcon,
+  BuildingOfficeIcon
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 
+const NEW_VOICE_PROFILE = {
+  id: null,
+  name: 'Default voice',
+  engine: 'elevenlabs',
+  voiceId: '',
+  model: '',
+  language: 'en-US',
+  speed: 1.0,
+  stability: 0.55,
+  similarity: 0.75,
+  isDefault: true
+};
+
+const VOICE_ENGINES = [
+  { id: 'elevenlabs', name: 'ElevenLabs' },
+  { id: 'openai', name: 'OpenAI' },
+  { id: 'local', name: 'Local (espeak, for development)' },
+  { id: 'say', name: 'Twilio <Say>' }
+];
+
+// Blank optional fields are stored as null so the engine's default applies
+const toVoiceProfileForm = (profile) => ({
+  ...NEW_VOICE_PROFILE,
+  ...profile,
+  voiceId: profile.voiceId || '',
+  model: profile.model || '',
+  stability: profile.stability ?? NEW_VOICE_PROFILE.stability,
+  similarity: profile.similarity ?? NEW_VOICE_PROFILE.similarity
+});
+
+const NEW_BRAND = {
+  id: null,
+  name: '',
+  market: '',
+  personaName: '',
+  valueProposition: '',
+  closingStyle: '',
+  disclosures: '',
+  isDefault: true
+};
+
+const BRAND_TEXT_FIELDS = ['personaName', 'valueProposition', 'closingStyle', 'disclosures'];
+
+// Blank optional fields are stored as null so the built-in copy applies
+const toBrandForm = (brand) => ({
+  ...NEW_BRAND,
+  ...brand,
+  ...Object.fromEntries(BRAND_TEXT_FIELDS.map(field => [field, brand[field] || '']))
+});
+
 const Settings = () => {
   const [settings, setSettings] = useState({
     apiKeys: {
@@ -16,13 +67,12 @@ const Settings = () => {
       elevenlabs: '',
       textmagic: ''
     },
-    voiceSettings: {
-      voiceId: '',
-      speed: 1.0,
-      stability: 0.75
-    },
+    voiceProfile: NEW_VOICE_PROFILE,
+    brand: NEW_BRAND,
     callSettings: {
       maxDuration: 300,
+      wrapUpWarning: 30,
+      deadAirTimeout: 15,
       autoFollowUp: true,
       recordCalls: true
     },
@@ -35,31 +85,126 @@ const Settings = () => {
   
   const [loading, setLoading] = useState(false);
   const [saved, setSaved] = useState(false);
+  const [saveError, setSaveError] = useState(null);
   const [activeTab, setActiveTab] = useState('general');
+  const [voiceProfiles, setVoiceProfiles] = useState([]);
+  const [previewSrc, setPreviewSrc] = useState(null);
+  const [brands, setBrands] = useState([]);
 
   useEffect(() => {
     fetchSettings();
+    fetchVoiceProfiles();
+    fetchBrands();
   }, []);
 
   const fetchSettings = async () => {
     try {
-      // This would fetch current settings from the API
-      // const response = await axios.get('/api/settings');
-      // setSettings(response.data);
+      const response = await axios.get('/api/settings');
+      setSettings(prev => ({
+        ...prev,
+        callSettings: { ...prev.callSettings, ...response.data.callSettings }
+      }));
     } catch (error) {
       console.error('Error fetching settings:', error);
     }
   };
 
+  const fetchVoiceProfiles = async () => {
+    try {
+      const response = await axios.get('/api/voice-profiles');
+      const profiles = response.data.profiles;
+      setVoiceProfiles(profiles);
+
+      const current = profiles.find(profile => profile.isDefault) || profiles[0];
+      if (current) {
+        setSettings(prev => ({ ...prev, voiceProfile: toVoiceProfileForm(current) }));
+      }
+    } catch (error) {
+      console.error('Error fetching voice profiles:', error);
+    }
+  };
+
+  const selectVoiceProfile = (id) => {
+    const profile = voiceProfiles.find(p => p.id === id);
+    setPreviewSrc(null);
+    setSettings(prev => ({
+      ...prev,
+      voiceProfile: profile
+        ? toVoiceProfileForm(profile)
+        : { ...NEW_VOICE_PROFILE, name: '', isDefault: voiceProfiles.length === 0 }
+    }));
+  };
+
+  const saveVoiceProfile = async () => {
+    const { id, voiceId, model, ...fields } = settings.voiceProfile;
+    const payload = { ...fields, voiceId: voiceId.trim() || null, model: model.trim() || null };
+
+    const response = id
+      ? await axios.put(`/api/voice-profiles/${id}`, payload)
+      : await axios.post('/api/voice-profiles', payload);
+
+    setSettings(prev => ({ ...prev, voiceProfile: toVoiceProfileForm(response.data.profile) }));
+    const profiles = await axios.get('/api/voice-profiles');
+    setVoiceProfiles(profiles.data.profiles);
+  };
+
+  const previewVoiceProfile = () => {
+    // Cache-buster so a saved edit is heard rather than the last preview
+    setPreviewSrc(`/api/voice-profiles/${settings.voiceProfile.id}/preview?t=${Date.now()}`);
+  };
+
+  const fetchBrands = async () => {
+    try {
+      const response = await axios.get('/api/brands');
+      const list = response.data.brands;
+      setBrands(list);
+
+      const current = list.find(brand => brand.isDefault) || list[0];
+      if (current) {
+        setSettings(prev => ({ ...prev, brand: toBrandForm(current) }));
+      }
+    } catch (error) {
+      console.error('Error fetching brands:', error);
+    }
+  };
+
+  const selectBrand = (id) => {
+    const brand = brands.find(b => b.id === id);
+    setSettings(prev => ({
+      ...prev,
+      brand: brand ? toBrandForm(brand) : { ...NEW_BRAND, isDefault: brands.length === 0 }
+    }));
+  };
+
+  const saveBrand = async () => {
+    const { id, ...fields } = settings.brand;
+    // Nothing entered yet: calls keep using the built-in brand
+    if (!id && !fields.name.trim()) return;
+
+    const response = id
+      ? await axios.put(`/api/brands/${id}`, fields)
+      : await axios.post('/api/brands', fields);
+
+    setSettings(prev => ({ ...prev, brand: toBrandForm(response.data.brand) }));
+    const list = await axios.get('/api/brands');
+    setBrands(list.data.brands);
+  };
+
   const saveSettings = async () => {
     setLoading(true);
+    setSaveError(null);
     try {
-      // This would save settings to the API
-      // await axios.put('/api/settings', settings);
+      const { maxDuration, wrapUpWarning, deadAirTimeout } = settings.callSettings;
+      await axios.put('/api/settings', {
+        callSettings: { maxDuration, wrapUpWarning, deadAirTimeout }
+      });
+      await saveVoiceProfile();
+      await saveBrand();
       setSaved(true);
       setTimeout(() => setSaved(false), 3000);
     } catch (error) {
       console.error('Error saving settings:', error);
+      setSaveError(error.response?.data?.message || 'Failed to save settings');
     } finally {
       setLoading(false);
     }
@@ -79,6 +224,7 @@ const Settings = () => {
     { id: 'general', name: 'General', icon: CogIcon },
     { id: 'api', name: 'API Keys', icon: KeyIcon },
     { id: 'voice', name: 'Voice Settings', icon: MicrophoneIcon },
+    { id: 'brand', name: 'Brand', icon: BuildingOfficeIcon },
     { id: 'notifications', name: 'Notifications', icon: BellIcon },
     { id: 'security', name: 'Security', icon: ShieldCheckIcon }
   ];
@@ -133,7 +279,33 @@ const Settings = () => {
                       onChange={(e) => handleInputChange('callSettings', 'maxDuration', parseInt(e.target.value))}
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     />
-                    <p className="text-sm text-gray-500 mt-1">Maximum duration for each call in seconds</p>
+                    <p className="text-sm text-gray-500 mt-1">Calls are hung up once they reach this length</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Wrap-up Warning (seconds)
+                    </label>
+                    <input
+                      type="number"
+                      value={settings.callSettings.wrapUpWarning}
+                      onChange={(e) => handleInputChange('callSettings', 'wrapUpWarning', parseInt(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <p className="text-sm text-gray-500 mt-1">How long before the limit the AI starts wrapping up the call</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Dead-air Timeout (seconds)
+                    </label>
+                    <input
+                      type="number"
+                      value={settings.callSettings.deadAirTimeout}
+                      onChange={(e) => handleInputChange('callSettings', 'deadAirTimeout', parseInt(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <p className="text-sm text-gray-500 mt-1">Silence on the line for this long ends the call politely</p>
                   </div>
 
                   <div className="flex items-center">
@@ -232,31 +404,107 @@ const Settings = () => {
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Voice Settings</h3>
                 
                 <div className="space-y-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Voice Profile
+                    </label>
+                    <select
+                      value={settings.voiceProfile.id || ''}
+                      onChange={(e) => selectVoiceProfile(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      {voiceProfiles.map((profile) => (
+                        <option key={profile.id} value={profile.id}>
+                          {profile.name}{profile.isDefault ? ' (default)' : ''}
+                        </option>
+                      ))}
+                      <option value="">+ New profile</option>
+                    </select>
+                    <p className="text-sm text-gray-500 mt-1">Campaigns and voicemail templates without a profile use the default</p>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Name
+                      </label>
+                      <input
+                        type="text"
+                        value={settings.voiceProfile.name}
+                        onChange={(e) => handleInputChange('voiceProfile', 'name', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Engine
+                      </label>
+                      <select
+                        value={settings.voiceProfile.engine}
+                        onChange={(e) => handleInputChange('voiceProfile', 'engine', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {VOICE_ENGINES.map((engine) => (
+                          <option key={engine.id} value={engine.id}>{engine.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Voice ID
                     </label>
                     <input
                       type="text"
-                      value={settings.voiceSettings.voiceId}
-                      onChange={(e) => handleInputChange('voiceSettings', 'voiceId', e.target.value)}
-                      placeholder="Enter ElevenLabs Voice ID"
+                      value={settings.voiceProfile.voiceId}
+                      onChange={(e) => handleInputChange('voiceProfile', 'voiceId', e.target.value)}
+                      placeholder="Leave blank for the engine's default voice"
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     />
-                    <p className="text-sm text-gray-500 mt-1">ElevenLabs voice ID for speech synthesis</p>
+                    <p className="text-sm text-gray-500 mt-1">ElevenLabs voice ID, OpenAI voice name (e.g. alloy) or Twilio voice (e.g. Polly.Joanna)</p>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Model
+                      </label>
+                      <input
+                        type="text"
+                        value={settings.voiceProfile.model}
+                        onChange={(e) => handleInputChange('voiceProfile', 'model', e.target.value)}
+                        placeholder="Engine default"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Language
+                      </label>
+                      <input
+                        type="text"
+                        value={settings.voiceProfile.language}
+                        onChange={(e) => handleInputChange('voiceProfile', 'language', e.target.value)}
+                        placeholder="en-US"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
                   </div>
 
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Speech Speed: {settings.voiceSettings.speed}x
+                      Speech Speed: {settings.voiceProfile.speed}x
                     </label>
                     <input
                       type="range"
                       min="0.5"
                       max="2.0"
                       step="0.1"
-                      value={settings.voiceSettings.speed}
-                      onChange={(e) => handleInputChange('voiceSettings', 'speed', parseFloat(e.target.value))}
+                      value={settings.voiceProfile.speed}
+                      onChange={(e) => handleInputChange('voiceProfile', 'speed', parseFloat(e.target.value))}
                       className="w-full"
                     />
                     <div className="flex justify-between text-sm text-gray-500">
@@ -265,23 +513,201 @@ const Settings = () => {
                     </div>
                   </div>
 
+                  {settings.voiceProfile.engine === 'elevenlabs' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Voice Stability: {Math.round(settings.voiceProfile.stability * 100)}%
+                        </label>
+                        <input
+                          type="range"
+                          min="0"
+                          max="1"
+                          step="0.05"
+                          value={settings.voiceProfile.stability}
+                          onChange={(e) => handleInputChange('voiceProfile', 'stability', parseFloat(e.target.value))}
+                          className="w-full"
+                        />
+                        <div className="flex justify-between text-sm text-gray-500">
+                          <span>More Variable</span>
+                          <span>More Stable</span>
+                        </div>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Voice Similarity: {Math.round(settings.voiceProfile.similarity * 100)}%
+                        </label>
+                        <input
+                          type="range"
+                          min="0"
+                          max="1"
+                          step="0.05"
+                          value={settings.voiceProfile.similarity}
+                          onChange={(e) => handleInputChange('voiceProfile', 'similarity', parseFloat(e.target.value))}
+                          className="w-full"
+                        />
+                        <div className="flex justify-between text-sm text-gray-500">
+                          <span>Looser</span>
+                          <span>Closer to the original voice</span>
+                        </div>
+                      </div>
+                    </>
+                  )}
+
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="voiceProfileDefault"
+                      checked={settings.voiceProfile.isDefault}
+                      onChange={(e) => handleInputChange('voiceProfile', 'isDefault', e.target.checked)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="voiceProfileDefault" className="ml-2 block text-sm text-gray-900">
+                      Use as the default voice
+                    </label>
+                  </div>
+
+                  <div>
+                    <button
+                      onClick={previewVoiceProfile}
+                      disabled={!settings.voiceProfile.id || settings.voiceProfile.engine === 'say'}
+                      className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Preview Voice
+                    </button>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {settings.voiceProfile.engine === 'say'
+                        ? 'Twilio <Say> voices can only be heard on a call'
+                        : 'Plays a sample line with the saved profile; save first to hear changes'}
+                    </p>
+                    {previewSrc && (
+                      <audio src={previewSrc} controls autoPlay className="mt-3 w-full" />
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Brand */}
+            {activeTab === 'brand' && (
+              <div className="p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Brand</h3>
+                
+                <div className="space-y-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Brand
+                    </label>
+                    <select
+                      value={settings.brand.id || ''}
+                      onChange={(e) => selectBrand(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      {brands.map((brand) => (
+                        <option key={brand.id} value={brand.id}>
+                          {brand.name}{brand.isDefault ? ' (default)' : ''}
+                        </option>
+                      ))}
+                      <option value="">+ New brand</option>
+                    </select>
+                    <p className="text-sm text-gray-500 mt-1">Campaigns without a brand, one-off and inbound calls use the default</p>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Company Name
+                      </label>
+                      <input
+                        type="text"
+                        value={settings.brand.name}
+                        onChange={(e) => handleInputChange('brand', 'name', e.target.value)}
+                        placeholder="Levco Real Estate Group"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Market
+                      </label>
+                      <input
+                        type="text"
+                        value={settings.brand.market}
+                        onChange={(e) => handleInputChange('brand', 'market', e.target.value)}
+                        placeholder="Hollywood"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Voice Stability: {Math.round(settings.voiceSettings.stability * 100)}%
+                      Agent Persona Name
                     </label>
                     <input
-                      type="range"
-                      min="0"
-                      max="1"
-                      step="0.05"
-                      value={settings.voiceSettings.stability}
-                      onChange={(e) => handleInputChange('voiceSettings', 'stability', parseFloat(e.target.value))}
-                      className="w-full"
+                      type="text"
+                      value={settings.brand.personaName}
+                      onChange={(e) => handleInputChange('brand', 'personaName', e.target.value)}
+                      placeholder="Leave blank for no name"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     />
-                    <div className="flex justify-between text-sm text-gray-500">
-                      <span>More Variable</span>
-                      <span>More Stable</span>
-                    </div>
+                    <p className="text-sm text-gray-500 mt-1">The name the AI gives when it introduces itself</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Value Proposition
+                    </label>
+                    <textarea
+                      rows={3}
+                      value={settings.brand.valueProposition}
+                      onChange={(e) => handleInputChange('brand', 'valueProposition', e.target.value)}
+                      placeholder="Leave blank for the standard pitch about buyers looking in the area"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Closing Style
+                    </label>
+                    <textarea
+                      rows={3}
+                      value={settings.brand.closingStyle}
+                      onChange={(e) => handleInputChange('brand', 'closingStyle', e.target.value)}
+                      placeholder="Leave blank for the standard neighborhood close"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <p className="text-sm text-gray-500 mt-1">The line the AI uses to ask for the appointment</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Compliance Disclosures
+                    </label>
+                    <textarea
+                      rows={2}
+                      value={settings.brand.disclosures}
+                      onChange={(e) => handleInputChange('brand', 'disclosures', e.target.value)}
+                      placeholder="e.g. This call may be recorded for quality purposes."
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <p className="text-sm text-gray-500 mt-1">Read out word for word at the start of every call</p>
+                  </div>
+
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="brandDefault"
+                      checked={settings.brand.isDefault}
+                      onChange={(e) => handleInputChange('brand', 'isDefault', e.target.checked)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="brandDefault" className="ml-2 block text-sm text-gray-900">
+                      Use as the default brand
+                    </label>
                   </div>
                 </div>
               </div>
@@ -384,6 +810,11 @@ const Settings = () => {
                     Settings saved successfully!
                   </div>
                 )}
+                {saveError && (
+                  <div className="text-sm text-red-600">
+                    {saveError}
+                  </div>
+                )}
                 <button
                   onClick={saveSettings}
                   disabled={loading}
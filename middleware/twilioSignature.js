@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { getTelephonyProvider } = require('../services/telephonyProvider');
+const { DebugLogger } = require('../utils/logger');
+
+const STREAM_TOKEN_TTL = 4 * 60 * 60; // seconds; longer than any call
+
+function isSignatureValidationEnabled() {
+  return process.env.TWILIO_SIGNATURE_VALIDATION !== 'off';
+}
+
+/**
+ * Secret webhooks are signed with (the Twilio auth token, or the fake provider's test token)
+ * @returns {string|null}
+ */
+function getWebhookAuthToken() {
+  try {
+    return getTelephonyProvider().webhookAuthToken || null;
+  } catch (error) {
+    DebugLogger.logConfigError('TELEPHONY_PROVIDER', error.message);
+    return null;
+  }
+}
+
+/**
+ * URLs a webhook may have been signed for: BASE_URL first, then the URL the
+ * caller actually used as seen through any proxy (X-Forwarded-Proto/-Host)
+ * @param {Object} req - Express request
+ * @returns {Array<string>}
+ */
+function getWebhookUrls(req) {
+  const urls = [];
+
+  if (process.env.BASE_URL) {
+    urls.push(`${process.env.BASE_URL.replace(/\/+$/, '')}${req.originalUrl}`);
+  }
+
+  const proto = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  const host = (req.get('x-forwarded-host') || req.get('host') || '').split(',')[0].trim();
+  if (host) {
+    urls.push(`${proto}://${host}${req.originalUrl}`);
+  }
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Middleware to reject voice webhooks that don't carry a valid X-Twilio-Signature
+ */
+const validateTwilioSignature = (req, res, next) => {
+  if (!isSignatureValidationEnabled()) {
+    return next();
+  }
+
+  const signature = req.get('x-twilio-signature');
+  const authToken = getWebhookAuthToken();
+  const params = req.method === 'POST' ? (req.body || {}) : {};
+
+  const valid = Boolean(signature && authToken) &&
+    getWebhookUrls(req).some(url => twilio.validateRequest(authToken, signature, url, params));
+
+  if (!valid) {
+    DebugLogger.logAuthError(
+      new Error(signature ? 'Invalid Twilio signature' : 'Missing Twilio signature'),
+      req.originalUrl
+    );
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+function signStreamPayload(callId, expires) {
+  const secret = process.env.STREAM_TOKEN_SECRET || getWebhookAuthToken();
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`${callId}.${expires}`).digest('hex');
+}
+
+/**
+ * Token the media stream must present in its start message
+ * @param {string} callId - Call the stream belongs to
+ * @returns {string} "<expires>.<hmac>"
+ */
+function createStreamToken(callId) {
+  const expires = Math.floor(Date.now() / 1000) + STREAM_TOKEN_TTL;
+  return `${expires}.${signStreamPayload(callId, expires) || ''}`;
+}
+
+/**
+ * Check a media stream token
+ * @param {string} token - Token from the stream's custom parameters
+ * @param {string} callId - Call the stream claims to belong to
+ * @returns {boolean}
+ */
+function verifyStreamToken(token, callId) {
+  if (!isSignatureValidationEnabled()) return true;
+  if (!token || !callId) return false;
+
+  const [expires, signature] = String(token).split('.');
+  if (!expires || !signature || parseInt(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = signStreamPayload(callId, expires);
+  if (!expected || expected.length !== signature.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+module.exports = {
+  validateTwilioSignature,
+  getWebhookUrls,
+  createStreamToken,
+  verifyStreamToken,
+  isSignatureValidationEnabled
+};
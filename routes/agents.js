@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * GET /api/agents
+ * List listing agents who can take live transfers
+ */
+router.get('/', async (req, res) => {
+  try {
+    const agents = await prisma.agent.findMany({
+      orderBy: { name: 'asc' },
+      include: {
+        _count: { select: { transfers: true } }
+      }
+    });
+
+    res.json({
+      success: true,
+      agents: agents
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'agent_list');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch agents',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agents
+ * Add an agent
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, phone, isAvailable = true } = req.body;
+
+    if (!name || !phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and phone are required'
+      });
+    }
+
+    const agent = await prisma.agent.create({
+      data: {
+        name,
+        phone: phone.startsWith('+') ? phone : `+1${phone.replace(/\D/g, '')}`,
+        isAvailable: Boolean(isAvailable)
+      }
+    });
+
+    res.json({
+      success: true,
+      agent: agent,
+      message: 'Agent added'
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'agent_create');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add agent',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/agents/:id
+ * Update an agent (e.g. toggle availability for live transfers)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, phone, isActive, isAvailable } = req.body;
+
+    const agent = await prisma.agent.update({
+      where: { id: req.params.id },
+      data: {
+        name,
+        phone,
+        isActive: isActive === undefined ? undefined : Boolean(isActive),
+        isAvailable: isAvailable === undefined ? undefined : Boolean(isAvailable)
+      }
+    });
+
+    res.json({
+      success: true,
+      agent: agent,
+      message: 'Agent updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'agent_update');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update agent',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/agents/:id
+ * Remove an agent (past transfers keep their history)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await prisma.agent.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Agent removed'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'agent_delete');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove agent',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const BrandService = require('../services/brandService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+const brands = new BrandService();
+
+/**
+ * GET /api/brands
+ * List brands with the number of campaigns using each
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await prisma.brand.findMany({
+      orderBy: { createdAt: 'desc' },
+      include: {
+        _count: { select: { campaigns: true } }
+      }
+    });
+
+    res.json({
+      success: true,
+      brands: list
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'brand_list');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch brands',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/brands
+ * Create a brand
+ */
+router.post('/', async (req, res) => {
+  try {
+    const data = brands.pickFields(req.body);
+
+    const errors = brands.validate(data);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid brand',
+        message: errors.join('; ')
+      });
+    }
+
+    // Only one brand can be the default
+    if (data.isDefault) {
+      await prisma.brand.updateMany({
+        where: { isDefault: true },
+        data: { isDefault: false }
+      });
+    }
+
+    const brand = await prisma.brand.create({ data });
+    brands.clearCache();
+
+    res.json({
+      success: true,
+      brand: brand,
+      message: 'Brand created'
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'brand_create');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create brand',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/brands/:id
+ * Update a brand
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const data = brands.pickFields(req.body);
+
+    const errors = brands.validate(data, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid brand',
+        message: errors.join('; ')
+      });
+    }
+
+    if (data.isDefault) {
+      await prisma.brand.updateMany({
+        where: { isDefault: true, id: { not: id } },
+        data: { isDefault: false }
+      });
+    }
+
+    const brand = await prisma.brand.update({
+      where: { id },
+      data
+    });
+    brands.clearCache();
+
+    res.json({
+      success: true,
+      brand: brand,
+      message: 'Brand updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'brand_update');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update brand',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/brands/:id
+ * Delete a brand (campaigns using it fall back to the default)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await prisma.brand.delete({
+      where: { id: req.params.id }
+    });
+    brands.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Brand deleted'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'brand_delete');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete brand',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
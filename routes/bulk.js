@@ -3,9 +3,16 @@ const router = express.Router();
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const OpenAIService = require('../services/openAIService');
-const TwilioVoiceService = require('../services/twilioVoiceService');
+const CallDispatcher = require('../services/callDispatcher');
+const RetryPolicyService = require('../services/retryPolicyService');
+const KeypadService = require('../services/keypadService');
+const CallStateMachine = require('../services/callStateMachine');
+const TtsPrerenderService = require('../services/ttsPrerenderService');
+const TtsService = require('../services/ttsService');
+const BrandService = require('../services/brandService');
+const DncService = require('../services/dncService');
 const { validateLeadData } = require('../utils/validators');
 const { DebugLogger } = require('../utils/logger');
 
@@ -23,7 +30,14 @@ const upload = multer({
 
 const prisma = new PrismaClient();
 const openAI = new OpenAIService();
-const twilioVoice = new TwilioVoiceService();
+const callDispatcher = new CallDispatcher();
+const retryPolicyService = new RetryPolicyService();
+const keypadService = new KeypadService();
+const stateMachine = new CallStateMachine();
+const ttsPrerender = new TtsPrerenderService();
+const ttsService = new TtsService();
+const brands = new BrandService();
+const dncService = new DncService();
 
 /**
  * POST /api/bulk/upload-leads
@@ -80,6 +94,7 @@ router.post('/upload-leads', async (req, res) => {
             email: validatedData.email,
             
             // Contact Information
+            normalizedPhone: dncService.normalizeNumber(phoneNumber),
             phoneType: validatedData.phoneType,
             
             // Address Information
@@ -114,8 +129,9 @@ router.post('/upload-leads', async (req, res) => {
             occupation: validatedData.occupation,
             language: validatedData.language,
             
-            // Compliance
+            // Compliance (a flag written from lead data is no longer a DNC entry's)
             dncStatus: validatedData.dncStatus,
+            dncEntryId: validatedData.dncStatus !== undefined ? null : undefined,
             
             // Business Information
             company: validatedData.company,
@@ -135,6 +151,7 @@ router.post('/upload-leads', async (req, res) => {
             
             // Contact Information
             phone: phoneNumber,
+            normalizedPhone: dncService.normalizeNumber(phoneNumber),
             phoneType: validatedData.phoneType,
             
             // Address Information
@@ -289,7 +306,8 @@ router.post('/upload-file', upload.single('file'), async (req, res) => {
           const lead = await prisma.lead.upsert({
             where: { phone: phoneNumber },
             update: {
-              ...buildLeadUpdateData(validatedData, campaign)
+              ...buildLeadUpdateData(validatedData, campaign),
+              normalizedPhone: dncService.normalizeNumber(phoneNumber)
             },
             create: {
               ...buildLeadCreateData(validatedData, phoneNumber, campaign)
@@ -476,8 +494,9 @@ function buildLeadUpdateData(validatedData, campaign) {
     occupation: validatedData.occupation,
     language: validatedData.language,
     
-    // Compliance
+    // Compliance (a flag written from lead data is no longer a DNC entry's)
     dncStatus: validatedData.dncStatus,
+    dncEntryId: validatedData.dncStatus !== undefined ? null : undefined,
     
     // Business Information
     company: validatedData.company,
@@ -503,6 +522,7 @@ function buildLeadCreateData(validatedData, phoneNumber, campaign) {
     
     // Contact Information
     phone: phoneNumber,
+    normalizedPhone: dncService.normalizeNumber(phoneNumber),
     phoneType: validatedData.phoneType,
     
     // Address Information
@@ -562,7 +582,10 @@ router.post('/start-campaign', async (req, res) => {
       campaignName, 
       callScript, 
       delayBetweenCalls = 30, // seconds
-      maxConcurrentCalls = 3 
+      maxConcurrentCalls = 3,
+      retryPolicy,
+      voicemailTemplateId,
+      brandId
     } = req.body;
 
     if (!leadIds || !Array.isArray(leadIds)) {
@@ -572,6 +595,29 @@ router.post('/start-campaign', async (req, res) => {
       });
     }
 
+    let normalizedRetryPolicy;
+    if (retryPolicy) {
+      try {
+        normalizedRetryPolicy = retryPolicyService.normalizePolicy(retryPolicy);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid retry policy',
+          message: validationError.message
+        });
+      }
+    }
+
+    if (brandId) {
+      const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+      if (!brand) {
+        return res.status(404).json({
+          success: false,
+          error: 'Brand not found'
+        });
+      }
+    }
+
     // Create campaign record
     const campaign = await prisma.campaign.create({
       data: {
@@ -581,6 +627,9 @@ router.post('/start-campaign', async (req, res) => {
         completedCalls: 0,
         successfulCalls: 0,
         script: callScript,
+        retryPolicy: normalizedRetryPolicy,
+        voicemailTemplateId: voicemailTemplateId,
+        brandId: brandId || null,
         createdAt: new Date()
       }
     });
@@ -616,18 +665,47 @@ router.get('/campaigns', async (req, res) => {
         calls: {
           select: {
             id: true,
+            leadId: true,
             status: true,
             outcome: true,
             duration: true,
+            suppressionReason: true,
+            attemptNumber: true,
+            voicemailTemplateId: true,
             createdAt: true
           }
         }
       }
     });
 
+    // Break suppressed leads down by reason
+    const campaignsWithStats = campaigns.map(campaign => {
+      const suppressionReasons = {};
+      const voicemailsByTemplate = {};
+      campaign.calls.forEach(call => {
+        if (call.suppressionReason) {
+          suppressionReasons[call.suppressionReason] = (suppressionReasons[call.suppressionReason] || 0) + 1;
+        }
+        if (call.outcome === 'VOICEMAIL') {
+          const templateKey = call.voicemailTemplateId || 'built-in';
+          voicemailsByTemplate[templateKey] = (voicemailsByTemplate[templateKey] || 0) + 1;
+        }
+      });
+
+      return {
+        ...campaign,
+        stats: {
+          suppressed: campaign.suppressedCalls,
+          suppressionReasons: suppressionReasons,
+          voicemailsByTemplate: voicemailsByTemplate,
+          attempts: retryPolicyService.summarizeAttempts(campaign.calls)
+        }
+      };
+    });
+
     res.json({
       success: true,
-      campaigns: campaigns
+      campaigns: campaignsWithStats
     });
 
   } catch (error) {
@@ -638,15 +716,363 @@ router.get('/campaigns', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/bulk/campaigns/:campaignId/retry-policy
+ * Set or clear a campaign's automatic retry policy
+ */
+router.put('/campaigns/:campaignId/retry-policy', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { retryPolicy } = req.body;
+
+    let normalizedRetryPolicy = null;
+    if (retryPolicy) {
+      try {
+        normalizedRetryPolicy = retryPolicyService.normalizePolicy(retryPolicy);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid retry policy',
+          message: validationError.message
+        });
+      }
+    }
+
+    const campaign = await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { retryPolicy: normalizedRetryPolicy === null ? Prisma.DbNull : normalizedRetryPolicy }
+    });
+
+    res.json({
+      success: true,
+      campaign: campaign,
+      message: normalizedRetryPolicy ? 'Retry policy updated' : 'Retry policy removed'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'campaign_retry_policy');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update retry policy',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/bulk/campaigns/:campaignId/keypad-actions
+ * Set or clear what keys do during a campaign's calls, e.g. { "1": "TRANSFER", "9": "OPT_OUT" }
+ */
+router.put('/campaigns/:campaignId/keypad-actions', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { keypadActions } = req.body;
+
+    let normalizedActions = null;
+    if (keypadActions) {
+      try {
+        normalizedActions = keypadService.normalizeActions(keypadActions);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid keypad actions',
+          message: validationError.message
+        });
+      }
+    }
+
+    const campaign = await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { keypadActions: normalizedActions === null ? Prisma.DbNull : normalizedActions }
+    });
+
+    res.json({
+      success: true,
+      campaign: campaign,
+      message: normalizedActions ? 'Keypad actions updated' : 'Keypad actions reset to the defaults'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'campaign_keypad_actions');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update keypad actions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/bulk/campaigns/:campaignId/tts-engines
+ * Set or clear the order TTS engines are tried in for a campaign's calls, e.g. ["elevenlabs", "openai", "say"]
+ */
+router.put('/campaigns/:campaignId/tts-engines', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { ttsEngines } = req.body;
+
+    let normalizedEngines = null;
+    if (ttsEngines) {
+      try {
+        normalizedEngines = ttsService.normalizeEngines(ttsEngines);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid TTS engines',
+          message: validationError.message
+        });
+      }
+    }
+
+    const campaign = await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { ttsEngines: normalizedEngines === null ? Prisma.DbNull : normalizedEngines }
+    });
+
+    res.json({
+      success: true,
+      campaign: campaign,
+      message: normalizedEngines ? 'TTS engines updated' : 'TTS engines reset to the default order'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'campaign_tts_engines');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update TTS engines',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/bulk/campaigns/:campaignId/voicemail-template
+ * Choose the voicemail left by a campaign's calls (null uses the default template)
+ */
+router.put('/campaigns/:campaignId/voicemail-template', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { voicemailTemplateId = null } = req.body;
+
+    if (voicemailTemplateId) {
+      const template = await prisma.voicemailTemplate.findUnique({ where: { id: voicemailTemplateId } });
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Voicemail template not found'
+        });
+      }
+    }
+
+    const campaign = await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { voicemailTemplateId: voicemailTemplateId }
+    });
+
+    res.json({
+      success: true,
+      campaign: campaign,
+      message: 'Voicemail template updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'campaign_voicemail_template');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update voicemail template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/bulk/campaigns/:campaignId/voice-profile
+ * Choose the voice a campaign's calls speak with (null uses the default profile)
+ */
+router.put('/campaigns/:campaignId/voice-profile', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { voiceProfileId = null } = req.body;
+
+    if (voiceProfileId) {
+      const profile = await prisma.voiceProfile.findUnique({ where: { id: voiceProfileId } });
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Voice profile not found'
+        });
+      }
+    }
+
+    const campaign = await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { voiceProfileId: voiceProfileId }
+    });
+
+    res.json({
+      success: true,
+      campaign: campaign,
+      message: 'Voice profile updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'campaign_voice_profile');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update voice profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/bulk/campaigns/:campaignId/sales-script
+ * Choose the script a campaign's calls follow; its voice profile wins over the campaign's (null clears it)
+ */
+router.put('/campaigns/:campaignId/sales-script', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { salesScriptId = null } = req.body;
+
+    if (salesScriptId) {
+      const script = await prisma.salesScript.findUnique({ where: { id: salesScriptId } });
+      if (!script) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sales script not found'
+        });
+      }
+    }
+
+    const campaign = await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { salesScriptId: salesScriptId }
+    });
+
+    res.json({
+      success: true,
+      campaign: campaign,
+      message: 'Sales script updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'campaign_sales_script');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update sales script',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/bulk/campaigns/:campaignId/brand
+ * Choose the brand a campaign's calls speak for (null uses the default brand)
+ */
+router.put('/campaigns/:campaignId/brand', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { brandId = null } = req.body;
+
+    if (brandId) {
+      const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+      if (!brand) {
+        return res.status(404).json({
+          success: false,
+          error: 'Brand not found'
+        });
+      }
+    }
+
+    const campaign = await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { brandId: brandId }
+    });
+
+    res.json({
+      success: true,
+      campaign: campaign,
+      message: 'Brand updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'campaign_brand');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update brand',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Background function to handle bulk calling
  */
 async function startBulkCalling(campaignId, leadIds, delayBetweenCalls, maxConcurrentCalls) {
   let currentCalls = 0;
   let completedCalls = 0;
-  
-  for (const leadId of leadIds) {
+
+  // Have stock phrases and the first greetings in the TTS cache before anyone answers
+  await ttsPrerender.prerenderCampaign(campaignId, leadIds);
+
+  for (const [index, leadId] of leadIds.entries()) {
     try {
+      // Warm the greeting of the lead `lookahead` places behind this one
+      const upcomingLeadId = leadIds[index + ttsPrerender.lookahead];
+      if (upcomingLeadId) {
+        ttsPrerender.prerenderLeads([upcomingLeadId], campaignId)
+          .catch(error => DebugLogger.logSystemError(error, 'tts_prerender_leads', { campaignId }));
+      }
+
       // Wait if we've reached max concurrent calls
       while (currentCalls >= maxConcurrentCalls) {
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -679,6 +1105,8 @@ async function startBulkCalling(campaignId, leadIds, delayBetweenCalls, maxConcu
  * Make an individual call as part of bulk campaign
  */
 async function makeIndividualCall(campaignId, leadId) {
+  let call = null;
+
   try {
     const lead = await prisma.lead.findUnique({
       where: { id: leadId }
@@ -688,43 +1116,84 @@ async function makeIndividualCall(campaignId, leadId) {
       throw new Error(`Lead ${leadId} not found`);
     }
 
+    const preflight = await callDispatcher.preflight(lead);
+
+    // Outside the lead's calling window: leave the call for the scheduler to dial later
+    if (!preflight.allowed && preflight.deferrable) {
+      const deferredCall = await prisma.call.create({
+        data: {
+          leadId: leadId,
+          campaignId: campaignId,
+          status: 'SCHEDULED',
+          scheduledAt: preflight.nextAllowedAt,
+          callType: 'COLD_CALL'
+        }
+      });
+
+      DebugLogger.logSuccess('Bulk call deferred', {
+        campaignId,
+        leadId,
+        callId: deferredCall.id,
+        reason: preflight.reason,
+        scheduledAt: preflight.nextAllowedAt.toISOString()
+      });
+
+      return { success: false, deferred: true, reason: preflight.reason, callId: deferredCall.id };
+    }
+
+    // Skip Do-Not-Call leads, but keep a record so campaign stats show why
+    if (!preflight.allowed) {
+      const suppressedCall = await prisma.call.create({
+        data: {
+          leadId: leadId,
+          campaignId: campaignId,
+          status: 'CANCELLED',
+          suppressionReason: preflight.reason,
+          scheduledAt: new Date(),
+          endedAt: new Date()
+        }
+      });
+      await recordSuppressedCall(campaignId);
+
+      DebugLogger.logSuccess('Bulk call suppressed', {
+        campaignId,
+        leadId,
+        callId: suppressedCall.id,
+        reason: preflight.reason
+      });
+
+      return { success: false, suppressed: true, reason: preflight.reason, callId: suppressedCall.id };
+    }
+
     // Create call record
-    const call = await prisma.call.create({
+    call = await prisma.call.create({
       data: {
         leadId: leadId,
         campaignId: campaignId,
         status: 'SCHEDULED',
-        scheduledAt: new Date()
+        scheduledAt: new Date(),
+        callType: 'COLD_CALL',
+        dispatchedAt: new Date()
       }
     });
 
     // Generate personalized script
-    const script = await openAI.generatePersonalizedScript(lead, 'cold_call');
-
-    // Format phone number
-    let phoneNumber = lead.phone;
-    if (!phoneNumber.startsWith('+')) {
-      phoneNumber = '+1' + phoneNumber;
-    }
+    const script = await openAI.generatePersonalizedScript(lead, 'cold_call', await brands.getForCampaign(campaignId));
 
     // Initiate Twilio call
-    const callResult = await twilioVoice.initiateCall(phoneNumber, call.id, lead);
-
-    // Update call with Twilio info
-    await prisma.call.update({
-      where: { id: call.id },
-      data: {
-        status: 'IN_PROGRESS',
-        twilioCallSid: callResult.twilioCallSid,
-        startedAt: new Date()
-      }
-    });
+    const callResult = await callDispatcher.dispatch(call, lead);
+    if (callResult.suppressed) {
+      await recordSuppressedCall(campaignId);
+    }
+    if (callResult.suppressed || callResult.deferred) {
+      return callResult;
+    }
 
     DebugLogger.logSuccess('Bulk call initiated', {
       campaignId,
       leadId,
       callId: call.id,
-      phone: phoneNumber
+      phone: callDispatcher.formatPhoneNumber(lead.phone)
     });
 
     return { success: true, callId: call.id };
@@ -733,15 +1202,32 @@ async function makeIndividualCall(campaignId, leadId) {
     DebugLogger.logCallError(leadId, error, 'individual_call');
     
     // Update call as failed
-    await prisma.call.updateMany({
-      where: { leadId: leadId, campaignId: campaignId },
-      data: { status: 'FAILED', outcome: 'ERROR' }
-    });
+    if (call) {
+      await stateMachine.transition(call.id, 'FAILED', {
+        data: { outcome: 'ERROR', endedAt: new Date() },
+        source: 'bulk',
+        reason: 'dial_error'
+      });
+    }
 
     throw error;
   }
 }
 
+/**
+ * Count a lead skipped by compliance checks against its campaign
+ */
+async function recordSuppressedCall(campaignId) {
+  try {
+    await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { suppressedCalls: { increment: 1 } }
+    });
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'campaign_suppression');
+  }
+}
+
 /**
  * Update campaign progress
  */
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const CallerIdService = require('../services/callerIdService');
+const { getTelephonyProvider } = require('../services/telephonyProvider');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+const callerId = new CallerIdService();
+
+/**
+ * GET /api/caller-numbers
+ * List the caller-ID pool with today's volume and answer rates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, campaignId } = req.query;
+
+    const where = {};
+    if (status) where.status = status.toUpperCase();
+    if (campaignId) where.campaignId = campaignId;
+
+    const numbers = await callerId.listNumbers(where);
+
+    res.json({
+      success: true,
+      numbers: numbers
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'caller_number_list');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch caller numbers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/caller-numbers
+ * Add an existing Twilio number to the pool
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { phoneNumber, twilioSid, state, campaignId, dailyLimit } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required'
+      });
+    }
+
+    const number = await callerId.addNumber({ phoneNumber, twilioSid, state, campaignId, dailyLimit });
+
+    res.json({
+      success: true,
+      number: number,
+      message: 'Number added to caller-ID pool'
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'caller_number_add');
+    res.status(400).json({
+      success: false,
+      error: 'Failed to add caller number',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/caller-numbers/sync
+ * Add every voice-enabled number on the telephony account to the pool
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    const accountNumbers = await getTelephonyProvider().listPhoneNumbers();
+
+    let added = 0;
+    for (const number of accountNumbers.filter(n => n.voiceEnabled)) {
+      if (!callerId.getAreaCode(number.phoneNumber)) continue; // Pool is US-only
+      await callerId.addNumber({ phoneNumber: number.phoneNumber, twilioSid: number.sid });
+      added++;
+    }
+
+    res.json({
+      success: true,
+      message: `Synced ${added} numbers from ${getTelephonyProvider().name}`,
+      synced: added
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'caller_number_sync');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync numbers from telephony provider',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/caller-numbers/assign
+ * Reserve numbers for a campaign (campaignId null returns them to the shared pool)
+ */
+router.put('/assign', async (req, res) => {
+  try {
+    const { numberIds, campaignId = null } = req.body;
+
+    if (!Array.isArray(numberIds) || numberIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Number IDs array is required'
+      });
+    }
+
+    if (campaignId) {
+      const campaign = await prisma.campaign.findUnique({ where: { id: campaignId } });
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
+    }
+
+    const result = await prisma.callerNumber.updateMany({
+      where: { id: { in: numberIds } },
+      data: { campaignId }
+    });
+
+    res.json({
+      success: true,
+      updated: result.count,
+      message: campaignId ? `Assigned ${result.count} numbers to campaign` : `Returned ${result.count} numbers to the shared pool`
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'caller_number_assign');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign caller numbers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/caller-numbers/:id
+ * Update a number (status, state, daily limit)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { status, state, dailyLimit } = req.body;
+
+    const data = {};
+    if (status) {
+      const normalizedStatus = status.toUpperCase();
+      if (!callerId.isValidStatus(normalizedStatus)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Status must be ACTIVE, RESTING or RETIRED'
+        });
+      }
+      data.status = normalizedStatus;
+      if (normalizedStatus === 'ACTIVE') {
+        data.restingUntil = null;
+        data.restReason = null;
+      }
+    }
+    if (state !== undefined) data.state = state ? state.toUpperCase() : null;
+    if (dailyLimit !== undefined) data.dailyLimit = dailyLimit ? parseInt(dailyLimit) : null;
+
+    const number = await prisma.callerNumber.update({
+      where: { id: req.params.id },
+      data
+    });
+
+    res.json({
+      success: true,
+      number: number,
+      message: 'Caller number updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Caller number not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'caller_number_update');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update caller number',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/caller-numbers/:id
+ * Remove a number from the pool (the Twilio number itself is kept)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await prisma.callerNumber.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Caller number removed from pool'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Caller number not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'caller_number_delete');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove caller number',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -7,12 +7,68 @@ const OpenAIService = require('../services/openAIService');
 const ElevenLabsService = require('../services/elevenLabsService');
 const NotificationService = require('../services/notificationService');
 const TextMagicService = require('../services/textMagicService');
-const TwilioVoiceService = require('../services/twilioVoiceService');
+const CallDispatcher = require('../services/callDispatcher');
+const DncService = require('../services/dncService');
+const CallingRulesService = require('../services/callingRulesService');
+const CallStateMachine = require('../services/callStateMachine');
+const LatencyService = require('../services/latencyService');
+const BrandService = require('../services/brandService');
+const { DebugLogger } = require('../utils/logger');
 
 const openAI = new OpenAIService();
 const elevenLabs = new ElevenLabsService();
 const notificationService = new NotificationService();
 const textMagic = new TextMagicService();
+const callDispatcher = new CallDispatcher();
+const dncService = new DncService();
+const callingRules = new CallingRulesService();
+const stateMachine = new CallStateMachine();
+const latency = new LatencyService();
+const brands = new BrandService();
+
+/**
+ * Validate a requested schedule time against the lead's calling rules
+ * @param {Date} scheduleTime - Requested call time
+ * @param {Object} lead - Lead being called
+ * @returns {Object|null} Error payload, or null if the time is acceptable
+ */
+function validateScheduleTime(scheduleTime, lead) {
+  if (isNaN(scheduleTime.getTime())) {
+    return { error: 'Scheduled time is not a valid date' };
+  }
+
+  if (scheduleTime <= new Date()) {
+    return { error: 'Scheduled time must be in the future' };
+  }
+
+  // Check the calling window in the lead's own time zone
+  const window = callingRules.checkWindow(lead, scheduleTime);
+  if (!window.allowed) {
+    const nextAllowedAt = callingRules.findNextWindow(lead, scheduleTime);
+    return {
+      error: window.message,
+      reason: window.reason,
+      timezone: window.timezone,
+      leadLocalTime: window.localTime,
+      nextAllowedAt: nextAllowedAt,
+      suggestion: nextAllowedAt ? `Next allowed time is ${nextAllowedAt.toISOString()}` : undefined
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Headline for a call the compliance checks blocked
+ * @param {string} reason - LEAD_DNC_FLAG, DNC_* or a calling-rules reason
+ * @returns {string}
+ */
+function describeBlockedCall(reason) {
+  if (reason === 'LEAD_DNC_FLAG' || String(reason).startsWith('DNC_')) {
+    return 'Lead is on the Do-Not-Call list';
+  }
+  return 'Calling rules do not allow calling this lead right now';
+}
 
 /**
  * POST /api/calls/initiate
@@ -31,20 +87,35 @@ router.post('/initiate', async (req, res) => {
       return res.status(404).json({ error: 'Lead not found' });
     }
 
-    // Create call record
+    // Hard-block Do-Not-Call leads and enforce calling rules before anything is created
+    const preflight = await callDispatcher.preflight(lead);
+    if (!preflight.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: describeBlockedCall(preflight.reason),
+        reason: preflight.reason,
+        message: preflight.message,
+        nextAllowedAt: preflight.nextAllowedAt
+      });
+    }
+
+    // Create call record (dialed immediately, so the scheduler must not pick it up)
     const call = await prisma.call.create({
       data: {
         leadId: leadId,
         status: 'SCHEDULED',
         scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
+        callType: callType,
+        dispatchedAt: new Date()
       }
     });
 
-    // Generate personalized script
-    const script = await openAI.generatePersonalizedScript(lead, callType.toLowerCase());
+    // Generate personalized script (one-off calls speak for the default brand)
+    const brand = await brands.getDefault();
+    const script = await openAI.generatePersonalizedScript(lead, callType.toLowerCase(), brand);
 
     // Generate safe opening text from script
-    let openingText = 'Hello, this is a call from Levco Real Estate Group.';
+    let openingText = `Hello, this is a call from ${brand.name}.`;
     if (script && typeof script.opening === 'string' && script.opening.trim()) {
       openingText = script.opening;
     } else if (script && script.opening && typeof script.opening === 'object') {
@@ -52,31 +123,41 @@ router.post('/initiate', async (req, res) => {
       openingText = script.opening.text || script.opening.content || openingText;
     }
 
-    // Use Twilio to make actual call
-    const twilioVoice = new TwilioVoiceService();
-    
-    // Ensure phone number has +1 prefix for US numbers
-    let phoneNumber = lead.phone;
-    if (!phoneNumber.startsWith('+')) {
-      phoneNumber = '+1' + phoneNumber;
-    }
-    
     try {
-      const callResult = await twilioVoice.initiateCall(phoneNumber, call.id, lead);
-      
-      // Update call status
-      await prisma.call.update({
-        where: { id: call.id },
-        data: { 
-          status: 'IN_PROGRESS',
-          twilioCallSid: callResult.twilioCallSid,
-          startedAt: new Date()
-        }
+      const callResult = await callDispatcher.dispatch(call, lead);
+      if (callResult.deferred) {
+        // Re-queued for the scheduler, which dials it at nextAllowedAt
+        return res.status(202).json({
+          success: true,
+          deferred: true,
+          reason: callResult.reason,
+          message: callResult.message,
+          nextAllowedAt: callResult.nextAllowedAt,
+          callId: call.id
+        });
+      }
+      if (callResult.suppressed) {
+        return res.status(403).json({
+          success: false,
+          error: describeBlockedCall(callResult.reason),
+          reason: callResult.reason,
+          message: callResult.message,
+          callId: call.id
+        });
+      }
+    } catch (dialError) {
+      DebugLogger.logCallError(call.id, dialError, 'dial', leadId);
+      await stateMachine.transition(call.id, 'FAILED', {
+        data: { outcome: 'FAILED', endedAt: new Date() },
+        source: 'api',
+        reason: 'dial_error'
+      });
+      return res.status(502).json({
+        success: false,
+        error: 'Telephony provider failed to place the call',
+        message: dialError.message,
+        callId: call.id
       });
-    } catch (twilioError) {
-      console.log('Twilio call failed, using simulation:', twilioError.message);
-      // Fallback to simulation if Twilio fails
-      const callResult = await textMagic.initiateCall(lead.phone, openingText);
     }
     
     console.log(`Generating opening audio for: "${openingText.substring(0, 50)}..."`);
@@ -112,15 +193,23 @@ router.post('/:callId/start', async (req, res) => {
   try {
     const { callId } = req.params;
 
-    const call = await prisma.call.update({
+    const result = await stateMachine.transition(callId, 'IN_PROGRESS', {
+      data: { startedAt: new Date() },
+      source: 'api'
+    });
+
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    if (!result.applied) {
+      return res.status(409).json({
+        error: `Call is already ${result.fromStatus || 'being updated'}`
+      });
+    }
+
+    const call = await prisma.call.findUnique({
       where: { id: callId },
-      data: {
-        status: 'IN_PROGRESS',
-        startedAt: new Date()
-      },
-      include: {
-        lead: true
-      }
+      include: { lead: true }
     });
 
     // Initialize conversation history
@@ -254,18 +343,19 @@ router.post('/:callId/end', async (req, res) => {
     const duration = call.startedAt ? 
       Math.floor((endTime - call.startedAt) / 1000) : 0;
 
-    // Update call record
-    const updatedCall = await prisma.call.update({
-      where: { id: callId },
-      data: {
-        status: 'COMPLETED',
-        endedAt: endTime,
-        duration: duration,
-        outcome: outcome,
-        notes: notes,
-        followUpDate: followUpDate ? new Date(followUpDate) : null
-      }
+    // Update call record. If the provider already ended the call, keep its end time and duration.
+    const resultData = {
+      outcome: outcome,
+      notes: notes,
+      followUpDate: followUpDate ? new Date(followUpDate) : null
+    };
+    const completion = await stateMachine.transition(callId, 'COMPLETED', {
+      data: { ...resultData, endedAt: endTime, duration: duration },
+      source: 'api'
     });
+    const updatedCall = completion.applied
+      ? completion.call
+      : await prisma.call.update({ where: { id: callId }, data: resultData });
 
     // Analyze full call
     const fullTranscript = call.interactions.map(interaction => ({
@@ -279,26 +369,32 @@ router.post('/:callId/end', async (req, res) => {
       outcome: outcome
     });
 
-    // Create call analytics
-    await prisma.callAnalytics.create({
-      data: {
+    // Create call analytics. Realtime calls already saved measured talk/listen
+    // time when the conversation ended, so those are only estimated here.
+    const analyticsData = {
+      interruptionCount: await stateMachine.countEvents(callId, 'BARGE_IN'),
+      questionCount: call.interactions.filter(i => 
+        i.speaker === 'AI' && i.content.includes('?')
+      ).length,
+      objectionCount: call.interactions.filter(i => 
+        i.type === 'OBJECTION_HANDLING'
+      ).length,
+      positiveKeywords: [],
+      negativeKeywords: [],
+      emotionalTone: callAnalysis.customerSentiment,
+      engagementScore: callAnalysis.conversionProbability,
+      conversionProbability: callAnalysis.conversionProbability,
+      improvementSuggestions: callAnalysis.improvementSuggestions
+    };
+    await prisma.callAnalytics.upsert({
+      where: { callId: callId },
+      create: {
         callId: callId,
         talkTime: Math.floor(duration * 0.6), // Estimate AI talk time
         listenTime: Math.floor(duration * 0.4), // Estimate customer talk time
-        interruptionCount: 0, // Would need real-time analysis
-        questionCount: call.interactions.filter(i => 
-          i.speaker === 'AI' && i.content.includes('?')
-        ).length,
-        objectionCount: call.interactions.filter(i => 
-          i.type === 'OBJECTION_HANDLING'
-        ).length,
-        positiveKeywords: [],
-        negativeKeywords: [],
-        emotionalTone: callAnalysis.customerSentiment,
-        engagementScore: callAnalysis.conversionProbability,
-        conversionProbability: callAnalysis.conversionProbability,
-        improvementSuggestions: callAnalysis.improvementSuggestions
-      }
+        ...analyticsData
+      },
+      update: analyticsData
     });
 
     // Update lead status based on outcome
@@ -421,6 +517,77 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/calls/scheduled
+ * List upcoming scheduled calls that have not been dialed yet
+ */
+router.get('/scheduled', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      leadId,
+      campaignId,
+      startDate,
+      endDate
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+    const where = {
+      status: 'SCHEDULED',
+      dispatchedAt: null
+    };
+
+    if (leadId) where.leadId = leadId;
+    if (campaignId) where.campaignId = campaignId;
+    if (startDate || endDate) {
+      where.scheduledAt = {};
+      if (startDate) where.scheduledAt.gte = new Date(startDate);
+      if (endDate) where.scheduledAt.lte = new Date(endDate);
+    }
+
+    const [calls, total] = await Promise.all([
+      prisma.call.findMany({
+        where,
+        include: {
+          lead: {
+            select: {
+              firstName: true,
+              lastName: true,
+              phone: true,
+              city: true,
+              state: true
+            }
+          }
+        },
+        orderBy: { scheduledAt: 'asc' },
+        skip: parseInt(skip),
+        take: parseInt(limit)
+      }),
+      prisma.call.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      calls: calls,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled calls error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduled calls',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/calls/:callId
  * Get detailed call information
@@ -458,6 +625,77 @@ router.get('/:callId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/calls/:callId/events
+ * Get a call's lifecycle event log
+ */
+router.get('/:callId/events', async (req, res) => {
+  try {
+    const { callId } = req.params;
+
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      select: { id: true, status: true }
+    });
+
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    const events = await stateMachine.getEvents(callId);
+
+    res.json({
+      success: true,
+      callId: callId,
+      status: call.status,
+      events: events
+    });
+
+  } catch (error) {
+    console.error('Get call events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/calls/:callId/latency
+ * Per-turn latency waterfall: ms from the customer going quiet to commit, first token, TTS start and first audio
+ */
+router.get('/:callId/latency', async (req, res) => {
+  try {
+    const { callId } = req.params;
+
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      select: { id: true }
+    });
+
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    const turns = await latency.getCallWaterfall(callId);
+
+    res.json({
+      success: true,
+      callId: callId,
+      turns: turns
+    });
+
+  } catch (error) {
+    console.error('Get call latency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call latency',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/calls/schedule
  * Schedule a call for a specific time
@@ -494,21 +732,12 @@ router.post('/schedule', async (req, res) => {
     // Parse and validate scheduled time
     const scheduleTime = new Date(scheduledAt);
     const now = new Date();
-    
-    if (scheduleTime <= now) {
-      return res.status(400).json({
-        success: false,
-        error: 'Scheduled time must be in the future'
-      });
-    }
 
-    // Check business hours (9 AM - 6 PM local time)
-    const hour = scheduleTime.getHours();
-    if (hour < 9 || hour > 18) {
+    const scheduleError = validateScheduleTime(scheduleTime, lead);
+    if (scheduleError) {
       return res.status(400).json({
         success: false,
-        error: 'Calls should be scheduled during business hours (9 AM - 6 PM)',
-        suggestion: 'Consider scheduling between 10 AM - 4 PM for best results'
+        ...scheduleError
       });
     }
 
@@ -557,6 +786,121 @@ router.post('/schedule', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/calls/:callId/reschedule
+ * Move an upcoming scheduled call to a new time
+ */
+router.put('/:callId/reschedule', async (req, res) => {
+  try {
+    const { callId } = req.params;
+    const { scheduledAt } = req.body;
+
+    if (!scheduledAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scheduled time is required'
+      });
+    }
+
+    const existing = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const scheduleTime = new Date(scheduledAt);
+    const scheduleError = validateScheduleTime(scheduleTime, existing.lead);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        ...scheduleError
+      });
+    }
+
+    // Only calls the scheduler hasn't claimed yet can be moved
+    const result = await prisma.call.updateMany({
+      where: {
+        id: callId,
+        status: 'SCHEDULED',
+        dispatchedAt: null
+      },
+      data: { scheduledAt: scheduleTime }
+    });
+
+    if (result.count === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Call is not scheduled or has already been dialed'
+      });
+    }
+
+    const call = await prisma.call.findUnique({ where: { id: callId } });
+
+    res.json({
+      success: true,
+      message: 'Call rescheduled successfully',
+      call: call
+    });
+
+  } catch (error) {
+    console.error('Call reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reschedule call',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/calls/:callId/cancel
+ * Cancel an upcoming scheduled call
+ */
+router.post('/:callId/cancel', async (req, res) => {
+  try {
+    const { callId } = req.params;
+    const { reason } = req.body;
+
+    const data = {};
+    if (reason) data.notes = reason;
+
+    // Only calls the scheduler hasn't claimed yet can be cancelled
+    const result = await stateMachine.transition(callId, 'CANCELLED', {
+      data,
+      where: { dispatchedAt: null },
+      source: 'api',
+      reason: 'cancelled'
+    });
+
+    if (!result.applied) {
+      return res.status(409).json({
+        success: false,
+        error: 'Call is not scheduled or has already been dialed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled call cancelled',
+      callId: callId
+    });
+
+  } catch (error) {
+    console.error('Call cancel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel call',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/calls/:id/complete
  * Mark call as complete and analyze outcome
@@ -599,25 +943,26 @@ router.post('/:id/complete', async (req, res) => {
       }
     }
 
-    // Update call record
-    const updatedCall = await prisma.call.update({
-      where: { id },
-      data: {
-        status: 'COMPLETED',
-        outcome: callOutcome?.outcome || outcome || 'COMPLETED',
-        endedAt: new Date(),
-        duration: duration || null,
-        // Store analysis results
-        notes: callOutcome ? JSON.stringify({
-          summary: callOutcome.summary,
-          interestLevel: callOutcome.interestLevel,
-          nextSteps: callOutcome.nextSteps,
-          keyObjections: callOutcome.keyObjections,
-          followUpTiming: callOutcome.followUpTiming,
-          appointmentDetails: callOutcome.appointmentDetails
-        }) : null
-      }
+    // Update call record. If the provider already ended the call, keep its end time and duration.
+    const resultData = {
+      outcome: callOutcome?.outcome || outcome || 'COMPLETED',
+      // Store analysis results
+      notes: callOutcome ? JSON.stringify({
+        summary: callOutcome.summary,
+        interestLevel: callOutcome.interestLevel,
+        nextSteps: callOutcome.nextSteps,
+        keyObjections: callOutcome.keyObjections,
+        followUpTiming: callOutcome.followUpTiming,
+        appointmentDetails: callOutcome.appointmentDetails
+      }) : null
+    };
+    const completion = await stateMachine.transition(id, 'COMPLETED', {
+      data: { ...resultData, endedAt: new Date(), duration: duration || null },
+      source: 'api'
     });
+    const updatedCall = completion.applied
+      ? completion.call
+      : await prisma.call.update({ where: { id }, data: resultData });
 
     // Update lead status based on outcome
     if (callOutcome) {
@@ -711,18 +1056,30 @@ router.post('/test', async (req, res) => {
         firstName,
         lastName,
         phone: phone,
+        normalizedPhone: dncService.normalizeNumber(phone),
         notes: 'Test lead for call testing',
         source: 'test_call',
         status: 'NEW'
       }
     });
 
-    // Create call record
+    const suppression = await dncService.checkLead(lead);
+    if (suppression.blocked) {
+      return res.status(403).json({
+        success: false,
+        error: 'Lead is on the Do-Not-Call list',
+        reason: suppression.reason,
+        message: suppression.message
+      });
+    }
+
+    // Create call record (dialed manually, not by the scheduler)
     const call = await prisma.call.create({
       data: {
         leadId: lead.id,
         status: 'SCHEDULED',
-        scheduledAt: new Date()
+        scheduledAt: new Date(),
+        dispatchedAt: new Date()
       }
     });
 
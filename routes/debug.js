@@ -2,9 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
 const SystemDebugger = require('../utils/debugger');
+const LatencyService = require('../services/latencyService');
+const TtsService = require('../services/ttsService');
+const { getTtsCache } = require('../services/ttsCacheService');
 const { DebugLogger } = require('../utils/logger');
 
 const prisma = new PrismaClient();
+const latency = new LatencyService();
+const tts = new TtsService();
 
 /**
  * GET /api/debug/health
@@ -380,13 +385,82 @@ router.post('/clear-logs', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/debug/tts-cache
+ * TTS cache size, hit rate and characters saved since startup
+ */
+router.get('/tts-cache', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      cache: getTtsCache().getStats()
+    });
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'tts_cache_stats');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read TTS cache',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/debug/tts-engines
+ * Which TTS engine served call audio over the last `hours` (default 24): fallbacks, cache hits, latency and failures per engine
+ */
+router.get('/tts-engines', async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    const summary = await tts.getSummary({ hours });
+
+    res.json({
+      success: true,
+      chain: tts.getDefaultEngines(),
+      ...summary
+    });
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'tts_engine_stats');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load TTS engine stats',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/debug/tts-cache/clear
+ * Delete all cached TTS audio, e.g. after changing voices
+ */
+router.post('/tts-cache/clear', (req, res) => {
+  try {
+    const removed = getTtsCache().clear();
+    DebugLogger.logSuccess('TTS cache cleared', { removed });
+
+    res.json({
+      success: true,
+      message: `Removed ${removed} cached audio files`,
+      removed: removed
+    });
+  } catch (error) {
+    DebugLogger.logFileSystemError(error, 'tts_cache_clear');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear TTS cache',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/debug/performance
- * Performance monitoring endpoint
+ * Performance monitoring endpoint, including p50/p95 voice turn latency over the last `hours` (default 24)
  */
 router.get('/performance', async (req, res) => {
   try {
     const startTime = Date.now();
+    const hours = parseInt(req.query.hours) || 24;
     
     // Test database query performance
     const dbStart = Date.now();
@@ -402,6 +476,9 @@ router.get('/performance', async (req, res) => {
     for (let i = 0; i < 100000; i++) { Math.random(); }
     const cpuEnd = process.cpuUsage(cpuStart);
     
+    // Milliseconds from the customer going quiet to each pipeline stage
+    const voiceLatency = await latency.getSummary({ hours });
+
     const totalTime = Date.now() - startTime;
     
     const performance = {
@@ -420,6 +497,8 @@ router.get('/performance', async (req, res) => {
         user: cpuEnd.user,
         system: cpuEnd.system
       },
+      voiceLatency: voiceLatency,
+      ttsCache: getTtsCache().getStats(),
       responseTime: totalTime,
       uptime: Math.round(process.uptime())
     };
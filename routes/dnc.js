@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+const DncService = require('../services/dncService');
+const { DebugLogger } = require('../utils/logger');
+
+// Configure multer for registry uploads
+const upload = multer({
+  dest: 'temp/',
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'text/plain' || file.originalname.endsWith('.csv') || file.originalname.endsWith('.txt')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and TXT registry files are allowed'));
+    }
+  }
+});
+
+const prisma = new PrismaClient();
+const dncService = new DncService();
+
+/**
+ * GET /api/dnc
+ * List DNC entries with filtering and pagination
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, source, state } = req.query;
+
+    const skip = (page - 1) * limit;
+    const where = {};
+    if (source) where.source = source.toUpperCase();
+    if (state) where.state = state.toUpperCase();
+
+    const [entries, total] = await Promise.all([
+      prisma.dncEntry.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: parseInt(skip),
+        take: parseInt(limit)
+      }),
+      prisma.dncEntry.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      entries: entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'dnc_list');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch DNC entries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/dnc/check/:phone
+ * Check whether a phone number is suppressed
+ */
+router.get('/check/:phone', async (req, res) => {
+  try {
+    const { phone } = req.params;
+
+    if (!dncService.normalizeNumber(phone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid phone number'
+      });
+    }
+
+    const result = await dncService.checkNumber(phone);
+
+    res.json({
+      success: true,
+      phone: phone,
+      blocked: result.blocked,
+      reason: result.reason,
+      message: result.message,
+      entry: result.entry
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'dnc_check');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check DNC status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/dnc
+ * Add a number, area code or range to the DNC list
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { phone, range, source = 'INTERNAL', state, reason } = req.body;
+    const value = phone || range;
+
+    if (!value) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number or range is required'
+      });
+    }
+
+    const entry = await dncService.addEntry({ value, source, state, reason });
+
+    res.json({
+      success: true,
+      entry: entry,
+      message: 'DNC entry added'
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'dnc_add');
+    res.status(400).json({
+      success: false,
+      error: 'Failed to add DNC entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/dnc/import
+ * Import a national or state DNC registry file
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'No file uploaded'
+    });
+  }
+
+  const filePath = req.file.path;
+
+  try {
+    const { source = 'NATIONAL', state } = req.body;
+
+    if (String(source).toUpperCase() === 'STATE' && !state) {
+      return res.status(400).json({
+        success: false,
+        error: 'State is required for state registry imports'
+      });
+    }
+
+    const results = await dncService.importFile(filePath, { source, state });
+
+    res.json({
+      success: true,
+      message: `Imported ${results.imported} DNC entries from ${req.file.originalname}`,
+      results: {
+        filename: req.file.originalname,
+        ...results
+      }
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'dnc_import');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import DNC registry',
+      message: error.message
+    });
+  } finally {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+});
+
+/**
+ * DELETE /api/dnc/:id
+ * Remove a DNC entry
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await dncService.removeEntry(id);
+
+    res.json({
+      success: true,
+      message: 'DNC entry removed'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'DNC entry not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'dnc_remove');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove DNC entry',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
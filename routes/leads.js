@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const DncService = require('../services/dncService');
 const prisma = new PrismaClient();
+const dncService = new DncService();
 
 /**
  * POST /api/leads
@@ -100,6 +102,7 @@ router.post('/', async (req, res) => {
         
         // Contact Information
         phone,
+        normalizedPhone: dncService.normalizeNumber(phone),
         phoneType,
         
         // Address Information
@@ -320,6 +323,14 @@ router.put('/:leadId', async (req, res) => {
     delete updateData.id;
     delete updateData.createdAt;
     delete updateData.updatedAt;
+    delete updateData.normalizedPhone;
+    delete updateData.dncEntryId;
+    if (updateData.dncStatus !== undefined) {
+      updateData.dncEntryId = null; // the flag is now the lead data's, not a DNC entry's
+    }
+    if (updateData.phone !== undefined) {
+      updateData.normalizedPhone = dncService.normalizeNumber(updateData.phone);
+    }
 
     const lead = await prisma.lead.update({
       where: { id: leadId },
@@ -446,6 +457,7 @@ router.post('/bulk', async (req, res) => {
             lastName: leadData.lastName,
             email: leadData.email,
             phone: leadData.phone,
+            normalizedPhone: dncService.normalizeNumber(leadData.phone),
             company: leadData.company,
             industry: leadData.industry,
             source: leadData.source || 'BULK_IMPORT',
@@ -3,24 +3,31 @@ const WebSocket = require('ws');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
 const OpenAIRealtimeService = require('../services/openAIRealtimeService');
+const InboundCallService = require('../services/inboundCallService');
+const CallStateMachine = require('../services/callStateMachine');
+const { validateTwilioSignature, createStreamToken, verifyStreamToken } = require('../middleware/twilioSignature');
 const { DebugLogger } = require('../utils/logger');
 
 const prisma = new PrismaClient();
 const realtimeService = new OpenAIRealtimeService();
+const inboundCalls = new InboundCallService();
+const stateMachine = new CallStateMachine();
 
 /**
  * POST /api/realtime-voice/stream/:callId
  * Handle Twilio Media Stream for real-time OpenAI conversation
  */
-router.post('/stream/:callId', (req, res) => {
+router.post('/stream/:callId', validateTwilioSignature, (req, res) => {
   const { callId } = req.params;
   
-  // Return TwiML that starts a media stream to our WebSocket
+  // Return TwiML that starts a media stream to our WebSocket. The token proves
+  // the stream came from this TwiML, since the WebSocket itself isn't signed.
   const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
     <Connect>
         <Stream url="wss://${req.get('host')}/websocket">
             <Parameter name="callId" value="${callId}" />
+            <Parameter name="token" value="${createStreamToken(callId)}" />
         </Stream>
     </Connect>
 </Response>`;
@@ -54,6 +61,16 @@ function setupWebSocketServer(server) {
     try {
       let streamSid = null;
       let call = null;
+      let authenticated = false;
+
+      // Streams that don't present a valid token in their start message are dropped
+      const authTimeout = setTimeout(() => {
+        if (!authenticated) {
+          DebugLogger.logAuthError(new Error('Media stream did not authenticate'), '/websocket');
+          ws.close(1008, 'Unauthorized');
+        }
+      }, 10000);
+      ws.on('close', () => clearTimeout(authTimeout));
 
       // Handle Twilio WebSocket messages
       ws.on('message', async (message) => {
@@ -75,19 +92,30 @@ function setupWebSocketServer(server) {
               // Start OpenAI realtime conversation
               console.log(`🚀 Starting OpenAI realtime conversation for ${callId}`);
               // Prefer callId from custom parameters if present
+              let streamToken = null;
               if (data.start.customParameters) {
                 let callIdFromParams = null;
                 if (Array.isArray(data.start.customParameters)) {
                   const found = data.start.customParameters.find(p => p.name === 'callId');
+                  const tokenParam = data.start.customParameters.find(p => p.name === 'token');
                   callIdFromParams = found ? found.value : null;
+                  streamToken = tokenParam ? tokenParam.value : null;
                 } else if (typeof data.start.customParameters === 'object') {
                   callIdFromParams = data.start.customParameters.callId || null;
+                  streamToken = data.start.customParameters.token || null;
                 }
                 if (callIdFromParams) {
                   callId = callIdFromParams;
                   console.log(`🔖 Using callId from customParameters: ${callId}`);
                 }
               }
+              if (!verifyStreamToken(streamToken, callId)) {
+                DebugLogger.logAuthError(new Error('Invalid media stream token'), '/websocket');
+                ws.close(1008, 'Unauthorized');
+                return;
+              }
+              authenticated = true;
+
               // Fetch call/lead now
               call = await prisma.call.findUnique({
                 where: { id: callId },
@@ -99,6 +127,11 @@ function setupWebSocketServer(server) {
                 return;
               }
 
+              await stateMachine.recordEvent(callId, 'STREAM_STARTED', {
+                source: 'media_stream',
+                data: { streamSid }
+              });
+
               // Capture Twilio media format (encoding/sampleRate)
               try {
                 const mf = data.start.mediaFormat || data.start.media || {};
@@ -110,11 +143,16 @@ function setupWebSocketServer(server) {
                 console.warn('⚠️ Unable to set media format from start event');
               }
 
+              // Inbound callers get a returning-contact greeting built from their history
+              const context = call.direction === 'INBOUND'
+                ? await inboundCalls.buildContext(call)
+                : null;
+
               const mf = data.start.mediaFormat || data.start.media || {};
               await realtimeService.startRealtimeConversation(callId, call.lead, ws, {
                 encoding: mf.encoding,
                 sampleRate: mf.sampleRate
-              });
+              }, context);
               if (streamSid) {
                 if (typeof realtimeService.setStreamSid === 'function') {
                   realtimeService.setStreamSid(callId, streamSid);
@@ -126,7 +164,7 @@ function setupWebSocketServer(server) {
 
             case 'media':
               // Forward audio frame to OpenAI service
-              if (data.media && data.media.payload) {
+              if (authenticated && data.media && data.media.payload) {
                 try {
                   await realtimeService.handleTwilioMedia(callId, data.media.payload);
                 } catch (e) {
@@ -135,9 +173,20 @@ function setupWebSocketServer(server) {
               }
               break;
 
+            case 'dtmf':
+              if (authenticated && data.dtmf && data.dtmf.digit) {
+                await realtimeService.handleKeypress(callId, data.dtmf.digit);
+              }
+              break;
+
             case 'stop':
+              if (!authenticated) break;
               console.log(`🛑 Media stream stopped for ${callId}`);
               DebugLogger.logSuccess('Media stream stopped', { callId });
+              await stateMachine.recordEvent(callId, 'STREAM_STOPPED', {
+                source: 'media_stream',
+                data: { streamSid }
+              });
               realtimeService.endConversation(callId);
               break;
           }
@@ -150,7 +199,9 @@ function setupWebSocketServer(server) {
       ws.on('close', (code, reason) => {
         console.log(`🔌 WebSocket closed for ${callId}: code=${code} reason=${reason?.toString?.() || ''}`);
         DebugLogger.logSuccess('WebSocket closed', { callId, code, reason: reason?.toString?.() || '' });
-        realtimeService.endConversation(callId);
+        if (authenticated) {
+          realtimeService.endConversation(callId);
+        }
       });
 
       ws.on('error', (err) => {
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const REQUIRED_FIELDS = ['name', 'scenario', 'content'];
+
+/**
+ * Check a voice profile exists before a script is pointed at it
+ * @param {string} voiceProfileId - Profile ID, or null for none
+ * @returns {Promise<boolean>} True when the ID is null or names a profile
+ */
+async function voiceProfileExists(voiceProfileId) {
+  if (!voiceProfileId) return true;
+  const profile = await prisma.voiceProfile.findUnique({ where: { id: voiceProfileId } });
+  return Boolean(profile);
+}
+
+/**
+ * GET /api/sales-scripts
+ * List sales scripts with their voice profile and the number of campaigns following each
+ */
+router.get('/', async (req, res) => {
+  try {
+    const scripts = await prisma.salesScript.findMany({
+      orderBy: { createdAt: 'desc' },
+      include: {
+        voiceProfile: true,
+        _count: { select: { campaigns: true } }
+      }
+    });
+
+    res.json({
+      success: true,
+      scripts: scripts
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'sales_script_list');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sales scripts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/sales-scripts
+ * Create a sales script, optionally with the voice profile its calls speak with
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, industry = null, scenario, content, variables, voiceProfileId = null } = req.body;
+
+    const missing = REQUIRED_FIELDS.filter(field => typeof req.body[field] !== 'string' || !req.body[field].trim());
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sales script',
+        message: `${missing.join(', ')} required`
+      });
+    }
+
+    if (!(await voiceProfileExists(voiceProfileId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voice profile not found'
+      });
+    }
+
+    const script = await prisma.salesScript.create({
+      data: {
+        name: name.trim(),
+        industry: industry,
+        scenario: scenario.trim(),
+        content: content,
+        variables: variables,
+        voiceProfileId: voiceProfileId
+      }
+    });
+
+    res.json({
+      success: true,
+      script: script,
+      message: 'Sales script created'
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'sales_script_create');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create sales script',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/sales-scripts/:scriptId/voice-profile
+ * Choose the voice calls following a script speak with (null uses the campaign's voice)
+ */
+router.put('/:scriptId/voice-profile', async (req, res) => {
+  try {
+    const { scriptId } = req.params;
+    const { voiceProfileId = null } = req.body;
+
+    if (!(await voiceProfileExists(voiceProfileId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voice profile not found'
+      });
+    }
+
+    const script = await prisma.salesScript.update({
+      where: { id: scriptId },
+      data: { voiceProfileId: voiceProfileId }
+    });
+
+    res.json({
+      success: true,
+      script: script,
+      message: 'Voice profile updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Sales script not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'sales_script_voice_profile');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update voice profile',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
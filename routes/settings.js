@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const SettingsService = require('../services/settingsService');
+const { DebugLogger } = require('../utils/logger');
+
+const settingsService = new SettingsService();
+
+/**
+ * GET /api/settings
+ * Get the call limits (max duration, wrap-up warning, dead-air timeout)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const callSettings = await settingsService.getCallSettings();
+
+    res.json({
+      success: true,
+      callSettings: callSettings,
+      defaults: settingsService.getDefaults()
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'settings_get');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/settings
+ * Update the call limits. Body: { callSettings: { maxDuration, wrapUpWarning, deadAirTimeout } }
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { callSettings = {} } = req.body;
+
+    const errors = settingsService.validateCallSettings(callSettings);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid settings',
+        message: errors.join('; ')
+      });
+    }
+
+    const updated = await settingsService.updateCallSettings(callSettings);
+
+    res.json({
+      success: true,
+      callSettings: updated,
+      message: 'Settings saved'
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'settings_update');
+    res.status(400).json({
+      success: false,
+      error: 'Failed to save settings',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,48 @@
 const express = require('express');
 const router = express.Router();
+const twilio = require('twilio');
 const { PrismaClient } = require('@prisma/client');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
 const { DebugLogger } = require('../utils/logger');
+const SimpleVoiceService = require('../services/simpleVoiceService');
+const LatencyService = require('../services/latencyService');
+const LanguageService = require('../services/languageService');
+const BrandService = require('../services/brandService');
 
 const prisma = new PrismaClient();
+const simpleVoice = new SimpleVoiceService();
+const latency = new LatencyService();
+const languages = new LanguageService();
+const brands = new BrandService();
+
+/**
+ * TwiML that says a fallback line in the call's language, then hangs up.
+ * The line can hold brand text, so the TwiML builder escapes it.
+ * @param {Object} call - Call record with lead included, or null if it couldn't be loaded
+ * @param {string} text - Line to say
+ * @returns {string} TwiML
+ */
+function buildFallbackTwiml(call, text) {
+  const language = languages.getCallLanguage(call);
+  const response = new twilio.twiml.VoiceResponse();
+  response.say({ voice: languages.getSayVoice(language), language: languages.getLocale(language) }, text);
+  response.hangup();
+  return response.toString();
+}
 
 /**
  * POST /api/simple-voice/stream/:callId
- * Simple TwiML that plays ElevenLabs audio without WebSocket complexity
+ * Open the conversation loop: play the greeting as TTS audio and listen for an answer
  */
-router.post('/stream/:callId', async (req, res) => {
+router.post('/stream/:callId', validateTwilioSignature, async (req, res) => {
   const { callId } = req.params;
+  let call = null;
   
   try {
     console.log(`📞 Simple voice stream requested for call: ${callId}`);
     
     // Get call and lead information
-    const call = await prisma.call.findUnique({
+    call = await prisma.call.findUnique({
       where: { id: callId },
       include: { lead: true }
     });
@@ -28,20 +54,9 @@ router.post('/stream/:callId', async (req, res) => {
 
     console.log(`✅ Found call for ${call.lead.firstName} ${call.lead.lastName}`);
 
-    // Generate simple TwiML that plays ElevenLabs audio
-    const audioUrl = `${process.env.BASE_URL}/api/voice/audio/${callId}/greeting`;
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Play>${audioUrl}</Play>
-    <Gather input="speech" timeout="10" action="${process.env.BASE_URL}/api/simple-voice/response/${callId}">
-        <Say voice="alice">Please tell me, are you interested in selling your home?</Say>
-    </Gather>
-    <Say voice="alice">Thank you for your time. Have a great day!</Say>
-    <Hangup/>
-</Response>`;
-
-    console.log(`✅ Generated simple TwiML for call: ${callId}`);
+    const twiml = await simpleVoice.startConversation(call);
+
+    console.log(`✅ Generated opening TwiML for call: ${callId}`);
     
     res.type('text/xml').send(twiml);
 
@@ -50,11 +65,11 @@ router.post('/stream/:callId', async (req, res) => {
     DebugLogger.logCallError(callId, error, 'simple_voice_stream');
     
     // Fallback TwiML
-    const fallbackTwiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Hello, this is a call from Levco Real Estate Group. We will call you back shortly.</Say>
-    <Hangup/>
-</Response>`;
+    const brand = await brands.getForCall(call);
+    const fallbackTwiml = buildFallbackTwiml(
+      call,
+      languages.getPhrase('fallbackCallback', languages.getCallLanguage(call), brands.getPhraseVariables(brand))
+    );
     
     res.type('text/xml').send(fallbackTwiml);
   }
@@ -62,75 +77,71 @@ router.post('/stream/:callId', async (req, res) => {
 
 /**
  * POST /api/simple-voice/response/:callId
- * Handle customer response with simple TwiML
+ * Handle one customer turn (speech, or a keypress in Digits) and reply through the sales model
  */
-router.post('/response/:callId', async (req, res) => {
+router.post('/response/:callId', validateTwilioSignature, async (req, res) => {
+  const receivedAt = new Date();
   const { callId } = req.params;
-  const { SpeechResult } = req.body;
+  const { SpeechResult, Digits } = req.body;
+  let call = null;
   
   try {
-    console.log(`🎤 Customer response for ${callId}: "${SpeechResult}"`);
-    
-    // Log the interaction
-    if (SpeechResult) {
-      await prisma.interaction.create({
-        data: {
-          callId: callId,
-          speaker: 'CUSTOMER',
-          content: SpeechResult,
-          interactionType: 'RESPONSE',
-          sentiment: 'neutral',
-          timestamp: new Date()
-        }
-      });
-    }
-
-    // Simple response based on keywords
-    let response = "Thank you for your response. ";
-    
-    if (SpeechResult && SpeechResult.toLowerCase().includes('yes')) {
-      response += "That's great! We will have one of our top agents contact you within 24 hours to schedule a property evaluation.";
-    } else if (SpeechResult && SpeechResult.toLowerCase().includes('no')) {
-      response += "No problem at all. We'll keep your information on file in case you change your mind in the future.";
-    } else {
-      response += "We understand. If you ever consider selling, please don't hesitate to reach out to Levco Real Estate Group.";
-    }
+    console.log(`🎤 Customer response for ${callId}: "${SpeechResult || ''}"`);
 
-    // Log AI response
-    await prisma.interaction.create({
-      data: {
-        callId: callId,
-        speaker: 'AI',
-        content: response,
-        interactionType: 'CLOSING',
-        sentiment: 'neutral',
-        timestamp: new Date()
-      }
+    call = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true }
     });
 
-    // Generate closing TwiML
-    const closingTwiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">${response}</Say>
-    <Say voice="alice">Have a wonderful day!</Say>
-    <Hangup/>
-</Response>`;
+    if (!call) {
+      console.error(`❌ Call not found: ${callId}`);
+      return res.status(404).send('Call not found');
+    }
 
-    console.log(`✅ Generated closing response for call: ${callId}`);
+    const twiml = Digits
+      ? await simpleVoice.handleKeypress(call, Digits)
+      : await simpleVoice.handleTurn(call, SpeechResult, receivedAt);
     
-    res.type('text/xml').send(closingTwiml);
+    res.type('text/xml').send(twiml);
 
   } catch (error) {
     console.error(`❌ Error in simple voice response for ${callId}:`, error);
+    DebugLogger.logCallError(callId, error, 'simple_voice_response');
     
-    const errorTwiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Thank you for your time. Have a great day!</Say>
-    <Hangup/>
-</Response>`;
+    const errorTwiml = buildFallbackTwiml(call, languages.getPhrase('fallbackGoodbye', languages.getCallLanguage(call)));
     
     res.type('text/xml').send(errorTwiml);
   }
 });
 
+/**
+ * GET /api/simple-voice/audio/:interactionId
+ * Serve the rendered audio for an AI turn
+ */
+router.get('/audio/:interactionId', async (req, res) => {
+  const { interactionId } = req.params;
+
+  try {
+    const rendered = await simpleVoice.getAudio(interactionId);
+    if (!rendered) {
+      return res.status(404).send('Audio not found');
+    }
+
+    res.set({
+      'Content-Type': simpleVoice.tts.getContentType(rendered.format),
+      'Content-Length': rendered.audio.length,
+      'Cache-Control': 'no-cache'
+    });
+
+    res.send(rendered.audio);
+
+    // First fetch of a reply's audio is when the caller starts hearing it
+    latency.markFirstAudio(interactionId);
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'simple_voice_audio', { interactionId });
+    res.status(500).send('Audio unavailable');
+  }
+});
+
 module.exports = router;
@@ -1,15 +1,40 @@
 const express = require('express');
 const router = express.Router();
+const twilio = require('twilio');
 const { PrismaClient } = require('@prisma/client');
 const OpenAIService = require('../services/openAIService');
-const TwilioVoiceService = require('../services/twilioVoiceService');
-const ElevenLabsService = require('../services/elevenLabsService');
+const { getTelephonyProvider } = require('../services/telephonyProvider');
+const RetryPolicyService = require('../services/retryPolicyService');
+const VoicemailService = require('../services/voicemailService');
+const TransferService = require('../services/transferService');
+const InboundCallService = require('../services/inboundCallService');
+const CallerIdService = require('../services/callerIdService');
+const CallStateMachine = require('../services/callStateMachine');
+const BrandService = require('../services/brandService');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
 const { DebugLogger } = require('../utils/logger');
 
 const prisma = new PrismaClient();
-const twilioVoice = new TwilioVoiceService();
 const openAI = new OpenAIService();
-const elevenLabs = new ElevenLabsService();
+const retryPolicy = new RetryPolicyService();
+const voicemail = new VoicemailService();
+const transferService = new TransferService();
+const inboundCalls = new InboundCallService();
+const callerId = new CallerIdService();
+const stateMachine = new CallStateMachine();
+const brands = new BrandService();
+
+// Provider call status -> [event logged, call status it moves the call to]
+const STATUS_CALLBACKS = {
+  initiated: ['INITIATED', null],
+  ringing: ['RINGING', 'IN_PROGRESS'],
+  answered: ['ANSWERED', 'IN_PROGRESS'],
+  'in-progress': ['ANSWERED', 'IN_PROGRESS'],
+  completed: ['HANGUP', 'COMPLETED'],
+  busy: ['HANGUP', 'FAILED'],
+  'no-answer': ['HANGUP', 'FAILED'],
+  failed: ['HANGUP', 'FAILED']
+};
 
 // TwiML routes removed - now using OpenAI Realtime API via WebSocket
 
@@ -19,77 +44,87 @@ const elevenLabs = new ElevenLabsService();
  * POST /api/voice/status/:callId
  * Handle call status updates from Twilio
  */
-router.post('/status/:callId', async (req, res) => {
+router.post('/status/:callId', validateTwilioSignature, async (req, res) => {
   const { callId } = req.params;
-  const { CallStatus, CallSid, CallDuration, AnsweredBy } = req.body;
-  
+  const { callSid: CallSid, status: CallStatus, duration: CallDuration, answeredBy: AnsweredBy } =
+    getTelephonyProvider().parseStatusCallback(req.body);
+
   try {
-    let updateData = {
+    const [eventType, nextStatus] = STATUS_CALLBACKS[CallStatus] || [];
+
+    if (eventType) {
+      await stateMachine.recordEvent(callId, eventType, {
+        source: 'provider_webhook',
+        dedupeKey: `${callId}:${eventType}`,
+        data: { callStatus: CallStatus, callSid: CallSid, duration: CallDuration, answeredBy: AnsweredBy }
+      });
+    }
+
+    const updateData = {
       twilioCallSid: CallSid
     };
 
-    switch (CallStatus) {
-      case 'ringing':
-        updateData.status = 'IN_PROGRESS';
-        break;
-      case 'answered':
-        updateData.status = 'IN_PROGRESS';
-        updateData.startedAt = new Date();
-        break;
-      case 'completed':
-        updateData.status = 'COMPLETED';
-        updateData.endedAt = new Date();
-        if (CallDuration) {
-          updateData.duration = parseInt(CallDuration);
-        }
-        break;
-      case 'busy':
-      case 'no-answer':
-      case 'failed':
-        updateData.status = 'FAILED';
+    if (eventType === 'ANSWERED') {
+      updateData.startedAt = new Date();
+    }
+    if (eventType === 'HANGUP') {
+      updateData.endedAt = new Date();
+      if (CallDuration) {
+        updateData.duration = CallDuration;
+      }
+      if (nextStatus === 'FAILED') {
         updateData.outcome = CallStatus.toUpperCase().replace('-', '_');
-        break;
+      }
+    }
+    if (AnsweredBy) {
+      updateData.answeredBy = AnsweredBy;
     }
 
-    // Handle voicemail detection
-    if (AnsweredBy === 'machine_start') {
-      updateData.outcome = 'VOICEMAIL';
-      
-      // Generate voicemail message
-      const call = await prisma.call.findUnique({
+    // Statuses that don't move the call (e.g. initiated) just record the provider's SID
+    if (!nextStatus) {
+      await prisma.call.update({
         where: { id: callId },
-        include: { lead: true }
+        data: updateData
       });
-      
-      if (call) {
-        const voicemailMessage = `Hi ${call.lead.firstName}, this is Sarah from our sales team. I was calling to discuss how we can help ${call.lead.company || 'your business'}. Please call us back at your convenience. Thank you!`;
-        
-        // Log voicemail (TwiML generation handled by OpenAI Realtime)
-        await prisma.interaction.create({
-          data: {
-            callId: callId,
-            speaker: 'AI',
-            content: voicemailMessage,
-            interactionType: 'VOICEMAIL',
-            sentiment: 'neutral',
-            timestamp: new Date()
-          }
-        });
-      }
+      return res.sendStatus(200);
     }
 
-    // Update call in database
-    await prisma.call.update({
-      where: { id: callId },
-      data: updateData
+    // Late or duplicate callbacks are ignored rather than reopening a finished call
+    const result = await stateMachine.transition(callId, nextStatus, {
+      data: updateData,
+      source: 'provider_webhook',
+      reason: CallStatus
     });
 
-    DebugLogger.logSuccess('Call status updated', {
+    if (result.notFound) {
+      return res.sendStatus(404);
+    }
+
+    DebugLogger.logSuccess(result.applied ? 'Call status updated' : 'Call status callback ignored', {
       callId,
       status: CallStatus,
+      currentStatus: result.applied ? nextStatus : result.fromStatus,
       duration: CallDuration
     });
 
+    // Queue the next attempt for unanswered calls (per the campaign's retry policy)
+    if (result.applied && stateMachine.isTerminal(nextStatus)) {
+      try {
+        await retryPolicy.scheduleRetry(callId);
+      } catch (retryError) {
+        DebugLogger.logCallError(callId, retryError, 'schedule_retry');
+      }
+
+      // Rest the caller ID if its answer rate has collapsed
+      if (result.call.callerNumberId) {
+        try {
+          await callerId.evaluateReputation(result.call.callerNumberId);
+        } catch (reputationError) {
+          DebugLogger.logCallError(callId, reputationError, 'caller_id_reputation');
+        }
+      }
+    }
+
     res.sendStatus(200);
 
   } catch (error) {
@@ -98,11 +133,130 @@ router.post('/status/:callId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/voice/amd/:callId
+ * Handle async answering machine detection results from Twilio
+ */
+router.post('/amd/:callId', validateTwilioSignature, async (req, res) => {
+  const { callId } = req.params;
+  const { AnsweredBy, MachineDetectionDuration } = req.body;
+
+  try {
+    await prisma.call.update({
+      where: { id: callId },
+      data: { answeredBy: AnsweredBy }
+    });
+
+    await stateMachine.recordEvent(callId, 'AMD_RESULT', {
+      source: 'provider_webhook',
+      dedupeKey: `${callId}:AMD_RESULT`,
+      data: { answeredBy: AnsweredBy, detectionMs: MachineDetectionDuration }
+    });
+
+    DebugLogger.logSuccess('Answering machine detection result', {
+      callId,
+      answeredBy: AnsweredBy,
+      detectionMs: MachineDetectionDuration
+    });
+
+    // Greeting and beep are done: replace the conversation with the voicemail message
+    if (voicemail.isMessageEnd(AnsweredBy)) {
+      await voicemail.dropVoicemail(callId);
+    }
+
+    res.sendStatus(200);
+
+  } catch (error) {
+    DebugLogger.logCallError(callId, error, 'voicemail_drop');
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * GET /api/voice/voicemail/:callId/audio
+ * Serve the rendered voicemail message for a call
+ */
+router.get('/voicemail/:callId/audio', async (req, res) => {
+  const { callId } = req.params;
+
+  try {
+    const rendered = await voicemail.getAudio(callId);
+    if (!rendered) {
+      return res.status(404).send('Voicemail audio not found');
+    }
+
+    res.set({
+      'Content-Type': voicemail.tts.getContentType(rendered.format),
+      'Content-Length': rendered.audio.length,
+      'Cache-Control': 'no-cache'
+    });
+
+    res.send(rendered.audio);
+
+  } catch (error) {
+    DebugLogger.logCallError(callId, error, 'voicemail_audio');
+    res.status(500).send('Voicemail audio unavailable');
+  }
+});
+
+/**
+ * POST /api/voice/transfer/:callId/whisper
+ * Whisper the call summary to the agent before bridging
+ */
+router.post('/transfer/:callId/whisper', validateTwilioSignature, async (req, res) => {
+  const { callId } = req.params;
+
+  try {
+    const twiml = await transferService.buildWhisperTwiml(callId);
+    res.type('text/xml').send(twiml);
+
+  } catch (error) {
+    DebugLogger.logCallError(callId, error, 'transfer_whisper');
+    res.type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+  }
+});
+
+/**
+ * POST /api/voice/transfer/:callId/accept
+ * Agent pressed a key after the whisper
+ */
+router.post('/transfer/:callId/accept', validateTwilioSignature, async (req, res) => {
+  const { callId } = req.params;
+  const { Digits } = req.body;
+
+  try {
+    const twiml = await transferService.acceptTransfer(callId, Digits);
+    res.type('text/xml').send(twiml);
+
+  } catch (error) {
+    DebugLogger.logCallError(callId, error, 'transfer_accept');
+    res.type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+  }
+});
+
+/**
+ * POST /api/voice/transfer/:callId/complete
+ * Agent leg finished; falls back to a callback if the agent never connected
+ */
+router.post('/transfer/:callId/complete', validateTwilioSignature, async (req, res) => {
+  const { callId } = req.params;
+  const { DialCallStatus } = req.body;
+
+  try {
+    const twiml = await transferService.completeTransfer(callId, DialCallStatus);
+    res.type('text/xml').send(twiml);
+
+  } catch (error) {
+    DebugLogger.logCallError(callId, error, 'transfer_complete');
+    res.type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+  }
+});
+
 /**
  * POST /api/voice/recording/:callId
  * Handle recording completion
  */
-router.post('/recording/:callId', async (req, res) => {
+router.post('/recording/:callId', validateTwilioSignature, async (req, res) => {
   const { callId } = req.params;
   const { RecordingUrl, RecordingDuration, RecordingSid } = req.body;
   
@@ -117,6 +271,12 @@ router.post('/recording/:callId', async (req, res) => {
       }
     });
 
+    await stateMachine.recordEvent(callId, 'RECORDING_READY', {
+      source: 'provider_webhook',
+      dedupeKey: RecordingSid ? `${callId}:RECORDING_READY:${RecordingSid}` : null,
+      data: { recordingSid: RecordingSid, duration: RecordingDuration }
+    });
+
     DebugLogger.logSuccess('Call recording saved', {
       callId,
       recordingDuration: RecordingDuration,
@@ -133,20 +293,82 @@ router.post('/recording/:callId', async (req, res) => {
 
 /**
  * POST /api/voice/incoming
- * Handle incoming calls (should redirect to website)
+ * Answer incoming calls with the realtime AI
  */
-router.post('/incoming', (req, res) => {
-  const { From, To } = req.body;
-  
-  DebugLogger.logSuccess('Incoming call handled', {
-    from: From,
-    to: To
-  });
-  
-  // Return simple message - incoming calls not supported in realtime mode
-  res.status(200).json({
-    message: 'Incoming calls not supported. This number is for outbound sales calls only.'
-  });
+router.post('/incoming', validateTwilioSignature, async (req, res) => {
+  const { From, To, CallSid } = req.body;
+
+  try {
+    const { call, knownCaller } = await inboundCalls.registerCall({ From, To, CallSid });
+
+    DebugLogger.logSuccess('Incoming call handled', {
+      callId: call.id,
+      from: getTelephonyProvider().maskPhoneNumber(From),
+      to: To,
+      knownCaller
+    });
+
+    // Hand the call to the realtime stream, which loads the caller's history
+    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Redirect method="POST">${process.env.BASE_URL}/api/realtime-voice/stream/${call.id}</Redirect>
+</Response>`;
+
+    res.type('text/xml').send(twiml);
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'incoming_call', { from: From, to: To });
+
+    // Inbound calls speak for the default brand; its name is user-entered, so let the builder escape it
+    const brand = await brands.getDefault();
+    const response = new twilio.twiml.VoiceResponse();
+    response.say(
+      { voice: 'alice' },
+      `Thank you for calling ${brand.name}. We are unable to take your call right now, one of our agents will call you back shortly.`
+    );
+    response.hangup();
+
+    res.type('text/xml').send(response.toString());
+  }
+});
+
+/**
+ * POST /api/voice/incoming/status
+ * Handle status updates for inbound calls (matched by CallSid)
+ */
+router.post('/incoming/status', validateTwilioSignature, async (req, res) => {
+  const { CallStatus, CallSid, CallDuration } = req.body;
+
+  try {
+    if (['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(CallStatus)) {
+      const calls = await prisma.call.findMany({
+        where: { twilioCallSid: CallSid, direction: 'INBOUND' },
+        select: { id: true }
+      });
+
+      for (const call of calls) {
+        await stateMachine.recordEvent(call.id, 'HANGUP', {
+          source: 'provider_webhook',
+          dedupeKey: `${call.id}:HANGUP`,
+          data: { callStatus: CallStatus, callSid: CallSid, duration: CallDuration }
+        });
+        await stateMachine.transition(call.id, CallStatus === 'completed' ? 'COMPLETED' : 'FAILED', {
+          data: {
+            endedAt: new Date(),
+            duration: CallDuration ? parseInt(CallDuration) : undefined
+          },
+          source: 'provider_webhook',
+          reason: CallStatus
+        });
+      }
+    }
+
+    res.sendStatus(200);
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'incoming_call_status', { twilioCallSid: CallSid });
+    res.sendStatus(500);
+  }
 });
 
 /**
@@ -155,7 +377,7 @@ router.post('/incoming', (req, res) => {
  */
 router.get('/numbers', async (req, res) => {
   try {
-    const numbers = await twilioVoice.listPhoneNumbers();
+    const numbers = await getTelephonyProvider().listPhoneNumbers();
     
     res.json({
       success: true,
@@ -178,11 +400,19 @@ router.post('/numbers/purchase', async (req, res) => {
   const { areaCode } = req.body;
   
   try {
-    const number = await twilioVoice.purchasePhoneNumber(areaCode);
+    const number = await getTelephonyProvider().purchasePhoneNumber(areaCode);
+
+    // New numbers join the caller-ID pool straight away
+    const callerNumber = await callerId.addNumber({
+      phoneNumber: number.phoneNumber,
+      twilioSid: number.sid,
+      state: number.region
+    });
     
     res.json({
       success: true,
-      number: number
+      number: number,
+      callerNumber: callerNumber
     });
   } catch (error) {
     DebugLogger.logTwilioError(error, 'purchase_number', areaCode);
@@ -193,86 +423,4 @@ router.post('/numbers/purchase', async (req, res) => {
   }
 });
 
-/**
- * GET /api/voice/audio/:callId/:type
- * Serve ElevenLabs generated audio for realistic voice
- */
-router.get('/audio/:callId/:type', async (req, res) => {
-  const { callId, type } = req.params;
-  
-  try {
-    // Get call and lead information
-    const call = await prisma.call.findUnique({
-      where: { id: callId },
-      include: { 
-        lead: true,
-        interactions: {
-          orderBy: { timestamp: 'asc' }
-        }
-      }
-    });
-
-    if (!call) {
-      return res.status(404).send('Call not found');
-    }
-
-    let textToSpeak = '';
-    
-    if (type === 'greeting') {
-      // Use simple, reliable greeting text
-      textToSpeak = `Hello, may I speak with ${call.lead.firstName} ${call.lead.lastName}, please? This is from Levco Real Estate Group, a local brokerage here in Hollywood. We are reaching out to homeowners because we have buyers looking in the area and want to know if you are interested in selling.`;
-    } else if (type === 'goodbye') {
-      textToSpeak = `Thank you for your time, ${call.lead.firstName}. We will be in your neighborhood this week with another homeowner, we can schedule to have one of our top agents meet you at your property as well. Have a great day!`;
-    } else {
-      // Get the latest AI response for this call
-      const latestAiInteraction = call.interactions
-        .filter(i => i.speaker === 'AI')
-        .pop();
-      
-      textToSpeak = latestAiInteraction?.content || 'Hello, how can I help you today?';
-    }
-
-    // Ensure textToSpeak is a string
-    if (typeof textToSpeak !== 'string' || !textToSpeak.trim()) {
-      textToSpeak = `Hello ${call.lead.firstName}, this is a call from Levco Real Estate Group.`;
-    }
-
-    console.log(`Generating audio for: "${textToSpeak.substring(0, 50)}..."`);
-
-    // Generate realistic audio with ElevenLabs
-    const audioBuffer = await elevenLabs.generateSalesAudio(textToSpeak, 'professional', call.id);
-    
-    // Set proper headers for audio streaming
-    res.set({
-      'Content-Type': 'audio/mpeg',
-      'Content-Length': audioBuffer.length,
-      'Cache-Control': 'no-cache'
-    });
-    
-    res.send(audioBuffer);
-    
-  } catch (error) {
-    console.error(`❌ Audio generation error for ${callId}:`, error.message);
-    DebugLogger.logCallError(callId, error, 'audio_generation');
-    
-    // Return a simple audio response instead of crashing
-    const fallbackText = `Hello, this is a call from Levco Real Estate Group. We will call you back shortly.`;
-    
-    try {
-      // Try ElevenLabs one more time with simple text
-      const fallbackBuffer = await elevenLabs.generateSalesAudio(fallbackText, 'professional', call.id);
-      res.set({
-        'Content-Type': 'audio/mpeg',
-        'Content-Length': fallbackBuffer.length,
-        'Cache-Control': 'no-cache'
-      });
-      res.send(fallbackBuffer);
-    } catch (fallbackError) {
-      console.error(`❌ Fallback audio generation failed:`, fallbackError.message);
-      // Return empty audio to prevent TwiML errors
-      res.status(204).send();
-    }
-  }
-});
-
 module.exports = router;
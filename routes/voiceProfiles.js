@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const TtsService = require('../services/ttsService');
+const VoiceProfileService = require('../services/voiceProfileService');
+const BrandService = require('../services/brandService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+const tts = new TtsService();
+const voiceProfiles = new VoiceProfileService();
+const brands = new BrandService();
+
+const MAX_PREVIEW_LENGTH = 500;
+
+/**
+ * GET /api/voice-profiles
+ * List voice profiles with usage counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await prisma.voiceProfile.findMany({
+      orderBy: { createdAt: 'desc' },
+      include: {
+        _count: { select: { campaigns: true, salesScripts: true, voicemailTemplates: true } }
+      }
+    });
+
+    res.json({
+      success: true,
+      profiles: profiles
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'voice_profile_list');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch voice profiles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/voice-profiles
+ * Create a voice profile
+ */
+router.post('/', async (req, res) => {
+  try {
+    const data = voiceProfiles.pickFields(req.body);
+
+    const errors = voiceProfiles.validate(data);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid voice profile',
+        message: errors.join('; ')
+      });
+    }
+
+    // Only one profile can be the default
+    if (data.isDefault) {
+      await prisma.voiceProfile.updateMany({
+        where: { isDefault: true },
+        data: { isDefault: false }
+      });
+    }
+
+    const profile = await prisma.voiceProfile.create({ data });
+
+    res.json({
+      success: true,
+      profile: profile,
+      message: 'Voice profile created'
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'voice_profile_create');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create voice profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/voice-profiles/:id
+ * Update a voice profile
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const data = voiceProfiles.pickFields(req.body);
+
+    const errors = voiceProfiles.validate(data, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid voice profile',
+        message: errors.join('; ')
+      });
+    }
+
+    if (data.isDefault) {
+      await prisma.voiceProfile.updateMany({
+        where: { isDefault: true, id: { not: id } },
+        data: { isDefault: false }
+      });
+    }
+
+    const profile = await prisma.voiceProfile.update({
+      where: { id },
+      data
+    });
+
+    res.json({
+      success: true,
+      profile: profile,
+      message: 'Voice profile updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Voice profile not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'voice_profile_update');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update voice profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/voice-profiles/:id
+ * Delete a voice profile (campaigns and templates using it fall back to the default)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await prisma.voiceProfile.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Voice profile deleted'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Voice profile not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'voice_profile_delete');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete voice profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/voice-profiles/:id/preview?text=
+ * Hear a profile: renders a sample line (or `text`) with the profile's own engine, as audio for <Play>
+ */
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const profile = await prisma.voiceProfile.findUnique({ where: { id: req.params.id } });
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voice profile not found'
+      });
+    }
+
+    if (profile.engine === 'say') {
+      return res.status(400).json({
+        success: false,
+        error: 'Twilio <Say> voices can only be heard on a call'
+      });
+    }
+
+    const brand = await brands.getDefault();
+    const previewText = `Hi, this is ${brand.name}, a local brokerage here in ${brand.market}. ` +
+      'Do you have a quick minute to talk about your home?';
+    const text = String(req.query.text || previewText).slice(0, MAX_PREVIEW_LENGTH);
+
+    // Only the profile's engine: a fallback voice would defeat the point of a preview
+    const rendered = await tts.speak(text, {
+      engines: [profile.engine],
+      voice: profile,
+      target: 'play',
+      latencyBudgetMs: null,
+      record: false
+    });
+
+    res.set({
+      'Content-Type': tts.getContentType(rendered.format),
+      'Content-Length': rendered.audio.length,
+      'Cache-Control': 'no-cache'
+    });
+    res.send(rendered.audio);
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'voice_profile_preview');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview voice profile',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
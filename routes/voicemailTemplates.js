@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const VoicemailService = require('../services/voicemailService');
+const LanguageService = require('../services/languageService');
+const BrandService = require('../services/brandService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+const voicemail = new VoicemailService();
+const languages = new LanguageService();
+const brands = new BrandService();
+
+/**
+ * Stored form of a template's language: a supported code, with English kept as null
+ * @returns {string|null|undefined} undefined when not given; throws on unsupported codes
+ */
+function parseLanguage(language) {
+  if (language === undefined) return undefined;
+  if (language === null || language === '') return null;
+
+  const code = String(language).trim().toLowerCase();
+  if (!languages.isSupported(code)) {
+    throw new Error(`Unsupported language: ${language}. Must be one of: ${languages.getSupportedLanguages().join(', ')}`);
+  }
+  return code === 'en' ? null : code;
+}
+
+/**
+ * GET /api/voicemail-templates
+ * List voicemail templates with usage counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await prisma.voicemailTemplate.findMany({
+      orderBy: { createdAt: 'desc' },
+      include: {
+        _count: { select: { calls: true, campaigns: true } }
+      }
+    });
+
+    res.json({
+      success: true,
+      templates: templates
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'voicemail_template_list');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch voicemail templates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/voicemail-templates
+ * Create a voicemail template
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, script, voiceId, voiceProfileId, isDefault = false } = req.body;
+
+    if (!name || !script) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and script are required'
+      });
+    }
+
+    let language;
+    try {
+      language = parseLanguage(req.body.language) || null;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Only one template per language can be the default
+    if (isDefault) {
+      await prisma.voicemailTemplate.updateMany({
+        where: { isDefault: true, language },
+        data: { isDefault: false }
+      });
+    }
+
+    const template = await prisma.voicemailTemplate.create({
+      data: { name, script, voiceId, voiceProfileId, language, isDefault: Boolean(isDefault) }
+    });
+
+    res.json({
+      success: true,
+      template: template,
+      message: 'Voicemail template created'
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'voicemail_template_create');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create voicemail template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/voicemail-templates/:id
+ * Update a voicemail template
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, script, voiceId, voiceProfileId, isDefault } = req.body;
+
+    let language;
+    try {
+      language = parseLanguage(req.body.language);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (isDefault) {
+      const existing = language === undefined
+        ? await prisma.voicemailTemplate.findUnique({ where: { id } })
+        : null;
+      await prisma.voicemailTemplate.updateMany({
+        where: { isDefault: true, language: language !== undefined ? language : (existing && existing.language) || null, id: { not: id } },
+        data: { isDefault: false }
+      });
+    }
+
+    const template = await prisma.voicemailTemplate.update({
+      where: { id },
+      data: {
+        name,
+        script,
+        voiceId,
+        voiceProfileId,
+        language,
+        isDefault: isDefault === undefined ? undefined : Boolean(isDefault)
+      }
+    });
+
+    res.json({
+      success: true,
+      template: template,
+      message: 'Voicemail template updated'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Voicemail template not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'voicemail_template_update');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update voicemail template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/voicemail-templates/:id
+ * Delete a voicemail template (campaigns using it fall back to the default)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await prisma.voicemailTemplate.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Voicemail template deleted'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Voicemail template not found'
+      });
+    }
+
+    DebugLogger.logSystemError(error, 'voicemail_template_delete');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete voicemail template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/voicemail-templates/:id/preview?leadId=&brandId=
+ * Render a template's text for a lead, as the given brand (default: the default brand)
+ */
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { leadId } = req.query;
+
+    const template = await prisma.voicemailTemplate.findUnique({ where: { id } });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voicemail template not found'
+      });
+    }
+
+    const lead = leadId
+      ? await prisma.lead.findUnique({ where: { id: leadId } })
+      : { firstName: 'Alex', lastName: 'Smith', city: 'Hollywood', state: 'FL' };
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    const brand = req.query.brandId
+      ? await prisma.brand.findUnique({ where: { id: req.query.brandId } })
+      : await brands.getDefault();
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      templateId: template.id,
+      message: voicemail.renderMessage(template, lead, null, brand)
+    });
+
+  } catch (error) {
+    DebugLogger.logSystemError(error, 'voicemail_template_preview');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview voicemail template',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
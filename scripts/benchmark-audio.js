@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Audio Transcoding Benchmark
+ * Run with: npm run bench:audio [-- --calls 12 --utterances 10 --seconds 3]
+ *
+ * Simulates concurrent calls each turning a run of TTS replies into 20ms
+ * mu-law frames, the way realtime calls do, and compares the paths:
+ * ulaw_8000 passthrough, in-process PCM resampling, and MP3 through ffmpeg
+ * (one process per reply as before, and through the worker pool).
+ */
+
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const { toMulawChunks, mp3ToMulawChunks } = require('../utils/audioUtils');
+
+// Colors
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function argValue(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? Number(process.argv[index + 1]) || fallback : fallback;
+}
+
+const CALLS = argValue('calls', 12);
+const UTTERANCES = argValue('utterances', 10);
+const SECONDS = argValue('seconds', 3);
+
+/**
+ * Speech-like PCM16: a wandering pitch with a few harmonics, syllable-rate
+ * loudness and a little noise
+ */
+function synthesizeSpeech(sampleRate, seconds) {
+  const samples = Math.round(sampleRate * seconds);
+  const pcm = Buffer.alloc(samples * 2);
+  let phase = 0;
+  for (let i = 0; i < samples; i++) {
+    const t = i / sampleRate;
+    const pitch = 150 + 50 * Math.sin(2 * Math.PI * 0.7 * t);
+    phase += (2 * Math.PI * pitch) / sampleRate;
+    const envelope = 0.5 + 0.5 * Math.sin(2 * Math.PI * 4 * t);
+    const voice = Math.sin(phase) + 0.5 * Math.sin(2 * phase) + 0.25 * Math.sin(3 * phase);
+    const value = 6000 * envelope * voice + 300 * (Math.random() - 0.5);
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), i * 2);
+  }
+  return pcm;
+}
+
+function encodeMp3(pcm, sampleRate) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error',
+      '-f', 's16le', '-ar', String(sampleRate), '-ac', '1', '-i', 'pipe:0',
+      '-f', 'mp3', '-b:a', '128k', 'pipe:1'
+    ]);
+    const out = [];
+    proc.stdout.on('data', d => out.push(d));
+    proc.on('error', reject);
+    proc.on('close', code => (code === 0 ? resolve(Buffer.concat(out)) : reject(new Error(`ffmpeg exited with code ${code}`))));
+    proc.stdin.end(pcm);
+  });
+}
+
+// The old path: a fresh ffmpeg for every reply, however many calls are running
+function spawnPerUtterance(mp3Buffer) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', '-ar', '8000', '-ac', '1', '-f', 'mulaw', 'pipe:1']);
+    const out = [];
+    proc.stdout.on('data', d => out.push(d));
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`ffmpeg exited with code ${code}`));
+      const mulaw = Buffer.concat(out);
+      const frames = [];
+      for (let i = 0; i + 160 <= mulaw.length; i += 160) frames.push(mulaw.subarray(i, i + 160));
+      resolve(frames);
+    });
+    proc.stdin.end(mp3Buffer);
+  });
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length, Math.max(1, Math.ceil((p / 100) * sorted.length))) - 1];
+}
+
+/**
+ * Every call transcodes its replies one after another; calls run side by side
+ */
+async function runScenario(name, transcode) {
+  const latencies = [];
+  let frames = 0;
+  const cpuStart = process.cpuUsage();
+  const started = process.hrtime.bigint();
+
+  await Promise.all(Array.from({ length: CALLS }, async () => {
+    for (let u = 0; u < UTTERANCES; u++) {
+      const t0 = process.hrtime.bigint();
+      const result = await transcode();
+      latencies.push(Number(process.hrtime.bigint() - t0) / 1e6);
+      frames += result.length;
+      // Let other calls in, as a real call would between replies
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }));
+
+  const wallMs = Number(process.hrtime.bigint() - started) / 1e6;
+  const cpu = process.cpuUsage(cpuStart);
+  latencies.sort((a, b) => a - b);
+
+  const utterances = CALLS * UTTERANCES;
+  return {
+    name,
+    utterances,
+    wallMs,
+    perSecond: utterances / (wallMs / 1000),
+    realtimeFactor: (frames * 0.02) / (wallMs / 1000),
+    p50: percentile(latencies, 50),
+    p95: percentile(latencies, 95),
+    cpuMs: (cpu.user + cpu.system) / 1000
+  };
+}
+
+function printResults(results) {
+  const header = ['Path', 'Replies/s', 'Audio x realtime', 'p50 ms', 'p95 ms', 'Node CPU ms'];
+  const rows = results.map(r => [
+    r.name,
+    r.perSecond.toFixed(1),
+    `${Math.round(r.realtimeFactor)}x`,
+    r.p50.toFixed(1),
+    r.p95.toFixed(1),
+    Math.round(r.cpuMs).toString()
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+
+  console.log('');
+  log(line(header), 'blue');
+  rows.forEach(row => console.log(line(row)));
+  console.log('');
+  console.log('Node CPU excludes ffmpeg child processes; the ffmpeg rows also spend CPU in those.');
+}
+
+async function runBenchmark() {
+  console.log('🎛️  Voice Sales AI - Audio Transcoding Benchmark\n');
+  log(`${CALLS} concurrent calls x ${UTTERANCES} replies of ${SECONDS}s each`, 'blue');
+
+  const pcm16k = synthesizeSpeech(16000, SECONDS);
+  const pcm22k = synthesizeSpeech(22050, SECONDS);
+  const ulaw = Buffer.concat(await toMulawChunks(synthesizeSpeech(8000, SECONDS), 'pcm_8000'));
+
+  const results = [];
+  results.push(await runScenario('ulaw_8000 passthrough', () => toMulawChunks(ulaw, 'ulaw_8000')));
+  results.push(await runScenario('pcm_16000 in-process', () => toMulawChunks(pcm16k, 'pcm_16000')));
+  results.push(await runScenario('pcm_22050 in-process', () => toMulawChunks(pcm22k, 'pcm_22050')));
+
+  let mp3 = null;
+  try {
+    mp3 = await encodeMp3(pcm22k, 22050);
+  } catch (error) {
+    log(`⚠️  Skipping MP3 paths, ffmpeg unavailable: ${error.message}`, 'yellow');
+  }
+
+  if (mp3) {
+    results.push(await runScenario('mp3 ffmpeg per reply', () => spawnPerUtterance(mp3)));
+    results.push(await runScenario('mp3 ffmpeg pool', () => mp3ToMulawChunks(mp3)));
+  }
+
+  printResults(results);
+}
+
+runBenchmark().catch((error) => {
+  log(`❌ Benchmark failed: ${error.message}`, 'red');
+  process.exit(1);
+});
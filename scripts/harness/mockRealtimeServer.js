@@ -0,0 +1,209 @@
+const WebSocket = require('ws');
+const { muLawBase64ToPCM16 } = require('../../utils/audioUtils');
+
+// Customer lines and the AI's replies, one pair per turn
+const DEFAULT_SCRIPT = [
+  {
+    transcript: 'Yes, this is Jane. Who is calling?',
+    reply: 'Hi Jane, this is Levco Real Estate Group. We have buyers looking in your area. Would you consider selling your home?'
+  }
+];
+
+const PCM16_BYTES_PER_MS = 16; // 8kHz pcm16
+
+// Server VAD stand-in: an utterance is speech followed by this much quiet
+const SPEECH_RMS = 300;
+const MIN_SPEECH_MS = 200;
+const END_OF_SPEECH_MS = 500;
+
+function rmsPCM16(buf) {
+  let sum = 0;
+  const n = (buf.length / 2) | 0;
+  for (let i = 0; i < n; i++) {
+    const sample = buf.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+  return n ? Math.sqrt(sum / n) : 0;
+}
+
+/**
+ * Stand-in for the OpenAI Realtime API. Follows a script: each time the caller
+ * says something (loud audio, then quiet) it reports speech and the next scripted
+ * transcript, then answers response.create with text and audio deltas.
+ */
+class MockRealtimeServer {
+  /**
+   * @param {Object} options - { script, deltaDelayMs: pause between reply deltas }
+   */
+  constructor({ script = DEFAULT_SCRIPT, deltaDelayMs = 10 } = {}) {
+    this.script = script;
+    this.deltaDelayMs = deltaDelayMs;
+    this.received = [];   // every client message, for assertions
+    this.sessions = 0;
+    this.wss = null;
+  }
+
+  /**
+   * @returns {Promise<string>} ws:// URL to use as OPENAI_REALTIME_URL
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.wss = new WebSocket.Server({ port: 0, host: '127.0.0.1' }, () => {
+        resolve(`ws://127.0.0.1:${this.wss.address().port}/v1/realtime`);
+      });
+      this.wss.on('connection', (ws) => this.handleSession(ws));
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.wss) return resolve();
+      for (const client of this.wss.clients) client.terminate();
+      this.wss.close(() => resolve());
+    });
+  }
+
+  messagesOfType(type) {
+    return this.received.filter(message => message.type === type);
+  }
+
+  handleSession(ws) {
+    this.sessions++;
+    const session = {
+      ws,
+      format: 'g711_ulaw',
+      audioMs: 0,          // caller audio appended so far
+      speechMs: 0,         // current utterance
+      quietMs: 0,          // since the current utterance went quiet
+      speechStartMs: null,
+      turn: 0,
+      nextId: 1
+    };
+    const send = (event) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(event));
+    };
+    session.send = send;
+
+    send({ type: 'session.created', session: { id: `sess_mock_${this.sessions}` } });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (e) {
+        send({ type: 'error', error: { message: 'Invalid JSON' } });
+        return;
+      }
+      this.received.push(message);
+
+      switch (message.type) {
+        case 'session.update':
+          if (message.session && message.session.input_audio_format) {
+            session.format = message.session.input_audio_format;
+          }
+          send({ type: 'session.updated', session: message.session });
+          break;
+
+        case 'input_audio_buffer.append':
+          this.detectSpeech(session, message.audio || '');
+          break;
+
+        case 'input_audio_buffer.commit':
+          send({ type: 'input_audio_buffer.committed', item_id: `item_audio_${session.nextId++}` });
+          break;
+
+        case 'response.create':
+          this.respond(session).catch(() => {});
+          break;
+
+        case 'response.cancel':
+          session.cancelled = true;
+          break;
+      }
+    });
+  }
+
+  // Each utterance the caller finishes "says" the next scripted line
+  detectSpeech(session, audioBase64) {
+    const pcm = session.format === 'g711_ulaw'
+      ? muLawBase64ToPCM16(audioBase64)
+      : Buffer.from(audioBase64, 'base64');
+    const chunkMs = pcm.length / PCM16_BYTES_PER_MS;
+    const loud = rmsPCM16(pcm) > SPEECH_RMS;
+
+    if (loud) {
+      if (session.speechStartMs === null) {
+        session.speechStartMs = Math.round(session.audioMs);
+        session.itemId = `item_user_${session.nextId++}`;
+        session.send({ type: 'input_audio_buffer.speech_started', audio_start_ms: session.speechStartMs, item_id: session.itemId });
+      }
+      session.speechMs += chunkMs;
+      session.quietMs = 0;
+    } else if (session.speechStartMs !== null) {
+      session.quietMs += chunkMs;
+    }
+    session.audioMs += chunkMs;
+
+    if (session.speechStartMs !== null && session.quietMs >= END_OF_SPEECH_MS) {
+      const long = session.speechMs >= MIN_SPEECH_MS;
+      session.send({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: Math.round(session.audioMs - session.quietMs), item_id: session.itemId });
+      session.speechStartMs = null;
+      session.speechMs = 0;
+      session.quietMs = 0;
+      if (long) this.finishTurn(session);
+    }
+  }
+
+  finishTurn(session) {
+    const line = this.script[session.turn];
+    if (!line) return;
+    session.turn++;
+
+    const itemId = session.itemId;
+    session.send({
+      type: 'conversation.item.input_audio_transcription.completed',
+      item_id: itemId,
+      content_index: 0,
+      transcript: line.transcript
+    });
+    session.pendingReply = line.reply;
+  }
+
+  async respond(session) {
+    const reply = session.pendingReply || 'Thanks for your time.';
+    session.pendingReply = null;
+    session.cancelled = false;
+
+    const responseId = `resp_mock_${session.nextId++}`;
+    const itemId = `item_assistant_${session.nextId++}`;
+    session.send({ type: 'response.created', response: { id: responseId, status: 'in_progress' } });
+    session.send({
+      type: 'response.output_item.added',
+      response_id: responseId,
+      output_index: 0,
+      item: { id: itemId, type: 'message', role: 'assistant' }
+    });
+
+    // Word-sized text deltas, each with a little (silent) audio like the real API sends
+    const words = reply.split(/(?<= )/);
+    for (const word of words) {
+      if (session.cancelled) break;
+      session.send({ type: 'response.text.delta', response_id: responseId, item_id: itemId, delta: word });
+      session.send({
+        type: 'response.audio.delta',
+        response_id: responseId,
+        item_id: itemId,
+        delta: Buffer.alloc(PCM16_BYTES_PER_MS * 20).toString('base64')
+      });
+      await new Promise(resolve => setTimeout(resolve, this.deltaDelayMs));
+    }
+
+    session.send({ type: 'response.text.done', response_id: responseId, item_id: itemId, text: reply });
+    session.send({
+      type: 'response.done',
+      response: { id: responseId, status: session.cancelled ? 'cancelled' : 'completed' }
+    });
+  }
+}
+
+module.exports = { MockRealtimeServer, DEFAULT_SCRIPT };
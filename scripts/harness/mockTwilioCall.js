@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const twilio = require('twilio');
+const WebSocket = require('ws');
+
+const FRAME_BYTES = 160;    // 20ms of 8kHz mu-law
+const FRAME_INTERVAL = 20;  // ms
+const MULAW_SILENCE = 0xFF;
+
+/**
+ * Plays Twilio's side of one answered call against a running server: signed
+ * webhooks, fetching the call's TwiML, and a media stream that sends caller
+ * audio and collects what the server plays back.
+ */
+class MockTwilioCall {
+  /**
+   * @param {Object} options - { baseUrl, authToken, callId, from, to }
+   */
+  constructor({ baseUrl, authToken, callId, from = '+15555550100', to = '+15555550199' }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.authToken = authToken;
+    this.callId = callId;
+    this.from = from;
+    this.to = to;
+    this.callSid = `CAharness${crypto.randomBytes(12).toString('hex')}`;
+    this.streamSid = `MZharness${crypto.randomBytes(12).toString('hex')}`;
+    this.ws = null;
+    this.sequenceNumber = 1;
+    this.startedAt = null;
+    this.outbound = [];   // media payloads the server sent us
+    this.events = [];     // non-media messages the server sent us (clear, mark)
+    this.lastOutboundAt = 0;
+  }
+
+  /**
+   * POST a signed, form-encoded webhook
+   * @returns {Promise<Object>} axios response
+   */
+  async postWebhook(path, params) {
+    const url = `${this.baseUrl}${path}`;
+    return axios.post(url, new URLSearchParams(params).toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': twilio.getExpectedTwilioSignature(this.authToken, url, params)
+      },
+      timeout: 10000,
+      validateStatus: () => true
+    });
+  }
+
+  async sendStatus(status, extra = {}) {
+    return this.postWebhook(`/api/voice/status/${this.callId}`, {
+      CallSid: this.callSid,
+      AccountSid: 'ACharness',
+      From: this.from,
+      To: this.to,
+      Direction: 'outbound-api',
+      CallStatus: status,
+      ...extra
+    });
+  }
+
+  /**
+   * Fetch the call's TwiML and connect to its <Stream>
+   * @param {string} path - The call's URL, e.g. /api/realtime-voice/stream/:callId
+   */
+  async answer(path) {
+    const response = await this.postWebhook(path, {
+      CallSid: this.callSid,
+      From: this.from,
+      To: this.to,
+      Direction: 'outbound-api',
+      CallStatus: 'in-progress'
+    });
+    if (response.status !== 200) {
+      throw new Error(`TwiML request returned ${response.status}`);
+    }
+
+    const twiml = String(response.data);
+    const streamMatch = twiml.match(/<Stream[^>]*url="([^"]+)"/);
+    if (!streamMatch) {
+      throw new Error(`No <Stream> in TwiML: ${twiml}`);
+    }
+
+    const customParameters = {};
+    for (const [, name, value] of twiml.matchAll(/<Parameter\s+name="([^"]+)"\s+value="([^"]*)"/g)) {
+      customParameters[name] = value;
+    }
+
+    // The TwiML names the public wss:// host; we always talk to the local server
+    const streamPath = new URL(streamMatch[1].replace(/^ws/, 'http')).pathname;
+    await this.openStream(`${this.baseUrl.replace(/^http/, 'ws')}${streamPath}`, customParameters);
+    return twiml;
+  }
+
+  openStream(url, customParameters) {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(url, 'audio');
+
+      this.ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        if (message.event === 'media') {
+          this.outbound.push(message.media.payload);
+          this.lastOutboundAt = Date.now();
+        } else {
+          this.events.push(message);
+        }
+      });
+
+      this.ws.on('open', () => {
+        this.startedAt = Date.now();
+        this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+        this.send({
+          event: 'start',
+          streamSid: this.streamSid,
+          start: {
+            streamSid: this.streamSid,
+            accountSid: 'ACharness',
+            callSid: this.callSid,
+            tracks: ['inbound'],
+            customParameters,
+            mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+          }
+        });
+        resolve();
+      });
+
+      this.ws.on('error', reject);
+    });
+  }
+
+  send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ sequenceNumber: String(this.sequenceNumber++), ...message }));
+    }
+  }
+
+  sendFrame(frame) {
+    this.send({
+      event: 'media',
+      streamSid: this.streamSid,
+      media: {
+        track: 'inbound',
+        chunk: String(this.sequenceNumber),
+        timestamp: String(Date.now() - this.startedAt),
+        payload: frame.toString('base64')
+      }
+    });
+  }
+
+  /**
+   * Send caller audio in real time
+   * @param {Array<Buffer>} frames - 20ms mu-law frames
+   */
+  async play(frames) {
+    for (const frame of frames) {
+      this.sendFrame(frame);
+      await new Promise(resolve => setTimeout(resolve, FRAME_INTERVAL));
+    }
+  }
+
+  async silence(ms) {
+    const frame = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+    await this.play(Array.from({ length: Math.ceil(ms / FRAME_INTERVAL) }, () => frame));
+  }
+
+  /**
+   * Keep the line open (sending silence, as Twilio does) until the server has
+   * played at least minFrames more audio and then gone quiet
+   * @param {Object} options - { minFrames, quietMs, timeoutMs }
+   * @returns {Promise<boolean>} false on timeout
+   */
+  async waitForPlayback({ minFrames = 1, quietMs = 1000, timeoutMs = 20000 } = {}) {
+    const target = this.outbound.length + minFrames;
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      if (this.outbound.length >= target && Date.now() - this.lastOutboundAt >= quietMs) {
+        return true;
+      }
+      await this.silence(100);
+    }
+    return false;
+  }
+
+  /**
+   * End the stream and report the hangup, as Twilio does when the caller hangs up
+   */
+  async hangup() {
+    this.send({ event: 'stop', streamSid: this.streamSid, stop: { callSid: this.callSid } });
+    if (this.ws) {
+      this.ws.close(1000, 'Call ended');
+    }
+
+    const duration = this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0;
+    return this.sendStatus('completed', { CallDuration: String(duration) });
+  }
+}
+
+module.exports = { MockTwilioCall, FRAME_BYTES };
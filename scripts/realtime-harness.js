@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+
+/**
+ * Offline End-to-End Harness for Realtime Voice
+ * Run with: npm run test:realtime [-- --wav caller.wav] [-- --keep]
+ *
+ * Plays caller audio into the realtime media stream the way Twilio would, with
+ * the OpenAI Realtime API and ElevenLabs replaced by local mocks, then checks
+ * what the call left in the database. A second call drives a booking turn
+ * through the simple voice loop against a mock chat model. Needs DATABASE_URL
+ * with the schema pushed; nothing goes over the network.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { MockRealtimeServer, DEFAULT_SCRIPT } = require('./harness/mockRealtimeServer');
+const { MockTwilioCall, FRAME_BYTES } = require('./harness/mockTwilioCall');
+const { toMulawChunks, parseWav, muLawEncodeSample } = require('../utils/audioUtils');
+
+// Colors
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const args = process.argv.slice(2);
+const wavIndex = args.indexOf('--wav');
+const wavPath = wavIndex >= 0 ? args[wavIndex + 1] : null;
+const keepData = args.includes('--keep');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 8kHz mono 16-bit WAV of a sine tone
+ * @param {number} durationMs - Length of the tone
+ * @param {number} amplitude - Peak sample value
+ * @returns {Buffer} WAV file contents
+ */
+function makeToneWav(durationMs, amplitude = 8000, frequency = 440) {
+  const sampleRate = 8000;
+  const samples = Math.round(sampleRate * durationMs / 1000);
+  const data = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    data.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)), i * 2);
+  }
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);              // block align
+  header.writeUInt16LE(16, 34);             // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Stand-in for ElevenLabs TTS: answers every request with a tone about as long
+ * as the text would take to say, in the output_format asked for (WAV if none)
+ * @returns {Promise<Object>} { server, url, requests }
+ */
+function startMockTTS() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || !req.url.startsWith('/v1/text-to-speech/')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ detail: 'Not found' }));
+      }
+
+      let text = '';
+      try {
+        text = JSON.parse(body).text || '';
+      } catch (e) {
+        // Empty text still gets a short tone
+      }
+      requests.push(text);
+
+      // Quiet enough that the mock realtime API never mistakes it for the caller
+      const wav = makeToneWav(Math.min(4000, Math.max(300, text.length * 40)), 200);
+      const outputFormat = new URL(req.url, 'http://localhost').searchParams.get('output_format');
+      if (outputFormat === 'ulaw_8000') {
+        const pcm = parseWav(wav).data;
+        const ulaw = Buffer.alloc(pcm.length / 2);
+        for (let i = 0; i < ulaw.length; i++) ulaw[i] = muLawEncodeSample(pcm.readInt16LE(i * 2));
+        res.writeHead(200, { 'Content-Type': 'audio/basic' });
+        return res.end(ulaw);
+      }
+      res.writeHead(200, { 'Content-Type': 'audio/wav' });
+      res.end(wav);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}`, requests });
+    });
+  });
+}
+
+// What the mock chat model answers every simple voice turn with: a confirmed booking
+const BOOKING_REPLY = 'Wonderful, one of our agents will meet you Monday at 5pm. Have a great day!';
+
+/**
+ * Stand-in for OpenAI chat completions: every request gets BOOKING_REPLY tagged [[BOOK]]
+ * @returns {Promise<Object>} { server, url, requests }
+ */
+function startMockChat() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+      }
+
+      requests.push(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `chatcmpl-harness-${requests.length}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: 'gpt-4',
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: `${BOOKING_REPLY}\n[[BOOK]]` },
+          finish_reason: 'stop'
+        }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}/v1`, requests });
+    });
+  });
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+async function runHarness() {
+  console.log('🎧 Voice Sales AI - Realtime Voice Harness\n');
+
+  if (!process.env.DATABASE_URL) {
+    log('❌ DATABASE_URL is not set - the harness needs a database with the schema pushed', 'red');
+    process.exit(1);
+  }
+
+  const script = DEFAULT_SCRIPT;
+  const realtime = new MockRealtimeServer({ script });
+  const realtimeUrl = await realtime.start();
+  const tts = await startMockTTS();
+  const chat = await startMockChat();
+
+  // Point the app at the mocks before any service reads its config
+  process.env.OPENAI_REALTIME_URL = realtimeUrl;
+  process.env.OPENAI_API_KEY = 'harness-openai-key';
+  process.env.OPENAI_BASE_URL = chat.url;
+  process.env.ELEVENLABS_API_URL = tts.url;
+  process.env.ELEVENLABS_API_KEY = 'harness-elevenlabs-key';
+  process.env.TELEPHONY_PROVIDER = 'fake';
+  process.env.TTS_CACHE_MAX_MB = '0'; // every line should reach the mock TTS, not a cache from an earlier run
+  process.env.TTS_ENGINES = 'elevenlabs'; // no falling back to a real engine over the network
+
+  const express = require('express');
+  const { PrismaClient } = require('@prisma/client');
+  const { getTelephonyProvider } = require('../services/telephonyProvider');
+  const voiceRoutes = require('../routes/voice');
+  const { router: realtimeVoiceRoutes, setupWebSocketServer } = require('../routes/realtimeVoice');
+  const simpleVoiceRoutes = require('../routes/simpleVoice');
+
+  const prisma = new PrismaClient();
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/voice', voiceRoutes);
+  app.use('/api/realtime-voice', realtimeVoiceRoutes);
+  app.use('/api/simple-voice', simpleVoiceRoutes);
+
+  const server = http.createServer(app);
+  setupWebSocketServer(server);
+  const port = await listen(server);
+  const baseUrl = `http://127.0.0.1:${port}`;
+  process.env.BASE_URL = baseUrl;
+
+  const results = [];
+  function check(name, success, detail = '') {
+    results.push({ name, success });
+    log(`${success ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`, success ? 'green' : 'red');
+  }
+
+  // Caller audio: the given WAV, or a tone burst the mock API hears as speech
+  const callerAudio = wavPath ? fs.readFileSync(wavPath) : makeToneWav(1200);
+  const callerFrames = (await toMulawChunks(callerAudio))
+    .filter(frame => frame.length === FRAME_BYTES);
+  log(`Caller audio: ${wavPath || 'generated tone'} (${callerFrames.length * 20}ms)`, 'blue');
+
+  const phone = `+1555${crypto.randomInt(1000000, 9999999)}`;
+  const lead = await prisma.lead.create({
+    data: {
+      firstName: 'Jane',
+      lastName: 'Harness',
+      phone,
+      city: 'Hollywood',
+      state: 'FL',
+      source: 'realtime-harness'
+    }
+  });
+  const call = await prisma.call.create({
+    data: { leadId: lead.id, status: 'SCHEDULED', provider: 'fake' }
+  });
+
+  const twilioCall = new MockTwilioCall({
+    baseUrl,
+    authToken: getTelephonyProvider().webhookAuthToken,
+    callId: call.id,
+    to: phone
+  });
+
+  let exitCode = 1;
+  try {
+    for (const status of ['initiated', 'ringing', 'in-progress']) {
+      const response = await twilioCall.sendStatus(status);
+      check(`Status webhook: ${status}`, response.status === 200, `HTTP ${response.status}`);
+    }
+
+    const twiml = await twilioCall.answer(`/api/realtime-voice/stream/${call.id}`);
+    check('TwiML connects a signed media stream', /name="token"/.test(twiml));
+
+    const greeted = await twilioCall.waitForPlayback({ minFrames: 1 });
+    check('Greeting played', greeted, `${twilioCall.outbound.length} frames`);
+
+    for (let turn = 0; turn < script.length; turn++) {
+      await twilioCall.play(callerFrames);
+      const replied = await twilioCall.waitForPlayback({ minFrames: 1, quietMs: 1500 });
+      check(`Reply ${turn + 1} played`, replied, `${twilioCall.outbound.length} frames total`);
+    }
+
+    await twilioCall.hangup();
+    // Give the server time to finalize the call and save analytics
+    await sleep(1500);
+
+    // What the realtime API saw
+    const sessionUpdates = realtime.messagesOfType('session.update');
+    check('Realtime session configured', sessionUpdates.length > 0
+      && String(sessionUpdates[0].session.instructions || '').includes(lead.firstName));
+    check('Caller audio reached the realtime API', realtime.messagesOfType('input_audio_buffer.append').length > 0);
+
+    // What the caller heard
+    const badFrames = twilioCall.outbound.filter(payload => Buffer.from(payload, 'base64').length !== FRAME_BYTES);
+    check('Outbound audio is 20ms mu-law frames', twilioCall.outbound.length > 0 && badFrames.length === 0,
+      `${twilioCall.outbound.length} frames, ${badFrames.length} malformed`);
+    check('Every AI line went through TTS', tts.requests.length >= script.length + 1, `${tts.requests.length} requests`);
+
+    // What was written
+    const interactions = await prisma.interaction.findMany({
+      where: { callId: call.id },
+      orderBy: { timestamp: 'asc' }
+    });
+    const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+    const aiText = normalize(interactions.filter(i => i.speaker === 'AI').map(i => i.content).join(' '));
+    const customerLines = interactions.filter(i => i.speaker === 'CUSTOMER').map(i => normalize(i.content));
+
+    check('Greeting logged', interactions.length > 0 && interactions[0].speaker === 'AI'
+      && interactions[0].content.includes(lead.firstName));
+    for (const line of script) {
+      check(`Caller transcript logged: "${line.transcript}"`, customerLines.includes(normalize(line.transcript)));
+      check('AI reply logged', aiText.includes(normalize(line.reply)));
+    }
+
+    const finished = await prisma.call.findUnique({ where: { id: call.id } });
+    check('Call completed', finished.status === 'COMPLETED', `status ${finished.status}`);
+    check('Call duration recorded', finished.duration !== null && finished.endedAt !== null,
+      `${finished.duration}s`);
+
+    const events = await prisma.callEvent.findMany({ where: { callId: call.id } });
+    const eventTypes = new Set(events.map(event => event.type));
+    for (const type of ['STREAM_STARTED', 'STREAM_STOPPED', 'HANGUP']) {
+      check(`${type} event recorded`, eventTypes.has(type));
+    }
+
+    const analytics = await prisma.callAnalytics.findUnique({ where: { callId: call.id } });
+    check('Call analytics saved', !!analytics && analytics.talkTime > 0,
+      analytics ? `talk ${analytics.talkTime}s, listen ${analytics.listenTime}s` : 'missing');
+
+    // Simple voice: the homeowner agrees to meet and the model books it
+    const simpleCall = await prisma.call.create({
+      data: { leadId: lead.id, status: 'IN_PROGRESS', provider: 'fake', startedAt: new Date() }
+    });
+    const simpleTwilio = new MockTwilioCall({
+      baseUrl,
+      authToken: getTelephonyProvider().webhookAuthToken,
+      callId: simpleCall.id,
+      to: phone
+    });
+    const opening = await simpleTwilio.postWebhook(`/api/simple-voice/stream/${simpleCall.id}`, {
+      CallSid: simpleTwilio.callSid,
+      CallStatus: 'in-progress'
+    });
+    check('Simple voice greeting listens for an answer', opening.status === 200 && /<Gather/.test(String(opening.data)));
+
+    const booking = await simpleTwilio.postWebhook(`/api/simple-voice/response/${simpleCall.id}`, {
+      CallSid: simpleTwilio.callSid,
+      SpeechResult: 'Yes, Monday at 5 works for me'
+    });
+    const bookingTwiml = String(booking.data);
+    const bookingTurn = await prisma.interaction.findFirst({
+      where: { callId: simpleCall.id, speaker: 'AI' },
+      orderBy: { timestamp: 'desc' }
+    });
+    // The confirmation itself is played, not the error fallback
+    const playsConfirmation = !!bookingTurn && bookingTurn.content === BOOKING_REPLY
+      && (bookingTwiml.includes(`/api/simple-voice/audio/${bookingTurn.id}`) || bookingTwiml.includes(BOOKING_REPLY));
+    check('Booking confirmed to the homeowner', booking.status === 200
+      && /<Hangup/.test(bookingTwiml) && playsConfirmation,
+      bookingTurn ? `"${bookingTurn.content}"` : 'no AI turn');
+    const booked = await prisma.call.findUnique({ where: { id: simpleCall.id } });
+    check('Booking recorded on the call', booked.outcome === 'MEETING_SCHEDULED', `outcome ${booked.outcome}`);
+
+    const failed = results.filter(result => !result.success).length;
+    console.log('');
+    if (failed === 0) {
+      log(`🎉 All ${results.length} checks passed`, 'green');
+      exitCode = 0;
+    } else {
+      log(`❌ ${failed} of ${results.length} checks failed`, 'red');
+    }
+  } catch (error) {
+    log(`❌ Harness error: ${error.message}`, 'red');
+    console.error(error);
+  } finally {
+    if (keepData) {
+      log(`Kept lead ${lead.id} and call ${call.id}`, 'yellow');
+    } else {
+      // Calls, interactions, events and analytics cascade from the lead
+      await prisma.lead.delete({ where: { id: lead.id } }).catch(() => {});
+    }
+    server.close();
+    tts.server.close();
+    chat.server.close();
+    await realtime.stop();
+    await prisma.$disconnect();
+  }
+
+  process.exit(exitCode);
+}
+
+runHarness().catch((error) => {
+  log(`❌ Harness failed to start: ${error.message}`, 'red');
+  process.exit(1);
+});
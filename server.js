@@ -27,6 +27,10 @@ async function runMigrations() {
     // Push schema changes
     await execAsync('npx prisma db push --accept-data-loss');
     console.log('✅ Database migrations completed');
+
+    // Leads saved before normalizedPhone existed can't be matched by DNC or caller lookups
+    const DncService = require('./services/dncService');
+    await new DncService().backfillNormalizedPhones();
   } catch (error) {
     console.error('❌ Database migration failed:', error.message);
     console.error('Full error:', error);
@@ -55,10 +59,20 @@ const debugRoutes = require('./routes/debug');
 const voiceRoutes = require('./routes/voice');
 const bulkRoutes = require('./routes/bulk');
 const simpleVoiceRoutes = require('./routes/simpleVoice');
+const dncRoutes = require('./routes/dnc');
+const voicemailTemplateRoutes = require('./routes/voicemailTemplates');
+const voiceProfileRoutes = require('./routes/voiceProfiles');
+const brandRoutes = require('./routes/brands');
+const salesScriptRoutes = require('./routes/salesScripts');
+const agentRoutes = require('./routes/agents');
+const callerNumberRoutes = require('./routes/callerNumbers');
+const settingsRoutes = require('./routes/settings');
 const { router: realtimeVoiceRoutes, setupWebSocketServer } = require('./routes/realtimeVoice');
+const CallScheduler = require('./services/callScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
+const callScheduler = new CallScheduler();
 
 // Middleware
 app.use(helmet());
@@ -81,6 +95,14 @@ app.use('/api/debug', debugRoutes);
 app.use('/api/voice', voiceRoutes);
 app.use('/api/bulk', bulkRoutes);
 app.use('/api/simple-voice', simpleVoiceRoutes);
+app.use('/api/dnc', dncRoutes);
+app.use('/api/voicemail-templates', voicemailTemplateRoutes);
+app.use('/api/voice-profiles', voiceProfileRoutes);
+app.use('/api/brands', brandRoutes);
+app.use('/api/sales-scripts', salesScriptRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/caller-numbers', callerNumberRoutes);
+app.use('/api/settings', settingsRoutes);
 app.use('/api/realtime-voice', realtimeVoiceRoutes);
 
 // Health check endpoint
@@ -179,12 +201,14 @@ app.use('*', notFoundHandler);
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
+  callScheduler.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('Shutting down gracefully...');
+  callScheduler.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -196,6 +220,9 @@ console.log('- TWILIO_ACCOUNT_SID:', process.env.TWILIO_ACCOUNT_SID ? 'Set' : 'M
 console.log('- ELEVENLABS_API_KEY:', process.env.ELEVENLABS_API_KEY ? 'Set' : 'Missing');
 console.log('- OPENAI_API_KEY:', process.env.OPENAI_API_KEY ? 'Set' : 'Missing');
 console.log('- BASE_URL:', process.env.BASE_URL || 'Not set');
+if (process.env.TWILIO_SIGNATURE_VALIDATION === 'off') {
+  console.warn('⚠️ TWILIO_SIGNATURE_VALIDATION=off - voice webhooks and media streams are NOT authenticated');
+}
 
 const server = app.listen(PORT, () => {
   logger.info(`🚀 Voice Sales AI server running on port ${PORT}`);
@@ -218,6 +245,14 @@ const server = app.listen(PORT, () => {
     logger.info('🎙️ Simple voice mode active');
   }
   
+  // Dial scheduled calls unless explicitly disabled (FEATURE_SCHEDULER=off)
+  if (process.env.FEATURE_SCHEDULER !== 'off') {
+    callScheduler.start();
+    logger.info('⏰ Call scheduler enabled');
+  } else {
+    logger.info('⏰ Call scheduler disabled (FEATURE_SCHEDULER=off)');
+  }
+  
   // Run database migrations after server starts (non-blocking)
   runMigrations().catch(err => {
     console.error('Migration failed but server continues:', err.message);
@@ -0,0 +1,233 @@
+const { PrismaClient } = require('@prisma/client');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Who calls speak for when no brand has been saved
+const BUILT_IN_BRAND = {
+  id: null,
+  name: 'Levco Real Estate Group',
+  market: 'Hollywood',
+  personaName: null,
+  valueProposition: null,
+  closingStyle: null,
+  disclosures: null,
+  isDefault: true
+};
+
+// Used for a brand's optional copy when it leaves a field blank
+const DEFAULT_VALUE_PROPOSITION = 'We have buyers looking in the area and want to know if homeowners are interested in selling. ' +
+  'We then set up appointments with the listing agent so we can get the property sold.';
+const DEFAULT_CLOSING_STYLE = 'We will be in your neighborhood this week with another homeowner, we can schedule to have ' +
+  'one of our top agents meet you at your property as well. Does morning or evening work best? How about Monday at 5pm?';
+
+const REQUIRED_FIELDS = ['name', 'market'];
+const OPTIONAL_FIELDS = ['personaName', 'valueProposition', 'closingStyle', 'disclosures'];
+const MAX_FIELD_LENGTH = 2000;
+const CACHE_TTL = 30 * 1000; // ms; the default brand is looked up on every call
+
+/**
+ * The company calls speak for: its name and market, the persona the AI
+ * plays, its pitch and close, and the disclosures every call must make.
+ * Campaigns pick a brand; everything else (one-off and inbound calls,
+ * campaigns without one) uses the default brand, and with no default saved
+ * the built-in one.
+ */
+class BrandService {
+  constructor() {
+    this.defaultBrand = undefined;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Check brand fields
+   * @param {Object} data - Brand fields from a request
+   * @param {Object} options - { partial: only check the fields given }
+   * @returns {Array<string>} Problems, empty when valid
+   */
+  validate(data, { partial = false } = {}) {
+    const errors = [];
+
+    for (const field of REQUIRED_FIELDS) {
+      if (partial && data[field] === undefined) continue;
+      if (!data[field] || typeof data[field] !== 'string') errors.push(`${field} is required`);
+    }
+
+    for (const field of [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS]) {
+      const value = data[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'string') {
+        errors.push(`${field} must be text`);
+      } else if (value.length > MAX_FIELD_LENGTH) {
+        errors.push(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Brand fields from a request body, dropping anything else. Blank optional
+   * fields are stored as null so the defaults apply.
+   * @param {Object} body - Request body
+   * @returns {Object}
+   */
+  pickFields(body) {
+    const data = {};
+    for (const field of [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS]) {
+      if (body[field] === undefined) continue;
+      const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+      data[field] = OPTIONAL_FIELDS.includes(field) && value === '' ? null : value;
+    }
+    if (body.isDefault !== undefined) data.isDefault = Boolean(body.isDefault);
+    return data;
+  }
+
+  /**
+   * The default brand, or the built-in one when none is saved
+   * @returns {Promise<Object>}
+   */
+  async getDefault() {
+    if (this.defaultBrand !== undefined && Date.now() - this.cachedAt < CACHE_TTL) {
+      return this.defaultBrand || BUILT_IN_BRAND;
+    }
+
+    try {
+      this.defaultBrand = await prisma.brand.findFirst({ where: { isDefault: true } });
+      this.cachedAt = Date.now();
+    } catch (error) {
+      // Calls can still be made as the built-in brand if brands can't be read
+      DebugLogger.logConfigError('brand', error.message, BUILT_IN_BRAND.name);
+      return BUILT_IN_BRAND;
+    }
+    return this.defaultBrand || BUILT_IN_BRAND;
+  }
+
+  /**
+   * The brand used when none is saved, for code that can't wait on the database
+   * @returns {Object}
+   */
+  getBuiltIn() {
+    return BUILT_IN_BRAND;
+  }
+
+  /**
+   * Forget the cached default, e.g. after brands were edited
+   */
+  clearCache() {
+    this.defaultBrand = undefined;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * The brand to speak for: the first one given, else the default
+   * @param {...Object} brands - Candidate brands, most specific first (nulls skipped)
+   * @returns {Promise<Object>}
+   */
+  async resolve(...brands) {
+    return brands.find(Boolean) || this.getDefault();
+  }
+
+  /**
+   * The brand of a campaign's calls
+   * @param {string} campaignId - Campaign ID, or null
+   * @returns {Promise<Object>}
+   */
+  async getForCampaign(campaignId) {
+    if (!campaignId) return this.getDefault();
+
+    try {
+      const campaign = await prisma.campaign.findUnique({
+        where: { id: campaignId },
+        include: { brand: true }
+      });
+      return this.resolve(campaign && campaign.brand);
+    } catch (error) {
+      DebugLogger.logConfigError('campaign_brand', error.message, 'default brand');
+      return this.getDefault();
+    }
+  }
+
+  /**
+   * The brand a call speaks for
+   * @param {Object} call - Call record; its campaign's brand is used when included
+   * @returns {Promise<Object>}
+   */
+  async getForCall(call) {
+    if (call && call.campaign && call.campaign.brand !== undefined) {
+      return this.resolve(call.campaign.brand);
+    }
+    return this.getForCampaign(call && call.campaignId);
+  }
+
+  /**
+   * The brand a call speaks for, by call ID
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>}
+   */
+  async getForCallId(callId) {
+    if (!callId) return this.getDefault();
+
+    try {
+      const call = await prisma.call.findUnique({
+        where: { id: callId },
+        select: { campaignId: true }
+      });
+      return this.getForCampaign(call && call.campaignId);
+    } catch (error) {
+      DebugLogger.logConfigError('call_brand', error.message, 'default brand');
+      return this.getDefault();
+    }
+  }
+
+  /**
+   * How the company is introduced in prompts
+   * @param {Object} brand - Resolved brand
+   * @returns {string} e.g. Levco Real Estate Group, a local brokerage in Hollywood
+   */
+  describe(brand) {
+    return `${brand.name}, a local brokerage in ${brand.market}`;
+  }
+
+  getValueProposition(brand) {
+    return brand.valueProposition || DEFAULT_VALUE_PROPOSITION;
+  }
+
+  getClosingStyle(brand) {
+    return brand.closingStyle || DEFAULT_CLOSING_STYLE;
+  }
+
+  /**
+   * {{variables}} fixed lines and voicemail scripts can use for the brand
+   * @param {Object} brand - Resolved brand, or null for the built-in one
+   * @returns {Object} { brandName, market, agentName }
+   */
+  getPhraseVariables(brand) {
+    const { name, market, personaName } = brand || BUILT_IN_BRAND;
+    return { brandName: name, market, agentName: personaName };
+  }
+
+  /**
+   * An opening line with the brand's disclosures said first
+   * @param {string} line - Greeting
+   * @param {Object} brand - Resolved brand
+   * @returns {string}
+   */
+  withDisclosures(line, brand) {
+    return brand && brand.disclosures ? `${brand.disclosures} ${line}` : line;
+  }
+
+  /**
+   * Prompt section covering the brand's disclosures; empty when it has none
+   * @param {Object} brand - Resolved brand
+   * @returns {string}
+   */
+  buildDisclosureInstructions(brand) {
+    if (!brand.disclosures) return '';
+    return `COMPLIANCE:
+These disclosures were read out at the start of the call: "${brand.disclosures}"
+If asked, repeat them word for word. Never say anything that contradicts them.`;
+  }
+}
+
+module.exports = BrandService;
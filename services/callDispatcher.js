@@ -0,0 +1,194 @@
+const { PrismaClient } = require('@prisma/client');
+const { getTelephonyProvider } = require('./telephonyProvider');
+const DncService = require('./dncService');
+const CallingRulesService = require('./callingRulesService');
+const CallerIdService = require('./callerIdService');
+const CallStateMachine = require('./callStateMachine');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+class CallDispatcher {
+  constructor() {
+    this.dncService = new DncService();
+    this.callingRules = new CallingRulesService();
+    this.callerId = new CallerIdService();
+    this.stateMachine = new CallStateMachine();
+  }
+
+  /**
+   * Ensure phone number has +1 prefix for US numbers
+   * @param {string} phone - Raw lead phone number
+   * @returns {string} Dialable phone number
+   */
+  formatPhoneNumber(phone) {
+    let phoneNumber = phone;
+    if (!phoneNumber.startsWith('+')) {
+      phoneNumber = '+1' + phoneNumber;
+    }
+    return phoneNumber;
+  }
+
+  /**
+   * Compliance checks every call must pass before it is dialed
+   * @param {Object} lead - Lead being called
+   * @param {Object} options - { callId } of the attempt being checked (excluded from frequency limits)
+   * @returns {Promise<Object>} { allowed, reason, message, deferrable, nextAllowedAt }
+   */
+  async preflight(lead, { callId = null } = {}) {
+    const suppression = await this.dncService.checkLead(lead);
+    if (suppression.blocked) {
+      return {
+        allowed: false,
+        reason: suppression.reason,
+        message: suppression.message,
+        deferrable: false,
+        nextAllowedAt: null
+      };
+    }
+
+    // Calling windows and frequency limits only delay the call
+    const rules = await this.callingRules.evaluate(lead, { excludeCallId: callId });
+    if (!rules.allowed) {
+      return {
+        allowed: false,
+        reason: rules.reason,
+        message: rules.message,
+        deferrable: Boolean(rules.nextAllowedAt),
+        nextAllowedAt: rules.nextAllowedAt,
+        timezone: rules.timezone,
+        localTime: rules.localTime
+      };
+    }
+
+    return { allowed: true, reason: null, message: null, deferrable: false, nextAllowedAt: null };
+  }
+
+  /**
+   * Mark a call as blocked so it never gets dialed
+   * @param {string} callId - Call ID
+   * @param {string} reason - Suppression reason code
+   */
+  async suppressCall(callId, reason) {
+    await this.stateMachine.transition(callId, 'CANCELLED', {
+      data: {
+        suppressionReason: reason,
+        endedAt: new Date()
+      },
+      source: 'dispatcher',
+      reason
+    });
+  }
+
+  /**
+   * Hand a call back to the scheduler for a later, compliant time
+   * @param {string} callId - Call ID
+   * @param {Date} scheduledAt - Next allowed dialing time
+   */
+  async deferCall(callId, scheduledAt) {
+    await this.stateMachine.transition(callId, 'SCHEDULED', {
+      data: {
+        scheduledAt: scheduledAt,
+        dispatchedAt: null,
+        dispatchedBy: null
+      },
+      source: 'dispatcher',
+      reason: 'deferred'
+    });
+  }
+
+  /**
+   * Place an outbound call for an existing call record
+   * @param {Object} call - Call record
+   * @param {Object} lead - Lead being called
+   * @returns {Promise<Object>} Provider call result, or { success: false, suppressed|deferred: true } if blocked
+   */
+  async dispatch(call, lead) {
+    const check = await this.preflight(lead, { callId: call.id });
+    if (!check.allowed && check.deferrable) {
+      await this.deferCall(call.id, check.nextAllowedAt);
+
+      DebugLogger.logSuccess('Call deferred by calling rules', {
+        callId: call.id,
+        leadId: lead.id,
+        reason: check.reason,
+        nextAllowedAt: check.nextAllowedAt.toISOString()
+      });
+
+      return {
+        success: false,
+        deferred: true,
+        reason: check.reason,
+        message: check.message,
+        nextAllowedAt: check.nextAllowedAt,
+        callId: call.id
+      };
+    }
+
+    if (!check.allowed) {
+      await this.suppressCall(call.id, check.reason);
+
+      DebugLogger.logSuccess('Call suppressed', {
+        callId: call.id,
+        leadId: lead.id,
+        reason: check.reason
+      });
+
+      return {
+        success: false,
+        suppressed: true,
+        reason: check.reason,
+        message: check.message,
+        callId: call.id
+      };
+    }
+
+    const phoneNumber = this.formatPhoneNumber(lead.phone);
+
+    // Local-presence caller ID from the pool (falls back to TWILIO_PHONE_NUMBER)
+    const callerNumber = await this.callerId.selectNumber(lead, call.campaignId);
+    const fromNumber = callerNumber ? callerNumber.phoneNumber : undefined;
+
+    const telephony = getTelephonyProvider();
+    const callResult = await telephony.initiateCall(phoneNumber, call.id, lead, { fromNumber });
+
+    const dialData = {
+      twilioCallSid: callResult.providerCallSid,
+      provider: telephony.name,
+      dispatchedAt: call.dispatchedAt || new Date(),
+      callerNumberId: callerNumber ? callerNumber.id : null,
+      fromNumber: fromNumber || process.env.TWILIO_PHONE_NUMBER
+    };
+
+    await this.stateMachine.recordEvent(call.id, 'DIALED', {
+      source: 'dispatcher',
+      data: { provider: telephony.name, providerCallSid: callResult.providerCallSid, fromNumber: dialData.fromNumber }
+    });
+
+    const transition = await this.stateMachine.transition(call.id, 'IN_PROGRESS', {
+      data: { ...dialData, startedAt: new Date() },
+      source: 'dispatcher'
+    });
+
+    // A fast busy/failed webhook can finish the call before we get here; keep its status
+    if (!transition.applied) {
+      await prisma.call.update({ where: { id: call.id }, data: dialData });
+    }
+
+    if (callerNumber) {
+      await this.callerId.markUsed(callerNumber.id);
+    }
+
+    DebugLogger.logSuccess('Call dispatched', {
+      callId: call.id,
+      leadId: lead.id,
+      provider: telephony.name,
+      providerCallSid: callResult.providerCallSid,
+      fromNumber: fromNumber || process.env.TWILIO_PHONE_NUMBER
+    });
+
+    return callResult;
+  }
+}
+
+module.exports = CallDispatcher;
@@ -0,0 +1,80 @@
+const { DebugLogger } = require('../utils/logger');
+
+/**
+ * Server-side limits for one live call: a wrap-up prompt shortly before the
+ * max duration, a hard stop at it, and a dead-air timer that fires when
+ * nobody has spoken for too long. What each of those does is up to the caller.
+ */
+class CallGuard {
+  /**
+   * @param {string} callId - Call ID
+   * @param {Object} limits - { maxDuration, wrapUpWarning, deadAirTimeout } in seconds
+   * @param {Object} handlers - { onWrapUp, onMaxDuration, onDeadAir, isBusy }
+   */
+  constructor(callId, limits, handlers) {
+    this.callId = callId;
+    this.limits = limits;
+    this.handlers = handlers;
+    this.startedAt = null;
+    this.stopped = false;
+    this.wrapUpTimer = null;
+    this.maxDurationTimer = null;
+    this.deadAirTimer = null;
+  }
+
+  start() {
+    const { maxDuration, wrapUpWarning } = this.limits;
+    this.startedAt = Date.now();
+
+    if (wrapUpWarning > 0 && maxDuration > wrapUpWarning) {
+      this.wrapUpTimer = setTimeout(() => this.run('onWrapUp'), (maxDuration - wrapUpWarning) * 1000);
+    }
+
+    this.maxDurationTimer = setTimeout(() => {
+      this.stop();
+      this.run('onMaxDuration');
+    }, maxDuration * 1000);
+
+    this.touch();
+  }
+
+  /**
+   * Someone spoke: restart the dead-air countdown
+   */
+  touch() {
+    if (this.stopped || !this.startedAt) return;
+
+    clearTimeout(this.deadAirTimer);
+    this.deadAirTimer = setTimeout(() => {
+      // Silence while the AI is talking (or handing off) isn't dead air
+      if (this.handlers.isBusy && this.handlers.isBusy()) {
+        this.touch();
+        return;
+      }
+      this.stop();
+      this.run('onDeadAir');
+    }, this.limits.deadAirTimeout * 1000);
+  }
+
+  elapsedSeconds() {
+    return this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.wrapUpTimer);
+    clearTimeout(this.maxDurationTimer);
+    clearTimeout(this.deadAirTimer);
+  }
+
+  run(handlerName) {
+    const handler = this.handlers[handlerName];
+    if (!handler) return;
+
+    Promise.resolve()
+      .then(() => handler())
+      .catch(error => DebugLogger.logCallError(this.callId, error, `call_guard_${handlerName}`));
+  }
+}
+
+module.exports = CallGuard;
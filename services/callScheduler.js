@@ -0,0 +1,204 @@
+const cron = require('node-cron');
+const os = require('os');
+const { PrismaClient } = require('@prisma/client');
+const CallDispatcher = require('./callDispatcher');
+const CallStateMachine = require('./callStateMachine');
+const TtsPrerenderService = require('./ttsPrerenderService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const UPCOMING_WINDOW_MINUTES = 5; // how far ahead greetings are pre-rendered
+
+class CallScheduler {
+  constructor(options = {}) {
+    this.dispatcher = options.dispatcher || new CallDispatcher();
+    this.stateMachine = new CallStateMachine();
+    this.ttsPrerender = new TtsPrerenderService();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.cronExpression = process.env.SCHEDULER_CRON || '*/30 * * * * *'; // every 30 seconds
+    this.batchSize = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 5;
+    this.staleClaimMinutes = parseInt(process.env.SCHEDULER_STALE_CLAIM_MINUTES) || 10;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the cron worker
+   */
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.cronExpression)) {
+      DebugLogger.logConfigError('SCHEDULER_CRON', `Invalid cron expression: ${this.cronExpression}`, '*/30 * * * * *');
+      this.cronExpression = '*/30 * * * * *';
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => {
+      this.tick().catch(error => DebugLogger.logSystemError(error, 'call_scheduler_tick'));
+    });
+
+    DebugLogger.logSuccess('Call scheduler started', {
+      workerId: this.workerId,
+      cron: this.cronExpression,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Stop the cron worker
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      DebugLogger.logSuccess('Call scheduler stopped', { workerId: this.workerId });
+    }
+  }
+
+  /**
+   * Run a single scheduling pass (skipped if the previous pass is still running)
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.recoverStaleClaims();
+      await this.processDueCalls();
+      await this.warmUpcomingCalls();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Claim and dial calls whose scheduled time has passed
+   * @returns {Promise<number>} Number of calls dispatched
+   */
+  async processDueCalls() {
+    const dueCalls = await prisma.call.findMany({
+      where: {
+        status: 'SCHEDULED',
+        dispatchedAt: null,
+        scheduledAt: { lte: new Date() }
+      },
+      include: { lead: true },
+      orderBy: { scheduledAt: 'asc' },
+      take: this.batchSize
+    });
+
+    let dispatched = 0;
+
+    for (const call of dueCalls) {
+      const claimed = await this.claimCall(call.id);
+      if (!claimed) continue; // Another worker got there first
+
+      try {
+        const result = await this.dispatcher.dispatch(call, call.lead);
+        if (result.success) dispatched++;
+      } catch (error) {
+        DebugLogger.logCallError(call.id, error, 'scheduled_dispatch', call.leadId);
+
+        await this.stateMachine.transition(call.id, 'FAILED', {
+          data: { endedAt: new Date() },
+          source: 'scheduler',
+          reason: 'dispatch_error'
+        });
+      }
+    }
+
+    return dispatched;
+  }
+
+  /**
+   * Pre-render greetings for calls due in the next few minutes. Rendering runs
+   * in the background so it never holds up the next pass.
+   */
+  async warmUpcomingCalls() {
+    const upcoming = await prisma.call.findMany({
+      where: {
+        status: 'SCHEDULED',
+        dispatchedAt: null,
+        scheduledAt: { gt: new Date(), lte: new Date(Date.now() + UPCOMING_WINDOW_MINUTES * 60 * 1000) }
+      },
+      select: { leadId: true, campaignId: true },
+      orderBy: { scheduledAt: 'asc' },
+      take: this.ttsPrerender.lookahead
+    });
+
+    // Each campaign may use its own TTS engines
+    const leadsByCampaign = new Map();
+    for (const call of upcoming) {
+      if (!leadsByCampaign.has(call.campaignId)) leadsByCampaign.set(call.campaignId, []);
+      leadsByCampaign.get(call.campaignId).push(call.leadId);
+    }
+
+    for (const [campaignId, leadIds] of leadsByCampaign) {
+      this.ttsPrerender.prerenderLeads(leadIds, campaignId)
+        .catch(error => DebugLogger.logSystemError(error, 'tts_prerender_scheduled'));
+    }
+  }
+
+  /**
+   * Atomically claim a scheduled call so it is only dialed once
+   * @param {string} callId - Call ID
+   * @returns {Promise<boolean>} Whether this worker owns the call
+   */
+  async claimCall(callId) {
+    const result = await prisma.call.updateMany({
+      where: {
+        id: callId,
+        status: 'SCHEDULED',
+        dispatchedAt: null
+      },
+      data: {
+        dispatchedAt: new Date(),
+        dispatchedBy: this.workerId
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Fail calls that were claimed but never reached Twilio (e.g. the process died mid-dial).
+   * We can't tell whether Twilio placed the call, so we never redial them automatically.
+   */
+  async recoverStaleClaims() {
+    const cutoff = new Date(Date.now() - this.staleClaimMinutes * 60 * 1000);
+
+    const staleClaim = {
+      twilioCallSid: null,
+      dispatchedBy: { not: null },
+      dispatchedAt: { lt: cutoff }
+    };
+
+    const staleCalls = await prisma.call.findMany({
+      where: { ...staleClaim, status: 'SCHEDULED' },
+      select: { id: true }
+    });
+
+    let failed = 0;
+    for (const call of staleCalls) {
+      const result = await this.stateMachine.transition(call.id, 'FAILED', {
+        data: { endedAt: new Date() },
+        where: staleClaim,
+        source: 'scheduler',
+        reason: 'stale_claim'
+      });
+      if (result.applied) failed++;
+    }
+
+    if (failed > 0) {
+      DebugLogger.logSuccess('Stale scheduled calls failed', {
+        count: failed,
+        cutoff: cutoff.toISOString()
+      });
+    }
+
+    return failed;
+  }
+}
+
+module.exports = CallScheduler;
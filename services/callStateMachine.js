@@ -0,0 +1,185 @@
+const { PrismaClient } = require('@prisma/client');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Legal status changes. COMPLETED, FAILED and CANCELLED are final, so late or
+// out-of-order webhooks can't reopen a finished call.
+const TRANSITIONS = {
+  SCHEDULED: ['SCHEDULED', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED'],
+  IN_PROGRESS: ['IN_PROGRESS', 'COMPLETED', 'FAILED'],
+  COMPLETED: [],
+  FAILED: [],
+  CANCELLED: []
+};
+
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+// Attempts at the compare-and-set before giving up to a concurrent writer
+const MAX_TRANSITION_ATTEMPTS = 3;
+
+class CallStateMachine {
+  /**
+   * Whether a call may move between two statuses
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @returns {boolean}
+   */
+  canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Move a call to a new status, if that's legal from where it is now.
+   * The update only applies if the status hasn't changed underneath us.
+   * @param {string} callId - Call ID
+   * @param {string} toStatus - Target status
+   * @param {Object} options - { data: extra fields to set, where: extra conditions, source, reason }
+   * @returns {Promise<Object>} { applied, call, fromStatus, duplicate, notFound }
+   */
+  async transition(callId, toStatus, { data = {}, where = {}, source = null, reason = null } = {}) {
+    for (let attempt = 0; attempt < MAX_TRANSITION_ATTEMPTS; attempt++) {
+      const current = await prisma.call.findUnique({
+        where: { id: callId },
+        select: { status: true }
+      });
+
+      if (!current) {
+        return { applied: false, notFound: true, call: null, fromStatus: null, duplicate: false };
+      }
+
+      if (!this.canTransition(current.status, toStatus)) {
+        const duplicate = current.status === toStatus;
+        await this.recordEvent(callId, 'TRANSITION_IGNORED', {
+          fromStatus: current.status,
+          toStatus,
+          source,
+          data: { reason: duplicate ? 'duplicate' : 'illegal', requestedBy: reason }
+        });
+        return { applied: false, notFound: false, call: null, fromStatus: current.status, duplicate };
+      }
+
+      const result = await prisma.call.updateMany({
+        where: { ...where, id: callId, status: current.status },
+        data: { ...data, status: toStatus }
+      });
+
+      if (result.count === 1) {
+        if (current.status !== toStatus) {
+          await this.recordEvent(callId, 'STATUS_CHANGED', {
+            fromStatus: current.status,
+            toStatus,
+            source,
+            data: reason ? { reason } : null
+          });
+        }
+
+        const call = await prisma.call.findUnique({ where: { id: callId } });
+        return { applied: true, notFound: false, call, fromStatus: current.status, duplicate: false };
+      }
+    }
+
+    // Status kept changing under us, or the extra conditions didn't match
+    return { applied: false, notFound: false, call: null, fromStatus: null, duplicate: false };
+  }
+
+  /**
+   * Append an event to a call's log. Events with a dedupeKey are only stored once.
+   * @param {string} callId - Call ID
+   * @param {string} type - Event type
+   * @param {Object} options - { data, source, dedupeKey, fromStatus, toStatus }
+   * @returns {Promise<Object|null>} Event, or null if it was a duplicate or couldn't be stored
+   */
+  async recordEvent(callId, type, { data = null, source = null, dedupeKey = null, fromStatus = null, toStatus = null } = {}) {
+    try {
+      return await prisma.callEvent.create({
+        data: {
+          callId,
+          type,
+          fromStatus,
+          toStatus,
+          source,
+          data: data || undefined,
+          dedupeKey
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') return null; // Duplicate webhook
+      // The event log must never break call handling
+      DebugLogger.logCallError(callId, error, `call_event_${type.toLowerCase()}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record that we ended a call ourselves (a call limit, not the customer or the model)
+   * @param {string} callId - Call ID
+   * @param {string} reason - MAX_DURATION, DEAD_AIR or MAX_TURNS
+   * @param {Object} data - Extra event details
+   * @returns {Promise<Object>} Call
+   */
+  async recordAutoHangup(callId, reason, data = {}) {
+    const call = await prisma.call.update({
+      where: { id: callId },
+      data: { endReason: reason }
+    });
+
+    await this.recordEvent(callId, 'AUTO_HANGUP', {
+      source: 'call_guard',
+      dedupeKey: `${callId}:AUTO_HANGUP`,
+      data: { reason, ...data }
+    });
+
+    return call;
+  }
+
+  /**
+   * Record that a keypress ended the call (the customer opted out or asked for a callback)
+   * @param {string} callId - Call ID
+   * @param {string} reason - OPT_OUT or CALLBACK
+   * @param {Object} data - Extra event details, e.g. { digit }
+   * @returns {Promise<Object>} Call
+   */
+  async recordKeypadHangup(callId, reason, data = {}) {
+    const call = await prisma.call.update({
+      where: { id: callId },
+      data: { endReason: reason }
+    });
+
+    await this.recordEvent(callId, 'KEYPAD_HANGUP', {
+      source: 'keypad',
+      dedupeKey: `${callId}:KEYPAD_HANGUP`,
+      data: { reason, ...data }
+    });
+
+    return call;
+  }
+
+  /**
+   * How many events of a type a call has, e.g. BARGE_IN for interruptions
+   * @param {string} callId - Call ID
+   * @param {string} type - Event type
+   * @returns {Promise<number>}
+   */
+  async countEvents(callId, type) {
+    return prisma.callEvent.count({ where: { callId, type } });
+  }
+
+  /**
+   * A call's event log, oldest first
+   * @param {string} callId - Call ID
+   * @returns {Promise<Array>} Events
+   */
+  async getEvents(callId) {
+    return prisma.callEvent.findMany({
+      where: { callId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+}
+
+module.exports = CallStateMachine;
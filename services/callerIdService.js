@@ -0,0 +1,242 @@
+const { PrismaClient } = require('@prisma/client');
+const DncService = require('./dncService');
+const CallingRulesService = require('./callingRulesService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const NUMBER_STATUSES = ['ACTIVE', 'RESTING', 'RETIRED'];
+
+class CallerIdService {
+  constructor() {
+    this.dncService = new DncService();
+    this.callingRules = new CallingRulesService();
+    this.defaultDailyLimit = parseInt(process.env.CALLER_ID_DAILY_LIMIT) || 100;
+    this.minAnswerRate = parseFloat(process.env.CALLER_ID_MIN_ANSWER_RATE) || 0.1;
+    this.restDays = parseInt(process.env.CALLER_ID_REST_DAYS) || 7;
+    this.reputationWindow = 30; // most recent finished calls used for the answer rate
+    this.minSampleSize = 20;    // don't judge a number on fewer calls than this
+  }
+
+  /**
+   * Area code of a US number
+   * @param {string} phone - Phone number
+   * @returns {string|null} 3-digit area code
+   */
+  getAreaCode(phone) {
+    const number = this.dncService.normalizeNumber(phone);
+    return number ? number.slice(0, 3) : null;
+  }
+
+  startOfToday() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+  }
+
+  /**
+   * Bring rested numbers back once their rest period is over
+   */
+  async reactivateRestedNumbers() {
+    const result = await prisma.callerNumber.updateMany({
+      where: {
+        status: 'RESTING',
+        restingUntil: { lte: new Date() }
+      },
+      data: {
+        status: 'ACTIVE',
+        restingUntil: null,
+        restReason: null
+      }
+    });
+
+    if (result.count > 0) {
+      DebugLogger.logSuccess('Rested caller numbers reactivated', { count: result.count });
+    }
+  }
+
+  /**
+   * Pick the caller ID for a lead: campaign numbers first, then local area code,
+   * then local state, then the least-used number that is under its daily limit.
+   * @param {Object} lead - Lead being called
+   * @param {string|null} campaignId - Campaign the call belongs to
+   * @returns {Promise<Object|null>} Caller number, or null to use TWILIO_PHONE_NUMBER
+   */
+  async selectNumber(lead, campaignId = null) {
+    await this.reactivateRestedNumbers();
+
+    const numbers = await prisma.callerNumber.findMany({
+      where: {
+        status: 'ACTIVE',
+        OR: campaignId ? [{ campaignId }, { campaignId: null }] : [{ campaignId: null }]
+      }
+    });
+    if (numbers.length === 0) return null;
+
+    const usage = await prisma.call.groupBy({
+      by: ['callerNumberId'],
+      where: {
+        callerNumberId: { in: numbers.map(n => n.id) },
+        dispatchedAt: { gte: this.startOfToday() }
+      },
+      _count: { _all: true }
+    });
+    const callsToday = {};
+    usage.forEach(row => { callsToday[row.callerNumberId] = row._count._all; });
+
+    const available = numbers.filter(n => (callsToday[n.id] || 0) < (n.dailyLimit || this.defaultDailyLimit));
+    if (available.length === 0) {
+      DebugLogger.logSuccess('All caller numbers at their daily limit', { campaignId });
+      return null;
+    }
+
+    const leadAreaCode = this.getAreaCode(lead.phone);
+    const leadState = this.callingRules.getState(lead);
+
+    const score = (n) => (
+      (campaignId && n.campaignId === campaignId ? 4 : 0) +
+      (leadAreaCode && n.areaCode === leadAreaCode ? 2 : 0) +
+      (leadState && n.state === leadState ? 1 : 0)
+    );
+
+    available.sort((a, b) => (score(b) - score(a)) || ((callsToday[a.id] || 0) - (callsToday[b.id] || 0)));
+    return available[0];
+  }
+
+  /**
+   * Record that a number was just used
+   * @param {string} callerNumberId - Caller number ID
+   */
+  async markUsed(callerNumberId) {
+    await prisma.callerNumber.update({
+      where: { id: callerNumberId },
+      data: { lastUsedAt: new Date() }
+    });
+  }
+
+  /**
+   * Answer rate over a number's most recent finished calls
+   * @param {string} callerNumberId - Caller number ID
+   * @returns {Promise<Object>} { calls, answered, answerRate }
+   */
+  async getAnswerRate(callerNumberId) {
+    const calls = await prisma.call.findMany({
+      where: {
+        callerNumberId,
+        status: { in: ['COMPLETED', 'FAILED'] }
+      },
+      select: { status: true, outcome: true, answeredBy: true },
+      orderBy: { dispatchedAt: 'desc' },
+      take: this.reputationWindow
+    });
+
+    const answered = calls.filter(call =>
+      call.status === 'COMPLETED' &&
+      call.outcome !== 'VOICEMAIL' &&
+      (!call.answeredBy || call.answeredBy === 'human' || call.answeredBy === 'unknown')
+    ).length;
+
+    return {
+      calls: calls.length,
+      answered,
+      answerRate: calls.length > 0 ? answered / calls.length : null
+    };
+  }
+
+  /**
+   * Re-check a number's reputation after a call finishes and rest it if
+   * answers have collapsed (a sign the number is being flagged as spam)
+   * @param {string} callerNumberId - Caller number ID
+   */
+  async evaluateReputation(callerNumberId) {
+    const { calls, answerRate } = await this.getAnswerRate(callerNumberId);
+
+    const number = await prisma.callerNumber.update({
+      where: { id: callerNumberId },
+      data: { answerRate }
+    });
+
+    if (number.status !== 'ACTIVE' || calls < this.minSampleSize || answerRate >= this.minAnswerRate) {
+      return number;
+    }
+
+    const restingUntil = new Date(Date.now() + this.restDays * 24 * 60 * 60 * 1000);
+    const rested = await prisma.callerNumber.update({
+      where: { id: callerNumberId },
+      data: {
+        status: 'RESTING',
+        restingUntil,
+        restReason: `Answer rate ${Math.round(answerRate * 100)}% over last ${calls} calls`
+      }
+    });
+
+    DebugLogger.logSuccess('Caller number rested', {
+      phoneNumber: rested.phoneNumber,
+      answerRate,
+      restingUntil: restingUntil.toISOString()
+    });
+
+    return rested;
+  }
+
+  /**
+   * Add a number to the pool
+   * @param {Object} data - { phoneNumber, twilioSid, state, campaignId, dailyLimit }
+   * @returns {Promise<Object>} Caller number
+   */
+  async addNumber({ phoneNumber, twilioSid = null, state = null, campaignId = null, dailyLimit = null }) {
+    const areaCode = this.getAreaCode(phoneNumber);
+    if (!areaCode) {
+      throw new Error(`Invalid US phone number: ${phoneNumber}`);
+    }
+
+    return prisma.callerNumber.upsert({
+      where: { phoneNumber: `+1${this.dncService.normalizeNumber(phoneNumber)}` },
+      update: { twilioSid: twilioSid || undefined },
+      create: {
+        phoneNumber: `+1${this.dncService.normalizeNumber(phoneNumber)}`,
+        twilioSid,
+        areaCode,
+        state: state ? String(state).toUpperCase() : null,
+        campaignId,
+        dailyLimit: dailyLimit ? parseInt(dailyLimit) : null
+      }
+    });
+  }
+
+  /**
+   * Pool numbers with today's volume and reputation
+   * @param {Object} where - Prisma filter
+   * @returns {Promise<Array>} Numbers with stats
+   */
+  async listNumbers(where = {}) {
+    const numbers = await prisma.callerNumber.findMany({
+      where,
+      orderBy: [{ status: 'asc' }, { areaCode: 'asc' }],
+      include: { campaign: { select: { id: true, name: true } } }
+    });
+
+    const usage = await prisma.call.groupBy({
+      by: ['callerNumberId'],
+      where: {
+        callerNumberId: { in: numbers.map(n => n.id) },
+        dispatchedAt: { gte: this.startOfToday() }
+      },
+      _count: { _all: true }
+    });
+    const callsToday = {};
+    usage.forEach(row => { callsToday[row.callerNumberId] = row._count._all; });
+
+    return numbers.map(number => ({
+      ...number,
+      callsToday: callsToday[number.id] || 0,
+      effectiveDailyLimit: number.dailyLimit || this.defaultDailyLimit
+    }));
+  }
+
+  isValidStatus(status) {
+    return NUMBER_STATUSES.includes(status);
+  }
+}
+
+module.exports = CallerIdService;
@@ -0,0 +1,337 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Primary IANA timezone per state
+const STATE_TIMEZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico',
+  VI: 'America/St_Thomas', GU: 'Pacific/Guam'
+};
+
+// ZIP3 prefixes in states split across time zones
+const ZIP3_TIMEZONE_OVERRIDES = {
+  '324': 'America/Chicago', '325': 'America/Chicago', // Florida panhandle
+  '373': 'America/New_York', '374': 'America/New_York', '376': 'America/New_York', // East Tennessee
+  '377': 'America/New_York', '378': 'America/New_York', '379': 'America/New_York',
+  '420': 'America/Chicago', '421': 'America/Chicago', '422': 'America/Chicago', // Western Kentucky
+  '423': 'America/Chicago', '424': 'America/Chicago',
+  '463': 'America/Chicago', '464': 'America/Chicago', // Northwest Indiana
+  '476': 'America/Chicago', '477': 'America/Chicago', // Southwest Indiana
+  '577': 'America/Denver', // Western South Dakota
+  '690': 'America/Denver', '691': 'America/Denver', '692': 'America/Denver', '693': 'America/Denver', // Western Nebraska
+  '798': 'America/Denver', '799': 'America/Denver', '885': 'America/Denver', // El Paso, TX
+  '835': 'America/Los_Angeles', '838': 'America/Los_Angeles', // Northern Idaho
+  '979': 'America/Boise' // Eastern Oregon
+};
+
+// ZIP3 ranges used to infer the state when a lead has no state on file
+const ZIP3_STATE_RANGES = [
+  [5, 5, 'NY'], [6, 9, 'PR'], [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+  [50, 59, 'VT'], [60, 69, 'CT'], [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'],
+  [200, 205, 'DC'], [206, 219, 'MD'], [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'], [290, 299, 'SC'],
+  [300, 319, 'GA'], [320, 349, 'FL'], [350, 369, 'AL'], [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'],
+  [400, 427, 'KY'], [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'], [530, 549, 'WI'],
+  [550, 567, 'MN'], [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'], [600, 629, 'IL'], [630, 658, 'MO'],
+  [660, 679, 'KS'], [680, 693, 'NE'], [700, 714, 'LA'], [716, 729, 'AR'], [730, 749, 'OK'], [750, 799, 'TX'],
+  [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'], [850, 865, 'AZ'], [870, 884, 'NM'],
+  [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'], [967, 968, 'HI'], [969, 969, 'GU'], [970, 979, 'OR'],
+  [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+// Federal TCPA window (8 AM - 9 PM local) unless a state is stricter.
+// Hours are [startHour, endHour) in the lead's local time.
+const DEFAULT_RULE = {
+  startHour: 8,
+  endHour: 21,
+  maxAttemptsPer24h: parseInt(process.env.CALLING_MAX_ATTEMPTS_PER_DAY) || null,
+  blockedDays: [],
+  holidayBlackout: true
+};
+
+const STATE_RULES = {
+  // Florida Telephone Solicitation Act (mini-TCPA)
+  FL: { startHour: 8, endHour: 20, maxAttemptsPer24h: 3 },
+  OK: { startHour: 8, endHour: 20, maxAttemptsPer24h: 3 },
+  MD: { startHour: 8, endHour: 20, maxAttemptsPer24h: 3 },
+  TX: { startHour: 9, endHour: 21, dayOverrides: { 0: { startHour: 12, endHour: 21 } } },
+  LA: { startHour: 8, endHour: 20, blockedDays: [0] },
+  AL: { startHour: 8, endHour: 20, blockedDays: [0] }
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const REASON_MESSAGES = {
+  OUTSIDE_CALLING_HOURS: 'Outside allowed calling hours in the lead\'s time zone',
+  BLOCKED_DAY: 'Calls are not allowed on this day in the lead\'s state',
+  HOLIDAY_BLACKOUT: 'Calls are not allowed on holidays',
+  MAX_ATTEMPTS_24H: 'Maximum call attempts in 24 hours reached for this lead'
+};
+
+class CallingRulesService {
+  constructor() {
+    this.defaultTimezone = process.env.DEFAULT_LEAD_TIMEZONE || 'America/New_York';
+    this.extraBlackoutDates = (process.env.CALLING_BLACKOUT_DATES || '')
+      .split(',')
+      .map(d => d.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Normalize a lead state to a two-letter code, inferring from ZIP if needed
+   * @param {Object} lead - Lead record
+   * @returns {string|null} State code
+   */
+  getState(lead) {
+    const state = lead.state ? String(lead.state).trim().toUpperCase() : '';
+    if (state.length === 2 && STATE_TIMEZONES[state]) {
+      return state;
+    }
+
+    const zip3 = this.getZip3(lead);
+    if (zip3) {
+      const prefix = parseInt(zip3, 10);
+      const match = ZIP3_STATE_RANGES.find(([start, end]) => prefix >= start && prefix <= end);
+      if (match) return match[2];
+    }
+
+    return null;
+  }
+
+  getZip3(lead) {
+    const zip = lead.zipCode ? String(lead.zipCode).replace(/\D/g, '') : '';
+    return zip.length >= 3 ? zip.padStart(5, '0').slice(0, 3) : null;
+  }
+
+  /**
+   * Derive a lead's timezone from ZIP code and state
+   * @param {Object} lead - Lead record
+   * @returns {Object} { timezone, source }
+   */
+  getTimezone(lead) {
+    const zip3 = this.getZip3(lead);
+    if (zip3 && ZIP3_TIMEZONE_OVERRIDES[zip3]) {
+      return { timezone: ZIP3_TIMEZONE_OVERRIDES[zip3], source: 'zip' };
+    }
+
+    const state = this.getState(lead);
+    if (state) {
+      return { timezone: STATE_TIMEZONES[state], source: lead.state ? 'state' : 'zip' };
+    }
+
+    return { timezone: this.defaultTimezone, source: 'default' };
+  }
+
+  /**
+   * Get the calling rule that applies to a lead's state
+   * @param {string|null} state - Two-letter state code
+   * @returns {Object} Merged rule
+   */
+  getRule(state) {
+    return { ...DEFAULT_RULE, ...(state ? STATE_RULES[state] : {}) };
+  }
+
+  /**
+   * Break a date down into wall-clock parts in a timezone
+   * @param {Date} date - Instant to convert
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} { year, month, day, hour, minute, weekday, dateKey }
+   */
+  getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(p => p.type === type).value;
+    const local = {
+      year: parseInt(get('year'), 10),
+      month: parseInt(get('month'), 10),
+      day: parseInt(get('day'), 10),
+      hour: parseInt(get('hour'), 10),
+      minute: parseInt(get('minute'), 10),
+      weekday: WEEKDAYS[get('weekday')]
+    };
+    local.dateKey = `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+    return local;
+  }
+
+  /**
+   * Federal holidays (plus CALLING_BLACKOUT_DATES) for a year, as YYYY-MM-DD keys
+   * @param {number} year - Calendar year
+   * @returns {Set<string>} Blackout date keys
+   */
+  getHolidays(year) {
+    const key = (month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+    // nth weekday of a month (n = -1 for last)
+    const nthWeekday = (month, weekday, n) => {
+      if (n > 0) {
+        const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+      }
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+      return lastDay - ((last - weekday + 7) % 7);
+    };
+
+    const holidays = new Set([
+      key(1, 1), // New Year's Day
+      key(5, nthWeekday(5, 1, -1)), // Memorial Day
+      key(7, 4), // Independence Day
+      key(9, nthWeekday(9, 1, 1)), // Labor Day
+      key(11, nthWeekday(11, 4, 4)), // Thanksgiving
+      key(12, 25) // Christmas Day
+    ]);
+
+    this.extraBlackoutDates.forEach(date => holidays.add(date));
+    return holidays;
+  }
+
+  /**
+   * Check whether a time falls inside the lead's allowed calling window
+   * @param {Object} lead - Lead record
+   * @param {Date} at - Time of the call
+   * @returns {Object} { allowed, reason, message, timezone, state, localTime }
+   */
+  checkWindow(lead, at = new Date()) {
+    const { timezone } = this.getTimezone(lead);
+    const state = this.getState(lead);
+    const rule = this.getRule(state);
+    const local = this.getLocalTime(at, timezone);
+
+    const result = (allowed, reason = null) => ({
+      allowed,
+      reason,
+      message: reason ? REASON_MESSAGES[reason] : null,
+      timezone,
+      state,
+      localTime: `${local.dateKey} ${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`
+    });
+
+    if (rule.holidayBlackout && this.getHolidays(local.year).has(local.dateKey)) {
+      return result(false, 'HOLIDAY_BLACKOUT');
+    }
+
+    if ((rule.blockedDays || []).includes(local.weekday)) {
+      return result(false, 'BLOCKED_DAY');
+    }
+
+    const hours = (rule.dayOverrides && rule.dayOverrides[local.weekday]) || rule;
+    if (local.hour < hours.startHour || local.hour >= hours.endHour) {
+      return result(false, 'OUTSIDE_CALLING_HOURS');
+    }
+
+    return result(true);
+  }
+
+  /**
+   * Find the next time the lead's calling window is open
+   * @param {Object} lead - Lead record
+   * @param {Date} from - Earliest acceptable time
+   * @returns {Date|null} Next allowed time (15 minute resolution)
+   */
+  findNextWindow(lead, from = new Date()) {
+    const stepMs = 15 * 60 * 1000;
+    let candidate = new Date(Math.ceil(from.getTime() / stepMs) * stepMs);
+
+    // Look up to 8 days ahead (covers weekends plus a holiday)
+    for (let i = 0; i < 8 * 96; i++) {
+      if (this.checkWindow(lead, candidate).allowed) {
+        return candidate;
+      }
+      candidate = new Date(candidate.getTime() + stepMs);
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the next allowed time that falls in a given hour of the lead's local day
+   * @param {Object} lead - Lead record
+   * @param {Date} from - Earliest acceptable time
+   * @param {number} hour - Preferred local hour (0-23)
+   * @returns {Date|null} Next allowed time in that hour, or the next allowed time at all
+   */
+  findNextWindowAtHour(lead, from, hour) {
+    const stepMs = 15 * 60 * 1000;
+    const { timezone } = this.getTimezone(lead);
+    let candidate = new Date(Math.ceil(from.getTime() / stepMs) * stepMs);
+
+    for (let i = 0; i < 8 * 96; i++) {
+      if (this.getLocalTime(candidate, timezone).hour === hour && this.checkWindow(lead, candidate).allowed) {
+        return candidate;
+      }
+      candidate = new Date(candidate.getTime() + stepMs);
+    }
+
+    // Preferred hour is never callable for this lead (e.g. outside its state's window)
+    return this.findNextWindow(lead, from);
+  }
+
+  /**
+   * Full rules evaluation for dialing a lead right now (window + frequency limits)
+   * @param {Object} lead - Lead record
+   * @param {Object} options - { at, excludeCallId }
+   * @returns {Promise<Object>} { allowed, reason, message, timezone, localTime, nextAllowedAt }
+   */
+  async evaluate(lead, { at = new Date(), excludeCallId = null } = {}) {
+    const window = this.checkWindow(lead, at);
+    if (!window.allowed) {
+      return { ...window, nextAllowedAt: this.findNextWindow(lead, at) };
+    }
+
+    const rule = this.getRule(window.state);
+    if (rule.maxAttemptsPer24h) {
+      const since = new Date(at.getTime() - 24 * 60 * 60 * 1000);
+      const where = {
+        leadId: lead.id,
+        status: { not: 'CANCELLED' },
+        dispatchedAt: { gte: since }
+      };
+      if (excludeCallId) where.id = { not: excludeCallId };
+
+      const attempts = await prisma.call.findMany({
+        where,
+        select: { dispatchedAt: true },
+        orderBy: { dispatchedAt: 'asc' }
+      });
+
+      if (attempts.length >= rule.maxAttemptsPer24h) {
+        // Next slot opens once the oldest attempt in the window ages out
+        const oldest = attempts[attempts.length - rule.maxAttemptsPer24h].dispatchedAt;
+        const reopensAt = new Date(oldest.getTime() + 24 * 60 * 60 * 1000);
+
+        return {
+          ...window,
+          allowed: false,
+          reason: 'MAX_ATTEMPTS_24H',
+          message: REASON_MESSAGES.MAX_ATTEMPTS_24H,
+          attempts: attempts.length,
+          nextAllowedAt: this.findNextWindow(lead, reopensAt)
+        };
+      }
+    }
+
+    return { ...window, nextAllowedAt: null };
+  }
+}
+
+module.exports = CallingRulesService;
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const { PrismaClient } = require('@prisma/client');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const DNC_SOURCES = ['INTERNAL', 'NATIONAL', 'STATE'];
+const LEAD_SCAN_BATCH = 1000;
+
+const SUPPRESSION_MESSAGES = {
+  LEAD_DNC_FLAG: 'Lead is flagged as Do Not Call',
+  DNC_INTERNAL: 'Number is on the internal Do Not Call list',
+  DNC_NATIONAL: 'Number is on the National Do Not Call Registry',
+  DNC_STATE: 'Number is on a state Do Not Call registry'
+};
+
+class DncService {
+  /**
+   * Normalize a phone number to 10 US digits
+   * @param {string} phone - Raw phone number
+   * @returns {string|null} 10-digit number or null if invalid
+   */
+  normalizeNumber(phone) {
+    if (!phone) return null;
+    let digits = String(phone).replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) {
+      digits = digits.slice(1);
+    }
+    return digits.length === 10 ? digits : null;
+  }
+
+  /**
+   * Parse a registry value into an inclusive number range.
+   * Accepts a full number, an area code ("305"), an area code + exchange ("305555")
+   * or an explicit range ("3055550000-3055559999").
+   * @param {string} value - Raw registry value
+   * @returns {Object|null} { rangeStart, rangeEnd } or null if unparseable
+   */
+  parseEntry(value) {
+    if (value === undefined || value === null) return null;
+    const raw = String(value).trim();
+    if (!raw) return null;
+
+    const rangeMatch = raw.match(/^([\d\s()+.-]{10,})\s*(?:-|to|–)\s*([\d\s()+.-]{10,})$/i);
+    if (rangeMatch) {
+      const start = this.normalizeNumber(rangeMatch[1]);
+      const end = this.normalizeNumber(rangeMatch[2]);
+      if (!start || !end) return null;
+      return start <= end ? { rangeStart: start, rangeEnd: end } : { rangeStart: end, rangeEnd: start };
+    }
+
+    const digits = raw.replace(/\D/g, '');
+    if (digits.length === 3 || digits.length === 6) {
+      // Area code or area code + exchange prefix
+      return {
+        rangeStart: digits.padEnd(10, '0'),
+        rangeEnd: digits.padEnd(10, '9')
+      };
+    }
+
+    const number = this.normalizeNumber(digits);
+    return number ? { rangeStart: number, rangeEnd: number } : null;
+  }
+
+  /**
+   * Find the DNC entry covering a phone number
+   * @param {string} phone - Phone number
+   * @returns {Promise<Object|null>} Matching entry
+   */
+  async findEntry(phone) {
+    const number = this.normalizeNumber(phone);
+    if (!number) return null;
+
+    return prisma.dncEntry.findFirst({
+      where: {
+        rangeStart: { lte: number },
+        rangeEnd: { gte: number }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Central suppression check used before any call is placed
+   * @param {Object} lead - Lead record
+   * @returns {Promise<Object>} { blocked, reason, message, entry }
+   */
+  async checkLead(lead) {
+    if (lead.dncStatus) {
+      return this.buildResult('LEAD_DNC_FLAG');
+    }
+
+    const entry = await this.findEntry(lead.phone);
+    if (entry) {
+      return this.buildResult(`DNC_${entry.source}`, entry);
+    }
+
+    return { blocked: false, reason: null, message: null, entry: null };
+  }
+
+  /**
+   * Check a bare phone number against the DNC list
+   * @param {string} phone - Phone number
+   * @returns {Promise<Object>} { blocked, reason, message, entry }
+   */
+  async checkNumber(phone) {
+    const entry = await this.findEntry(phone);
+    if (entry) {
+      return this.buildResult(`DNC_${entry.source}`, entry);
+    }
+    return { blocked: false, reason: null, message: null, entry: null };
+  }
+
+  buildResult(reason, entry = null) {
+    return {
+      blocked: true,
+      reason: reason,
+      message: SUPPRESSION_MESSAGES[reason] || 'Number is on a Do Not Call list',
+      entry: entry
+    };
+  }
+
+  /**
+   * Add a single number or range to the DNC list
+   * @param {Object} options - { value, source, state, reason }
+   * @returns {Promise<Object>} Created (or existing) entry
+   */
+  async addEntry({ value, source = 'INTERNAL', state = null, reason = null }) {
+    const normalizedSource = String(source).toUpperCase();
+    if (!DNC_SOURCES.includes(normalizedSource)) {
+      throw new Error(`Invalid DNC source: ${source}. Must be one of: ${DNC_SOURCES.join(', ')}`);
+    }
+
+    const range = this.parseEntry(value);
+    if (!range) {
+      throw new Error(`Invalid phone number or range: ${value}`);
+    }
+
+    const entry = await prisma.dncEntry.upsert({
+      where: {
+        rangeStart_rangeEnd_source: {
+          rangeStart: range.rangeStart,
+          rangeEnd: range.rangeEnd,
+          source: normalizedSource
+        }
+      },
+      update: { reason: reason || undefined, state: state || undefined },
+      create: {
+        ...range,
+        source: normalizedSource,
+        state: state ? String(state).toUpperCase() : null,
+        reason
+      }
+    });
+
+    // Keep the lead flag in sync for single-number opt-outs
+    if (range.rangeStart === range.rangeEnd) {
+      await this.flagLeads(range.rangeStart, entry.id);
+    }
+
+    DebugLogger.logSuccess('DNC entry added', {
+      source: normalizedSource,
+      rangeStart: range.rangeStart,
+      rangeEnd: range.rangeEnd
+    });
+
+    return entry;
+  }
+
+  /**
+   * Flag the leads with a number as Do Not Call on behalf of an entry. Leads
+   * already flagged keep the flag's origin (their lead data or another entry).
+   * @param {string} number - 10-digit number
+   * @param {string} entryId - Entry the flag comes from
+   * @returns {Promise<number>} Leads flagged
+   */
+  async flagLeads(number, entryId) {
+    // dncStatus is nullable; null counts as not flagged
+    const result = await prisma.lead.updateMany({
+      where: { normalizedPhone: number, OR: [{ dncStatus: false }, { dncStatus: null }] },
+      data: { dncStatus: true, dncEntryId: entryId }
+    });
+    return result.count;
+  }
+
+  /**
+   * Fill normalizedPhone on leads saved before the column existed
+   * @returns {Promise<number>} Leads updated
+   */
+  async backfillNormalizedPhones() {
+    let updated = 0;
+    let lastId = null;
+
+    for (;;) {
+      const leads = await prisma.lead.findMany({
+        where: lastId ? { normalizedPhone: null, id: { gt: lastId } } : { normalizedPhone: null },
+        select: { id: true, phone: true },
+        orderBy: { id: 'asc' },
+        take: LEAD_SCAN_BATCH
+      });
+
+      for (const lead of leads) {
+        const number = this.normalizeNumber(lead.phone);
+        if (!number) continue;
+        await prisma.lead.update({ where: { id: lead.id }, data: { normalizedPhone: number } });
+        updated++;
+      }
+
+      if (leads.length < LEAD_SCAN_BATCH) break;
+      lastId = leads[leads.length - 1].id;
+    }
+
+    if (updated > 0) {
+      DebugLogger.logSuccess('Lead phones normalized', { updated });
+    }
+    return updated;
+  }
+
+  /**
+   * Import a registry file (CSV of numbers, area codes or "start,end" ranges)
+   * @param {string} filePath - Path to uploaded file
+   * @param {Object} options - { source, state }
+   * @returns {Promise<Object>} Import summary
+   */
+  async importFile(filePath, { source = 'NATIONAL', state = null } = {}) {
+    const normalizedSource = String(source).toUpperCase();
+    if (!DNC_SOURCES.includes(normalizedSource)) {
+      throw new Error(`Invalid DNC source: ${source}. Must be one of: ${DNC_SOURCES.join(', ')}`);
+    }
+
+    const values = await this.readRegistryFile(filePath);
+    const entries = [];
+    const invalid = [];
+
+    values.forEach((value, index) => {
+      const range = this.parseEntry(value);
+      if (range) {
+        entries.push({
+          ...range,
+          source: normalizedSource,
+          state: state ? String(state).toUpperCase() : null,
+          reason: `${normalizedSource} registry import`
+        });
+      } else if (index > 0 || /\d/.test(value)) {
+        // First non-numeric row is treated as a header
+        invalid.push({ row: index + 1, value });
+      }
+    });
+
+    let imported = 0;
+    const batchSize = 1000;
+    for (let i = 0; i < entries.length; i += batchSize) {
+      const result = await prisma.dncEntry.createMany({
+        data: entries.slice(i, i + batchSize),
+        skipDuplicates: true
+      });
+      imported += result.count;
+    }
+
+    DebugLogger.logSuccess('DNC registry imported', {
+      source: normalizedSource,
+      state,
+      rows: values.length,
+      imported,
+      invalid: invalid.length
+    });
+
+    return {
+      rows: values.length,
+      imported: imported,
+      duplicates: entries.length - imported,
+      invalid: invalid.length,
+      invalidRows: invalid.slice(0, 50)
+    };
+  }
+
+  /**
+   * Read one registry value per CSV row
+   */
+  readRegistryFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const values = [];
+
+      fs.createReadStream(filePath)
+        .pipe(csv({ headers: false }))
+        .on('data', (row) => {
+          const columns = Object.values(row).map(v => String(v).trim());
+          const [first, second] = columns;
+          if (!first) return;
+
+          // Two full numbers side by side describe a range ("start,end")
+          if (second && this.normalizeNumber(first) && this.normalizeNumber(second)) {
+            values.push(`${first}-${second}`);
+          } else {
+            values.push(first);
+          }
+        })
+        .on('end', () => resolve(values))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Remove a DNC entry. Flags its opt-out set are lifted, or handed to another
+   * entry still covering the number; flags from lead data are left alone.
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object>} Removed entry
+   */
+  async removeEntry(id) {
+    // Read before the delete, which nulls the leads' dncEntryId
+    const flagged = await prisma.lead.findMany({
+      where: { dncEntryId: id },
+      select: { id: true, normalizedPhone: true }
+    });
+
+    const entry = await prisma.dncEntry.delete({ where: { id } });
+
+    const numbers = [...new Set(flagged.map(lead => lead.normalizedPhone))];
+    for (const number of numbers) {
+      const leadIds = flagged.filter(lead => lead.normalizedPhone === number).map(lead => lead.id);
+      const cover = await this.findEntry(number);
+      await prisma.lead.updateMany({
+        where: { id: { in: leadIds } },
+        data: cover ? { dncEntryId: cover.id } : { dncStatus: false, dncEntryId: null }
+      });
+    }
+
+    return entry;
+  }
+}
+
+module.exports = DncService;
@@ -1,21 +1,118 @@
 const ElevenLabs = require('elevenlabs-node');
-const fs = require('fs');
-const path = require('path');
-
-class ElevenLabsService {
+const { TtsEngine } = require('./ttsProvider');
+
+const TTS_MODEL_ID = 'eleven_monolingual_v1';
+// Models that only speak English; other languages are moved to the multilingual model
+const ENGLISH_ONLY_MODELS = ['eleven_monolingual_v1', 'eleven_turbo_v2', 'eleven_flash_v2'];
+const VOICE_SETTINGS = {
+  stability: 0.55,
+  similarity_boost: 0.75,
+  use_speaker_boost: true
+};
+const SPEED_RANGE = { min: 0.7, max: 1.2 }; // what ElevenLabs accepts for voice_settings.speed
+
+class ElevenLabsService extends TtsEngine {
   constructor() {
+    super();
     this.apiKey = process.env.ELEVENLABS_API_KEY;
     this.client = ElevenLabs;
     this.voiceId = process.env.ELEVENLABS_VOICE_ID || 'pNInz6obpgDQGcFmaJgB'; // Default voice
+    this.apiUrl = (process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io').replace(/\/+$/, '');
+    // Format for audio played over a phone stream: ulaw_8000 needs no transcoding, pcm_<rate> is resampled in-process
+    this.telephonyFormat = process.env.ELEVENLABS_TELEPHONY_FORMAT || 'ulaw_8000';
+    this.multilingualModel = process.env.ELEVENLABS_MULTILINGUAL_MODEL || 'eleven_multilingual_v2';
+  }
+
+  get name() {
+    return 'elevenlabs';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  getVoiceConfig(voice, target) {
+    const own = this.ownVoice(voice);
+    return {
+      voiceId: (own && own.voiceId) || this.voiceId,
+      modelId: this.getModelId((own && own.model) || TTS_MODEL_ID, voice),
+      voiceSettings: this.getVoiceSettings(voice),
+      format: target === 'stream' ? this.telephonyFormat : 'mp3'
+    };
+  }
+
+  /**
+   * The model to render with: an English-only model is swapped for the
+   * multilingual one when the voice speaks another language
+   * @param {string} modelId - Profile or default model
+   * @param {Object} voice - Voice profile, or null
+   * @returns {string}
+   */
+  getModelId(modelId, voice) {
+    const language = String((voice && voice.language) || 'en').toLowerCase();
+    if (language.startsWith('en') || !ENGLISH_ONLY_MODELS.includes(modelId)) {
+      return modelId;
+    }
+    return this.multilingualModel;
+  }
+
+  /**
+   * voice_settings with a profile's tuning over the defaults
+   * @param {Object} voice - Voice profile, or null
+   * @returns {Object}
+   */
+  getVoiceSettings(voice) {
+    if (!voice) return VOICE_SETTINGS;
+
+    const settings = { ...VOICE_SETTINGS };
+    if (typeof voice.stability === 'number') settings.stability = voice.stability;
+    if (typeof voice.similarity === 'number') settings.similarity_boost = voice.similarity;
+    if (typeof voice.speed === 'number' && voice.speed !== 1) {
+      settings.speed = Math.min(SPEED_RANGE.max, Math.max(SPEED_RANGE.min, voice.speed));
+    }
+    return settings;
+  }
+
+  /**
+   * Render speech as a TTS engine: a telephony format for streams, mp3 for <Play>
+   * @param {string} text - Text to speak
+   * @param {Object} options - { voice: profile or null, target: stream or play }
+   * @returns {Promise<Object>} { audio, format }
+   */
+  async synthesize(text, { voice = null, target = 'play' } = {}) {
+    const { voiceId, modelId, voiceSettings, format } = this.getVoiceConfig(voice, target);
+    const audio = await this.textToSpeech(text, voiceId, target === 'stream' ? format : null, { modelId, voiceSettings });
+    return { audio, format };
+  }
+
+  /**
+   * Render speech as it's synthesized, for live streams
+   * @param {string} text - Text to speak
+   * @param {Object} options - { voice: profile or null, target, signal }
+   * @param {Function} onChunk - Called with (chunk, format) as audio arrives
+   * @returns {Promise<Object>} { format }
+   */
+  async synthesizeStream(text, { voice = null, target = 'stream', signal = null } = {}, onChunk) {
+    const { voiceId, modelId, voiceSettings, format } = this.getVoiceConfig(voice, target);
+    await this.streamTextToSpeech(text, chunk => onChunk(chunk, format), {
+      voiceId,
+      outputFormat: target === 'stream' ? format : null,
+      modelId,
+      voiceSettings,
+      signal
+    });
+    return { format };
   }
 
   /**
    * Convert text to speech using ElevenLabs
    * @param {string} text - Text to convert to speech
    * @param {string} voiceId - Optional voice ID to use
+   * @param {string} outputFormat - ElevenLabs output_format (e.g. ulaw_8000, pcm_16000); omitted = mp3
+   * @param {Object} options - { modelId, voiceSettings }; omitted = the defaults
    * @returns {Promise<Buffer>} Audio buffer
    */
-  async textToSpeech(text, voiceId = null) {
+  async textToSpeech(text, voiceId = null, outputFormat = null, { modelId = TTS_MODEL_ID, voiceSettings = VOICE_SETTINGS } = {}) {
     try {
       const voice = voiceId || this.voiceId;
       const axios = require('axios');
@@ -26,31 +123,30 @@ class ElevenLabsService {
 
       console.log(`TTS Request: "${text.substring(0, 80)}..." with voice ${voice}`);
 
-      const url = `https://api.elevenlabs.io/v1/text-to-speech/${voice}`;
+      const query = outputFormat ? `?output_format=${encodeURIComponent(outputFormat)}` : '';
+      const url = `${this.apiUrl}/v1/text-to-speech/${voice}${query}`;
       const response = await axios.post(
         url,
         {
           text,
-          model_id: 'eleven_monolingual_v1',
-          voice_settings: {
-            stability: 0.55,
-            similarity_boost: 0.75,
-            use_speaker_boost: true
-          }
+          model_id: modelId,
+          voice_settings: voiceSettings
         },
         {
           responseType: 'arraybuffer',
           headers: {
             'xi-api-key': this.apiKey,
             'Content-Type': 'application/json',
-            'Accept': 'audio/mpeg'
+            'Accept': outputFormat ? '*/*' : 'audio/mpeg'
           },
           timeout: 20000
         }
       );
 
+      // Raw formats aren't always labelled audio/*, but errors always come back as JSON or text
       const ct = (response.headers && response.headers['content-type']) || '';
-      if (!ct.includes('audio')) {
+      const isError = outputFormat ? /json|text/.test(ct) : !ct.includes('audio');
+      if (isError) {
         const txt = Buffer.from(response.data).toString('utf8');
         throw new Error(`ElevenLabs returned non-audio content: ${txt.substring(0, 200)}`);
       }
@@ -62,29 +158,6 @@ class ElevenLabsService {
     }
   }
 
-  /**
-   * Save audio buffer to file
-   * @param {Buffer} audioBuffer - Audio data
-   * @param {string} filename - Output filename
-   * @returns {Promise<string>} File path
-   */
-  async saveAudioFile(audioBuffer, filename) {
-    try {
-      const audioDir = path.join(__dirname, '../audio');
-      if (!fs.existsSync(audioDir)) {
-        fs.mkdirSync(audioDir, { recursive: true });
-      }
-
-      const filePath = path.join(audioDir, `${filename}.mp3`);
-      fs.writeFileSync(filePath, audioBuffer);
-      
-      return filePath;
-    } catch (error) {
-      console.error('Error saving audio file:', error);
-      throw new Error(`Failed to save audio file: ${error.message}`);
-    }
-  }
-
   /**
    * Get available voices
    * @returns {Promise<Array>} List of available voices
@@ -121,40 +194,57 @@ class ElevenLabsService {
   }
 
   /**
-   * Stream text-to-speech for real-time conversation
+   * Stream text-to-speech, handing over audio as ElevenLabs produces it
    * @param {string} text - Text to convert
-   * @param {Function} onChunk - Callback for audio chunks
-   * @returns {Promise<void>}
+   * @param {Function} onChunk - Called with each Buffer of audio
+   * @param {Object} options - { voiceId, outputFormat (omitted = mp3), modelId, voiceSettings, signal: AbortSignal }
+   * @returns {Promise<void>} Resolves once the last chunk has been handed over
    */
-  async streamTextToSpeech(text, onChunk) {
-    try {
-      const stream = await this.client.textToSpeechStream({
-        voiceId: this.voiceId,
-        text: text,
-        modelId: 'eleven_monolingual_v1',
-        voiceSettings: {
-          stability: 0.5,
-          similarityBoost: 0.75,
-          style: 0.0,
-          useSpeakerBoost: true
-        }
-      });
+  async streamTextToSpeech(text, onChunk, { voiceId = null, outputFormat = null, modelId = TTS_MODEL_ID, voiceSettings = VOICE_SETTINGS, signal = null } = {}) {
+    const voice = voiceId || this.voiceId;
+    const axios = require('axios');
 
-      stream.on('data', (chunk) => {
-        onChunk(chunk);
-      });
+    try {
+      if (!this.apiKey) {
+        throw new Error('ELEVENLABS_API_KEY is missing');
+      }
 
-      stream.on('end', () => {
-        console.log('Audio stream ended');
-      });
+      const query = outputFormat ? `?output_format=${encodeURIComponent(outputFormat)}` : '';
+      const response = await axios.post(
+        `${this.apiUrl}/v1/text-to-speech/${voice}/stream${query}`,
+        {
+          text,
+          model_id: modelId,
+          voice_settings: voiceSettings
+        },
+        {
+          responseType: 'stream',
+          headers: {
+            'xi-api-key': this.apiKey,
+            'Content-Type': 'application/json',
+            'Accept': outputFormat ? '*/*' : 'audio/mpeg'
+          },
+          timeout: 20000,
+          signal: signal || undefined
+        }
+      );
 
-      stream.on('error', (error) => {
-        console.error('Stream error:', error);
-        throw error;
-      });
+      const stream = response.data;
+      const ct = (response.headers && response.headers['content-type']) || '';
+      const isError = outputFormat ? /json|text/.test(ct) : !ct.includes('audio');
+      if (isError) {
+        const body = [];
+        for await (const chunk of stream) body.push(chunk);
+        throw new Error(`ElevenLabs returned non-audio content: ${Buffer.concat(body).toString('utf8').substring(0, 200)}`);
+      }
 
+      // Resolves on end and rejects on an error or abort mid-stream
+      for await (const chunk of stream) {
+        onChunk(chunk);
+      }
     } catch (error) {
-      console.error('Error streaming TTS:', error);
+      if (axios.isCancel(error)) throw error;
+      console.error('ElevenLabs TTS stream error:', error.message || error);
       throw new Error(`Failed to stream text-to-speech: ${error.message}`);
     }
   }
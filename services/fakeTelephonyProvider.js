@@ -0,0 +1,354 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const twilio = require('twilio');
+const WebSocket = require('ws');
+const { TelephonyProvider } = require('./telephonyProvider');
+const { DebugLogger } = require('../utils/logger');
+
+// The last digit of the dialed number picks what happens, so any lead list can drive every path
+const SCENARIOS_BY_DIGIT = {
+  0: 'busy',
+  1: 'no-answer',
+  2: 'failed',
+  3: 'voicemail'
+};
+
+const FRAME_BYTES = 160;    // 20ms of 8kHz mu-law
+const FRAME_INTERVAL = 20;  // ms
+const MULAW_SILENCE = 0xFF;
+
+/**
+ * Local stand-in for Twilio. Places no real calls; instead it plays the carrier's
+ * part against this server: status and AMD webhooks, fetching the call's TwiML and
+ * streaming caller audio over the media stream WebSocket.
+ */
+class FakeTelephonyProvider extends TelephonyProvider {
+  constructor() {
+    super();
+    // Same port default as server.js, so the webhooks reach this server out of the box
+    this.baseUrl = process.env.FAKE_TELEPHONY_BASE_URL || `http://localhost:${process.env.PORT || 10000}`;
+    this.phoneNumber = process.env.TWILIO_PHONE_NUMBER || '+15555550100';
+    this.callDuration = parseInt(process.env.FAKE_CALL_DURATION) || 20; // seconds a human stays on the line
+    this.ringTime = 2000; // ms
+    this.callerAudio = this.loadCallerAudio(process.env.FAKE_CALL_AUDIO);
+    this.calls = new Map();
+  }
+
+  get name() {
+    return 'fake';
+  }
+
+  // Test mode: webhooks are signed like Twilio's, so signature validation stays on locally
+  get webhookAuthToken() {
+    return process.env.FAKE_TELEPHONY_AUTH_TOKEN || 'fake-telephony-auth-token';
+  }
+
+  /**
+   * Load raw 8kHz mu-law audio to play as the caller (silence when not set)
+   * @param {string} audioPath - Path to a headerless mu-law file
+   * @returns {Buffer|null}
+   */
+  loadCallerAudio(audioPath) {
+    if (!audioPath) return null;
+    try {
+      return fs.readFileSync(audioPath);
+    } catch (error) {
+      DebugLogger.logConfigError('FAKE_CALL_AUDIO', error.message, 'silence');
+      return null;
+    }
+  }
+
+  getScenario(toNumber) {
+    const lastDigit = String(toNumber || '').replace(/\D/g, '').slice(-1);
+    return SCENARIOS_BY_DIGIT[lastDigit] || 'human';
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * POST a signed, form-encoded webhook to this server, as Twilio would
+   * @param {string} path - Webhook path
+   * @param {Object} params - Webhook fields (Twilio names)
+   * @returns {Promise<string|null>} Response body
+   */
+  async postWebhook(path, params) {
+    const url = `${this.baseUrl}${path}`;
+    try {
+      const response = await axios.post(url, new URLSearchParams(params).toString(), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'X-Twilio-Signature': twilio.getExpectedTwilioSignature(this.webhookAuthToken, url, params)
+        },
+        timeout: 10000
+      });
+      return typeof response.data === 'string' ? response.data : null;
+    } catch (error) {
+      DebugLogger.logSystemError(error, path, { callSid: params.CallSid });
+      return null;
+    }
+  }
+
+  async sendStatus(call, status, extra = {}) {
+    call.status = status;
+    await this.postWebhook(`/api/voice/status/${call.callId}`, {
+      CallSid: call.sid,
+      AccountSid: 'ACfake',
+      From: call.from,
+      To: call.to,
+      Direction: 'outbound-api',
+      CallStatus: status,
+      ...extra
+    });
+  }
+
+  async initiateCall(toNumber, callId, leadData, options = {}) {
+    const sid = `FK${crypto.randomBytes(16).toString('hex')}`;
+    const useRealtime = process.env.FEATURE_REALTIME === 'on';
+    const streamPath = useRealtime ? '/api/realtime-voice/stream' : '/api/simple-voice/stream';
+
+    const call = {
+      sid,
+      callId,
+      to: toNumber,
+      from: options.fromNumber || this.phoneNumber,
+      url: `${streamPath}/${callId}`,
+      scenario: this.getScenario(toNumber),
+      status: 'queued',
+      answeredAt: null,
+      stream: null,
+      hangupTimer: null
+    };
+    this.calls.set(sid, call);
+
+    DebugLogger.logSuccess('Fake call initiated', {
+      callId,
+      providerCallSid: sid,
+      toNumber: this.maskPhoneNumber(toNumber),
+      scenario: call.scenario
+    });
+
+    // Run the call after the dispatcher has stored our SID
+    setImmediate(() => {
+      this.runCall(call).catch(error => DebugLogger.logCallError(callId, error, 'fake_telephony_call'));
+    });
+
+    return {
+      success: true,
+      providerCallSid: sid,
+      status: 'queued',
+      callId
+    };
+  }
+
+  async runCall(call) {
+    await this.sendStatus(call, 'initiated');
+    await this.sendStatus(call, 'ringing');
+    await this.delay(this.ringTime);
+    if (call.status === 'completed') return; // hung up while ringing
+
+    if (['busy', 'no-answer', 'failed'].includes(call.scenario)) {
+      this.calls.delete(call.sid);
+      await this.sendStatus(call, call.scenario, { CallDuration: '0' });
+      return;
+    }
+
+    call.answeredAt = Date.now();
+    await this.sendStatus(call, 'in-progress');
+
+    const twiml = await this.postWebhook(call.url, {
+      CallSid: call.sid,
+      From: call.from,
+      To: call.to,
+      Direction: 'outbound-api',
+      CallStatus: 'in-progress'
+    });
+
+    // Async AMD reports after the greeting (machine) or the first words (human)
+    const answeredBy = call.scenario === 'voicemail' ? 'machine_end_beep' : 'human';
+    setTimeout(() => {
+      if (call.status === 'completed') return;
+      this.postWebhook(`/api/voice/amd/${call.callId}`, {
+        CallSid: call.sid,
+        AnsweredBy: answeredBy,
+        MachineDetectionDuration: answeredBy === 'human' ? '1200' : '4800'
+      });
+    }, answeredBy === 'human' ? 1200 : 4800);
+
+    if (twiml) {
+      this.startMediaStream(call, twiml);
+    }
+
+    // Machines wait for the voicemail drop; humans hang up after FAKE_CALL_DURATION
+    const lineTime = call.scenario === 'voicemail' ? 30 : this.callDuration;
+    call.hangupTimer = setTimeout(() => this.endCall(call), lineTime * 1000);
+  }
+
+  /**
+   * Connect to the <Stream> in a call's TwiML and play the caller's side
+   * @param {Object} call - Fake call state
+   * @param {string} twiml - TwiML returned by the call's URL
+   */
+  startMediaStream(call, twiml) {
+    const streamMatch = twiml.match(/<Stream[^>]*url="([^"]+)"/);
+    if (!streamMatch) return;
+
+    const customParameters = {};
+    for (const [, name, value] of twiml.matchAll(/<Parameter\s+name="([^"]+)"\s+value="([^"]*)"/g)) {
+      customParameters[name] = value;
+    }
+
+    // The TwiML points at the public host; the fake always talks to the local server
+    const streamPath = new URL(streamMatch[1].replace(/^ws/, 'http')).pathname;
+    const wsUrl = `${this.baseUrl.replace(/^http/, 'ws')}${streamPath}`;
+    const streamSid = `MZ${crypto.randomBytes(16).toString('hex')}`;
+    const ws = new WebSocket(wsUrl, 'audio');
+    const stream = { ws, streamSid, timer: null };
+    call.stream = stream;
+
+    ws.on('open', () => {
+      if (call.stream !== stream) return; // call ended while connecting
+
+      ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+      ws.send(JSON.stringify({
+        event: 'start',
+        sequenceNumber: '1',
+        streamSid,
+        start: {
+          streamSid,
+          accountSid: 'ACfake',
+          callSid: call.sid,
+          tracks: ['inbound'],
+          customParameters,
+          mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+        }
+      }));
+
+      let sequenceNumber = 2;
+      let chunk = 1;
+      let offset = 0;
+      const startedAt = Date.now();
+
+      stream.timer = setInterval(() => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        let payload;
+        if (this.callerAudio && this.callerAudio.length > 0) {
+          payload = Buffer.alloc(FRAME_BYTES);
+          for (let i = 0; i < FRAME_BYTES; i++) {
+            payload[i] = this.callerAudio[(offset + i) % this.callerAudio.length];
+          }
+          offset = (offset + FRAME_BYTES) % this.callerAudio.length;
+        } else {
+          payload = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+        }
+
+        ws.send(JSON.stringify({
+          event: 'media',
+          sequenceNumber: String(sequenceNumber++),
+          streamSid,
+          media: {
+            track: 'inbound',
+            chunk: String(chunk++),
+            timestamp: String(Date.now() - startedAt),
+            payload: payload.toString('base64')
+          }
+        }));
+      }, FRAME_INTERVAL);
+    });
+
+    ws.on('error', (error) => {
+      DebugLogger.logCallError(call.callId, error, 'fake_telephony_stream');
+    });
+  }
+
+  stopMediaStream(call) {
+    if (!call.stream) return;
+    const { ws, streamSid, timer } = call.stream;
+    clearInterval(timer);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ event: 'stop', streamSid, stop: { callSid: call.sid } }));
+      ws.close(1000, 'Call ended');
+    } else if (ws.readyState === WebSocket.CONNECTING) {
+      ws.terminate();
+    }
+    call.stream = null;
+  }
+
+  async endCall(call) {
+    if (!this.calls.has(call.sid)) return;
+    this.calls.delete(call.sid);
+    clearTimeout(call.hangupTimer);
+    this.stopMediaStream(call);
+
+    const duration = call.answeredAt ? Math.round((Date.now() - call.answeredAt) / 1000) : 0;
+    await this.sendStatus(call, 'completed', { CallDuration: String(duration) });
+  }
+
+  async hangupCall(callSid) {
+    const call = this.calls.get(callSid);
+    if (call) {
+      await this.endCall(call);
+    }
+  }
+
+  /**
+   * Simulate new instructions on a live call. <Play> and <Dial> keep the line up
+   * briefly before hanging up; anything else ends the call.
+   */
+  async updateCallTwiml(callSid, twiml) {
+    const call = this.calls.get(callSid);
+    if (!call) {
+      throw new Error(`Fake call ${callSid} is not live`);
+    }
+
+    this.stopMediaStream(call);
+    clearTimeout(call.hangupTimer);
+
+    const holdSeconds = /<Dial/.test(twiml) ? this.callDuration : /<Play/.test(twiml) ? 5 : 0;
+    call.hangupTimer = setTimeout(() => this.endCall(call), holdSeconds * 1000);
+  }
+
+  async getCallDetails(callSid) {
+    const call = this.calls.get(callSid);
+    return {
+      status: call ? call.status : 'completed',
+      duration: call && call.answeredAt ? Math.round((Date.now() - call.answeredAt) / 1000) : null,
+      startTime: null,
+      endTime: null,
+      direction: 'outbound-api',
+      answeredBy: null,
+      price: null,
+      priceUnit: 'USD'
+    };
+  }
+
+  async getRecordingUrl(callSid) {
+    return null; // Fake calls aren't recorded
+  }
+
+  async listPhoneNumbers() {
+    const numbers = (process.env.FAKE_PHONE_NUMBERS || this.phoneNumber).split(',').map(n => n.trim()).filter(Boolean);
+    return numbers.map((phoneNumber, index) => ({
+      phoneNumber,
+      friendlyName: phoneNumber,
+      sid: `PNfake${index}`,
+      voiceEnabled: true,
+      smsEnabled: false
+    }));
+  }
+
+  async purchasePhoneNumber(areaCode = '415') {
+    const phoneNumber = `+1${areaCode}555${String(crypto.randomInt(0, 10000)).padStart(4, '0')}`;
+    return {
+      phoneNumber,
+      friendlyName: phoneNumber,
+      sid: `PN${crypto.randomBytes(16).toString('hex')}`,
+      region: null
+    };
+  }
+}
+
+module.exports = FakeTelephonyProvider;
@@ -0,0 +1,140 @@
+const { PrismaClient } = require('@prisma/client');
+const DncService = require('./dncService');
+const CallStateMachine = require('./callStateMachine');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+class InboundCallService {
+  constructor() {
+    this.dncService = new DncService();
+    this.stateMachine = new CallStateMachine();
+  }
+
+  /**
+   * Find the lead a caller's number belongs to
+   * @param {string} phone - Caller's number (Twilio From)
+   * @returns {Promise<Object|null>} Lead
+   */
+  async findLeadByPhone(phone) {
+    const number = this.dncService.normalizeNumber(phone);
+    if (!number) return null;
+
+    // Lead phones aren't stored in one format; normalizedPhone is, the same way the DNC check reads them
+    return prisma.lead.findFirst({
+      where: { normalizedPhone: number },
+      orderBy: { updatedAt: 'desc' }
+    });
+  }
+
+  /**
+   * Create the Call (and a placeholder lead for unknown callers) for an inbound call
+   * @param {Object} params - Twilio webhook params { From, To, CallSid }
+   * @returns {Promise<Object>} { call, lead, knownCaller }
+   */
+  async registerCall({ From, To, CallSid }) {
+    let lead = await this.findLeadByPhone(From);
+    const knownCaller = Boolean(lead);
+
+    if (!lead) {
+      lead = await prisma.lead.create({
+        data: {
+          firstName: 'Unknown',
+          lastName: 'Caller',
+          phone: From,
+          normalizedPhone: this.dncService.normalizeNumber(From),
+          source: 'inbound_call',
+          notes: `Created from an inbound call to ${To}`,
+          status: 'NEW'
+        }
+      });
+    }
+
+    const call = await prisma.call.create({
+      data: {
+        leadId: lead.id,
+        direction: 'INBOUND',
+        status: 'IN_PROGRESS',
+        callType: 'INBOUND',
+        twilioCallSid: CallSid,
+        startedAt: new Date(),
+        dispatchedAt: new Date()
+      }
+    });
+
+    await this.stateMachine.recordEvent(call.id, 'ANSWERED', {
+      source: 'provider_webhook',
+      dedupeKey: `${call.id}:ANSWERED`,
+      data: { direction: 'INBOUND', callSid: CallSid, knownCaller }
+    });
+
+    DebugLogger.logSuccess('Inbound call registered', {
+      callId: call.id,
+      leadId: lead.id,
+      knownCaller
+    });
+
+    return { call, lead, knownCaller };
+  }
+
+  /**
+   * Load what we already know about a caller from earlier calls
+   * @param {string} leadId - Lead ID
+   * @param {string} excludeCallId - The current call
+   * @returns {Promise<Object>} { priorCalls, lastConversation }
+   */
+  async getCallerHistory(leadId, excludeCallId) {
+    const priorCalls = await prisma.call.findMany({
+      where: {
+        leadId,
+        id: { not: excludeCallId },
+        startedAt: { not: null }
+      },
+      orderBy: { startedAt: 'desc' },
+      take: 5,
+      include: {
+        interactions: {
+          orderBy: { timestamp: 'desc' },
+          take: 10
+        }
+      }
+    });
+
+    const lastWithConversation = priorCalls.find(call => call.interactions.length > 0);
+
+    return {
+      priorCalls: priorCalls.map(call => ({
+        date: call.startedAt,
+        direction: call.direction,
+        outcome: call.outcome,
+        notes: call.notes,
+        followUpDate: call.followUpDate
+      })),
+      lastConversation: lastWithConversation
+        ? lastWithConversation.interactions.reverse().map(i => ({ speaker: i.speaker, content: i.content }))
+        : []
+    };
+  }
+
+  /**
+   * Everything the realtime AI needs to answer an inbound call
+   * @param {Object} call - Call record with lead included
+   * @returns {Promise<Object>} Conversation context
+   */
+  async buildContext(call) {
+    const knownCaller = call.lead.source !== 'inbound_call' ||
+      await prisma.call.count({ where: { leadId: call.leadId, id: { not: call.id } } }) > 0;
+
+    const history = knownCaller
+      ? await this.getCallerHistory(call.leadId, call.id)
+      : { priorCalls: [], lastConversation: [] };
+
+    return {
+      direction: 'INBOUND',
+      knownCaller,
+      ...history
+    };
+  }
+}
+
+module.exports = InboundCallService;
@@ -0,0 +1,223 @@
+const { PrismaClient } = require('@prisma/client');
+const DncService = require('./dncService');
+const TransferService = require('./transferService');
+const CallingRulesService = require('./callingRulesService');
+const NotificationService = require('./notificationService');
+const CallStateMachine = require('./callStateMachine');
+const LanguageService = require('./languageService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const KEYPAD_ACTIONS = ['TRANSFER', 'OPT_OUT', 'REPEAT', 'CALLBACK'];
+const KEYPAD_DIGITS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '*', '#'];
+
+// Used when a campaign has no keypad map of its own
+const DEFAULT_KEYPAD_ACTIONS = {
+  '1': 'TRANSFER',
+  '9': 'OPT_OUT'
+};
+
+/**
+ * Keys pressed during a call. Each campaign maps digits to actions (transfer
+ * to an agent, opt out, repeat the last line, book a callback); this does the
+ * bookkeeping for a keypress and says what the caller should hear. Playing
+ * that, transferring and hanging up are left to the voice mode.
+ */
+class KeypadService {
+  constructor() {
+    this.dncService = new DncService();
+    this.transferService = new TransferService();
+    this.callingRules = new CallingRulesService();
+    this.notificationService = new NotificationService();
+    this.stateMachine = new CallStateMachine();
+    this.languages = new LanguageService();
+  }
+
+  /**
+   * Validate and normalize a digit -> action map
+   * @param {Object} actions - Raw map from the API, e.g. { "1": "transfer" }
+   * @returns {Object} Normalized map
+   */
+  normalizeActions(actions = {}) {
+    if (typeof actions !== 'object' || actions === null || Array.isArray(actions)) {
+      throw new Error('Keypad actions must be an object of digit to action');
+    }
+
+    const normalized = {};
+    for (const [digit, action] of Object.entries(actions)) {
+      if (!KEYPAD_DIGITS.includes(digit)) {
+        throw new Error(`Invalid keypad digit: ${digit}. Must be one of: ${KEYPAD_DIGITS.join(' ')}`);
+      }
+      const normalizedAction = String(action).toUpperCase();
+      if (!KEYPAD_ACTIONS.includes(normalizedAction)) {
+        throw new Error(`Invalid keypad action for ${digit}: ${action}. Must be one of: ${KEYPAD_ACTIONS.join(', ')}`);
+      }
+      normalized[digit] = normalizedAction;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * The digit map for a call's campaign
+   * @param {Object} campaign - Campaign, or null for one-off calls
+   * @returns {Object}
+   */
+  getActions(campaign) {
+    if (!campaign || !campaign.keypadActions) {
+      return DEFAULT_KEYPAD_ACTIONS;
+    }
+
+    try {
+      return this.normalizeActions(campaign.keypadActions);
+    } catch (error) {
+      DebugLogger.logConfigError('keypad_actions', error.message, JSON.stringify(DEFAULT_KEYPAD_ACTIONS));
+      return DEFAULT_KEYPAD_ACTIONS;
+    }
+  }
+
+  /**
+   * Fixed lines a keypress can be answered with, for pre-rendering
+   * @param {string} language - Language code
+   * @returns {Array<string>}
+   */
+  getStockPhrases(language = 'en') {
+    return ['keypadTransfer', 'noAgent', 'optOut', 'callback'].map(key => this.languages.getPhrase(key, language));
+  }
+
+  /**
+   * Record a keypress and carry out its bookkeeping
+   * @param {string} callId - Call ID
+   * @param {string} digit - Key pressed
+   * @param {string} source - realtime or simple_voice
+   * @returns {Promise<Object>} { action, message: what to say (null for none), endReason: set when the call should end, repeatTurn: the AI line to replay, language: the call's }
+   */
+  async handleKeypress(callId, digit, source) {
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true, campaign: true }
+    });
+    if (!call) {
+      throw new Error(`Call ${callId} not found`);
+    }
+
+    const action = this.getActions(call.campaign)[digit] || null;
+    const language = this.languages.getCallLanguage(call);
+
+    await prisma.interaction.create({
+      data: {
+        callId,
+        speaker: 'CUSTOMER',
+        content: action ? `[Pressed ${digit}: ${action.toLowerCase().replace('_', ' ')}]` : `[Pressed ${digit}]`,
+        interactionType: 'INPUT',
+        timestamp: new Date()
+      }
+    });
+
+    await this.stateMachine.recordEvent(callId, 'KEYPRESS', {
+      source,
+      data: { digit, action }
+    });
+
+    DebugLogger.logSuccess('Keypad press', { callId, digit, action });
+
+    switch (action) {
+      case 'TRANSFER':
+        return { action, message: this.languages.getPhrase('keypadTransfer', language), endReason: null, repeatTurn: null, language };
+
+      case 'OPT_OUT':
+        await this.optOut(call, digit);
+        return { action, message: this.languages.getPhrase('optOut', language), endReason: 'OPT_OUT', repeatTurn: null, language };
+
+      case 'CALLBACK':
+        await this.bookCallback(call);
+        return { action, message: this.languages.getPhrase('callback', language), endReason: 'CALLBACK', repeatTurn: null, language };
+
+      case 'REPEAT': {
+        const repeatTurn = await prisma.interaction.findFirst({
+          where: { callId, speaker: 'AI' },
+          orderBy: { timestamp: 'desc' }
+        });
+        return { action, message: repeatTurn ? repeatTurn.content : null, endReason: null, repeatTurn, language };
+      }
+
+      default:
+        return { action: null, message: null, endReason: null, repeatTurn: null, language };
+    }
+  }
+
+  /**
+   * Hand the call to an agent after a keypress
+   * @param {string} callId - Call ID
+   * @param {string} language - Language the call is held in
+   * @returns {Promise<Object>} { success, message: what to say if no agent could take it }
+   */
+  async transfer(callId, language = 'en') {
+    try {
+      const result = await this.transferService.requestTransfer(callId, 'Homeowner pressed a key to speak with an agent');
+      if (result.success) {
+        return { success: true, message: null };
+      }
+    } catch (error) {
+      DebugLogger.logCallError(callId, error, 'keypad_transfer');
+    }
+
+    return { success: false, message: this.languages.getPhrase('noAgent', language) };
+  }
+
+  /**
+   * Put the lead's number on the internal DNC list
+   */
+  async optOut(call, digit) {
+    await this.dncService.addEntry({
+      value: call.lead.phone,
+      source: 'INTERNAL',
+      reason: `Pressed ${digit} during call ${call.id} to opt out`
+    });
+
+    await prisma.call.update({
+      where: { id: call.id },
+      data: { outcome: 'NOT_INTERESTED' }
+    });
+  }
+
+  /**
+   * Book a callback in the lead's next calling window, queue it for the
+   * scheduler and alert the team
+   */
+  async bookCallback(call) {
+    const earliest = new Date(Date.now() + 60 * 60 * 1000);
+    const callbackAt = this.callingRules.findNextWindow(call.lead, earliest);
+
+    await prisma.call.update({
+      where: { id: call.id },
+      data: {
+        outcome: 'CALLBACK_REQUESTED',
+        followUpDate: callbackAt
+      }
+    });
+
+    await this.transferService.queueCallback(call, callbackAt);
+
+    try {
+      await this.notificationService.sendInterestNotification({
+        leadId: call.leadId,
+        leadName: `${call.lead.firstName} ${call.lead.lastName}`,
+        leadPhone: call.lead.phone,
+        outcome: 'CALLBACK_REQUESTED',
+        priority: 'MEDIUM',
+        summary: 'Homeowner pressed a key to ask for a callback',
+        nextSteps: 'Call the homeowner back',
+        followUpTiming: callbackAt ? callbackAt.toISOString() : 'ASAP',
+        notificationRequired: true
+      }, call);
+    } catch (error) {
+      DebugLogger.logCallError(call.id, error, 'keypad_callback_notification', call.leadId);
+    }
+
+    return callbackAt;
+  }
+}
+
+module.exports = KeypadService;
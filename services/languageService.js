@@ -0,0 +1,234 @@
+const { PrismaClient } = require('@prisma/client');
+const CallStateMachine = require('./callStateMachine');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Languages a call can be held in. locale is the speech recognition and <Say>
+// language; sayVoice is the Twilio voice that speaks it when no engine renders audio.
+const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US', sayVoice: 'alice' },
+  es: { name: 'Spanish', locale: 'es-US', sayVoice: 'Polly.Lupe' },
+  fr: { name: 'French', locale: 'fr-FR', sayVoice: 'Polly.Lea' },
+  de: { name: 'German', locale: 'de-DE', sayVoice: 'Polly.Vicki' },
+  it: { name: 'Italian', locale: 'it-IT', sayVoice: 'Polly.Bianca' },
+  pt: { name: 'Portuguese', locale: 'pt-BR', sayVoice: 'Polly.Camila' },
+  zh: { name: 'Chinese', locale: 'zh-CN', sayVoice: 'alice' },
+  ja: { name: 'Japanese', locale: 'ja-JP', sayVoice: 'Polly.Mizuki' },
+  ko: { name: 'Korean', locale: 'ko-KR', sayVoice: 'Polly.Seoyeon' },
+  ar: { name: 'Arabic', locale: 'ar-AE', sayVoice: 'Polly.Zeina' },
+  hi: { name: 'Hindi', locale: 'hi-IN', sayVoice: 'Polly.Aditi' },
+  ru: { name: 'Russian', locale: 'ru-RU', sayVoice: 'Polly.Tatyana' }
+};
+
+// Fixed lines calls say outside the model's replies, with {{name}} variables
+// (lead fields, plus the brand's brandName, market and agentName).
+// Languages without their own lines use English ones; the model still speaks theirs.
+const PHRASES = {
+  en: {
+    greeting: 'Hello, is this {{firstName}} {{lastName}}?',
+    simpleGreeting: 'Hello, may I speak with {{firstName}} {{lastName}}, please? ' +
+      'This is {{brandName}}, a local brokerage here in {{market}}. ' +
+      'We have buyers looking in your area and wanted to ask if you would consider selling your home?',
+    inboundGreeting: 'Thank you for calling {{brandName}}. How can I help you today?',
+    inboundGreetingKnown: 'Hi {{firstName}}, thanks for calling {{brandName}} back! How can I help you today?',
+    reconnectFiller: 'Sorry, one moment.',
+    deadAirGoodbye: "It sounds like we've lost each other, so I'll let you go. We'll try you again another time. Have a great day!",
+    transferConnecting: 'Wonderful, let me connect you with one of our listing agents now. One moment please.',
+    keypadTransfer: 'Sure, connecting you with one of our agents now. One moment please.',
+    noAgent: "I'm sorry, all of our agents are busy right now. One of them will call you back shortly.",
+    optOut: "Understood. We've removed your number from our list and won't call you again. Have a great day!",
+    callback: 'No problem. One of our agents will call you back at a better time. Have a great day!',
+    resume: 'Sorry about that, I lost you for a second. Could you say that again?',
+    reprompt: "Sorry, I didn't catch that. Are you still there?",
+    silentGoodbye: "It seems I've lost you. We'll try you again another time. Have a great day!",
+    errorGoodbye: "I'm sorry, I'm having trouble on my end. One of our agents will call you back shortly. Have a great day!",
+    fallbackCallback: 'Hello, this is a call from {{brandName}}. We will call you back shortly.',
+    fallbackGoodbye: 'Thank you for your time. Have a great day!',
+    transferFailed: "I'm sorry {{firstName}}, our listing agent couldn't pick up right now. " +
+      'One of our agents will call you back {{when}}. Thank you for your time!',
+    callbackOn: 'on {{when}}',
+    callbackSoon: 'shortly',
+    yourArea: 'your area',
+    voicemail: 'Hi {{firstName}}, this is a call from {{brandName}}, a local brokerage here in {{market}}. ' +
+      'We have buyers looking in {{area}} and wanted to know if you would consider selling your home. ' +
+      'Please give us a call back at {{callbackNumber}}. Thank you and have a great day!'
+  },
+  es: {
+    greeting: 'Hola, ¿hablo con {{firstName}} {{lastName}}?',
+    simpleGreeting: 'Hola, ¿podría hablar con {{firstName}} {{lastName}}, por favor? ' +
+      'Le llamamos de {{brandName}}, una agencia inmobiliaria local aquí en {{market}}. ' +
+      'Tenemos compradores buscando en su zona y queríamos preguntarle si consideraría vender su casa.',
+    inboundGreeting: 'Gracias por llamar a {{brandName}}. ¿En qué le puedo ayudar hoy?',
+    inboundGreetingKnown: 'Hola {{firstName}}, ¡gracias por devolvernos la llamada a {{brandName}}! ¿En qué le puedo ayudar hoy?',
+    reconnectFiller: 'Disculpe, un momento.',
+    deadAirGoodbye: 'Parece que perdimos la conexión. Le volveremos a llamar en otro momento. ¡Que tenga un excelente día!',
+    transferConnecting: '¡Excelente! Permítame comunicarle ahora con uno de nuestros agentes. Un momento, por favor.',
+    keypadTransfer: 'Claro, le comunico ahora con uno de nuestros agentes. Un momento, por favor.',
+    noAgent: 'Lo siento, todos nuestros agentes están ocupados en este momento. Uno de ellos le devolverá la llamada en breve.',
+    optOut: 'Entendido. Hemos quitado su número de nuestra lista y no le volveremos a llamar. ¡Que tenga un excelente día!',
+    callback: 'No hay problema. Uno de nuestros agentes le llamará en un mejor momento. ¡Que tenga un excelente día!',
+    resume: 'Disculpe, se cortó por un segundo. ¿Me lo podría repetir?',
+    reprompt: 'Disculpe, no le escuché bien. ¿Sigue ahí?',
+    silentGoodbye: 'Parece que no le escucho. Le volveremos a llamar en otro momento. ¡Que tenga un excelente día!',
+    errorGoodbye: 'Lo siento, estoy teniendo problemas técnicos. Uno de nuestros agentes le devolverá la llamada en breve. ¡Que tenga un excelente día!',
+    fallbackCallback: 'Hola, le llamamos de {{brandName}}. Le volveremos a llamar en breve.',
+    fallbackGoodbye: 'Gracias por su tiempo. ¡Que tenga un excelente día!',
+    transferFailed: 'Lo siento, {{firstName}}, nuestro agente no pudo atender en este momento. ' +
+      'Uno de nuestros agentes le devolverá la llamada {{when}}. ¡Gracias por su tiempo!',
+    callbackOn: 'el {{when}}',
+    callbackSoon: 'en breve',
+    yourArea: 'su zona',
+    voicemail: 'Hola {{firstName}}, le llamamos de {{brandName}}, una agencia inmobiliaria local aquí en {{market}}. ' +
+      'Tenemos compradores buscando en {{area}} y queríamos saber si consideraría vender su casa. ' +
+      'Por favor, devuélvanos la llamada al {{callbackNumber}}. ¡Gracias y que tenga un excelente día!'
+  }
+};
+
+// Words that give a transcript away as one language or the other. Only English
+// and Spanish are told apart; other switches come from the model.
+const LANGUAGE_MARKERS = {
+  en: ['the', 'is', 'you', 'yes', 'what', 'who', 'my', 'it', 'and', 'not', 'this', 'that', 'have', 'sell', 'house', 'home', 'speak', 'sorry', 'thanks', 'hello', "don't", "i'm", 'interested'],
+  es: ['hola', 'sí', 'gracias', 'quién', 'usted', 'señor', 'señora', 'habla', 'hablo', 'español', 'estoy', 'tengo', 'casa', 'bueno', 'qué', 'cómo', 'vender', 'ahora', 'llamada', 'favor', 'puedo', 'interesa', 'pero', 'porque', 'también', 'está', 'el', 'los', 'las', 'para', 'muy', 'soy', 'es', 'mi', 'que', 'no', 'con', 'una']
+};
+const MIN_MARKERS = 2;
+
+/**
+ * The language a call is held in: which one it starts in (the lead's),
+ * the fixed lines and recognition settings for it, and switching it when
+ * the homeowner answers in another language.
+ */
+class LanguageService {
+  constructor() {
+    this.stateMachine = new CallStateMachine();
+  }
+
+  /**
+   * A supported ISO 639-1 code for a language code or tag, e.g. es-MX -> es
+   * @param {string} code - Language code, tag or null
+   * @returns {string} Supported code (English when unknown)
+   */
+  normalize(code) {
+    const base = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[base] ? base : DEFAULT_LANGUAGE;
+  }
+
+  isSupported(code) {
+    return Boolean(LANGUAGES[String(code || '').trim().toLowerCase()]);
+  }
+
+  getSupportedLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  /**
+   * Full language name from language code
+   * @param {string} code - Language code (e.g., 'es', 'fr')
+   * @returns {string} e.g. Spanish
+   */
+  getName(code) {
+    const language = LANGUAGES[String(code || '').toLowerCase()];
+    return language ? language.name : String(code || '').toUpperCase();
+  }
+
+  /**
+   * Speech recognition and <Say> language for a code
+   * @returns {string} e.g. es-US
+   */
+  getLocale(code) {
+    return LANGUAGES[this.normalize(code)].locale;
+  }
+
+  /**
+   * Twilio <Say> voice that speaks a language
+   * @returns {string}
+   */
+  getSayVoice(code) {
+    return LANGUAGES[this.normalize(code)].sayVoice;
+  }
+
+  /**
+   * Whether a language has its own fixed lines
+   */
+  hasPhrases(code) {
+    return Boolean(PHRASES[String(code || '').toLowerCase()]);
+  }
+
+  /**
+   * A fixed line in a language, English when it has none
+   * @param {string} key - Phrase name
+   * @param {string} language - Language code
+   * @param {Object} variables - Values for {{name}} placeholders; omitted = the raw template
+   * @returns {string}
+   */
+  getPhrase(key, language, variables = null) {
+    const phrases = PHRASES[this.normalize(language)] || PHRASES[DEFAULT_LANGUAGE];
+    const template = phrases[key] || PHRASES[DEFAULT_LANGUAGE][key];
+    if (!template) {
+      throw new Error(`Unknown phrase: ${key}`);
+    }
+    if (!variables) return template;
+
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+      variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : ''
+    ));
+  }
+
+  /**
+   * The language a call is being held in: its current one, else its lead's
+   * @param {Object} call - Call record with lead included
+   * @returns {string} Language code
+   */
+  getCallLanguage(call) {
+    if (!call) return DEFAULT_LANGUAGE;
+    return this.normalize(call.language || (call.lead && call.lead.language));
+  }
+
+  /**
+   * Guess whether a transcript is English or Spanish
+   * @param {string} text - What the customer said
+   * @returns {string|null} en or es, or null when it's unclear
+   */
+  detectLanguage(text) {
+    const words = [...new Set(String(text || '').toLowerCase().match(/[a-záéíóúñü']+/g) || [])];
+    if (words.length === 0) return null;
+
+    const scores = {};
+    for (const [language, markers] of Object.entries(LANGUAGE_MARKERS)) {
+      scores[language] = words.filter(word => markers.includes(word)).length;
+    }
+    // Spanish punctuation and letters English doesn't use
+    if (/[¿¡ñ]/.test(text)) scores.es += MIN_MARKERS;
+
+    const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    return best[1] >= MIN_MARKERS && best[1] > second[1] ? best[0] : null;
+  }
+
+  /**
+   * Move a call to another language for the rest of the conversation
+   * @param {string} callId - Call ID
+   * @param {string} language - Language code to switch to
+   * @param {Object} options - { from: current language, source: realtime or simple_voice, reason: detected or model }
+   * @returns {Promise<string|null>} The new language, or null if it wasn't a switch
+   */
+  async switchCallLanguage(callId, language, { from = null, source = null, reason = null } = {}) {
+    const to = String(language || '').trim().toLowerCase().split(/[-_]/)[0];
+    if (!LANGUAGES[to] || to === from) return null;
+
+    await prisma.call.update({
+      where: { id: callId },
+      data: { language: to }
+    });
+    await this.stateMachine.recordEvent(callId, 'LANGUAGE_SWITCHED', {
+      source,
+      data: { from, to, reason }
+    });
+
+    DebugLogger.logSuccess('Call language switched', { callId, from, to, reason });
+    return to;
+  }
+}
+
+module.exports = LanguageService;
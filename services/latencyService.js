@@ -0,0 +1,139 @@
+const { PrismaClient } = require('@prisma/client');
+const { DebugLogger } = require('../utils/logger');
+const { percentile } = require('../utils/stats');
+
+const prisma = new PrismaClient();
+
+// Pipeline stages after the customer stops speaking, in the order they happen
+const STAGES = [
+  { name: 'commit', field: 'commitAt' },
+  { name: 'firstToken', field: 'firstTokenAt' },
+  { name: 'ttsStart', field: 'ttsStartAt' },
+  { name: 'firstAudio', field: 'firstAudioAt' }
+];
+
+const MAX_SUMMARY_TURNS = 5000; // most recent turns the p50/p95 views are computed over
+
+/**
+ * Per-turn timings through the voice pipeline: when the customer stopped
+ * speaking, when their audio was committed, the model's first output, the
+ * start of TTS and the first reply audio sent to Twilio. Recording never
+ * throws, so a metrics problem can't affect a live call.
+ */
+class LatencyService {
+  /**
+   * Save one turn's timestamps
+   * @param {string} callId - Call ID
+   * @param {string} mode - REALTIME or SIMPLE
+   * @param {number} turn - Customer turn within the call
+   * @param {Object} timings - { speechEndAt, commitAt, firstTokenAt, ttsStartAt, firstAudioAt }
+   * @param {string} interactionId - AI turn whose audio is fetched later (simple voice)
+   * @returns {Promise<Object|null>} The saved row
+   */
+  async recordTurn(callId, mode, turn, timings, interactionId = null) {
+    if (!timings || !timings.speechEndAt) return null;
+
+    try {
+      return await prisma.turnLatency.create({
+        data: {
+          callId,
+          mode,
+          turn,
+          speechEndAt: timings.speechEndAt,
+          commitAt: timings.commitAt || null,
+          firstTokenAt: timings.firstTokenAt || null,
+          ttsStartAt: timings.ttsStartAt || null,
+          firstAudioAt: timings.firstAudioAt || null,
+          interactionId
+        }
+      });
+    } catch (error) {
+      DebugLogger.logCallError(callId, error, 'latency_record');
+      return null;
+    }
+  }
+
+  /**
+   * Twilio fetched an AI turn's audio: that's when the caller starts hearing it
+   * @param {string} interactionId - Interaction ID
+   */
+  async markFirstAudio(interactionId, at = new Date()) {
+    try {
+      await prisma.turnLatency.updateMany({
+        where: { interactionId, firstAudioAt: null },
+        data: { firstAudioAt: at }
+      });
+    } catch (error) {
+      DebugLogger.logSystemError(error, 'latency_first_audio', { interactionId });
+    }
+  }
+
+  /**
+   * Milliseconds from speech end to each stage (null where a stage wasn't reached)
+   */
+  toOffsets(row) {
+    const start = new Date(row.speechEndAt).getTime();
+    return Object.fromEntries(STAGES.map(({ name, field }) => [
+      name,
+      row[field] ? new Date(row[field]).getTime() - start : null
+    ]));
+  }
+
+  /**
+   * One call's turns as a waterfall
+   * @param {string} callId - Call ID
+   * @returns {Promise<Array<Object>>} [{ turn, mode, speechEndAt, offsets: { commit, firstToken, ttsStart, firstAudio } }]
+   */
+  async getCallWaterfall(callId) {
+    const rows = await prisma.turnLatency.findMany({
+      where: { callId },
+      orderBy: [{ turn: 'asc' }, { speechEndAt: 'asc' }]
+    });
+
+    return rows.map(row => ({
+      turn: row.turn,
+      mode: row.mode,
+      speechEndAt: row.speechEndAt,
+      offsets: this.toOffsets(row)
+    }));
+  }
+
+  /**
+   * p50/p95 per stage and mode over recent turns
+   * @param {Object} options - { hours }
+   * @returns {Promise<Object>} { hours, stages, modes: { REALTIME: { turns, commit: { p50, p95, count }, ... } } }
+   */
+  async getSummary({ hours = 24 } = {}) {
+    const rows = await prisma.turnLatency.findMany({
+      where: { speechEndAt: { gte: new Date(Date.now() - hours * 60 * 60 * 1000) } },
+      orderBy: { speechEndAt: 'desc' },
+      take: MAX_SUMMARY_TURNS
+    });
+
+    const byMode = {};
+    for (const row of rows) {
+      if (!byMode[row.mode]) byMode[row.mode] = [];
+      byMode[row.mode].push(this.toOffsets(row));
+    }
+
+    const modes = {};
+    for (const [mode, turns] of Object.entries(byMode)) {
+      modes[mode] = { turns: turns.length };
+      for (const { name } of STAGES) {
+        const values = turns
+          .map(offsets => offsets[name])
+          .filter(value => value !== null)
+          .sort((a, b) => a - b);
+        modes[mode][name] = {
+          p50: percentile(values, 50),
+          p95: percentile(values, 95),
+          count: values.length
+        };
+      }
+    }
+
+    return { hours, stages: STAGES.map(stage => stage.name), modes };
+  }
+}
+
+module.exports = LatencyService;
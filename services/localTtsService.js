@@ -0,0 +1,101 @@
+const { spawn } = require('child_process');
+const { TtsEngine } = require('./ttsProvider');
+const { pcm16ToWav } = require('../utils/audioUtils');
+
+const TONE_RATE = 8000;
+const TONE_WORD_MS = 180;
+const TONE_GAP_MS = 70;
+const WORDS_PER_MINUTE = 175; // espeak's normal rate, scaled by a profile's speed
+
+/**
+ * Offline engine for development: speaks with espeak-ng (LOCAL_TTS_COMMAND)
+ * when it's installed, otherwise plays a soft tone per word so the call flow
+ * and its timing still work with no network or speech engine at all.
+ */
+class LocalTtsService extends TtsEngine {
+  constructor() {
+    super();
+    this.command = process.env.LOCAL_TTS_COMMAND || 'espeak-ng';
+    this.voice = process.env.LOCAL_TTS_VOICE || 'en-us';
+    this.commandAvailable = true; // until a spawn says otherwise
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  getVoiceConfig(voice, target) {
+    const own = this.ownVoice(voice);
+    const config = {
+      command: this.commandAvailable ? this.command : 'tones',
+      // espeak voices are named by language (en-us, es, fr), so any profile's language works
+      voice: (own && own.voiceId) || (voice && voice.language ? voice.language.toLowerCase() : this.voice),
+      format: 'wav'
+    };
+    if (voice && typeof voice.speed === 'number' && voice.speed !== 1) {
+      config.wordsPerMinute = Math.round(WORDS_PER_MINUTE * voice.speed);
+    }
+    return config;
+  }
+
+  /**
+   * Render speech as WAV, which both streams and <Play> take
+   * @param {string} text - Text to speak
+   * @param {Object} options - { voice: profile or null }
+   * @returns {Promise<Object>} { audio, format }
+   */
+  async synthesize(text, { voice = null } = {}) {
+    if (this.commandAvailable) {
+      try {
+        return { audio: await this.runCommand(text, this.getVoiceConfig(voice)), format: 'wav' };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.commandAvailable = false;
+      }
+    }
+
+    return { audio: this.renderTones(text), format: 'wav' };
+  }
+
+  runCommand(text, { voice, wordsPerMinute }) {
+    return new Promise((resolve, reject) => {
+      const args = ['--stdout', '-v', voice];
+      if (wordsPerMinute) args.push('-s', String(wordsPerMinute));
+      const proc = spawn(this.command, [...args, text]);
+      const chunks = [];
+      let stderr = '';
+
+      proc.stdout.on('data', chunk => chunks.push(chunk));
+      proc.stderr.on('data', chunk => { stderr += chunk.toString(); });
+      proc.on('error', reject);
+      proc.on('close', (code) => {
+        if (code === 0) return resolve(Buffer.concat(chunks));
+        reject(new Error(`${this.command} exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+      });
+    });
+  }
+
+  /**
+   * A quiet tone per word, roughly as long as the line would take to say
+   */
+  renderTones(text) {
+    const words = String(text).split(/\s+/).filter(Boolean);
+    const wordSamples = (TONE_RATE * TONE_WORD_MS) / 1000;
+    const gapSamples = (TONE_RATE * TONE_GAP_MS) / 1000;
+    const pcm = Buffer.alloc(Math.max(1, words.length) * (wordSamples + gapSamples) * 2);
+
+    words.forEach((word, index) => {
+      const frequency = 300 + (word.length % 5) * 40; // a little variation, like speech
+      const start = index * (wordSamples + gapSamples);
+      for (let i = 0; i < wordSamples; i++) {
+        const envelope = Math.sin((Math.PI * i) / wordSamples);
+        const sample = Math.round(3000 * envelope * Math.sin((2 * Math.PI * frequency * i) / TONE_RATE));
+        pcm.writeInt16LE(sample, (start + i) * 2);
+      }
+    });
+
+    return pcm16ToWav(pcm, TONE_RATE);
+  }
+}
+
+module.exports = LocalTtsService;
@@ -1,3 +1,4 @@
+const BrandService = require('./brandService');
 const { DebugLogger } = require('../utils/logger');
 
 class NotificationService {
@@ -5,6 +6,7 @@ class NotificationService {
     this.webhookUrl = process.env.SLACK_WEBHOOK_URL || null;
     this.emailEnabled = process.env.EMAIL_NOTIFICATIONS === 'true';
     this.smsEnabled = process.env.SMS_NOTIFICATIONS === 'true';
+    this.brands = new BrandService();
   }
 
   /**
@@ -22,7 +24,8 @@ class NotificationService {
         return; // No notification needed
       }
 
-      const notification = this.buildNotificationMessage(callOutcome, callData);
+      const brand = await this.brands.getForCallId(callData.id);
+      const notification = this.buildNotificationMessage(callOutcome, callData, brand);
       
       // Send to multiple channels
       const promises = [];
@@ -60,7 +63,7 @@ class NotificationService {
   /**
    * Build notification message
    */
-  buildNotificationMessage(callOutcome, callData) {
+  buildNotificationMessage(callOutcome, callData, brand) {
     const urgencyEmoji = this.getUrgencyEmoji(callOutcome);
     const priorityText = callOutcome.priority === 'HIGH' ? '🔥 HIGH PRIORITY' : callOutcome.priority;
     
@@ -79,6 +82,7 @@ class NotificationService {
       followUpTiming: callOutcome.followUpTiming,
       timestamp: new Date().toISOString(),
       callDuration: callData.duration || 'Unknown',
+      brand: brand.name,
       dashboardUrl: `${process.env.DASHBOARD_URL || 'https://voice-calling-salesmen-ai-system.onrender.com'}/conversations/${callData.id}`
     };
   }
@@ -138,7 +142,7 @@ class NotificationService {
                 url: notification.dashboardUrl
               }
             ],
-            footer: 'Levco Real Estate AI',
+            footer: `${notification.brand} AI`,
             ts: Math.floor(Date.now() / 1000)
           }
         ]
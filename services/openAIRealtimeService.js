@@ -1,6 +1,67 @@
 const WebSocket = require('ws');
+const { PrismaClient } = require('@prisma/client');
 const { DebugLogger } = require('../utils/logger');
-const { muLawBase64ToPCM16, mp3ToMulawChunks, sleep } = require('../utils/audioUtils');
+const { muLawBase64ToPCM16, toMulawChunks, MulawFrameStream, sleep } = require('../utils/audioUtils');
+const TransferService = require('./transferService');
+const SettingsService = require('./settingsService');
+const CallStateMachine = require('./callStateMachine');
+const CallGuard = require('./callGuard');
+const LatencyService = require('./latencyService');
+const KeypadService = require('./keypadService');
+const TtsService = require('./ttsService');
+const LanguageService = require('./languageService');
+const BrandService = require('./brandService');
+const SimpleVoiceService = require('./simpleVoiceService');
+const { getTelephonyProvider } = require('./telephonyProvider');
+
+const prisma = new PrismaClient();
+
+// Reconnecting a dropped OpenAI session before giving the call to the simple voice flow
+const MAX_RECONNECT_ATTEMPTS = parseInt(process.env.OPENAI_REALTIME_MAX_RECONNECTS) || 3;
+const RECONNECT_BASE_DELAY = 500;  // ms, doubled each attempt
+const RECONNECT_MAX_DELAY = 4000;  // ms
+
+// Rough speaking rate, for how much of a sentence was heard before its audio has all arrived
+const SPEECH_MS_PER_CHARACTER = 65;
+
+// A sentence ends at . ! ? or … (plus closing quotes or brackets) followed by whitespace
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s)/g;
+// Periods that don't end a sentence: titles, street abbreviations, initials
+const ABBREVIATION = /(?:^|[\s(])(?:mr|mrs|ms|dr|st|jr|sr|vs|etc|approx|ave|blvd|rd|ft|sq|e\.g|i\.e|[a-z])\.$/i;
+
+// Function the model calls to hand an interested homeowner to a live agent
+const TRANSFER_TOOL = {
+  type: 'function',
+  name: 'transfer_to_agent',
+  description: 'Transfer the homeowner to a live listing agent right now. Only use when they are interested in selling and agree to speak with an agent.',
+  parameters: {
+    type: 'object',
+    properties: {
+      summary: {
+        type: 'string',
+        description: 'One or two sentences for the agent: what the homeowner wants, timeline and any key details'
+      }
+    },
+    required: ['summary']
+  }
+};
+
+// Function the model calls when the homeowner answers in, or asks for, another language
+const SWITCH_LANGUAGE_TOOL = {
+  type: 'function',
+  name: 'switch_language',
+  description: 'Continue the call in another language. Use as soon as the homeowner speaks or asks for a language other than the one you are using.',
+  parameters: {
+    type: 'object',
+    properties: {
+      language: {
+        type: 'string',
+        description: 'ISO 639-1 code of the language to continue in, e.g. "es" for Spanish'
+      }
+    },
+    required: ['language']
+  }
+};
 
 // Simple RMS calculator for PCM16LE buffers
 function computeRmsPCM16LE(buf) {
@@ -13,10 +74,39 @@ function computeRmsPCM16LE(buf) {
   return n ? Math.sqrt(sum / n) : 0;
 }
 
+/**
+ * Split complete sentences off the front of streamed text
+ * @param {string} text - Text received so far
+ * @returns {Object} { sentences, rest: text still waiting for its sentence to end }
+ */
+function takeSentences(text) {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    if (match[0] === '.' && ABBREVIATION.test(text.slice(start, end))) continue;
+    const sentence = text.slice(start, end).trim();
+    if (sentence) sentences.push(sentence);
+    start = end;
+  }
+  return { sentences, rest: text.slice(start) };
+}
+
 class OpenAIRealtimeService {
   constructor() {
     this.apiKey = process.env.OPENAI_API_KEY;
+    this.realtimeUrl = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01';
     this.connections = new Map(); // Track active call connections
+    this.transferService = new TransferService();
+    this.settings = new SettingsService();
+    this.stateMachine = new CallStateMachine();
+    this.simpleVoice = new SimpleVoiceService();
+    this.latency = new LatencyService();
+    this.keypad = new KeypadService();
+    this.tts = new TtsService();
+    this.languages = new LanguageService();
+    this.brands = new BrandService();
+    this.fillerFrames = new Map(); // language and voice -> pre-rendered reconnect filler, shared by calls in that voice
     
     if (!this.apiKey) {
       throw new Error('OpenAI API key is required for realtime service');
@@ -28,14 +118,17 @@ class OpenAIRealtimeService {
    * @param {string} callId - Unique call identifier
    * @param {Object} leadData - Lead information for personalization
    * @param {Object} twilioStream - Twilio media stream
+   * @param {Object} mediaInfo - Twilio media format { encoding, sampleRate }
+   * @param {Object} context - Inbound call context { direction, knownCaller, priorCalls, lastConversation }
    */
-  async startRealtimeConversation(callId, leadData, twilioStream, mediaInfo = null) {
+  async startRealtimeConversation(callId, leadData, twilioStream, mediaInfo = null, context = null) {
     try {
       // Store connection (OpenAI WS will be connected lazily on first audio)
       this.connections.set(callId, {
         openaiWs: null,
         twilioStream,
         leadData,
+        context,
         conversationHistory: [],
         streamSid: null,
         pcmBuffer: Buffer.alloc(0),
@@ -52,8 +145,39 @@ class OpenAIRealtimeService {
         sessionReady: false,
         primed: false,
         pendingAppendBytes: 0,
+        aiSpeaking: 0,
+        guard: null,
+        endReason: null,
+        playbackQueue: Promise.resolve(),
+        playbackGeneration: 0,   // bumped on barge-in; queued audio from older generations is dropped
+        playbackAbort: new AbortController(), // stops synthesis for the current generation
+        activePlayback: null,
+        response: null,          // the model's latest reply: { id, itemId, text, heard }
+        responseActive: false,
+        cancelledResponseId: null,
+        interruptions: 0,
+        aiAudioMs: 0,
+        customerSpeechMs: 0,
+        speechStartedMs: null,
+        reconnectAttempts: 0,    // consecutive failed connections to OpenAI
+        reconnectTimer: null,
+        degraded: false,
+        turnTimings: null,       // the reply in progress: { speechEndAt, commitAt, firstTokenAt, ttsStartAt, firstAudioAt, responseId }
+        latencyTurns: 0,
+        ttsEngines: null,        // the campaign's TTS engine order
+        voice: null,             // the campaign's voice profile (null: engine defaults)
+        language: 'en',          // language the conversation is held in
+        brand: null,             // the company the call speaks for
       });
 
+      await this.startCallGuard(callId);
+      const { voice, engines, language } = await this.tts.getVoiceForCall(callId);
+      const brand = await this.brands.getForCallId(callId);
+      Object.assign(this.connections.get(callId), { voice, ttsEngines: engines, language, brand });
+
+      // Have the filler ready before it's needed; it covers a dropped OpenAI session
+      this.getFillerFrames(callId);
+
       // Start the conversation with a spoken greeting (no OpenAI yet)
       this.initiateGreeting(callId);
 
@@ -63,11 +187,54 @@ class OpenAIRealtimeService {
     }
   }
 
+  /**
+   * Caller speech transcription, hinted with the language the call is held in
+   * @param {string} language - Language code
+   * @returns {Object} input_audio_transcription
+   */
+  buildTranscriptionConfig(language) {
+    return {
+      model: 'whisper-1',
+      language: this.languages.normalize(language) // whisper takes ISO-639-1
+    };
+  }
+
   /**
    * Build personalized instructions for OpenAI
+   * @param {Object} leadData - Lead information
+   * @param {Object} context - Inbound call context, if any
+   * @param {string} language - Language the call is held in
+   * @param {Object} brand - Company the call speaks for (null: the built-in one)
+   * @returns {string}
    */
-  buildRealtimeInstructions(leadData) {
-    return `You are a professional real estate agent from Levco Real Estate Group, a local brokerage in Hollywood, Florida. 
+  buildRealtimeInstructions(leadData, context = null, language = 'en', brand = null) {
+    brand = brand || this.brands.getBuiltIn();
+    const instructions = context && context.direction === 'INBOUND'
+      ? this.buildInboundInstructions(leadData, context, brand)
+      : this.buildOutboundInstructions(leadData, brand);
+    const disclosures = this.brands.buildDisclosureInstructions(brand);
+
+    return `${instructions}
+
+${this.buildLanguageInstructions(language)}${disclosures ? `\n\n${disclosures}` : ''}`;
+  }
+
+  /**
+   * Which language to speak, and when to change it
+   */
+  buildLanguageInstructions(language) {
+    const name = this.languages.getName(this.languages.normalize(language));
+    const supported = this.languages.getSupportedLanguages().map(code => `${this.languages.getName(code)} (${code})`).join(', ');
+
+    return `LANGUAGE:
+Speak ${name} for the whole call. If the homeowner answers in or asks for another language, call the switch_language function with its code and carry on in that language. Languages you can switch to: ${supported}.`;
+  }
+
+  /**
+   * Build instructions for a call we placed to a lead
+   */
+  buildOutboundInstructions(leadData, brand) {
+    return `You are ${this.describeAgent(brand)} from ${this.brands.describe(brand)}.
 
 LEAD INFORMATION:
 - Name: ${leadData.firstName} ${leadData.lastName}
@@ -81,8 +248,8 @@ LEAD INFORMATION:
 - Marital Status: ${leadData.maritalStatus || 'Unknown'}
 
 CONVERSATION GOALS:
-1. Introduce yourself professionally as calling from Levco Real Estate Group
-2. Explain you have buyers looking in their area and want to know if they're interested in selling
+1. Introduce yourself professionally as calling from ${brand.name}
+2. Explain why you're calling: "${this.brands.getValueProposition(brand)}"
 3. Use their personal information naturally in conversation (home value, years in residence, etc.)
 4. Handle objections professionally using the lead data
 5. Try to schedule an appointment with a listing agent
@@ -97,11 +264,80 @@ CONVERSATION STYLE:
 - Keep responses concise (30-60 seconds max)
 
 CLOSING APPROACH:
-If they show interest, use: "We will be in your neighborhood this week with another homeowner, we can schedule to have one of our top agents meet you at your property as well. Does morning or evening work best? How about Monday 5pm?"
+If they show interest, use: "${this.brands.getClosingStyle(brand)}"
+
+LIVE TRANSFER:
+If they are interested and happy to talk to an agent now, call the transfer_to_agent function with a short summary for the agent. If the transfer isn't possible, offer to have an agent call them back and agree on a time.
 
 Remember: You're having a real conversation, not reading a script. Use the lead information to make it personal and relevant.`;
   }
 
+  /**
+   * Who the AI plays on a call, e.g. "Maria, a professional real estate agent"
+   */
+  describeAgent(brand) {
+    return brand.personaName
+      ? `${brand.personaName}, a professional real estate agent`
+      : 'a professional real estate agent';
+  }
+
+  /**
+   * Build instructions for a homeowner calling us
+   */
+  buildInboundInstructions(leadData, context, brand) {
+    const transferNote = `LIVE TRANSFER:
+If they want to talk to an agent now, call the transfer_to_agent function with a short summary for the agent. If the transfer isn't possible, offer to have an agent call them back and agree on a time.`;
+
+    if (!context.knownCaller) {
+      return `You are a friendly receptionist${brand.personaName ? ` named ${brand.personaName}` : ''} for ${this.brands.describe(brand)}, answering an incoming call.
+The caller's number is not in our records, so you don't know who they are or why they are calling.
+
+GOALS:
+1. Thank them for calling and find out how you can help
+2. Get their name and the address of the property they are calling about
+3. Find out if they are thinking of selling (or buying), and their timeline
+4. Offer to connect them with a listing agent, or arrange a call back
+
+Keep responses short and conversational. Never invent details about them or their property.
+
+${transferNote}`;
+    }
+
+    const priorCalls = context.priorCalls.map(call => {
+      const date = call.date ? new Date(call.date).toDateString() : 'Unknown date';
+      const details = [call.outcome, call.notes].filter(Boolean).join(' - ');
+      return `- ${date} (${call.direction.toLowerCase()}): ${details || 'No notes'}`;
+    }).join('\n');
+
+    const lastConversation = context.lastConversation
+      .map(turn => `${turn.speaker === 'AI' ? 'Us' : 'Them'}: ${turn.content}`)
+      .join('\n');
+
+    return `You are ${this.describeAgent(brand)} from ${this.brands.describe(brand)}.
+${leadData.firstName} ${leadData.lastName} is calling us back. Greet them as a returning contact and pick up where the last conversation left off.
+
+LEAD INFORMATION:
+- Name: ${leadData.firstName} ${leadData.lastName}
+- Location: ${leadData.city || 'Unknown'}, ${leadData.state || 'Unknown'}
+- Home Value: $${leadData.homeValue?.toLocaleString() || 'Unknown'}
+- Property Type: ${leadData.propertyType || 'Unknown'}
+
+PREVIOUS CALLS:
+${priorCalls || '- None recorded'}
+
+LAST CONVERSATION:
+${lastConversation || 'No transcript available'}
+
+GOALS:
+1. Thank them for calling back and ask how you can help
+2. Reference what was discussed before where it helps, without reading it back verbatim
+3. If they are interested in selling, schedule an appointment with a listing agent
+
+Keep responses concise and conversational.
+
+${transferNote}`;
+  }
+
   /**
    * Handle messages from OpenAI Realtime API
    */
@@ -115,8 +351,30 @@ Remember: You're having a real conversation, not reading a script. Use the lead
           // Ignore OpenAI audio (we use ElevenLabs voice)
           break;
 
+        case 'input_audio_buffer.speech_started':
+          connection.guard?.touch();
+          connection.speechStartedMs = message.audio_start_ms;
+          await this.handleBargeIn(callId);
+          break;
+
+        case 'input_audio_buffer.speech_stopped':
+          if (connection.speechStartedMs !== null && message.audio_end_ms >= connection.speechStartedMs) {
+            connection.customerSpeechMs += message.audio_end_ms - connection.speechStartedMs;
+          }
+          connection.speechStartedMs = null;
+          // Latency for the next reply counts from here
+          connection.turnTimings = { speechEndAt: new Date() };
+          break;
+
+        case 'input_audio_buffer.committed':
+          if (connection.turnTimings && !connection.turnTimings.commitAt) {
+            connection.turnTimings.commitAt = new Date();
+          }
+          break;
+
         case 'conversation.item.input_audio_transcription.completed':
           // Customer speech transcribed
+          connection.guard?.touch();
           const customerText = message.transcript;
           DebugLogger.logSuccess('Customer speech transcribed', {
             callId,
@@ -126,6 +384,12 @@ Remember: You're having a real conversation, not reading a script. Use the lead
           // Log to database
           await this.logInteraction(callId, 'CUSTOMER', customerText);
 
+          // Answered in another language: reply in it
+          const detected = this.languages.detectLanguage(customerText);
+          if (detected && detected !== connection.language) {
+            await this.switchLanguage(callId, detected, 'detected');
+          }
+
           // Ask the model to respond (text only; we'll synthesize with ElevenLabs)
           try {
             const responseCreate = {
@@ -140,13 +404,53 @@ Remember: You're having a real conversation, not reading a script. Use the lead
           }
           break;
 
+        case 'response.created':
+          connection.responseActive = true;
+          connection.response = { id: message.response.id, itemId: null, text: '', heard: [] };
+          connection.currentResponse = '';
+          if (connection.turnTimings && !connection.turnTimings.responseId) {
+            connection.turnTimings.responseId = message.response.id;
+          }
+          break;
+
+        case 'response.output_item.added':
+          if (message.item && message.item.type === 'message' && connection.response) {
+            connection.response.itemId = message.item.id;
+          }
+          break;
+
         case 'response.text.delta':
+          // Text still arriving from a reply the customer talked over is dropped
+          if (message.response_id && message.response_id === connection.cancelledResponseId) break;
+          if (connection.response) {
+            connection.response.text += message.delta;
+          }
+          if (this.isTimedResponse(connection, message.response_id) && !connection.turnTimings.firstTokenAt) {
+            connection.turnTimings.firstTokenAt = new Date();
+          }
           // AI text response (we'll convert to ElevenLabs audio)
-          await this.handleTextResponse(callId, message.delta);
+          await this.handleTextResponse(callId, message.delta, message.response_id);
+          break;
+
+        case 'response.function_call_arguments.done':
+          if (message.name === 'transfer_to_agent') {
+            await this.handleTransferRequest(callId, message);
+          } else if (message.name === 'switch_language') {
+            await this.handleLanguageSwitchRequest(callId, message);
+          }
           break;
 
         case 'response.done':
           // Response complete
+          connection.responseActive = false;
+          if (connection.currentResponse && message.response?.id !== connection.cancelledResponseId) {
+            // Speak any trailing text that didn't end a sentence
+            const remainder = connection.currentResponse.trim();
+            connection.currentResponse = '';
+            if (remainder) {
+              this.convertToElevenLabsAudio(callId, remainder, message.response?.id);
+            }
+          }
           DebugLogger.logSuccess('AI response complete', { callId });
           break;
 
@@ -159,6 +463,195 @@ Remember: You're having a real conversation, not reading a script. Use the lead
     }
   }
 
+  /**
+   * Hand the call to a live agent when the model asks for it
+   */
+  async handleTransferRequest(callId, message) {
+    const connection = this.connections.get(callId);
+    if (!connection || connection.transferring) return;
+
+    let summary = '';
+    try {
+      summary = JSON.parse(message.arguments || '{}').summary || '';
+    } catch (e) {
+      summary = '';
+    }
+
+    connection.transferring = true;
+    DebugLogger.logSuccess('AI requested live transfer', { callId, summary });
+
+    let result;
+    try {
+      await this.convertToElevenLabsAudio(callId, this.languages.getPhrase('transferConnecting', connection.language));
+      result = await this.transferService.requestTransfer(callId, summary);
+    } catch (error) {
+      DebugLogger.logCallError(callId, error, 'live_transfer');
+      result = { success: false, reason: 'FAILED' };
+    }
+
+    if (result.success) {
+      // Twilio replaces the stream with the agent dial; the stream stop event ends this conversation
+      return;
+    }
+
+    // No transfer possible: let the model offer a callback instead
+    connection.transferring = false;
+    try {
+      connection.openaiWs.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'function_call_output',
+          call_id: message.call_id,
+          output: JSON.stringify({
+            success: false,
+            callbackAt: result.callbackAt ? result.callbackAt.toISOString() : null,
+            message: 'No agent is available right now. Apologize and let them know a listing agent will call them back; confirm a day and time that works.'
+          })
+        }
+      }));
+      connection.openaiWs.send(JSON.stringify({
+        type: 'response.create',
+        response: { modalities: ['text'] }
+      }));
+    } catch (e) {
+      DebugLogger.logCallError(callId, e, 'transfer_fallback_response');
+    }
+  }
+
+  /**
+   * Carry on in the language the model asked for
+   */
+  async handleLanguageSwitchRequest(callId, message) {
+    const connection = this.connections.get(callId);
+    if (!connection) return;
+
+    let language = '';
+    try {
+      language = JSON.parse(message.arguments || '{}').language || '';
+    } catch (e) {
+      language = '';
+    }
+
+    const switched = await this.switchLanguage(callId, language, 'model');
+    try {
+      connection.openaiWs.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'function_call_output',
+          call_id: message.call_id,
+          output: JSON.stringify(switched || this.languages.isSupported(language)
+            ? { success: true, language: this.languages.getName(connection.language) }
+            : { success: false, message: `Unsupported language. Carry on in ${this.languages.getName(connection.language)}.` })
+        }
+      }));
+      connection.openaiWs.send(JSON.stringify({
+        type: 'response.create',
+        response: { modalities: ['text'] }
+      }));
+    } catch (e) {
+      DebugLogger.logCallError(callId, e, 'language_switch_response');
+    }
+  }
+
+  /**
+   * Move a live call to another language: its voice, the model's
+   * instructions and the transcription hint all follow
+   * @param {string} callId - Call ID
+   * @param {string} language - Language code
+   * @param {string} reason - detected or model
+   * @returns {Promise<boolean>} Whether the language changed
+   */
+  async switchLanguage(callId, language, reason) {
+    const connection = this.connections.get(callId);
+    if (!connection) return false;
+
+    try {
+      const switched = await this.languages.switchCallLanguage(callId, language, {
+        from: connection.language,
+        source: 'realtime',
+        reason
+      });
+      if (!switched) return false;
+
+      const { voice, engines } = await this.tts.getVoiceForCall(callId);
+      Object.assign(connection, { voice, ttsEngines: engines, language: switched });
+      this.getFillerFrames(callId);
+
+      if (connection.openaiWs && connection.openaiConnected) {
+        connection.openaiWs.send(JSON.stringify({
+          type: 'session.update',
+          session: {
+            instructions: this.buildRealtimeInstructions(connection.leadData, connection.context, switched, connection.brand),
+            input_audio_transcription: this.buildTranscriptionConfig(switched)
+          }
+        }));
+      }
+      return true;
+    } catch (error) {
+      DebugLogger.logCallError(callId, error, 'language_switch');
+      return false;
+    }
+  }
+
+  /**
+   * Act on a key the caller pressed (a Twilio dtmf event)
+   * @param {string} callId - Call ID
+   * @param {string} digit - Key pressed
+   */
+  async handleKeypress(callId, digit) {
+    const connection = this.connections.get(callId);
+    if (!connection || connection.transferring || connection.endReason) return;
+
+    connection.guard?.touch();
+    const result = await this.keypad.handleKeypress(callId, digit, 'realtime');
+    if (!result.action) return;
+
+    // A keypress cuts the AI off just like speaking over it
+    await this.handleBargeIn(callId);
+
+    if (result.endReason) {
+      await this.hangUp(callId, result.endReason, result.message, digit);
+      return;
+    }
+
+    if (result.action === 'TRANSFER') {
+      connection.transferring = true;
+      await this.convertToElevenLabsAudio(callId, result.message);
+      const transfer = await this.keypad.transfer(callId, result.language);
+      if (transfer.success) return; // the stream stop event ends this conversation
+
+      connection.transferring = false;
+      await this.convertToElevenLabsAudio(callId, transfer.message);
+      this.addSystemNote(callId, 'The homeowner pressed a key to reach an agent, but none was available. They were told an agent will call them back. Carry on the conversation.');
+      return;
+    }
+
+    if (result.message) {
+      await this.convertToElevenLabsAudio(callId, result.message);
+    }
+  }
+
+  /**
+   * Tell the model about something that happened outside the conversation
+   */
+  addSystemNote(callId, text) {
+    const connection = this.connections.get(callId);
+    if (!connection || !connection.openaiWs || connection.openaiWs.readyState !== WebSocket.OPEN) return;
+
+    try {
+      connection.openaiWs.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'system',
+          content: [{ type: 'input_text', text }]
+        }
+      }));
+    } catch (e) {
+      DebugLogger.logCallError(callId, e, 'system_note');
+    }
+  }
+
   /**
    * Handle AI audio response (replace with ElevenLabs)
    */
@@ -167,45 +660,126 @@ Remember: You're having a real conversation, not reading a script. Use the lead
   }
 
   /**
-   * Handle AI text response and convert to ElevenLabs audio
+   * Handle AI text response: each sentence goes to TTS as soon as it's complete
    */
-  async handleTextResponse(callId, textDelta) {
+  async handleTextResponse(callId, textDelta, responseId = null) {
     const connection = this.connections.get(callId);
     if (!connection) return;
 
-    // Accumulate text response
-    if (!connection.currentResponse) {
-      connection.currentResponse = '';
+    const { sentences, rest } = takeSentences((connection.currentResponse || '') + textDelta);
+    connection.currentResponse = rest;
+
+    // Rendering starts for every sentence now; playback keeps them in order
+    for (const sentence of sentences) {
+      this.convertToElevenLabsAudio(callId, sentence, responseId);
     }
-    connection.currentResponse += textDelta;
+  }
+
+  /**
+   * Whether a response is the reply whose latency is being timed
+   */
+  isTimedResponse(connection, responseId) {
+    return Boolean(responseId && connection.turnTimings && connection.turnTimings.responseId === responseId);
+  }
+
+  /**
+   * The reply's first audio went out: save the turn's timings
+   */
+  finishTurnTimings(callId) {
+    const connection = this.connections.get(callId);
+    if (!connection || !connection.turnTimings) return;
+
+    const timings = { ...connection.turnTimings, firstAudioAt: new Date() };
+    connection.turnTimings = null;
+    connection.latencyTurns++;
+    this.latency.recordTurn(callId, 'REALTIME', connection.latencyTurns, timings);
+  }
 
-    // When we have a complete sentence, convert to ElevenLabs audio
-    if (textDelta.includes('.') || textDelta.includes('!') || textDelta.includes('?')) {
-      await this.convertToElevenLabsAudio(callId, connection.currentResponse);
-      connection.currentResponse = '';
+  /**
+   * Convert text to ElevenLabs audio and stream to call. Audio is rendered right
+   * away and streamed as it arrives, but played in the order it was queued, one
+   * sentence at a time.
+   * @param {string} callId - Call ID
+   * @param {string} text - What the AI says
+   * @param {string} responseId - OpenAI response the text belongs to, if any
+   */
+  async convertToElevenLabsAudio(callId, text, responseId = null) {
+    const connection = this.connections.get(callId);
+    if (!connection) return;
+
+    if (this.isTimedResponse(connection, responseId) && !connection.turnTimings.ttsStartAt) {
+      connection.turnTimings.ttsStartAt = new Date();
     }
+
+    const rendering = this.renderFrames(text, callId);
+    await this.playAudio(callId, text, rendering, { responseId });
   }
 
   /**
-   * Convert text to ElevenLabs audio and stream to call
+   * Speech as 20ms mu-law frames, from the call's TTS engines in failover
+   * order. Engines are asked for stream audio and frames are available as
+   * soon as the first audio arrives; a barge-in stops the synthesis.
+   * @returns {MulawFrameStream}
    */
-  async convertToElevenLabsAudio(callId, text) {
-    try {
-      const connection = this.connections.get(callId);
-      if (!connection) return;
+  renderFrames(text, callId = null) {
+    const connection = callId ? this.connections.get(callId) : null;
+    const signal = connection ? connection.playbackAbort.signal : null;
+    const frames = new MulawFrameStream({ frameMs: 20 });
 
-      // Generate ElevenLabs audio
-      const ElevenLabsService = require('./elevenLabsService');
-      const elevenLabs = new ElevenLabsService();
-      
-      const mp3Buffer = await elevenLabs.generateSalesAudio(text, 'professional', callId);
+    this.tts.speakStream(text, {
+      callId,
+      engines: connection ? connection.ttsEngines : null,
+      voice: connection ? connection.voice : null,
+      signal
+    }, (chunk, format) => frames.write(chunk, format))
+      .then(() => frames.end())
+      .catch((error) => {
+        if (signal && signal.aborted) {
+          frames.end(); // talked over; what's already framed is never played
+        } else {
+          frames.fail(error);
+        }
+      });
 
-      // Convert ElevenLabs audio (mp3) to 8k mulaw frames
-      const frames = await mp3ToMulawChunks(mp3Buffer, 20);
+    return frames;
+  }
+
+  /**
+   * Frames expected for a line: exact once all of its audio is in, estimated until then
+   */
+  expectedFrames(frames, text) {
+    if (Array.isArray(frames) || frames.done) return frames.length;
+    return Math.max(frames.length, Math.ceil((text.length * SPEECH_MS_PER_CHARACTER) / 20));
+  }
 
-      // Stream frames to Twilio as base64 payloads
-      for (const frame of frames) {
-        if (!connection.twilioStream) break;
+  /**
+   * Queue audio for the caller
+   * @param {string} callId - Call ID
+   * @param {string} text - What the audio says
+   * @param {Promise<Array<Buffer>>|MulawFrameStream} rendering - Frames, possibly still rendering or arriving
+   * @param {Object} options - { responseId, log: whether it goes in the transcript }
+   */
+  async playAudio(callId, text, rendering, { responseId = null, log = true } = {}) {
+    const connection = this.connections.get(callId);
+    if (!connection) return;
+
+    const generation = connection.playbackGeneration;
+    connection.aiSpeaking++;
+    if (rendering.catch) {
+      rendering.catch(() => {}); // handled when its turn comes to play
+    }
+
+    const turn = connection.playbackQueue.then(async () => {
+      const frames = await rendering;
+      if (generation !== connection.playbackGeneration) return; // talked over before it started
+
+      const playback = { text, responseId, totalFrames: this.expectedFrames(frames, text), sentFrames: 0 };
+      connection.activePlayback = playback;
+
+      // Stream frames to Twilio as base64 payloads, as they arrive
+      for await (const frame of frames) {
+        if (!connection.twilioStream || generation !== connection.playbackGeneration) break;
+        playback.totalFrames = this.expectedFrames(frames, text);
         const payload = frame.toString('base64');
         const msg = {
           event: 'media',
@@ -215,14 +789,148 @@ Remember: You're having a real conversation, not reading a script. Use the lead
           msg.streamSid = connection.streamSid;
         }
         connection.twilioStream.send(JSON.stringify(msg));
+        if (playback.sentFrames === 0 && this.isTimedResponse(connection, responseId)) {
+          this.finishTurnTimings(callId);
+        }
+        playback.sentFrames++;
+        connection.aiAudioMs += 20;
         await sleep(20);
       }
 
+      if (connection.activePlayback === playback) {
+        connection.activePlayback = null;
+      }
+      // Cut off by a barge-in, which logs the part that was heard
+      if (generation !== connection.playbackGeneration) return;
+
+      if (responseId && connection.response && connection.response.id === responseId) {
+        connection.response.heard.push(text);
+      }
+
       // Log the interaction
-      await this.logInteraction(callId, 'AI', text);
+      if (log) {
+        await this.logInteraction(callId, 'AI', text);
+      }
+    });
+    connection.playbackQueue = turn.catch(() => {});
 
+    try {
+      await turn;
     } catch (error) {
       DebugLogger.logCallError(callId, error, 'elevenlabs_conversion');
+    } finally {
+      // Dead air is counted from when the AI stops talking
+      connection.aiSpeaking--;
+      connection.guard?.touch();
+    }
+  }
+
+  /**
+   * The customer started talking over the AI: stop the audio, stop the model,
+   * and keep only what the customer actually heard in the transcript
+   */
+  async handleBargeIn(callId) {
+    const connection = this.connections.get(callId);
+    if (!connection || connection.transferring || connection.endReason) return;
+    if (connection.aiSpeaking === 0 && !connection.responseActive) return;
+
+    const playback = connection.activePlayback;
+    const response = connection.response;
+    connection.playbackGeneration++;
+    connection.playbackAbort.abort();
+    connection.playbackAbort = new AbortController();
+    connection.activePlayback = null;
+    connection.currentResponse = '';
+    connection.interruptions++;
+
+    // Twilio drops whatever audio it has buffered but not yet played
+    if (connection.twilioStream && connection.streamSid) {
+      try {
+        connection.twilioStream.send(JSON.stringify({ event: 'clear', streamSid: connection.streamSid }));
+      } catch (e) {
+        DebugLogger.logCallError(callId, e, 'barge_in_clear');
+      }
+    }
+
+    const openaiOpen = connection.openaiWs && connection.openaiWs.readyState === WebSocket.OPEN;
+    if (openaiOpen && connection.responseActive && response) {
+      connection.cancelledResponseId = response.id;
+      connection.responseActive = false;
+      connection.openaiWs.send(JSON.stringify({ type: 'response.cancel' }));
+    }
+
+    const heardPart = playback
+      ? this.truncateToHeard(playback.text, playback.sentFrames / (playback.totalFrames || 1))
+      : '';
+    if (heardPart) {
+      await this.logInteraction(callId, 'AI', `${heardPart}—`);
+    }
+
+    // The model should remember its reply as it was heard, not as it was written
+    if (openaiOpen && response && response.itemId) {
+      const heard = [...response.heard, playback && playback.responseId === response.id ? heardPart : '']
+        .filter(Boolean).join(' ').trim();
+      if (heard !== response.text.trim()) {
+        connection.openaiWs.send(JSON.stringify({ type: 'conversation.item.delete', item_id: response.itemId }));
+        if (heard) {
+          connection.openaiWs.send(JSON.stringify({
+            type: 'conversation.item.create',
+            item: {
+              type: 'message',
+              role: 'assistant',
+              content: [{ type: 'text', text: `${heard}—` }]
+            }
+          }));
+        }
+      }
+      response.itemId = null;
+    }
+
+    await this.stateMachine.recordEvent(callId, 'BARGE_IN', {
+      source: 'realtime',
+      data: {
+        heard: heardPart || null,
+        cutOff: playback ? playback.text : null,
+        playedMs: playback ? playback.sentFrames * 20 : 0
+      }
+    });
+
+    DebugLogger.logSuccess('Customer barged in', { callId, interruptions: connection.interruptions });
+  }
+
+  /**
+   * The start of a sentence, cut at a word boundary, in proportion to how much was played
+   * @param {string} text - Full sentence
+   * @param {number} fraction - Share of the audio that was played (0-1)
+   * @returns {string}
+   */
+  truncateToHeard(text, fraction) {
+    const cut = Math.floor(text.length * Math.min(Math.max(fraction, 0), 1));
+    if (cut >= text.length) return text.trim();
+    const wordEnd = text.lastIndexOf(' ', cut);
+    return wordEnd > 0 ? text.slice(0, wordEnd).trim() : '';
+  }
+
+  /**
+   * Save measured talk time, listen time and interruptions for a finished conversation
+   */
+  async saveConversationAnalytics(callId, connection) {
+    if (!connection.aiAudioMs && !connection.customerSpeechMs) return; // nothing was said
+
+    const measured = {
+      talkTime: Math.round(connection.aiAudioMs / 1000),
+      listenTime: Math.round(connection.customerSpeechMs / 1000),
+      interruptionCount: connection.interruptions
+    };
+
+    try {
+      await prisma.callAnalytics.upsert({
+        where: { callId },
+        create: { callId, ...measured },
+        update: measured
+      });
+    } catch (error) {
+      DebugLogger.logCallError(callId, error, 'realtime_analytics');
     }
   }
 
@@ -276,6 +984,9 @@ Remember: You're having a real conversation, not reading a script. Use the lead
         const minBytes100 = Math.ceil(sampleRate * 0.1) * 2;
         const rms = computeRmsPCM16LE(chunk);
         const RMS_THRESHOLD = 300; // lowered to detect softer speech
+        if (rms > RMS_THRESHOLD) {
+          connection.guard?.touch();
+        }
         if (rms > RMS_THRESHOLD && connection.pcmBuffer.length >= minBytes100) {
           if (connection.commitTimer) clearTimeout(connection.commitTimer);
           connection.commitTimer = setTimeout(() => {
@@ -297,7 +1008,7 @@ Remember: You're having a real conversation, not reading a script. Use the lead
 
     // Ensure OpenAI connection is ready; if not, kick off connect and retry later
     if (!connection.openaiWs || connection.openaiWs.readyState !== WebSocket.OPEN) {
-      if (!connection.openaiConnecting) {
+      if (!connection.openaiConnecting && !connection.reconnectTimer && !connection.degraded) {
         this.ensureOpenAIConnected(callId).catch(err => DebugLogger.logCallError(callId, err, 'openai_connect'));
       }
       // keep buffer intact and retry shortly if we have audio
@@ -417,7 +1128,7 @@ Remember: You're having a real conversation, not reading a script. Use the lead
     if (!connection || connection.openaiConnected || connection.openaiConnecting) return;
     connection.openaiConnecting = true;
 
-    const openaiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01', {
+    const openaiWs = new WebSocket(this.realtimeUrl, {
       headers: {
         'Authorization': `Bearer ${this.apiKey}`,
         'OpenAI-Beta': 'realtime=v1'
@@ -437,12 +1148,12 @@ Remember: You're having a real conversation, not reading a script. Use the lead
         type: 'session.update',
         session: {
           modalities: ['text', 'audio'],
-          instructions: this.buildRealtimeInstructions(conn.leadData),
+          instructions: this.buildRealtimeInstructions(conn.leadData, conn.context, conn.language, conn.brand),
           voice: 'alloy',
           input_audio_format: fmt,
           output_audio_format: 'pcm16',
-          input_audio_transcription: { model: 'whisper-1' },
-          tools: [],
+          input_audio_transcription: this.buildTranscriptionConfig(conn.language),
+          tools: [TRANSFER_TOOL, SWITCH_LANGUAGE_TOOL],
           tool_choice: 'auto',
           temperature: 0.8,
           max_response_output_tokens: 4096
@@ -462,6 +1173,9 @@ Remember: You're having a real conversation, not reading a script. Use the lead
           if (conn) {
             conn.sessionReady = true;
             console.log(`✅ OpenAI session updated for ${callId}`);
+            if (conn.reconnectAttempts > 0) {
+              await this.restoreSession(callId);
+            }
             if (conn.pcmBuffer && conn.pcmBuffer.length > 0 && !conn.commitTimer) {
               conn.commitTimer = setTimeout(() => {
                 this.flushAudioToOpenAI(callId).catch(err => DebugLogger.logCallError(callId, err, 'flush_after_session_ready'));
@@ -495,13 +1209,209 @@ Remember: You're having a real conversation, not reading a script. Use the lead
     openaiWs.on('close', (code, reason) => {
       console.log(`🔌 OpenAI WebSocket closed for ${callId}:`, code, reason?.toString?.());
       const conn = this.connections.get(callId);
-      if (conn) {
-        conn.openaiConnected = false;
-        conn.openaiConnecting = false;
-      }
+      // Closed by endConversation, or an old socket we've already replaced
+      if (!conn || conn.openaiWs !== openaiWs) return;
+
+      conn.openaiConnected = false;
+      conn.openaiConnecting = false;
+      conn.sessionReady = false;
+      conn.responseActive = false;
+      conn.pendingAppendBytes = 0;
+      this.scheduleReconnect(callId, code).catch(err => DebugLogger.logCallError(callId, err, 'openai_reconnect'));
     });
   }
 
+  /**
+   * The OpenAI session dropped mid-call: retry with backoff, covering the gap with
+   * a filler line, and hand the call to the simple voice flow if it won't come back
+   */
+  async scheduleReconnect(callId, closeCode) {
+    const connection = this.connections.get(callId);
+    if (!connection || connection.endReason || connection.degraded) return;
+
+    connection.reconnectAttempts++;
+    if (connection.reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+      await this.degradeToSimpleVoice(callId);
+      return;
+    }
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (connection.reconnectAttempts - 1), RECONNECT_MAX_DELAY);
+    connection.reconnectTimer = setTimeout(() => {
+      connection.reconnectTimer = null;
+      this.ensureOpenAIConnected(callId).catch(err => DebugLogger.logCallError(callId, err, 'openai_reconnect'));
+    }, delay);
+
+    if (connection.reconnectAttempts === 1) {
+      this.playFiller(callId);
+    }
+
+    await this.stateMachine.recordEvent(callId, 'REALTIME_RECONNECTING', {
+      source: 'realtime',
+      data: { attempt: connection.reconnectAttempts, closeCode, delayMs: delay }
+    });
+  }
+
+  /**
+   * A reconnected session starts empty: give it the conversation so far and let it carry on
+   */
+  async restoreSession(callId) {
+    const connection = this.connections.get(callId);
+    if (!connection) return;
+
+    const attempts = connection.reconnectAttempts;
+    connection.reconnectAttempts = 0;
+
+    try {
+      const interactions = await prisma.interaction.findMany({
+        where: { callId },
+        orderBy: { timestamp: 'asc' }
+      });
+
+      for (const interaction of interactions) {
+        const fromAI = interaction.speaker === 'AI';
+        connection.openaiWs.send(JSON.stringify({
+          type: 'conversation.item.create',
+          item: {
+            type: 'message',
+            role: fromAI ? 'assistant' : 'user',
+            content: [{ type: fromAI ? 'text' : 'input_text', text: interaction.content }]
+          }
+        }));
+      }
+
+      connection.openaiWs.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'system',
+          content: [{
+            type: 'input_text',
+            text: 'The line dropped for a moment. Briefly apologize for the interruption and pick up where the conversation left off.'
+          }]
+        }
+      }));
+      connection.openaiWs.send(JSON.stringify({
+        type: 'response.create',
+        response: { modalities: ['text'] }
+      }));
+
+      await this.stateMachine.recordEvent(callId, 'REALTIME_RECONNECTED', {
+        source: 'realtime',
+        data: { attempts, restoredTurns: interactions.length }
+      });
+      DebugLogger.logSuccess('OpenAI Realtime session restored', { callId, attempts, restoredTurns: interactions.length });
+    } catch (error) {
+      DebugLogger.logCallError(callId, error, 'openai_session_restore');
+    }
+  }
+
+  /**
+   * Out of reconnect attempts: move the live call over to the Gather-based simple voice loop
+   */
+  async degradeToSimpleVoice(callId) {
+    const connection = this.connections.get(callId);
+    if (!connection || connection.degraded) return;
+    connection.degraded = true;
+    clearTimeout(connection.reconnectTimer);
+
+    try {
+      const call = await prisma.call.findUnique({
+        where: { id: callId },
+        include: { lead: true }
+      });
+      if (!call || !call.twilioCallSid) {
+        throw new Error(`Call ${callId} has no live provider call`);
+      }
+
+      await this.stateMachine.recordEvent(callId, 'DEGRADED_TO_SIMPLE', {
+        source: 'realtime',
+        dedupeKey: `${callId}:DEGRADED_TO_SIMPLE`,
+        data: { attempts: connection.reconnectAttempts - 1 }
+      });
+
+      // New TwiML replaces the media stream, whose stop event ends this conversation
+      const twiml = await this.simpleVoice.resumeConversation(call);
+      await getTelephonyProvider().updateCallTwiml(call.twilioCallSid, twiml);
+
+      DebugLogger.logSuccess('Realtime call moved to simple voice', { callId });
+    } catch (error) {
+      // Nothing left to talk to; the call guard's dead-air timeout ends the call
+      DebugLogger.logCallError(callId, error, 'degrade_to_simple_voice');
+    }
+  }
+
+  /**
+   * Frames for the reconnect filler, rendered once
+   * @returns {Promise<Array<Buffer>>}
+   */
+  getFillerFrames(callId) {
+    const connection = this.connections.get(callId);
+    const voice = connection ? connection.voice : null;
+    const language = connection ? connection.language : 'en';
+    const text = this.languages.getPhrase('reconnectFiller', language);
+    // Edited profiles keep their id, so the edit time is part of the key
+    const key = `${language}:${voice && voice.id ? `${voice.id}:${new Date(voice.updatedAt).getTime()}` : 'default'}`;
+
+    if (!this.fillerFrames.has(key)) {
+      const rendering = this.tts.speak(text, {
+        engines: connection ? connection.ttsEngines : null,
+        voice,
+        target: 'stream',
+        record: false
+      }).then(({ audio, format }) => toMulawChunks(audio, format, 20));
+      this.fillerFrames.set(key, rendering);
+      rendering.catch((error) => {
+        DebugLogger.logElevenLabsError(error, 'reconnect_filler', text.length);
+        this.fillerFrames.delete(key); // try again next call
+      });
+    }
+    return this.fillerFrames.get(key);
+  }
+
+  playFiller(callId) {
+    const connection = this.connections.get(callId);
+    if (!connection || connection.aiSpeaking > 0) return; // already talking; no gap to cover
+
+    const text = this.languages.getPhrase('reconnectFiller', connection.language);
+    this.playAudio(callId, text, this.getFillerFrames(callId), { log: false });
+  }
+
+  /**
+   * Opening line for a call
+   * @param {Object} leadData - Lead information
+   * @param {Object} context - Inbound call context, if any
+   * @param {string} language - Language the call is held in
+   * @param {Object} brand - Company the call speaks for (null: the built-in one)
+   * @returns {string}
+   */
+  buildGreeting(leadData, context = null, language = 'en', brand = null) {
+    const vars = this.brands.getPhraseVariables(brand);
+    let greeting;
+    if (context && context.direction === 'INBOUND') {
+      greeting = context.knownCaller && leadData.firstName !== 'Unknown'
+        ? this.languages.getPhrase('inboundGreetingKnown', language, { ...vars, firstName: leadData.firstName })
+        : this.languages.getPhrase('inboundGreeting', language, vars);
+    } else {
+      greeting = this.languages.getPhrase('greeting', language, { ...leadData, ...vars });
+    }
+    return this.brands.withDisclosures(greeting, brand);
+  }
+
+  /**
+   * Fixed lines this mode can say on any call, for pre-rendering
+   * @param {string} language - Language code
+   * @param {Object} brand - Company inbound calls speak for
+   * @returns {Array<string>}
+   */
+  getStockPhrases(language = 'en', brand = null) {
+    return [
+      this.languages.getPhrase('reconnectFiller', language),
+      this.languages.getPhrase('deadAirGoodbye', language),
+      this.buildGreeting({ firstName: 'Unknown' }, { direction: 'INBOUND', knownCaller: false }, language, brand),
+      ...this.keypad.getStockPhrases(language)
+    ];
+  }
+
   /**
    * Start the conversation with a greeting
    */
@@ -509,8 +1419,8 @@ Remember: You're having a real conversation, not reading a script. Use the lead
     const connection = this.connections.get(callId);
     if (!connection) return;
 
-    const greeting = `Hello, is this ${connection.leadData.firstName} ${connection.leadData.lastName}?`;
-    
+    const greeting = this.buildGreeting(connection.leadData, connection.context, connection.language, connection.brand);
+
     // Speak greeting with ElevenLabs so caller hears audio promptly
     try {
       await this.convertToElevenLabsAudio(callId, greeting);
@@ -519,14 +1429,100 @@ Remember: You're having a real conversation, not reading a script. Use the lead
     }
   }
 
+  /**
+   * Enforce the call limits from settings on a live conversation
+   */
+  async startCallGuard(callId) {
+    const limits = await this.settings.getCallSettings();
+    const connection = this.connections.get(callId);
+    if (!connection) return;
+
+    connection.guard = new CallGuard(callId, limits, {
+      onWrapUp: () => this.requestWrapUp(callId),
+      onMaxDuration: () => this.hangUp(callId, 'MAX_DURATION'),
+      onDeadAir: () => this.hangUp(callId, 'DEAD_AIR', this.languages.getPhrase('deadAirGoodbye', this.connections.get(callId)?.language)),
+      isBusy: () => connection.aiSpeaking > 0 || Boolean(connection.transferring)
+    });
+    connection.guard.start();
+  }
+
+  /**
+   * Near the max duration: tell the model to close out in its next reply
+   */
+  async requestWrapUp(callId) {
+    const connection = this.connections.get(callId);
+    if (!connection || connection.transferring) return;
+
+    const secondsLeft = connection.guard.limits.wrapUpWarning;
+    await this.stateMachine.recordEvent(callId, 'WRAP_UP_REQUESTED', {
+      source: 'call_guard',
+      data: { secondsLeft }
+    });
+
+    if (!connection.openaiWs || connection.openaiWs.readyState !== WebSocket.OPEN) return;
+
+    try {
+      connection.openaiWs.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'system',
+          content: [{
+            type: 'input_text',
+            text: `This call will end in about ${secondsLeft} seconds. In your next reply, wrap up: if they are interested, confirm the next step with an agent; otherwise thank them and say goodbye. Do not start anything new.`
+          }]
+        }
+      }));
+    } catch (e) {
+      DebugLogger.logCallError(callId, e, 'wrap_up_prompt');
+    }
+  }
+
+  /**
+   * End the call from our side, optionally saying goodbye first, and record why
+   * @param {string} callId - Call ID
+   * @param {string} reason - MAX_DURATION, DEAD_AIR, OPT_OUT or CALLBACK
+   * @param {string} goodbye - Text to speak before hanging up
+   * @param {string} digit - Key that ended the call, when the customer ended it from the keypad
+   */
+  async hangUp(callId, reason, goodbye = null, digit = null) {
+    const connection = this.connections.get(callId);
+    if (!connection || connection.endReason) return;
+    if (connection.transferring) {
+      // The call is being handed to an agent; the transfer owns it from here
+      DebugLogger.logSuccess('Call guard skipped during transfer', { callId, reason });
+      return;
+    }
+    connection.endReason = reason;
+    connection.guard.stop();
+
+    const elapsedSeconds = connection.guard.elapsedSeconds();
+    if (goodbye) {
+      await this.convertToElevenLabsAudio(callId, goodbye);
+      await sleep(1000); // let the last of the audio play out
+    }
+
+    try {
+      const call = digit
+        ? await this.stateMachine.recordKeypadHangup(callId, reason, { digit, elapsedSeconds })
+        : await this.stateMachine.recordAutoHangup(callId, reason, { elapsedSeconds });
+      if (call.twilioCallSid) {
+        await getTelephonyProvider().hangupCall(call.twilioCallSid);
+      }
+
+      DebugLogger.logSuccess(digit ? 'Call ended from keypad' : 'Call ended by call guard', { callId, reason, elapsedSeconds });
+    } catch (error) {
+      DebugLogger.logCallError(callId, error, `auto_hangup_${reason.toLowerCase()}`);
+    }
+
+    this.endConversation(callId);
+  }
+
   /**
    * Log interaction to database
    */
   async logInteraction(callId, speaker, content) {
     try {
-      const { PrismaClient } = require('@prisma/client');
-      const prisma = new PrismaClient();
-
       await prisma.interaction.create({
         data: {
           callId,
@@ -548,10 +1544,17 @@ Remember: You're having a real conversation, not reading a script. Use the lead
   endConversation(callId) {
     const connection = this.connections.get(callId);
     if (connection) {
+      if (connection.guard) {
+        connection.guard.stop();
+      }
+      clearTimeout(connection.reconnectTimer);
       if (connection.openaiWs) {
         connection.openaiWs.close();
       }
+      connection.twilioStream = null; // stops any audio still being streamed
+      connection.playbackAbort.abort();
       this.connections.delete(callId);
+      this.saveConversationAnalytics(callId, connection);
       
       DebugLogger.logSuccess('Realtime conversation ended', { callId });
     }
@@ -1,18 +1,32 @@
 const OpenAI = require('openai');
+const LanguageService = require('./languageService');
+const BrandService = require('./brandService');
 
 class OpenAIService {
   constructor() {
     this.client = new OpenAI({
       apiKey: process.env.OPENAI_API_KEY,
     });
-    
-    this.salesPersona = `You are an expert AI sales representative calling on behalf of Levco Real Estate Group, a local brokerage in Hollywood. You are professional, persuasive, and empathetic.
+    this.languages = new LanguageService();
+    this.brands = new BrandService();
+  }
+
+  /**
+   * System prompt for sales conversations, written for a brand
+   * @param {Object} brand - Resolved brand
+   * @returns {string}
+   */
+  buildSalesPersona(brand) {
+    const identity = brand.personaName ? `${brand.personaName}, an expert` : 'an expert AI';
+    const disclosures = this.brands.buildDisclosureInstructions(brand);
+
+    return `You are ${identity} sales representative calling on behalf of ${this.brands.describe(brand)}. You are professional, persuasive, and empathetic.
 
     YOUR INTRODUCTION AND PURPOSE:
-    "We are realtors from Levco Real Estate Group, a local brokerage here in Hollywood. We are reaching out to homeowners because we have buyers looking in the area and want to know if they are interested in selling. We then will set up appointments with them with the listing agent so we can get the property sold."
+    "We are realtors from ${brand.name}, a local brokerage here in ${brand.market}. ${this.brands.getValueProposition(brand)}"
 
     CONVERSATION APPROACH:
-    - Start with the Levco Real Estate Group introduction naturally
+    - Start with the ${brand.name} introduction naturally
     - Explain you have buyers actively looking in their specific area
     - Focus on the opportunity to sell their property quickly
     - Offer to set up appointments with listing agents
@@ -24,17 +38,11 @@ class OpenAIService {
     - Always maintain a professional, friendly tone
 
     CLOSING APPROACH FOR APPOINTMENTS:
-    Use this natural closing technique: "We will be in your neighborhood this week with another homeowner, we can schedule to have one of our top agents meet you at your property as well."
-    
-    Then offer specific time options:
-    - "Does morning or evening work best for you?"
-    - "How about Monday at 5pm?"
-    - "Would Tuesday morning around 10am work better?"
-    - "What day this week would be most convenient?"
-    
-    This creates urgency (we're already in the neighborhood) and makes it easy for them to say yes to a specific time.
+    Use this closing: "${this.brands.getClosingStyle(brand)}"
     
-    Remember: You're having a phone conversation, so keep responses conversational and natural. Always work the Levco Real Estate Group introduction into your opening or early in the conversation.`;
+    Then offer specific time options, e.g. "Does morning or evening work best for you?" or "What day this week would be most convenient?"
+    ${disclosures ? `\n    ${disclosures}\n` : ''}
+    Remember: You're having a phone conversation, so keep responses conversational and natural. Always work the ${brand.name} introduction into your opening or early in the conversation.`;
   }
 
   /**
@@ -42,14 +50,16 @@ class OpenAIService {
    * @param {Array} conversationHistory - Previous conversation messages
    * @param {Object} leadInfo - Information about the lead
    * @param {string} context - Current conversation context
+   * @param {Object} brand - Brand the call speaks for; null = the default
    * @returns {Promise<Object>} AI response with analysis
    */
-  async generateSalesResponse(conversationHistory, leadInfo, context = '') {
+  async generateSalesResponse(conversationHistory, leadInfo, context = '', brand = null) {
     try {
       // Build comprehensive lead profile for AI context
       const leadProfile = this.buildLeadProfile(leadInfo);
+      const salesPersona = this.buildSalesPersona(await this.brands.resolve(brand));
       
-      const systemPrompt = `${this.salesPersona}
+      const systemPrompt = `${salesPersona}
       
       ${leadProfile}
       
@@ -232,11 +242,13 @@ class OpenAIService {
    * Generate objection handling response
    * @param {string} objection - Customer objection
    * @param {Object} leadInfo - Lead information
+   * @param {Object} brand - Brand the call speaks for; null = the default
    * @returns {Promise<string>} Objection handling response
    */
-  async handleObjection(objection, leadInfo) {
+  async handleObjection(objection, leadInfo, brand = null) {
     try {
       const leadProfile = this.buildLeadProfile(leadInfo);
+      const salesPersona = this.buildSalesPersona(await this.brands.resolve(brand));
       
       const objectionPrompt = `You're a sales expert handling this objection: "${objection}"
       
@@ -253,7 +265,7 @@ class OpenAIService {
       const completion = await this.client.chat.completions.create({
         model: 'gpt-4',
         messages: [
-          { role: 'system', content: this.salesPersona },
+          { role: 'system', content: salesPersona },
           { role: 'user', content: objectionPrompt }
         ],
         max_tokens: 150,
@@ -368,30 +380,32 @@ class OpenAIService {
    * Generate personalized sales script based on lead information
    * @param {Object} leadInfo - Lead information
    * @param {string} callType - Type of call (cold, follow_up, demo, etc.)
+   * @param {Object} brand - Brand the call speaks for; null = the default
    * @returns {Promise<Object>} Personalized script
    */
-  async generatePersonalizedScript(leadInfo, callType = 'cold') {
+  async generatePersonalizedScript(leadInfo, callType = 'cold', brand = null) {
     try {
       const leadProfile = this.buildLeadProfile(leadInfo);
+      const resolved = await this.brands.resolve(brand);
       
       const scriptPrompt = `Generate a personalized sales script for a ${callType} call:
       
       ${leadProfile}
       
-      REQUIRED: Include the Levco Real Estate Group introduction naturally in the opening:
-      "We are realtors from Levco Real Estate Group, a local brokerage here in Hollywood. We are reaching out to homeowners because we have buyers looking in the area and want to know if they are interested in selling."
+      REQUIRED: Include the ${resolved.name} introduction naturally in the opening:
+      "We are realtors from ${resolved.name}, a local brokerage here in ${resolved.market}. ${this.brands.getValueProposition(resolved)}"
       
       Create a natural, conversational script that incorporates their specific details:
-      1. Personalized opening that includes the Levco Real Estate Group introduction and references their location or property details
+      1. Personalized opening that includes the ${resolved.name} introduction and references their location or property details
       2. Value proposition about having qualified buyers looking in their specific area
       3. 2-3 discovery questions about their selling timeline and property situation
-      4. Closing approach using: "We will be in your neighborhood this week with another homeowner, we can schedule to have one of our top agents meet you at your property as well. Does morning or evening work best? How about Monday at 5pm?"
+      4. Closing approach using: "${this.brands.getClosingStyle(resolved)}"
       
       If they speak a language other than English, note this in the opening.
       
       Format as JSON:
       {
-        "opening": "personalized opening with Levco Real Estate Group introduction",
+        "opening": "personalized opening with ${resolved.name} introduction",
         "valueProposition": "value prop about having buyers looking in their area",
         "discoveryQuestions": ["question1", "question2", "question3"],
         "close": "neighborhood urgency close with specific time options",
@@ -401,7 +415,7 @@ class OpenAIService {
       const completion = await this.client.chat.completions.create({
         model: 'gpt-4',
         messages: [
-          { role: 'system', content: this.salesPersona },
+          { role: 'system', content: this.buildSalesPersona(resolved) },
           { role: 'user', content: scriptPrompt }
         ],
         max_tokens: 400,
@@ -525,20 +539,7 @@ class OpenAIService {
    * @returns {string} Full language name
    */
   getLanguageName(langCode) {
-    const languages = {
-      'es': 'Spanish',
-      'fr': 'French',
-      'de': 'German',
-      'it': 'Italian',
-      'pt': 'Portuguese',
-      'zh': 'Chinese',
-      'ja': 'Japanese',
-      'ko': 'Korean',
-      'ar': 'Arabic',
-      'hi': 'Hindi',
-      'ru': 'Russian'
-    };
-    return languages[langCode] || langCode.toUpperCase();
+    return this.languages.getName(langCode);
   }
 }
 
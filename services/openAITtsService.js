@@ -0,0 +1,69 @@
+const OpenAI = require('openai');
+const { TtsEngine } = require('./ttsProvider');
+
+const OPENAI_PCM_RATE = 24000; // response_format pcm is 24kHz 16-bit mono
+const SPEED_RANGE = { min: 0.25, max: 4 };
+
+/**
+ * OpenAI text-to-speech. It has its own voices, so only a profile made for
+ * this engine picks the voice; otherwise OPENAI_TTS_VOICE is used.
+ */
+class OpenAITtsService extends TtsEngine {
+  constructor() {
+    super();
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.model = process.env.OPENAI_TTS_MODEL || 'tts-1';
+    this.voice = process.env.OPENAI_TTS_VOICE || 'alloy';
+    this.client = this.apiKey ? new OpenAI({ apiKey: this.apiKey }) : null;
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  getVoiceConfig(voice, target) {
+    const own = this.ownVoice(voice);
+    const config = {
+      voice: (own && own.voiceId) || this.voice,
+      model: (own && own.model) || this.model,
+      format: target === 'stream' ? `pcm_${OPENAI_PCM_RATE}` : 'mp3'
+    };
+    if (voice && typeof voice.speed === 'number' && voice.speed !== 1) {
+      config.speed = Math.min(SPEED_RANGE.max, Math.max(SPEED_RANGE.min, voice.speed));
+    }
+    return config;
+  }
+
+  /**
+   * Render speech: raw PCM for streams (resampled in-process), mp3 for <Play>
+   * @param {string} text - Text to speak
+   * @param {Object} options - { voice: profile or null, target: stream or play }
+   * @returns {Promise<Object>} { audio, format }
+   */
+  async synthesize(text, { voice = null, target = 'play' } = {}) {
+    if (!this.client) {
+      throw new Error('OPENAI_API_KEY is missing');
+    }
+
+    const config = this.getVoiceConfig(voice, target);
+    try {
+      const response = await this.client.audio.speech.create({
+        model: config.model,
+        voice: config.voice,
+        input: text,
+        speed: config.speed,
+        response_format: target === 'stream' ? 'pcm' : 'mp3'
+      }, { timeout: 20000, maxRetries: 0 });
+
+      return { audio: Buffer.from(await response.arrayBuffer()), format: config.format };
+    } catch (error) {
+      throw new Error(`OpenAI TTS failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = OpenAITtsService;
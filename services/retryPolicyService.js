@@ -0,0 +1,184 @@
+const { PrismaClient } = require('@prisma/client');
+const CallingRulesService = require('./callingRulesService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const RETRYABLE_OUTCOMES = ['BUSY', 'NO_ANSWER', 'FAILED', 'VOICEMAIL'];
+
+// Used for any field a campaign policy leaves out
+const DEFAULT_RETRY_POLICY = {
+  enabled: true,
+  maxAttempts: 3,                       // total attempts including the first call
+  backoffMinutes: [60, 240, 1440],      // wait before retry 1, 2, 3... (last value repeats)
+  retryOn: ['BUSY', 'NO_ANSWER', 'FAILED'],
+  retryHours: [10, 14, 17]              // lead-local hour for retry 1, 2, 3... (rotates)
+};
+
+class RetryPolicyService {
+  constructor() {
+    this.callingRules = new CallingRulesService();
+  }
+
+  /**
+   * Validate a retry policy and fill in defaults
+   * @param {Object} policy - Raw policy from the API
+   * @returns {Object} Normalized policy
+   */
+  normalizePolicy(policy = {}) {
+    if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+      throw new Error('Retry policy must be an object');
+    }
+
+    const normalized = { ...DEFAULT_RETRY_POLICY, ...policy };
+
+    normalized.enabled = Boolean(normalized.enabled);
+
+    const maxAttempts = parseInt(normalized.maxAttempts);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+      throw new Error('maxAttempts must be between 1 and 10');
+    }
+    normalized.maxAttempts = maxAttempts;
+
+    if (!Array.isArray(normalized.backoffMinutes) || normalized.backoffMinutes.length === 0 ||
+        normalized.backoffMinutes.some(m => !(Number(m) > 0))) {
+      throw new Error('backoffMinutes must be a non-empty array of positive numbers');
+    }
+    normalized.backoffMinutes = normalized.backoffMinutes.map(Number);
+
+    if (!Array.isArray(normalized.retryOn) ||
+        normalized.retryOn.some(outcome => !RETRYABLE_OUTCOMES.includes(String(outcome).toUpperCase()))) {
+      throw new Error(`retryOn must only contain: ${RETRYABLE_OUTCOMES.join(', ')}`);
+    }
+    normalized.retryOn = normalized.retryOn.map(outcome => String(outcome).toUpperCase());
+
+    if (!Array.isArray(normalized.retryHours) ||
+        normalized.retryHours.some(h => !Number.isInteger(Number(h)) || Number(h) < 0 || Number(h) > 23)) {
+      throw new Error('retryHours must be an array of hours between 0 and 23');
+    }
+    normalized.retryHours = normalized.retryHours.map(Number);
+
+    return normalized;
+  }
+
+  /**
+   * Work out when the next attempt should be dialed
+   * @param {Object} policy - Normalized policy
+   * @param {Object} lead - Lead being retried
+   * @param {number} retryNumber - 1 for the first retry, 2 for the second...
+   * @param {Date} from - When the previous attempt ended
+   * @returns {Date|null} Retry time, or null if no callable time was found
+   */
+  getRetryTime(policy, lead, retryNumber, from = new Date()) {
+    const backoff = policy.backoffMinutes[Math.min(retryNumber, policy.backoffMinutes.length) - 1];
+    const earliest = new Date(from.getTime() + backoff * 60 * 1000);
+
+    if (policy.retryHours.length === 0) {
+      return this.callingRules.findNextWindow(lead, earliest);
+    }
+
+    // Rotate through the preferred hours so each retry lands at a different time of day
+    const hour = policy.retryHours[(retryNumber - 1) % policy.retryHours.length];
+    return this.callingRules.findNextWindowAtHour(lead, earliest, hour);
+  }
+
+  /**
+   * Create the next attempt for a finished call if its campaign policy allows it.
+   * Safe to call more than once per call: each attempt can only have one retry.
+   * @param {string} callId - Call that just ended
+   * @returns {Promise<Object|null>} The retry call, or null if none was scheduled
+   */
+  async scheduleRetry(callId) {
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true, campaign: true }
+    });
+
+    if (!call || !call.campaign || !call.campaign.retryPolicy) return null;
+    if (!call.outcome || call.lead.dncStatus) return null;
+
+    const policy = this.normalizePolicy(call.campaign.retryPolicy);
+    if (!policy.enabled || !policy.retryOn.includes(call.outcome)) return null;
+    if (call.attemptNumber >= policy.maxAttempts) return null;
+
+    const retryNumber = call.attemptNumber;
+    const scheduledAt = this.getRetryTime(policy, call.lead, retryNumber, call.endedAt || new Date());
+    if (!scheduledAt) {
+      DebugLogger.logSuccess('Retry skipped, no callable time found', {
+        callId,
+        leadId: call.leadId
+      });
+      return null;
+    }
+
+    try {
+      const retry = await prisma.call.create({
+        data: {
+          leadId: call.leadId,
+          campaignId: call.campaignId,
+          status: 'SCHEDULED',
+          scheduledAt: scheduledAt,
+          callType: call.callType,
+          priority: call.priority,
+          attemptNumber: call.attemptNumber + 1,
+          parentCallId: call.id
+        }
+      });
+
+      DebugLogger.logSuccess('Retry scheduled', {
+        callId: retry.id,
+        parentCallId: call.id,
+        leadId: call.leadId,
+        attemptNumber: retry.attemptNumber,
+        outcome: call.outcome,
+        scheduledAt: scheduledAt.toISOString()
+      });
+
+      return retry;
+    } catch (error) {
+      // Duplicate status callback: the retry already exists
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Attempts-per-lead and eventual contact rate for a campaign
+   * @param {Array} calls - Campaign calls with leadId, attemptNumber, status and outcome
+   * @returns {Object} Attempt statistics
+   */
+  summarizeAttempts(calls) {
+    const leads = {};
+
+    calls.forEach(call => {
+      // Suppressed calls and retries still waiting to be dialed aren't attempts yet
+      if (call.status === 'CANCELLED' || call.status === 'SCHEDULED') return;
+      if (!leads[call.leadId]) {
+        leads[call.leadId] = { attempts: 0, contacted: false };
+      }
+      leads[call.leadId].attempts = Math.max(leads[call.leadId].attempts, call.attemptNumber || 1);
+      if (call.status === 'COMPLETED' && !RETRYABLE_OUTCOMES.includes(call.outcome)) {
+        leads[call.leadId].contacted = true;
+      }
+    });
+
+    const leadStats = Object.values(leads);
+    const attemptDistribution = {};
+    leadStats.forEach(lead => {
+      attemptDistribution[lead.attempts] = (attemptDistribution[lead.attempts] || 0) + 1;
+    });
+
+    const contactedLeads = leadStats.filter(lead => lead.contacted).length;
+    const totalAttempts = leadStats.reduce((sum, lead) => sum + lead.attempts, 0);
+
+    return {
+      leadsAttempted: leadStats.length,
+      contactedLeads: contactedLeads,
+      contactRate: leadStats.length > 0 ? Math.round((contactedLeads / leadStats.length) * 100) : 0,
+      averageAttemptsPerLead: leadStats.length > 0 ? Math.round((totalAttempts / leadStats.length) * 100) / 100 : 0,
+      attemptDistribution: attemptDistribution
+    };
+  }
+}
+
+module.exports = RetryPolicyService;
@@ -0,0 +1,125 @@
+const { PrismaClient } = require('@prisma/client');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Call limits, in seconds. Stored in system_settings as call.<name>
+const CALL_SETTINGS = {
+  maxDuration: {
+    defaultValue: parseInt(process.env.MAX_CALL_DURATION) || 300,
+    min: 30,
+    max: 3600,
+    description: 'Calls are hung up once they reach this length'
+  },
+  wrapUpWarning: {
+    defaultValue: 30,
+    min: 0,
+    max: 600,
+    description: 'How long before the max duration the AI is told to wrap up'
+  },
+  deadAirTimeout: {
+    defaultValue: parseInt(process.env.DEAD_AIR_TIMEOUT) || 15,
+    min: 5,
+    max: 120,
+    description: 'Silence on both sides for this long ends the call politely'
+  }
+};
+
+const CACHE_TTL = 30 * 1000; // ms; saves a query per call without making edits slow to apply
+
+class SettingsService {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  getDefaults() {
+    return Object.fromEntries(
+      Object.entries(CALL_SETTINGS).map(([name, setting]) => [name, setting.defaultValue])
+    );
+  }
+
+  /**
+   * Current call limits: stored values over the defaults
+   * @returns {Promise<Object>} { maxDuration, wrapUpWarning, deadAirTimeout }
+   */
+  async getCallSettings() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL) {
+      return this.cache;
+    }
+
+    const settings = this.getDefaults();
+    try {
+      const rows = await prisma.systemSettings.findMany({
+        where: { key: { in: Object.keys(CALL_SETTINGS).map(name => `call.${name}`) } }
+      });
+
+      for (const row of rows) {
+        const name = row.key.replace(/^call\./, '');
+        const value = parseInt(row.value);
+        if (Number.isFinite(value)) {
+          settings[name] = value;
+        }
+      }
+    } catch (error) {
+      // Calls still get the default limits if settings can't be read
+      DebugLogger.logConfigError('call_settings', error.message, JSON.stringify(settings));
+      return settings;
+    }
+
+    this.cache = settings;
+    this.cachedAt = Date.now();
+    return settings;
+  }
+
+  /**
+   * Check requested call limits
+   * @param {Object} updates - Partial call settings
+   * @returns {Array<string>} Problems, empty when valid
+   */
+  validateCallSettings(updates) {
+    const errors = [];
+
+    for (const [name, value] of Object.entries(updates)) {
+      const setting = CALL_SETTINGS[name];
+      if (!setting) {
+        errors.push(`Unknown setting: ${name}`);
+      } else if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+        errors.push(`${name} must be a whole number of seconds between ${setting.min} and ${setting.max}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Save call limits. Unknown or invalid values must be rejected with validateCallSettings first.
+   * @param {Object} updates - Partial call settings
+   * @returns {Promise<Object>} The full call settings after the update
+   */
+  async updateCallSettings(updates) {
+    const current = await this.getCallSettings();
+    const merged = { ...current, ...updates };
+    if (merged.wrapUpWarning >= merged.maxDuration) {
+      throw new Error('wrapUpWarning must be shorter than maxDuration');
+    }
+
+    for (const [name, value] of Object.entries(updates)) {
+      await prisma.systemSettings.upsert({
+        where: { key: `call.${name}` },
+        update: { value: String(value) },
+        create: {
+          key: `call.${name}`,
+          value: String(value),
+          description: CALL_SETTINGS[name].description
+        }
+      });
+    }
+
+    this.cache = null;
+    DebugLogger.logSuccess('Call settings updated', updates);
+    return this.getCallSettings();
+  }
+}
+
+module.exports = SettingsService;
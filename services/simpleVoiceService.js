@@ -0,0 +1,510 @@
+const twilio = require('twilio');
+const { PrismaClient } = require('@prisma/client');
+const OpenAIService = require('./openAIService');
+const TtsService = require('./ttsService');
+const NotificationService = require('./notificationService');
+const SettingsService = require('./settingsService');
+const CallStateMachine = require('./callStateMachine');
+const LatencyService = require('./latencyService');
+const KeypadService = require('./keypadService');
+const LanguageService = require('./languageService');
+const BrandService = require('./brandService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// What the model wants to happen after its reply, given as a trailing [[ACTION]] tag
+const CONVERSATION_ACTIONS = ['CONTINUE', 'BOOK', 'CLOSE', 'END'];
+
+const ACTION_INSTRUCTIONS = `After your reply, on its own line, add exactly one tag saying what happens next:
+[[CONTINUE]] - keep the conversation going and wait for their answer
+[[BOOK]] - they agreed to meet a listing agent; your reply confirms it and says goodbye
+[[CLOSE]] - they aren't interested or want to be called another time; your reply wraps up politely
+[[END]] - wrong number, hostile, asked not to be called again, or a machine; your reply is a brief goodbye
+The tag is never spoken.`;
+
+// Tag the model puts before a reply in a different language than the call's, e.g. [[LANG:es]]
+const LANGUAGE_TAG = /\[\[\s*LANG\s*:\s*([A-Za-z-]+)\s*\]\]/;
+
+/**
+ * Non-realtime conversation loop: each <Gather> turn goes through the sales
+ * model with the call's history, and the reply is played as TTS audio (or
+ * spoken with <Say> when no engine can render it).
+ */
+class SimpleVoiceService {
+  constructor() {
+    this.openAI = new OpenAIService();
+    this.tts = new TtsService();
+    this.notificationService = new NotificationService();
+    this.settings = new SettingsService();
+    this.stateMachine = new CallStateMachine();
+    this.latency = new LatencyService();
+    this.keypad = new KeypadService();
+    this.languages = new LanguageService();
+    this.brands = new BrandService();
+    this.maxTurns = parseInt(process.env.SIMPLE_VOICE_MAX_TURNS) || 12;
+    this.maxSilentTurns = 2;  // reprompts before giving up on a silent line
+  }
+
+  /**
+   * Seconds each <Gather> waits for the customer to start speaking. The dead-air
+   * timeout is shared across the first listen and the reprompts, so a silent line
+   * ends after about that long.
+   * @param {Object} limits - Call settings
+   * @returns {number}
+   */
+  getGatherTimeout(limits) {
+    return Math.max(3, Math.ceil(limits.deadAirTimeout / (this.maxSilentTurns + 1)));
+  }
+
+  /**
+   * Split a model reply into the spoken text, its action tag and any language tag
+   * @param {string} reply - Raw model output
+   * @returns {Object} { text, action, language: code the reply switched to, or null }
+   */
+  parseReply(reply) {
+    const raw = String(reply || '');
+    const match = raw.match(/\[\[\s*([A-Z_]+)\s*\]\]/);
+    const action = match && CONVERSATION_ACTIONS.includes(match[1]) ? match[1] : 'CONTINUE';
+    const languageMatch = raw.match(LANGUAGE_TAG);
+    const text = raw
+      .replace(new RegExp(LANGUAGE_TAG.source, 'g'), '')
+      .replace(/\[\[\s*[A-Z_]+\s*\]\]/g, '')
+      .trim();
+    return { text, action, language: languageMatch ? languageMatch[1].toLowerCase() : null };
+  }
+
+  /**
+   * How the model should handle the call's language
+   * @param {string} language - Language code the call is held in
+   * @returns {string}
+   */
+  buildLanguageInstructions(language) {
+    return `Reply in ${this.languages.getName(language)}. If the customer speaks or asks for another language, ` +
+      'reply in theirs and start your reply with [[LANG:xx]] using its ISO 639-1 code (e.g. [[LANG:es]]).';
+  }
+
+  async getInteractions(callId) {
+    return prisma.interaction.findMany({
+      where: { callId },
+      orderBy: { timestamp: 'asc' }
+    });
+  }
+
+  isSpoken(interaction) {
+    // Keypresses are logged as INPUT; the customer didn't say them
+    return interaction.interactionType !== 'INPUT';
+  }
+
+  toChatHistory(interactions) {
+    return interactions.filter(interaction => this.isSpoken(interaction)).map(interaction => ({
+      role: interaction.speaker === 'AI' ? 'assistant' : 'user',
+      content: interaction.content
+    }));
+  }
+
+  /**
+   * How much of the call's turn and time budget is used
+   * @param {Object} call - Call record
+   * @param {Array} interactions - Interactions so far
+   * @param {Object} limits - Call settings
+   * @returns {Object} { customerTurns, elapsedSeconds, lastTurn, limitReason, overLimit }
+   */
+  getUsage(call, interactions, limits) {
+    const customerTurns = interactions.filter(i => i.speaker === 'CUSTOMER' && this.isSpoken(i)).length;
+    const startedAt = call.startedAt || (interactions[0] && interactions[0].timestamp) || new Date();
+    const elapsedSeconds = Math.floor((Date.now() - new Date(startedAt).getTime()) / 1000);
+
+    // The last turn starts once we're inside the wrap-up window
+    let limitReason = null;
+    if (customerTurns >= this.maxTurns) {
+      limitReason = 'MAX_TURNS';
+    } else if (elapsedSeconds >= limits.maxDuration - limits.wrapUpWarning) {
+      limitReason = 'MAX_DURATION';
+    }
+
+    return {
+      customerTurns,
+      elapsedSeconds,
+      lastTurn: Boolean(limitReason),
+      limitReason,
+      overLimit: elapsedSeconds >= limits.maxDuration
+    };
+  }
+
+  /**
+   * Save an AI turn and render its audio
+   * @param {string} callId - Call ID
+   * @param {string} text - What the AI says
+   * @param {string} interactionType - Interaction type
+   * @param {Object} timings - Turn timings to note the TTS start on, if the turn is timed
+   * @returns {Promise<Object>} { interaction, hasAudio, sayAttributes }
+   */
+  async addAiTurn(callId, text, interactionType, timings = null) {
+    const interaction = await prisma.interaction.create({
+      data: {
+        callId,
+        speaker: 'AI',
+        content: text,
+        interactionType,
+        timestamp: new Date()
+      }
+    });
+
+    if (timings) {
+      timings.ttsStartAt = new Date();
+    }
+    return { interaction, ...(await this.renderAudio(callId, interaction)) };
+  }
+
+  /**
+   * Render an AI turn into the TTS cache, where the audio route serves it from,
+   * in the campaign's voice with its TTS engines in failover order. When <Say>
+   * serves it, or every engine fails, the turn is spoken with <Say> rather than
+   * dropping the call.
+   * @returns {Promise<Object>} { hasAudio, sayAttributes: for <Say> when there's no audio, language: the call's }
+   */
+  async renderAudio(callId, interaction) {
+    let voice = null;
+    let language = null;
+    try {
+      const chain = await this.tts.getVoiceForCall(callId);
+      ({ voice, language } = chain);
+      const result = await this.tts.speak(interaction.content, { callId, target: 'play', voice, engines: chain.engines });
+      return { hasAudio: result.audio !== null, sayAttributes: this.tts.getSayAttributes(voice), language };
+    } catch (error) {
+      DebugLogger.logCallError(callId, error, 'simple_voice_tts');
+      return { hasAudio: false, sayAttributes: this.tts.getSayAttributes(voice), language };
+    }
+  }
+
+  /**
+   * Rendered audio for an AI turn, rendering it again if it was evicted
+   * @param {string} interactionId - Interaction ID
+   * @returns {Promise<Object|null>} { audio, format: mp3 or wav }
+   */
+  async getAudio(interactionId) {
+    const interaction = await prisma.interaction.findUnique({ where: { id: interactionId } });
+    if (!interaction || interaction.speaker !== 'AI') return null;
+
+    const chain = await this.tts.getVoiceForCall(interaction.callId);
+    const cached = this.tts.findCached(interaction.content, { target: 'play', ...chain });
+    if (cached) return cached;
+
+    const result = await this.tts.speak(interaction.content, {
+      callId: interaction.callId,
+      target: 'play',
+      ...chain,
+      record: false // counted when the turn was first rendered
+    });
+    return result.audio ? result : null;
+  }
+
+  /**
+   * Opening line for an outbound call
+   * @param {Object} lead - Lead record
+   * @param {string} language - Language the call is held in
+   * @param {Object} brand - Company the call speaks for (null: the built-in one)
+   * @returns {string}
+   */
+  buildGreeting(lead, language = 'en', brand = null) {
+    const greeting = this.languages.getPhrase('simpleGreeting', language, { ...lead, ...this.brands.getPhraseVariables(brand) });
+    return this.brands.withDisclosures(greeting, brand);
+  }
+
+  /**
+   * Fixed lines this mode can say on any call, for pre-rendering
+   * @param {string} language - Language code
+   * @returns {Array<string>}
+   */
+  getStockPhrases(language = 'en') {
+    return [
+      ...['resume', 'reprompt', 'silentGoodbye', 'errorGoodbye'].map(key => this.languages.getPhrase(key, language)),
+      ...this.keypad.getStockPhrases(language)
+    ];
+  }
+
+  /**
+   * TwiML that speaks an AI turn, then either listens for the answer or hangs up
+   * @param {string} callId - Call ID
+   * @param {Object} turn - { interaction, hasAudio, sayAttributes, language }
+   * @param {boolean} listen - Whether to wait for the customer's reply
+   * @param {Object} limits - Call settings
+   * @returns {string} TwiML
+   */
+  buildTurnTwiml(callId, { interaction, hasAudio, sayAttributes, language }, listen, limits) {
+    const baseUrl = process.env.BASE_URL;
+    const response = new twilio.twiml.VoiceResponse();
+
+    const speak = (verb) => {
+      if (hasAudio) {
+        verb.play(`${baseUrl}/api/simple-voice/audio/${interaction.id}`);
+      } else {
+        verb.say(sayAttributes || { voice: 'alice' }, interaction.content);
+      }
+    };
+
+    if (listen) {
+      // Speaking, a keypress (or silence) posts back to the loop; actionOnEmptyResult covers silence
+      const gather = response.gather({
+        input: 'dtmf speech',
+        numDigits: 1,
+        speechTimeout: 'auto',
+        timeout: this.getGatherTimeout(limits),
+        language: this.languages.getLocale(language), // speech recognition language
+        action: `${baseUrl}/api/simple-voice/response/${callId}`,
+        method: 'POST',
+        actionOnEmptyResult: true
+      });
+      speak(gather);
+    } else {
+      speak(response);
+      response.hangup();
+    }
+
+    return response.toString();
+  }
+
+  /**
+   * Open the conversation. Repeated fetches of the call's URL reuse the same greeting.
+   * @param {Object} call - Call record with lead included
+   * @returns {Promise<string>} TwiML
+   */
+  async startConversation(call) {
+    const limits = await this.settings.getCallSettings();
+    const existing = await prisma.interaction.findFirst({
+      where: { callId: call.id, speaker: 'AI', interactionType: 'GREETING' },
+      orderBy: { timestamp: 'asc' }
+    });
+
+    let turn;
+    if (existing) {
+      turn = { interaction: existing, ...(await this.renderAudio(call.id, existing)) };
+    } else {
+      const brand = await this.brands.getForCall(call);
+      turn = await this.addAiTurn(call.id, this.buildGreeting(call.lead, this.languages.getCallLanguage(call), brand), 'GREETING');
+    }
+
+    return this.buildTurnTwiml(call.id, turn, true, limits);
+  }
+
+  /**
+   * Pick up a call mid-conversation, e.g. after its realtime session failed.
+   * The history so far carries over from the call's interactions.
+   * @param {Object} call - Call record with lead included
+   * @returns {Promise<string>} TwiML
+   */
+  async resumeConversation(call) {
+    const limits = await this.settings.getCallSettings();
+    const turn = await this.addAiTurn(call.id, this.languages.getPhrase('resume', this.languages.getCallLanguage(call)), 'QUESTION');
+    return this.buildTurnTwiml(call.id, turn, true, limits);
+  }
+
+  /**
+   * Handle one customer turn and produce the AI's reply
+   * @param {Object} call - Call record with lead included
+   * @param {string} speechResult - What the customer said (empty on silence)
+   * @param {Date} receivedAt - When Twilio posted the result, i.e. just after the customer stopped speaking
+   * @returns {Promise<string>} TwiML
+   */
+  async handleTurn(call, speechResult, receivedAt = new Date()) {
+    const said = (speechResult || '').trim();
+    const limits = await this.settings.getCallSettings();
+    let language = this.languages.getCallLanguage(call);
+
+    if (said) {
+      await prisma.interaction.create({
+        data: {
+          callId: call.id,
+          speaker: 'CUSTOMER',
+          content: said,
+          interactionType: 'RESPONSE',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const interactions = await this.getInteractions(call.id);
+    const usage = this.getUsage(call, interactions, limits);
+
+    if (usage.overLimit) {
+      // Past the hard limit (a long answer to the wrap-up turn): hang up without another reply
+      await this.stateMachine.recordAutoHangup(call.id, 'MAX_DURATION', { elapsedSeconds: usage.elapsedSeconds });
+      const response = new twilio.twiml.VoiceResponse();
+      response.hangup();
+      return response.toString();
+    }
+
+    if (!said) {
+      // AI turns since the customer last spoke; the greeting/last reply plus any reprompts
+      const lastCustomer = interactions.map(i => i.speaker).lastIndexOf('CUSTOMER');
+      const silentTurns = interactions.length - lastCustomer - 2;
+      if (silentTurns >= this.maxSilentTurns) {
+        await this.stateMachine.recordAutoHangup(call.id, 'DEAD_AIR', { elapsedSeconds: usage.elapsedSeconds });
+        const turn = await this.addAiTurn(call.id, this.languages.getPhrase('silentGoodbye', language), 'CLOSING');
+        return this.buildTurnTwiml(call.id, turn, false, limits);
+      }
+
+      const turn = await this.addAiTurn(call.id, this.languages.getPhrase('reprompt', language), 'QUESTION');
+      return this.buildTurnTwiml(call.id, turn, true, limits);
+    }
+
+    // Answered in another language: reply in it
+    const detected = this.languages.detectLanguage(said);
+    if (detected && detected !== language) {
+      language = await this.switchLanguage(call, detected, language, 'detected');
+    }
+
+    const context = [
+      `Phone call in progress. Customer turn ${usage.customerTurns} of at most ${this.maxTurns}; ` +
+        `${usage.elapsedSeconds}s of at most ${limits.maxDuration}s used.`,
+      usage.lastTurn
+        ? 'This is the final turn: wrap up now, booking the appointment if they agreed, and tag [[BOOK]] or [[CLOSE]].'
+        : 'Ask one thing at a time and keep replies short enough to say in a few seconds.',
+      this.buildLanguageInstructions(language),
+      ACTION_INSTRUCTIONS
+    ].join('\n');
+
+    // No streaming here, so the first token arrives with the whole reply
+    const timings = { speechEndAt: receivedAt, commitAt: new Date() };
+    let text;
+    let action;
+    let replyLanguage = null;
+    try {
+      const brand = await this.brands.getForCall(call);
+      const result = await this.openAI.generateSalesResponse(this.toChatHistory(interactions), call.lead, context, brand);
+      timings.firstTokenAt = new Date();
+      ({ text, action, language: replyLanguage } = this.parseReply(result.response));
+    } catch (error) {
+      DebugLogger.logOpenAIError(error, 'simple_voice_turn', { callId: call.id });
+      text = this.languages.getPhrase('errorGoodbye', language);
+      action = 'CLOSE';
+    }
+
+    if (replyLanguage && replyLanguage !== language) {
+      language = await this.switchLanguage(call, replyLanguage, language, 'model');
+    }
+    if (!text) {
+      text = this.languages.getPhrase('errorGoodbye', language);
+      action = 'CLOSE';
+    }
+    if (usage.lastTurn && action === 'CONTINUE') {
+      // The model wanted to keep going, so it's the limit that ends the call
+      action = 'CLOSE';
+      await this.stateMachine.recordAutoHangup(call.id, usage.limitReason, { elapsedSeconds: usage.elapsedSeconds });
+    }
+
+    const turn = await this.addAiTurn(call.id, text, action === 'CONTINUE' ? 'RESPONSE' : 'CLOSING', timings);
+
+    // Played audio is timed when Twilio fetches it; <Say> starts as soon as Twilio has the TwiML
+    if (!turn.hasAudio) {
+      timings.firstAudioAt = new Date();
+    }
+    await this.latency.recordTurn(call.id, 'SIMPLE', usage.customerTurns, timings, turn.interaction.id);
+
+    if (action === 'BOOK') {
+      await this.recordBooking(call, text);
+    }
+
+    DebugLogger.logSuccess('Simple voice turn', {
+      callId: call.id,
+      turn: usage.customerTurns,
+      elapsedSeconds: usage.elapsedSeconds,
+      action
+    });
+
+    return this.buildTurnTwiml(call.id, turn, action === 'CONTINUE', limits);
+  }
+
+  /**
+   * Move the call to another language; its next turns are spoken and heard in it
+   * @param {Object} call - Call record
+   * @param {string} to - Language code to switch to
+   * @param {string} from - Current language code
+   * @param {string} reason - detected or model
+   * @returns {Promise<string>} The call's language afterwards
+   */
+  async switchLanguage(call, to, from, reason) {
+    try {
+      const switched = await this.languages.switchCallLanguage(call.id, to, { from, source: 'simple_voice', reason });
+      return switched || from;
+    } catch (error) {
+      DebugLogger.logCallError(call.id, error, 'language_switch');
+      return from;
+    }
+  }
+
+  /**
+   * Handle a key the customer pressed instead of speaking
+   * @param {Object} call - Call record with lead included
+   * @param {string} digit - Key pressed
+   * @returns {Promise<string>} TwiML
+   */
+  async handleKeypress(call, digit) {
+    const limits = await this.settings.getCallSettings();
+    const result = await this.keypad.handleKeypress(call.id, digit, 'simple_voice');
+
+    if (result.endReason) {
+      await this.stateMachine.recordKeypadHangup(call.id, result.endReason, { digit });
+      const turn = await this.addAiTurn(call.id, result.message, 'CLOSING');
+      return this.buildTurnTwiml(call.id, turn, false, limits);
+    }
+
+    if (result.action === 'TRANSFER') {
+      const transfer = await this.keypad.transfer(call.id, result.language);
+      if (transfer.success) {
+        // The transfer has already redirected the call; this only covers the moment before it lands
+        const response = new twilio.twiml.VoiceResponse();
+        response.say(this.tts.getSayAttributes({ language: this.languages.getLocale(result.language) }), result.message);
+        response.pause({ length: 10 });
+        return response.toString();
+      }
+
+      const turn = await this.addAiTurn(call.id, transfer.message, 'OTHER');
+      return this.buildTurnTwiml(call.id, turn, true, limits);
+    }
+
+    // Repeat (and keys that do nothing) replay the last thing we said
+    const lastTurn = result.repeatTurn || await prisma.interaction.findFirst({
+      where: { callId: call.id, speaker: 'AI' },
+      orderBy: { timestamp: 'desc' }
+    });
+    if (!lastTurn) {
+      const turn = await this.addAiTurn(call.id, this.languages.getPhrase('reprompt', result.language), 'QUESTION');
+      return this.buildTurnTwiml(call.id, turn, true, limits);
+    }
+
+    const turn = { interaction: lastTurn, ...(await this.renderAudio(call.id, lastTurn)) };
+    return this.buildTurnTwiml(call.id, turn, true, limits);
+  }
+
+  /**
+   * The customer agreed to an appointment: record it and alert the team
+   * @param {Object} call - Call record with lead included
+   * @param {string} confirmation - The AI's confirmation line
+   */
+  async recordBooking(call, confirmation) {
+    await prisma.call.update({
+      where: { id: call.id },
+      data: { outcome: 'MEETING_SCHEDULED' }
+    });
+
+    try {
+      await this.notificationService.sendInterestNotification({
+        leadId: call.leadId,
+        leadName: `${call.lead.firstName} ${call.lead.lastName}`,
+        leadPhone: call.lead.phone,
+        outcome: 'APPOINTMENT_SET',
+        priority: 'HIGH',
+        summary: confirmation,
+        nextSteps: 'Homeowner agreed to meet a listing agent - confirm the time',
+        followUpTiming: 'ASAP',
+        notificationRequired: true
+      }, call);
+    } catch (error) {
+      DebugLogger.logCallError(call.id, error, 'simple_voice_booking_notification', call.leadId);
+    }
+  }
+}
+
+module.exports = SimpleVoiceService;
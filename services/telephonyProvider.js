@@ -0,0 +1,128 @@
+/**
+ * Interface every telephony adapter implements. Call control uses TwiML and
+ * status callbacks use Twilio's webhook fields, so routes stay provider-agnostic.
+ */
+class TelephonyProvider {
+  get name() {
+    throw new Error('Telephony provider must define a name');
+  }
+
+  /**
+   * Secret the provider signs webhooks with (X-Twilio-Signature)
+   * @returns {string}
+   */
+  get webhookAuthToken() {
+    throw new Error(`${this.name} does not define a webhook auth token`);
+  }
+
+  /**
+   * Place an outbound call
+   * @param {string} toNumber - Customer phone number (E.164)
+   * @param {string} callId - Our Call ID, used in webhook URLs
+   * @param {Object} leadData - Lead information
+   * @param {Object} options - { fromNumber }
+   * @returns {Promise<Object>} { success, providerCallSid, status, callId }
+   */
+  async initiateCall(toNumber, callId, leadData, options = {}) {
+    throw new Error(`${this.name} does not implement initiateCall`);
+  }
+
+  /**
+   * Hang up a live call
+   * @param {string} callSid - Provider call identifier
+   */
+  async hangupCall(callSid) {
+    throw new Error(`${this.name} does not implement hangupCall`);
+  }
+
+  /**
+   * Replace the instructions of a live call
+   * @param {string} callSid - Provider call identifier
+   * @param {string} twiml - TwiML document to run
+   */
+  async updateCallTwiml(callSid, twiml) {
+    throw new Error(`${this.name} does not implement updateCallTwiml`);
+  }
+
+  /**
+   * Get call details
+   * @param {string} callSid - Provider call identifier
+   */
+  async getCallDetails(callSid) {
+    throw new Error(`${this.name} does not implement getCallDetails`);
+  }
+
+  /**
+   * Get a call's recording
+   * @param {string} callSid - Provider call identifier
+   * @returns {Promise<Object|null>} { recordingUrl, duration, recordingSid }
+   */
+  async getRecordingUrl(callSid) {
+    throw new Error(`${this.name} does not implement getRecordingUrl`);
+  }
+
+  /**
+   * List numbers owned on the account
+   * @returns {Promise<Array>} [{ phoneNumber, friendlyName, sid, voiceEnabled, smsEnabled }]
+   */
+  async listPhoneNumbers() {
+    throw new Error(`${this.name} does not implement listPhoneNumbers`);
+  }
+
+  /**
+   * Buy a number for calling
+   * @param {string} areaCode - Preferred area code
+   */
+  async purchasePhoneNumber(areaCode) {
+    throw new Error(`${this.name} does not implement purchasePhoneNumber`);
+  }
+
+  /**
+   * Normalize a call status webhook body
+   * @param {Object} body - Webhook body (Twilio field names)
+   * @returns {Object} { callSid, status, duration, answeredBy }
+   */
+  parseStatusCallback(body) {
+    return {
+      callSid: body.CallSid,
+      status: body.CallStatus,
+      duration: body.CallDuration ? parseInt(body.CallDuration) : null,
+      answeredBy: body.AnsweredBy || null
+    };
+  }
+
+  /**
+   * Mask phone number for logging (privacy)
+   * @param {string} phoneNumber - Phone number to mask
+   */
+  maskPhoneNumber(phoneNumber) {
+    if (!phoneNumber || phoneNumber.length < 4) return phoneNumber;
+    return phoneNumber.slice(0, -4) + '****';
+  }
+}
+
+let provider = null;
+
+/**
+ * Get the configured provider (TELEPHONY_PROVIDER=twilio|fake, default twilio).
+ * Created on first use so missing credentials don't break startup.
+ * @returns {TelephonyProvider}
+ */
+function getTelephonyProvider() {
+  if (!provider) {
+    const providerName = (process.env.TELEPHONY_PROVIDER || 'twilio').toLowerCase();
+
+    if (providerName === 'fake') {
+      const FakeTelephonyProvider = require('./fakeTelephonyProvider');
+      provider = new FakeTelephonyProvider();
+    } else if (providerName === 'twilio') {
+      const TwilioVoiceService = require('./twilioVoiceService');
+      provider = new TwilioVoiceService();
+    } else {
+      throw new Error(`Unknown TELEPHONY_PROVIDER: ${providerName}. Must be one of: twilio, fake`);
+    }
+  }
+  return provider;
+}
+
+module.exports = { TelephonyProvider, getTelephonyProvider };
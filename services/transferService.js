@@ -0,0 +1,349 @@
+const twilio = require('twilio');
+const { PrismaClient } = require('@prisma/client');
+const { getTelephonyProvider } = require('./telephonyProvider');
+const CallingRulesService = require('./callingRulesService');
+const NotificationService = require('./notificationService');
+const CallStateMachine = require('./callStateMachine');
+const LanguageService = require('./languageService');
+const BrandService = require('./brandService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const ACTIVE_TRANSFER_STATUSES = ['DIALING', 'CONNECTED'];
+
+class TransferService {
+  constructor() {
+    this.callingRules = new CallingRulesService();
+    this.notificationService = new NotificationService();
+    this.stateMachine = new CallStateMachine();
+    this.languages = new LanguageService();
+    this.brands = new BrandService();
+    this.agentRingTimeout = parseInt(process.env.TRANSFER_RING_TIMEOUT) || 20; // seconds
+  }
+
+  /**
+   * Pick the available agent who has gone longest without a transfer
+   * @returns {Promise<Object|null>} Agent, or null if nobody can take the call
+   */
+  async findAvailableAgent() {
+    const busyTransfers = await prisma.call.findMany({
+      where: {
+        transferStatus: { in: ACTIVE_TRANSFER_STATUSES },
+        transferAgentId: { not: null }
+      },
+      select: { transferAgentId: true }
+    });
+
+    return prisma.agent.findFirst({
+      where: {
+        isActive: true,
+        isAvailable: true,
+        id: { notIn: busyTransfers.map(c => c.transferAgentId) }
+      },
+      orderBy: [
+        { lastTransferAt: { sort: 'asc', nulls: 'first' } },
+        { createdAt: 'asc' }
+      ]
+    });
+  }
+
+  /**
+   * Move a live call from the AI to an agent. The agent hears a whisper summary
+   * and must press 1 before the homeowner is bridged in.
+   * @param {string} callId - Call ID
+   * @param {string} summary - Short summary for the agent
+   * @returns {Promise<Object>} { success, reason, agent }
+   */
+  async requestTransfer(callId, summary) {
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true }
+    });
+
+    if (!call || !call.twilioCallSid) {
+      throw new Error(`Call ${callId} has no live Twilio call`);
+    }
+
+    const agent = await this.findAvailableAgent();
+    if (!agent) {
+      await prisma.call.update({
+        where: { id: callId },
+        data: {
+          transferSummary: summary,
+          transferRequestedAt: new Date()
+        }
+      });
+
+      const callbackAt = await this.bookCallback({ ...call, transferSummary: summary }, 'NO_AGENT');
+      return { success: false, reason: 'NO_AGENT', callbackAt };
+    }
+
+    await prisma.call.update({
+      where: { id: callId },
+      data: {
+        transferStatus: 'DIALING',
+        transferAgentId: agent.id,
+        transferSummary: summary,
+        transferRequestedAt: new Date(),
+        transferEndedAt: null
+      }
+    });
+
+    await prisma.agent.update({
+      where: { id: agent.id },
+      data: { lastTransferAt: new Date() }
+    });
+
+    const baseUrl = process.env.BASE_URL;
+    const response = new twilio.twiml.VoiceResponse();
+    const dial = response.dial({
+      action: `${baseUrl}/api/voice/transfer/${callId}/complete`,
+      method: 'POST',
+      timeout: this.agentRingTimeout,
+      callerId: call.fromNumber || process.env.TWILIO_PHONE_NUMBER
+    });
+    dial.number({
+      url: `${baseUrl}/api/voice/transfer/${callId}/whisper`,
+      method: 'POST'
+    }, agent.phone);
+
+    try {
+      await getTelephonyProvider().updateCallTwiml(call.twilioCallSid, response.toString());
+    } catch (error) {
+      await prisma.call.update({
+        where: { id: callId },
+        data: { transferStatus: 'FAILED', transferEndedAt: new Date() }
+      });
+      throw error;
+    }
+
+    await this.stateMachine.recordEvent(callId, 'TRANSFER_REQUESTED', {
+      source: 'transfer',
+      data: { agentId: agent.id, agentName: agent.name, summary }
+    });
+
+    DebugLogger.logSuccess('Transfer dialing agent', {
+      callId,
+      agentId: agent.id,
+      agentName: agent.name
+    });
+
+    return { success: true, agent };
+  }
+
+  /**
+   * TwiML played to the agent before bridging
+   * @param {string} callId - Call ID
+   * @returns {Promise<string>} TwiML
+   */
+  async buildWhisperTwiml(callId) {
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true }
+    });
+
+    const response = new twilio.twiml.VoiceResponse();
+    if (!call) {
+      response.hangup();
+      return response.toString();
+    }
+
+    const lead = call.lead;
+    const brand = await this.brands.getForCall(call);
+    const location = [lead.address, lead.city].filter(Boolean).join(', ');
+    const gather = response.gather({
+      numDigits: 1,
+      timeout: 8,
+      action: `${process.env.BASE_URL}/api/voice/transfer/${callId}/accept`,
+      method: 'POST'
+    });
+    gather.say(
+      `Live transfer from ${brand.name}. ${lead.firstName} ${lead.lastName}${location ? `, ${location}` : ''}. ` +
+      `${call.transferSummary || 'Homeowner is interested in selling.'} Press 1 to connect.`
+    );
+
+    // No key press (e.g. the agent's voicemail picked up): don't bridge
+    response.hangup();
+    return response.toString();
+  }
+
+  /**
+   * Handle the agent's key press after the whisper
+   * @param {string} callId - Call ID
+   * @param {string} digits - Key pressed by the agent
+   * @returns {Promise<string>} TwiML (empty response bridges the call)
+   */
+  async acceptTransfer(callId, digits) {
+    const response = new twilio.twiml.VoiceResponse();
+
+    if (digits !== '1') {
+      response.hangup();
+      return response.toString();
+    }
+
+    await prisma.call.update({
+      where: { id: callId },
+      data: { transferStatus: 'CONNECTED' }
+    });
+
+    await this.stateMachine.recordEvent(callId, 'TRANSFER_CONNECTED', { source: 'transfer' });
+
+    DebugLogger.logSuccess('Transfer connected', { callId });
+    return response.toString();
+  }
+
+  /**
+   * Handle the end of the agent leg. If the agent never connected,
+   * book a callback and tell the homeowner before hanging up.
+   * @param {string} callId - Call ID
+   * @param {string} dialCallStatus - Twilio DialCallStatus
+   * @returns {Promise<string>} TwiML for the homeowner's leg
+   */
+  async completeTransfer(callId, dialCallStatus) {
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true }
+    });
+
+    const response = new twilio.twiml.VoiceResponse();
+    if (!call) {
+      response.hangup();
+      return response.toString();
+    }
+
+    if (call.transferStatus === 'CONNECTED') {
+      await prisma.call.update({
+        where: { id: callId },
+        data: {
+          transferStatus: 'COMPLETED',
+          transferEndedAt: new Date(),
+          outcome: call.outcome || 'INTERESTED'
+        }
+      });
+
+      await this.stateMachine.recordEvent(callId, 'TRANSFER_ENDED', {
+        source: 'transfer',
+        data: { transferStatus: 'COMPLETED', agentId: call.transferAgentId }
+      });
+
+      DebugLogger.logSuccess('Transfer completed', { callId, agentId: call.transferAgentId });
+      response.hangup();
+      return response.toString();
+    }
+
+    const callbackAt = await this.bookCallback(call, dialCallStatus === 'failed' ? 'FAILED' : 'NO_ANSWER');
+    const language = this.languages.getCallLanguage(call);
+    const locale = this.languages.getLocale(language);
+    const when = callbackAt
+      ? this.languages.getPhrase('callbackOn', language, {
+          when: callbackAt.toLocaleString(locale, {
+            timeZone: this.callingRules.getTimezone(call.lead).timezone,
+            weekday: 'long',
+            hour: 'numeric',
+            minute: '2-digit'
+          })
+        })
+      : this.languages.getPhrase('callbackSoon', language);
+
+    response.say(
+      { voice: this.languages.getSayVoice(language), language: locale },
+      this.languages.getPhrase('transferFailed', language, { firstName: call.lead.firstName, when })
+    );
+    response.hangup();
+    return response.toString();
+  }
+
+  /**
+   * Fall back to a callback when the transfer couldn't reach an agent
+   * @param {Object} call - Call record with lead included
+   * @param {string} transferStatus - Final transfer status (NO_ANSWER, NO_AGENT, FAILED)
+   * @returns {Promise<Date|null>} Callback time
+   */
+  async bookCallback(call, transferStatus) {
+    const earliest = new Date(Date.now() + 60 * 60 * 1000);
+    const callbackAt = this.callingRules.findNextWindow(call.lead, earliest);
+
+    await prisma.call.update({
+      where: { id: call.id },
+      data: {
+        transferStatus: transferStatus,
+        transferEndedAt: new Date(),
+        outcome: 'CALLBACK_REQUESTED',
+        followUpDate: callbackAt
+      }
+    });
+
+    const callback = await this.queueCallback(call, callbackAt);
+
+    await this.stateMachine.recordEvent(call.id, 'TRANSFER_ENDED', {
+      source: 'transfer',
+      data: {
+        transferStatus,
+        callbackAt: callbackAt ? callbackAt.toISOString() : null,
+        callbackCallId: callback ? callback.id : null
+      }
+    });
+
+    await this.notificationService.sendInterestNotification({
+      leadId: call.leadId,
+      leadName: `${call.lead.firstName} ${call.lead.lastName}`,
+      leadPhone: call.lead.phone,
+      outcome: 'CALLBACK_REQUESTED',
+      priority: 'HIGH',
+      summary: call.transferSummary,
+      nextSteps: 'Live transfer missed - call the homeowner back',
+      followUpTiming: callbackAt ? callbackAt.toISOString() : 'ASAP',
+      notificationRequired: true
+    }, call);
+
+    DebugLogger.logSuccess('Transfer fell back to callback', {
+      callId: call.id,
+      transferStatus,
+      followUpDate: callbackAt ? callbackAt.toISOString() : null
+    });
+
+    return callbackAt;
+  }
+
+  /**
+   * Queue a call back to the lead for the scheduler to dial, linked to the
+   * call it follows up (which, like a retry, can only have one)
+   * @param {Object} call - Call the callback follows up
+   * @param {Date} callbackAt - When to dial; null queues nothing
+   * @returns {Promise<Object|null>} The scheduled call, or null if none was queued
+   */
+  async queueCallback(call, callbackAt) {
+    if (!callbackAt) return null;
+
+    try {
+      const callback = await prisma.call.create({
+        data: {
+          leadId: call.leadId,
+          campaignId: call.campaignId,
+          status: 'SCHEDULED',
+          scheduledAt: callbackAt,
+          dispatchedAt: null,
+          callType: 'CALLBACK',
+          priority: call.priority,
+          parentCallId: call.id
+        }
+      });
+
+      DebugLogger.logSuccess('Callback queued', {
+        callId: callback.id,
+        parentCallId: call.id,
+        leadId: call.leadId,
+        scheduledAt: callbackAt.toISOString()
+      });
+
+      return callback;
+    } catch (error) {
+      // The call already has its follow-up (an earlier callback or a retry)
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = TransferService;
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DebugLogger } = require('../utils/logger');
+
+const AUDIO_DIR = path.join(__dirname, '../audio');
+const DEFAULT_MAX_MB = 200;
+
+// Per-call files written before the cache existed; removed when the cache loads
+const LEGACY_FILE = /^(turn|voicemail)_.+\.mp3$/;
+const CACHE_FILE = /^([0-9a-f]{64})\.([a-z0-9_]+)$/;
+
+let cache = null;
+
+/**
+ * Content-addressed store for synthesized speech. Audio is keyed by a hash of
+ * the normalized text, the engine and its voice config (voice, model,
+ * settings, output format), so the same line in the same voice is only ever
+ * paid for once. Files live on disk and the least recently used are deleted
+ * once the cache grows past its size limit. A cache problem never fails
+ * synthesis; it just means a miss.
+ */
+class TtsCache {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.TTS_CACHE_DIR || path.join(AUDIO_DIR, 'cache');
+    const maxMb = options.maxMb !== undefined ? options.maxMb : parseInt(process.env.TTS_CACHE_MAX_MB);
+    this.maxBytes = (isNaN(maxMb) ? DEFAULT_MAX_MB : Math.max(0, maxMb)) * 1024 * 1024;
+    this.entries = null;   // key -> { file, format, size, lastUsed }, loaded from disk on first use
+    this.totalBytes = 0;
+    this.pending = new Map(); // key -> in-flight render, so concurrent requests share one synthesis
+    this.stats = { hits: 0, misses: 0, charactersSynthesized: 0, charactersSaved: 0, evictions: 0 };
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  /**
+   * Collapse whitespace so formatting differences don't cause misses
+   * @param {string} text - Text to speak
+   * @returns {string}
+   */
+  normalizeText(text) {
+    return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Cache key for a synthesis request
+   * @param {Object} request - { text, engine, voiceConfig }
+   * @returns {string} sha256 hex digest
+   */
+  keyFor({ text, engine, voiceConfig }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([this.normalizeText(text), engine, voiceConfig || null]))
+      .digest('hex');
+  }
+
+  /**
+   * Index what's already on disk, dropping partial writes and per-call files
+   */
+  load() {
+    if (this.entries) return;
+    this.entries = new Map();
+    this.totalBytes = 0;
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      for (const name of fs.readdirSync(this.dir)) {
+        const file = path.join(this.dir, name);
+        const match = name.match(CACHE_FILE);
+        if (!match) {
+          fs.rmSync(file, { force: true });
+          continue;
+        }
+        const stat = fs.statSync(file);
+        this.entries.set(match[1], { file, format: match[2], size: stat.size, lastUsed: stat.mtimeMs });
+        this.totalBytes += stat.size;
+      }
+
+      if (fs.existsSync(AUDIO_DIR)) {
+        for (const name of fs.readdirSync(AUDIO_DIR)) {
+          if (LEGACY_FILE.test(name)) {
+            fs.rmSync(path.join(AUDIO_DIR, name), { force: true });
+          }
+        }
+      }
+    } catch (error) {
+      DebugLogger.logSystemError(error, 'tts_cache_load', { dir: this.dir });
+    }
+
+    this.evict();
+  }
+
+  /**
+   * Cached audio for a key
+   * @param {string} key - Cache key
+   * @returns {Object|null} { audio, format }
+   */
+  get(key) {
+    this.load();
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    try {
+      const audio = fs.readFileSync(entry.file);
+      entry.lastUsed = Date.now();
+      // Keep recency across restarts; not worth failing a read over
+      const now = new Date();
+      fs.utimes(entry.file, now, now, () => {});
+      return { audio, format: entry.format };
+    } catch (error) {
+      this.remove(key);
+      return null;
+    }
+  }
+
+  /**
+   * Store audio under a key
+   * @param {string} key - Cache key
+   * @param {Object} rendered - { audio, format }; the format is the file extension
+   */
+  put(key, { audio, format }) {
+    this.load();
+    if (!this.enabled || !audio || audio.length > this.maxBytes) return;
+
+    const extension = String(format).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+    const file = path.join(this.dir, `${key}.${extension}`);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tempFile, audio);
+      fs.renameSync(tempFile, file);
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true });
+      DebugLogger.logSystemError(error, 'tts_cache_write', { key });
+      return;
+    }
+
+    const previous = this.entries.get(key);
+    if (previous) {
+      this.remove(key, { keepFile: previous.file === file });
+    }
+    this.entries.set(key, { file, format: extension, size: audio.length, lastUsed: Date.now() });
+    this.totalBytes += audio.length;
+    this.evict();
+  }
+
+  remove(key, { keepFile = false } = {}) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    if (!keepFile) {
+      fs.rmSync(entry.file, { force: true });
+    }
+  }
+
+  /**
+   * Delete least recently used audio until the cache fits its size limit
+   */
+  evict() {
+    if (this.totalBytes <= this.maxBytes) return;
+
+    const oldestFirst = [...this.entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [key] of oldestFirst) {
+      if (this.totalBytes <= this.maxBytes) break;
+      try {
+        this.remove(key);
+        this.stats.evictions++;
+      } catch (error) {
+        DebugLogger.logSystemError(error, 'tts_cache_evict', { key });
+      }
+    }
+  }
+
+  /**
+   * Whether a request is already cached, without touching its recency
+   * @param {Object} request - { text, engine, voiceConfig }
+   * @returns {boolean}
+   */
+  has(request) {
+    this.load();
+    return this.entries.has(this.keyFor(request));
+  }
+
+  /**
+   * Cached audio for a request, synthesizing and storing it on a miss
+   * @param {Object} request - { text, engine, voiceConfig }
+   * @param {Function} render - Produces { audio, format } on a miss
+   * @returns {Promise<Object>} { audio, format, cached }
+   */
+  async getOrRender(request, render) {
+    const characters = this.normalizeText(request.text).length;
+    if (!this.enabled) {
+      this.stats.misses++;
+      const rendered = await render();
+      this.stats.charactersSynthesized += characters;
+      return { ...rendered, cached: false };
+    }
+
+    const key = this.keyFor(request);
+    const cached = this.get(key);
+    if (cached) {
+      this.stats.hits++;
+      this.stats.charactersSaved += characters;
+      return { ...cached, cached: true };
+    }
+
+    if (this.pending.has(key)) {
+      const rendered = await this.pending.get(key);
+      this.stats.hits++;
+      this.stats.charactersSaved += characters;
+      return { ...rendered, cached: true };
+    }
+
+    this.stats.misses++;
+    const rendering = (async () => {
+      const rendered = await render();
+      this.stats.charactersSynthesized += characters;
+      this.put(key, rendered);
+      return rendered;
+    })();
+
+    this.pending.set(key, rendering);
+    try {
+      return { ...(await rendering), cached: false };
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * getOrRender for audio wanted as it's produced. A hit (or a rendering
+   * already under way) is handed over in one piece; a miss is passed on
+   * chunk by chunk and stored once it's complete.
+   * @param {Object} request - { text, engine, voiceConfig }
+   * @param {Function} stream - Called with an onChunk(chunk, format) to produce the audio on a miss; resolves to { format }
+   * @param {Function} onChunk - Receives (chunk, format)
+   * @returns {Promise<Object>} { format, cached }
+   */
+  async getOrStream(request, stream, onChunk) {
+    const characters = this.normalizeText(request.text).length;
+    const key = this.enabled ? this.keyFor(request) : null;
+
+    const existing = key && (this.get(key) || (this.pending.has(key) && await this.pending.get(key).catch(() => null)));
+    if (existing) {
+      this.stats.hits++;
+      this.stats.charactersSaved += characters;
+      onChunk(existing.audio, existing.format);
+      return { format: existing.format, cached: true };
+    }
+
+    this.stats.misses++;
+    const chunks = [];
+    const { format } = await stream((chunk, chunkFormat) => {
+      chunks.push(chunk);
+      onChunk(chunk, chunkFormat);
+    });
+    this.stats.charactersSynthesized += characters;
+    if (key) {
+      this.put(key, { audio: Buffer.concat(chunks), format });
+    }
+    return { format, cached: false };
+  }
+
+  /**
+   * Size and hit rate since startup
+   * @returns {Object}
+   */
+  getStats() {
+    this.load();
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      entries: this.entries.size,
+      sizeBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      ...this.stats,
+      hitRate: lookups ? Math.round((this.stats.hits / lookups) * 1000) / 10 : null
+    };
+  }
+
+  /**
+   * Delete everything in the cache
+   * @returns {number} Entries removed
+   */
+  clear() {
+    this.load();
+    const removed = this.entries.size;
+    for (const key of [...this.entries.keys()]) {
+      this.remove(key);
+    }
+    return removed;
+  }
+}
+
+/**
+ * The process-wide cache every TTS engine shares
+ * @returns {TtsCache}
+ */
+function getTtsCache() {
+  if (!cache) {
+    cache = new TtsCache();
+  }
+  return cache;
+}
+
+module.exports = { TtsCache, getTtsCache };
@@ -0,0 +1,216 @@
+const { PrismaClient } = require('@prisma/client');
+const TtsService = require('./ttsService');
+const LanguageService = require('./languageService');
+const BrandService = require('./brandService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const PRERENDER_CONCURRENCY = 2;  // TTS requests at once, leaving room for live calls
+const PRERENDER_MAX_WAIT = 15000; // ms dialing waits for warming before starting anyway
+
+/**
+ * Renders lines into the TTS cache ahead of time: the stock phrases a voice
+ * mode can say on any call, and the greetings of leads about to be dialed.
+ * Audio is rendered in the campaign's voice with its engines, for the target
+ * the active voice mode plays (stream for realtime, play for simple voice),
+ * and in each lead's language, so the call gets a cache hit.
+ */
+class TtsPrerenderService {
+  constructor() {
+    this.tts = new TtsService();
+    this.languages = new LanguageService();
+    this.brands = new BrandService();
+    this.lookahead = parseInt(process.env.TTS_PRERENDER_LOOKAHEAD) || 10; // leads warmed ahead of the dialer
+    this.voiceMode = null;
+  }
+
+  /**
+   * The voice service whose lines are pre-rendered, the target it plays them on
+   * and how it greets a lead
+   * @returns {Object} { service, target, greeting: (lead, language, brand) => text }
+   */
+  getVoiceMode() {
+    if (!this.voiceMode) {
+      if (process.env.FEATURE_REALTIME === 'on') {
+        const OpenAIRealtimeService = require('./openAIRealtimeService');
+        const service = new OpenAIRealtimeService();
+        this.voiceMode = {
+          service,
+          target: 'stream',
+          greeting: (lead, language, brand) => service.buildGreeting(lead, null, language, brand)
+        };
+      } else {
+        const SimpleVoiceService = require('./simpleVoiceService');
+        const service = new SimpleVoiceService();
+        this.voiceMode = {
+          service,
+          target: 'play',
+          greeting: (lead, language, brand) => service.buildGreeting(lead, language, brand)
+        };
+      }
+    }
+    return this.voiceMode;
+  }
+
+  /**
+   * Render lines that the first engine doesn't have cached yet
+   * @param {Array<string>} texts - Lines to warm
+   * @param {Object} chain - { voice, engines } from getCampaignVoice; empty for the defaults
+   * @returns {Promise<Object>} { requested, rendered, cached, failed, characters }
+   */
+  async warm(texts, { voice = null, engines = null } = {}) {
+    const { target } = this.getVoiceMode();
+    const unique = [...new Set(texts.filter(Boolean))];
+    const pending = unique.filter(text => !this.tts.isCached(text, { engines, voice, target }));
+    const summary = {
+      requested: unique.length,
+      rendered: 0,
+      cached: unique.length - pending.length,
+      failed: 0,
+      characters: 0
+    };
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const text = pending.shift();
+        try {
+          // Nobody is waiting on these, so no latency budget; the primary engine gets its chance
+          await this.tts.speak(text, { engines, voice, target, latencyBudgetMs: null, record: false });
+          summary.rendered++;
+          summary.characters += text.length;
+        } catch (error) {
+          summary.failed++;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: PRERENDER_CONCURRENCY }, worker));
+    return summary;
+  }
+
+  /**
+   * Add up warm summaries
+   * @param {Array<Object>} summaries - Summaries from warm()
+   * @returns {Object} Warm summary
+   */
+  combine(summaries) {
+    const total = { requested: 0, rendered: 0, cached: 0, failed: 0, characters: 0 };
+    for (const summary of summaries) {
+      for (const key of Object.keys(total)) {
+        total[key] += summary[key];
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Leads grouped by the language their calls start in
+   * @param {Array<Object>} leads - Lead records
+   * @returns {Map<string, Array<Object>>}
+   */
+  groupByLanguage(leads) {
+    const groups = new Map();
+    for (const lead of leads) {
+      const language = this.languages.normalize(lead.language);
+      if (!groups.has(language)) groups.set(language, []);
+      groups.get(language).push(lead);
+    }
+    return groups;
+  }
+
+  /**
+   * Warm the greetings of the given leads, each in its language
+   * @param {Array<string>} leadIds - Lead IDs
+   * @param {string} campaignId - Campaign whose voice and brand to use, if any
+   * @returns {Promise<Object>} Warm summary
+   */
+  async prerenderLeads(leadIds, campaignId = null) {
+    const { greeting } = this.getVoiceMode();
+    const leads = await prisma.lead.findMany({ where: { id: { in: leadIds } } });
+    const brand = await this.brands.getForCampaign(campaignId);
+
+    const summaries = [];
+    for (const [language, group] of this.groupByLanguage(leads)) {
+      const chain = await this.getCampaignVoice(campaignId, language);
+      summaries.push(await this.warm(group.map(lead => greeting(lead, language, brand)), chain));
+    }
+    return this.combine(summaries);
+  }
+
+  /**
+   * Voice profile and TTS engine order for a campaign (the defaults for none)
+   * @param {string} campaignId - Campaign ID, or null
+   * @param {string} language - Language the calls are held in
+   * @returns {Promise<Object>} { voice, engines }
+   */
+  async getCampaignVoice(campaignId, language = 'en') {
+    const campaign = campaignId
+      ? await prisma.campaign.findUnique({ where: { id: campaignId }, include: { voiceProfile: true, salesScript: { include: { voiceProfile: true } } } })
+      : null;
+    return this.tts.getCampaignVoice(campaign, language);
+  }
+
+  /**
+   * Warm the stock phrases in every language the given leads' calls start in
+   * @param {string} campaignId - Campaign ID
+   * @param {Array<string>} leadIds - Lead IDs
+   * @returns {Promise<Object>} Warm summary
+   */
+  async prerenderPhrases(campaignId, leadIds) {
+    const { service } = this.getVoiceMode();
+    const leads = await prisma.lead.findMany({
+      where: { id: { in: leadIds } },
+      select: { language: true }
+    });
+    const languages = leads.length > 0 ? [...this.groupByLanguage(leads).keys()] : ['en'];
+    // The only branded stock line is the inbound greeting, and inbound calls use the default brand
+    const brand = await this.brands.getDefault();
+
+    const summaries = [];
+    for (const language of languages) {
+      summaries.push(await this.warm(service.getStockPhrases(language, brand), await this.getCampaignVoice(campaignId, language)));
+    }
+    return this.combine(summaries);
+  }
+
+  /**
+   * Warm the stock phrases and the first greetings of a campaign before it dials.
+   * Waits at most PRERENDER_MAX_WAIT; anything slower keeps rendering in the background.
+   * @param {string} campaignId - Campaign ID
+   * @param {Array<string>} leadIds - Leads in dialing order
+   * @returns {Promise<Object|null>} Warm summary, or null if it's still running
+   */
+  async prerenderCampaign(campaignId, leadIds) {
+    const started = Date.now();
+
+    const job = (async () => {
+      const phrases = await this.prerenderPhrases(campaignId, leadIds);
+      const greetings = await this.prerenderLeads(leadIds.slice(0, this.lookahead), campaignId);
+
+      DebugLogger.logSuccess('TTS pre-render', {
+        campaignId,
+        phrases,
+        greetings,
+        durationMs: Date.now() - started
+      });
+      return { phrases, greetings };
+    })().catch((error) => {
+      DebugLogger.logSystemError(error, 'tts_prerender_campaign', { campaignId });
+      return null;
+    });
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), PRERENDER_MAX_WAIT);
+    });
+
+    try {
+      return await Promise.race([job, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = TtsPrerenderService;
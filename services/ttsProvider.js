@@ -0,0 +1,117 @@
+// Engines a campaign's TTS chain can name, and the chain used when it names none
+const TTS_ENGINES = ['elevenlabs', 'openai', 'local', 'say'];
+const DEFAULT_TTS_ENGINES = ['elevenlabs', 'openai', 'say'];
+
+/**
+ * Interface every TTS engine implements. Audio is requested for one of two
+ * targets: 'stream' (framed into a live media stream, so any format
+ * toMulawChunks takes) or 'play' (fetched by Twilio <Play>, so mp3 or wav).
+ *
+ * Requests carry a voice profile (or null for the engine's env defaults). A
+ * profile's voice and model only mean something to the engine it was made
+ * for; its speed, tuning and language are honored by any engine that can.
+ */
+class TtsEngine {
+  get name() {
+    throw new Error('TTS engine must define a name');
+  }
+
+  /**
+   * Whether the engine returns audio (false: the text is spoken by TwiML instead)
+   * @returns {boolean}
+   */
+  get rendersAudio() {
+    return true;
+  }
+
+  /**
+   * Whether the engine has what it needs to run (API keys etc.)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Whether the engine can serve a target
+   * @param {string} target - stream or play
+   * @returns {boolean}
+   */
+  supports(target) {
+    return true;
+  }
+
+  /**
+   * The profile if it was made for this engine, so its voice and model apply
+   * @param {Object} voice - Voice profile, or null
+   * @returns {Object|null}
+   */
+  ownVoice(voice) {
+    return voice && voice.engine === this.name ? voice : null;
+  }
+
+  /**
+   * Everything besides the text that changes the audio, for the TTS cache key
+   * @param {Object} voice - Voice profile, or null
+   * @param {string} target - stream or play
+   * @returns {Object}
+   */
+  getVoiceConfig(voice, target) {
+    throw new Error(`${this.name} does not implement getVoiceConfig`);
+  }
+
+  /**
+   * Render speech
+   * @param {string} text - Text to speak
+   * @param {Object} options - { voice: profile or null, target }
+   * @returns {Promise<Object>} { audio: Buffer, format: mp3, wav, ulaw_8000 or pcm_<rate> }
+   */
+  async synthesize(text, options = {}) {
+    throw new Error(`${this.name} does not implement synthesize`);
+  }
+
+  /**
+   * Render speech, handing audio over as it's produced. Engines that can't
+   * stream hand over the whole rendering as one chunk.
+   * @param {string} text - Text to speak
+   * @param {Object} options - { voice: profile or null, target, signal: AbortSignal }
+   * @param {Function} onChunk - Called with (chunk: Buffer, format) as audio arrives
+   * @returns {Promise<Object>} { format }
+   */
+  async synthesizeStream(text, options = {}, onChunk) {
+    const { audio, format } = await this.synthesize(text, options);
+    onChunk(audio, format);
+    return { format };
+  }
+}
+
+const engines = new Map();
+
+/**
+ * The shared instance of a TTS engine
+ * @param {string} name - One of TTS_ENGINES
+ * @returns {TtsEngine}
+ */
+function getTtsEngine(name) {
+  if (!engines.has(name)) {
+    if (name === 'elevenlabs') {
+      const ElevenLabsService = require('./elevenLabsService');
+      engines.set(name, new ElevenLabsService());
+    } else if (name === 'openai') {
+      const OpenAITtsService = require('./openAITtsService');
+      engines.set(name, new OpenAITtsService());
+    } else if (name === 'local') {
+      const LocalTtsService = require('./localTtsService');
+      engines.set(name, new LocalTtsService());
+    } else if (name === 'say') {
+      const TwilioSayService = require('./twilioSayService');
+      engines.set(name, new TwilioSayService());
+    } else {
+      throw new Error(`Unknown TTS engine: ${name}. Must be one of: ${TTS_ENGINES.join(', ')}`);
+    }
+  }
+
+  return engines.get(name);
+}
+
+module.exports = { TtsEngine, getTtsEngine, TTS_ENGINES, DEFAULT_TTS_ENGINES };
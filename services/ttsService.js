@@ -0,0 +1,444 @@
+const { PrismaClient } = require('@prisma/client');
+const { getTtsEngine, TTS_ENGINES, DEFAULT_TTS_ENGINES } = require('./ttsProvider');
+const { getTtsCache } = require('./ttsCacheService');
+const VoiceProfileService = require('./voiceProfileService');
+const LanguageService = require('./languageService');
+const { DebugLogger } = require('../utils/logger');
+const { percentile } = require('../utils/stats');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_LATENCY_BUDGET = parseInt(process.env.TTS_LATENCY_BUDGET_MS) || 4000; // ms an engine gets before the next one is tried
+const MAX_SUMMARY_UTTERANCES = 5000;
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav'
+};
+
+/**
+ * Speech for calls through a chain of TTS engines. Each campaign can order
+ * the engines and pick a voice profile, whose engine goes first; the first
+ * engine that answers within the latency budget serves the line, and a slow
+ * engine's audio still lands in the TTS cache for next time. Every utterance
+ * on a call is recorded with the engine that served it.
+ */
+class TtsService {
+  constructor() {
+    this.cache = getTtsCache();
+    this.voiceProfiles = new VoiceProfileService();
+    this.languages = new LanguageService();
+    this.latencyBudget = DEFAULT_LATENCY_BUDGET;
+  }
+
+  /**
+   * Validate and normalize an engine order
+   * @param {Array<string>} engines - e.g. ["ElevenLabs", "say"]
+   * @returns {Array<string>}
+   */
+  normalizeEngines(engines) {
+    if (!Array.isArray(engines) || engines.length === 0) {
+      throw new Error('TTS engines must be a non-empty array of engine names');
+    }
+
+    const normalized = [];
+    for (const engine of engines) {
+      const name = String(engine).trim().toLowerCase();
+      if (!TTS_ENGINES.includes(name)) {
+        throw new Error(`Invalid TTS engine: ${engine}. Must be one of: ${TTS_ENGINES.join(', ')}`);
+      }
+      if (!normalized.includes(name)) {
+        normalized.push(name);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Engine order from TTS_ENGINES, or the built-in one
+   * @returns {Array<string>}
+   */
+  getDefaultEngines() {
+    if (!process.env.TTS_ENGINES) {
+      return DEFAULT_TTS_ENGINES;
+    }
+
+    try {
+      return this.normalizeEngines(process.env.TTS_ENGINES.split(','));
+    } catch (error) {
+      DebugLogger.logConfigError('TTS_ENGINES', error.message, DEFAULT_TTS_ENGINES.join(','));
+      return DEFAULT_TTS_ENGINES;
+    }
+  }
+
+  /**
+   * Engine order for a campaign, led by the voice profile's engine
+   * @param {Object} campaign - Campaign, or null for one-off calls
+   * @param {Object} voice - Voice profile speaking, if any
+   * @returns {Array<string>}
+   */
+  getEngines(campaign, voice = null) {
+    let engines = this.getDefaultEngines();
+    if (campaign && campaign.ttsEngines) {
+      try {
+        engines = this.normalizeEngines(campaign.ttsEngines);
+      } catch (error) {
+        DebugLogger.logConfigError('tts_engines', error.message, engines.join(','));
+      }
+    }
+
+    if (voice && TTS_ENGINES.includes(voice.engine) && engines[0] !== voice.engine) {
+      return [voice.engine, ...engines.filter(engine => engine !== voice.engine)];
+    }
+    return engines;
+  }
+
+  /**
+   * Voice profiles a campaign names, most specific first: its sales script's, then its own
+   * @param {Object} campaign - Campaign with voiceProfile and salesScript.voiceProfile included, or null
+   * @returns {Array<Object>} Profiles (null where unset)
+   */
+  getCampaignProfiles(campaign) {
+    if (!campaign) return [];
+    return [campaign.salesScript && campaign.salesScript.voiceProfile, campaign.voiceProfile];
+  }
+
+  /**
+   * Voice profile and engine order for a campaign
+   * @param {Object} campaign - Campaign with voiceProfile and salesScript.voiceProfile included, or null
+   * @param {string} language - Language the call is held in; null = the profile's own
+   * @returns {Promise<Object>} { voice, engines }
+   */
+  async getCampaignVoice(campaign, language = null) {
+    let voice = await this.voiceProfiles.resolve(...this.getCampaignProfiles(campaign));
+    if (language) {
+      voice = await this.voiceProfiles.forLanguage(voice, language);
+    }
+    return { voice, engines: this.getEngines(campaign, voice) };
+  }
+
+  /**
+   * Voice profile, engine order and language for a call
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} { voice, engines, language }
+   */
+  async getVoiceForCall(callId) {
+    const call = callId
+      ? await prisma.call.findUnique({
+        where: { id: callId },
+        include: { lead: true, campaign: { include: { voiceProfile: true, salesScript: { include: { voiceProfile: true } } } } }
+      })
+      : null;
+    const language = this.languages.getCallLanguage(call);
+    const { voice, engines } = await this.getCampaignVoice(call && call.campaign, language);
+    return { voice, engines, language };
+  }
+
+  /**
+   * <Say> attributes for lines no engine rendered audio for
+   * @param {Object} voice - Voice profile, or null
+   * @returns {Object} { voice, language }
+   */
+  getSayAttributes(voice) {
+    return getTtsEngine('say').getSayAttributes(voice);
+  }
+
+  /**
+   * The engines in an order that can run here and serve the target
+   */
+  usableEngines(engines, target) {
+    return (engines || this.getDefaultEngines())
+      .map(name => getTtsEngine(name))
+      .filter(engine => engine.isConfigured() && engine.supports(target));
+  }
+
+  cacheRequest(engine, text, voice, target) {
+    return { text, engine: engine.name, voiceConfig: engine.getVoiceConfig(voice, target) };
+  }
+
+  /**
+   * Whether the first usable engine already has this line cached
+   * @param {string} text - Text to speak
+   * @param {Object} options - { engines, target, voice }
+   * @returns {boolean}
+   */
+  isCached(text, { engines = null, target = 'play', voice = null } = {}) {
+    const [primary] = this.usableEngines(engines, target);
+    if (!primary || !primary.rendersAudio) return false;
+    return this.cache.has(this.cacheRequest(primary, text, voice, target));
+  }
+
+  /**
+   * A cached rendering of the line by any engine in the order, without synthesizing
+   * @param {string} text - Text to speak
+   * @param {Object} options - { engines, target, voice }
+   * @returns {Object|null} { audio, format, engine }
+   */
+  findCached(text, { engines = null, target = 'play', voice = null } = {}) {
+    for (const engine of this.usableEngines(engines, target)) {
+      if (!engine.rendersAudio) continue;
+      const cached = this.cache.get(this.cache.keyFor(this.cacheRequest(engine, text, voice, target)));
+      if (cached) {
+        return { ...cached, engine: engine.name };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Speak a line with the first engine in the order that delivers. An engine
+   * that errors, or takes longer than the latency budget, hands over to the next
+   * one; the last engine is given as long as it needs.
+   * @param {string} text - Text to speak
+   * @param {Object} options - { callId, engines, target: stream or play, voice: profile or null,
+   *   latencyBudgetMs: per engine, null for no limit; record: save a TtsUtterance }
+   * @returns {Promise<Object>} { audio (null when <Say> serves it), format, engine, cached, fallback }
+   */
+  async speak(text, options = {}) {
+    const {
+      callId = null,
+      engines = null,
+      target = 'play',
+      voice = null,
+      latencyBudgetMs = this.latencyBudget,
+      record = true
+    } = options;
+
+    const chain = this.usableEngines(engines, target);
+    if (chain.length === 0) {
+      throw new Error(`No configured TTS engine can serve ${target} audio`);
+    }
+
+    const started = Date.now();
+    const failures = [];
+
+    for (const [index, engine] of chain.entries()) {
+      const budget = index < chain.length - 1 ? latencyBudgetMs : null;
+      try {
+        const result = await this.render(engine, text, voice, target, budget);
+        const utterance = { ...result, engine: engine.name, fallback: index > 0 };
+
+        if (record) {
+          this.recordUtterance(callId, chain[0].name, target, text, utterance, failures, Date.now() - started);
+        }
+        return utterance;
+      } catch (error) {
+        failures.push({
+          engine: engine.name,
+          reason: error.code === 'TTS_TIMEOUT' ? 'TIMEOUT' : 'ERROR',
+          message: error.message
+        });
+        if (callId) {
+          DebugLogger.logCallError(callId, error, `tts_${engine.name}`);
+        } else {
+          DebugLogger.logSystemError(error, `tts_${engine.name}`, { textLength: text.length });
+        }
+      }
+    }
+
+    if (record) {
+      this.recordUtterance(callId, chain[0].name, target, text, { engine: 'none', cached: false }, failures, Date.now() - started);
+    }
+    throw new Error(`All TTS engines failed: ${failures.map(f => `${f.engine} (${f.message})`).join('; ')}`);
+  }
+
+  /**
+   * One engine's attempt, through the cache, within a time budget
+   */
+  async render(engine, text, voice, target, budget) {
+    if (!engine.rendersAudio) {
+      return { ...(await engine.synthesize(text, { voice, target })), cached: false };
+    }
+
+    const rendering = this.cache.getOrRender(
+      this.cacheRequest(engine, text, voice, target),
+      () => engine.synthesize(text, { voice, target })
+    );
+    if (!budget) return rendering;
+
+    rendering.catch(() => {}); // may fail after we've moved on to the next engine
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${engine.name} took longer than ${budget}ms`);
+        error.code = 'TTS_TIMEOUT';
+        reject(error);
+      }, budget);
+    });
+
+    try {
+      return await Promise.race([rendering, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Speak a line into a live stream, handing audio over as the engine
+   * produces it. Failover works as in speak(), with the latency budget
+   * counting to an engine's first chunk; once audio has been handed over the
+   * line can't move to another engine, so a later failure is thrown.
+   * @param {string} text - Text to speak
+   * @param {Object} options - { callId, engines, voice: profile or null, latencyBudgetMs: per engine,
+   *   null for no limit; record: save a TtsUtterance; signal: AbortSignal that stops synthesis }
+   * @param {Function} onChunk - Called with (chunk: Buffer, format) as audio arrives
+   * @returns {Promise<Object>} { format, engine, cached, fallback }
+   */
+  async speakStream(text, options = {}, onChunk) {
+    const {
+      callId = null,
+      engines = null,
+      voice = null,
+      latencyBudgetMs = this.latencyBudget,
+      record = true,
+      signal = null
+    } = options;
+
+    const chain = this.usableEngines(engines, 'stream').filter(engine => engine.rendersAudio);
+    if (chain.length === 0) {
+      throw new Error('No configured TTS engine can serve stream audio');
+    }
+
+    const started = Date.now();
+    const failures = [];
+
+    for (const [index, engine] of chain.entries()) {
+      const budget = index < chain.length - 1 ? latencyBudgetMs : null;
+      let delivered = false;
+      try {
+        const result = await this.streamFrom(engine, text, voice, budget, signal, (chunk, format) => {
+          delivered = true;
+          onChunk(chunk, format);
+        });
+        const utterance = { ...result, engine: engine.name, fallback: index > 0 };
+
+        if (record) {
+          this.recordUtterance(callId, chain[0].name, 'stream', text, utterance, failures, Date.now() - started);
+        }
+        return utterance;
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+
+        failures.push({
+          engine: engine.name,
+          reason: error.code === 'TTS_TIMEOUT' ? 'TIMEOUT' : 'ERROR',
+          message: error.message
+        });
+        if (callId) {
+          DebugLogger.logCallError(callId, error, `tts_${engine.name}`);
+        } else {
+          DebugLogger.logSystemError(error, `tts_${engine.name}`, { textLength: text.length });
+        }
+        if (delivered) break;
+      }
+    }
+
+    if (record) {
+      this.recordUtterance(callId, chain[0].name, 'stream', text, { engine: 'none', cached: false }, failures, Date.now() - started);
+    }
+    throw new Error(`All TTS engines failed: ${failures.map(f => `${f.engine} (${f.message})`).join('; ')}`);
+  }
+
+  /**
+   * One engine's streamed attempt, through the cache, with a time budget for
+   * its first chunk. An engine that misses the budget keeps going so its audio
+   * still lands in the cache, but nothing more of it is handed over.
+   */
+  streamFrom(engine, text, voice, budget, signal, onChunk) {
+    return new Promise((resolve, reject) => {
+      let timedOut = false;
+      const timer = budget
+        ? setTimeout(() => {
+          timedOut = true;
+          const error = new Error(`${engine.name} took longer than ${budget}ms`);
+          error.code = 'TTS_TIMEOUT';
+          reject(error);
+        }, budget)
+        : null;
+
+      this.cache.getOrStream(
+        this.cacheRequest(engine, text, voice, 'stream'),
+        emit => engine.synthesizeStream(text, { voice, target: 'stream', signal }, emit),
+        (chunk, format) => {
+          if (timedOut) return;
+          clearTimeout(timer);
+          onChunk(chunk, format);
+        }
+      ).then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+  }
+
+  /**
+   * Save which engine served an utterance. Never throws.
+   */
+  recordUtterance(callId, primaryEngine, target, text, utterance, failures, latencyMs) {
+    prisma.ttsUtterance.create({
+      data: {
+        callId,
+        engine: utterance.engine,
+        primaryEngine,
+        target: target.toUpperCase(),
+        cached: Boolean(utterance.cached),
+        characters: text.length,
+        latencyMs,
+        failures: failures.length > 0 ? failures : undefined
+      }
+    }).catch((error) => {
+      DebugLogger.logSystemError(error, 'tts_utterance_record', { callId });
+    });
+  }
+
+  /**
+   * Content-Type for audio served to <Play>
+   * @param {string} format - mp3 or wav
+   * @returns {string}
+   */
+  getContentType(format) {
+    return CONTENT_TYPES[format] || 'application/octet-stream';
+  }
+
+  /**
+   * Which engines served utterances over recent hours, with fallbacks and failures
+   * @param {Object} options - { hours }
+   * @returns {Promise<Object>} { hours, utterances, engines: { elevenlabs: { utterances, characters, cached, fallbacks, latencyMs: { p50, p95 } } }, failures: { elevenlabs: { ERROR, TIMEOUT } } }
+   */
+  async getSummary({ hours = 24 } = {}) {
+    const rows = await prisma.ttsUtterance.findMany({
+      where: { createdAt: { gte: new Date(Date.now() - hours * 60 * 60 * 1000) } },
+      orderBy: { createdAt: 'desc' },
+      take: MAX_SUMMARY_UTTERANCES
+    });
+
+    const engines = {};
+    const failures = {};
+    const latencies = {};
+
+    for (const row of rows) {
+      if (!engines[row.engine]) {
+        engines[row.engine] = { utterances: 0, characters: 0, cached: 0, fallbacks: 0 };
+        latencies[row.engine] = [];
+      }
+      const stats = engines[row.engine];
+      stats.utterances++;
+      stats.characters += row.characters;
+      if (row.cached) stats.cached++;
+      if (row.engine !== row.primaryEngine) stats.fallbacks++;
+      if (!row.cached && row.engine !== 'none') latencies[row.engine].push(row.latencyMs);
+
+      for (const failure of Array.isArray(row.failures) ? row.failures : []) {
+        if (!failures[failure.engine]) failures[failure.engine] = { ERROR: 0, TIMEOUT: 0 };
+        failures[failure.engine][failure.reason] = (failures[failure.engine][failure.reason] || 0) + 1;
+      }
+    }
+
+    for (const [engine, values] of Object.entries(latencies)) {
+      values.sort((a, b) => a - b);
+      engines[engine].latencyMs = { p50: percentile(values, 50), p95: percentile(values, 95) };
+    }
+
+    return { hours, utterances: rows.length, engines, failures };
+  }
+}
+
+module.exports = TtsService;
@@ -0,0 +1,48 @@
+const { TtsEngine } = require('./ttsProvider');
+const LanguageService = require('./languageService');
+
+const languages = new LanguageService();
+
+/**
+ * Twilio's built-in <Say>. It renders no audio of its own: serving an
+ * utterance with it means the TwiML says the text instead of playing a file,
+ * so it can only be used where the caller hears TwiML, not on a media stream.
+ */
+class TwilioSayService extends TtsEngine {
+  get name() {
+    return 'say';
+  }
+
+  get rendersAudio() {
+    return false;
+  }
+
+  supports(target) {
+    return target === 'play';
+  }
+
+  getVoiceConfig() {
+    return { format: 'say' };
+  }
+
+  /**
+   * <Say> attributes for a voice: a profile made for <Say> names the voice
+   * (e.g. Polly.Joanna), otherwise the language picks one that speaks it.
+   * A bare language code is widened to its locale, e.g. es -> es-US.
+   * @param {Object} voice - Voice profile, or null
+   * @returns {Object} { voice, language }
+   */
+  getSayAttributes(voice) {
+    const own = this.ownVoice(voice);
+    const language = voice && voice.language;
+    const attributes = { voice: (own && own.voiceId) || languages.getSayVoice(language) };
+    if (language) attributes.language = language.includes('-') ? language : languages.getLocale(language);
+    return attributes;
+  }
+
+  async synthesize() {
+    return { audio: null, format: 'say' };
+  }
+}
+
+module.exports = TwilioSayService;
@@ -1,8 +1,10 @@
 const twilio = require('twilio');
+const { TelephonyProvider } = require('./telephonyProvider');
 const { DebugLogger } = require('../utils/logger');
 
-class TwilioVoiceService {
+class TwilioVoiceService extends TelephonyProvider {
   constructor() {
+    super();
     this.accountSid = process.env.TWILIO_ACCOUNT_SID;
     this.authToken = process.env.TWILIO_AUTH_TOKEN;
     this.phoneNumber = process.env.TWILIO_PHONE_NUMBER;
@@ -14,17 +16,27 @@ class TwilioVoiceService {
     this.client = twilio(this.accountSid, this.authToken);
   }
 
+  get name() {
+    return 'twilio';
+  }
+
+  get webhookAuthToken() {
+    return this.authToken;
+  }
+
   /**
    * Initiate an outbound voice call
    * @param {string} toNumber - Customer phone number
    * @param {string} callId - Unique call identifier
    * @param {Object} leadData - Lead information for personalization
+   * @param {Object} options - { fromNumber } caller ID to use instead of TWILIO_PHONE_NUMBER
    */
-  async initiateCall(toNumber, callId, leadData) {
+  async initiateCall(toNumber, callId, leadData, options = {}) {
     try {
       DebugLogger.logSuccess('Initiating Twilio voice call', {
         callId,
         toNumber: this.maskPhoneNumber(toNumber),
+        fromNumber: options.fromNumber || this.phoneNumber,
         leadName: `${leadData.firstName} ${leadData.lastName}`
       });
 
@@ -33,7 +45,7 @@ class TwilioVoiceService {
 
       const call = await this.client.calls.create({
         to: toNumber,
-        from: this.phoneNumber,
+        from: options.fromNumber || this.phoneNumber,
         url: `${process.env.BASE_URL}${streamPath}/${callId}`,
         method: 'POST',
         record: true, // Record the call for analysis
@@ -41,8 +53,12 @@ class TwilioVoiceService {
         statusCallback: `${process.env.BASE_URL}/api/voice/status/${callId}`,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
         timeout: 30, // Ring for 30 seconds
-        machineDetection: 'Enable', // Detect voicemail
-        machineDetectionTimeout: 5
+        // Detect voicemail in the background and report once the greeting/beep ends,
+        // so the conversation starts immediately for humans
+        machineDetection: 'DetectMessageEnd',
+        asyncAmd: 'true',
+        asyncAmdStatusCallback: `${process.env.BASE_URL}/api/voice/amd/${callId}`,
+        asyncAmdStatusCallbackMethod: 'POST'
       });
 
       DebugLogger.logSuccess('Twilio call initiated', {
@@ -53,7 +69,7 @@ class TwilioVoiceService {
 
       return {
         success: true,
-        twilioCallSid: call.sid,
+        providerCallSid: call.sid,
         status: call.status,
         callId: callId
       };
@@ -88,6 +104,33 @@ class TwilioVoiceService {
     }
   }
 
+  /**
+   * Hang up a live call
+   * @param {string} twilioCallSid - Twilio call SID
+   */
+  async hangupCall(twilioCallSid) {
+    try {
+      await this.client.calls(twilioCallSid).update({ status: 'completed' });
+    } catch (error) {
+      DebugLogger.logTwilioError(error, 'hangup_call', twilioCallSid);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the instructions of a live call (e.g. to play a voicemail)
+   * @param {string} twilioCallSid - Twilio call SID
+   * @param {string} twiml - TwiML document to run
+   */
+  async updateCallTwiml(twilioCallSid, twiml) {
+    try {
+      await this.client.calls(twilioCallSid).update({ twiml });
+    } catch (error) {
+      DebugLogger.logTwilioError(error, 'update_call', twilioCallSid);
+      throw error;
+    }
+  }
+
   /**
    * Get call recording URL
    * @param {string} twilioCallSid - Twilio call SID
@@ -138,7 +181,9 @@ class TwilioVoiceService {
       const phoneNumber = await this.client.incomingPhoneNumbers.create({
         phoneNumber: numbers[0].phoneNumber,
         voiceUrl: `${process.env.BASE_URL}/api/voice/incoming`,
-        voiceMethod: 'POST'
+        voiceMethod: 'POST',
+        statusCallback: `${process.env.BASE_URL}/api/voice/incoming/status`,
+        statusCallbackMethod: 'POST'
       });
 
       DebugLogger.logSuccess('Phone number purchased', {
@@ -149,7 +194,8 @@ class TwilioVoiceService {
       return {
         phoneNumber: phoneNumber.phoneNumber,
         friendlyName: phoneNumber.friendlyName,
-        sid: phoneNumber.sid
+        sid: phoneNumber.sid,
+        region: numbers[0].region
       };
 
     } catch (error) {
@@ -178,15 +224,6 @@ class TwilioVoiceService {
     }
   }
 
-  /**
-   * Mask phone number for logging (privacy)
-   * @param {string} phoneNumber - Phone number to mask
-   */
-  maskPhoneNumber(phoneNumber) {
-    if (!phoneNumber || phoneNumber.length < 4) return phoneNumber;
-    return phoneNumber.slice(0, -4) + '****';
-  }
-
   /**
    * Validate phone number format
    * @param {string} phoneNumber - Phone number to validate
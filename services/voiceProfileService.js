@@ -0,0 +1,153 @@
+const { PrismaClient } = require('@prisma/client');
+const { TTS_ENGINES } = require('./ttsProvider');
+const LanguageService = require('./languageService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Ranges for the tunable settings; speed is further clamped by each engine
+const VOICE_PROFILE_RANGES = {
+  stability: { min: 0, max: 1 },
+  similarity: { min: 0, max: 1 },
+  speed: { min: 0.5, max: 2 }
+};
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const CACHE_TTL = 30 * 1000; // ms; the default profile is looked up on every call
+
+/**
+ * Saved voices (engine, voice, tuning, language) that campaigns and voicemail
+ * templates speak with. Anything without a profile uses the default one, and
+ * with no default profile the engines fall back to their env settings.
+ */
+class VoiceProfileService {
+  constructor() {
+    this.defaultProfile = undefined;
+    this.cachedAt = 0;
+    this.languageProfiles = new Map(); // language -> { profile, cachedAt }
+    this.languages = new LanguageService();
+  }
+
+  /**
+   * Check profile fields
+   * @param {Object} data - Profile fields from a request
+   * @param {Object} options - { partial: only check the fields given }
+   * @returns {Array<string>} Problems, empty when valid
+   */
+  validate(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      if (!data.name || typeof data.name !== 'string') errors.push('name is required');
+    }
+    if (!partial || data.engine !== undefined) {
+      if (!TTS_ENGINES.includes(data.engine)) {
+        errors.push(`engine must be one of: ${TTS_ENGINES.join(', ')}`);
+      }
+    }
+
+    for (const [field, range] of Object.entries(VOICE_PROFILE_RANGES)) {
+      const value = data[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'number' || value < range.min || value > range.max) {
+        errors.push(`${field} must be a number between ${range.min} and ${range.max}`);
+      }
+    }
+
+    if (data.language !== undefined && data.language !== null && !LANGUAGE_TAG.test(data.language)) {
+      errors.push('language must be a language tag like en-US or es');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Profile fields from a request body, dropping anything else
+   * @param {Object} body - Request body
+   * @returns {Object}
+   */
+  pickFields(body) {
+    const fields = ['name', 'engine', 'voiceId', 'stability', 'similarity', 'speed', 'model', 'language', 'isDefault'];
+    const data = {};
+    for (const field of fields) {
+      if (body[field] !== undefined) data[field] = body[field];
+    }
+    if (data.engine !== undefined) data.engine = String(data.engine).trim().toLowerCase();
+    if (data.isDefault !== undefined) data.isDefault = Boolean(data.isDefault);
+    return data;
+  }
+
+  /**
+   * The default profile, or null when there isn't one
+   * @returns {Promise<Object|null>}
+   */
+  async getDefault() {
+    if (this.defaultProfile !== undefined && Date.now() - this.cachedAt < CACHE_TTL) {
+      return this.defaultProfile;
+    }
+
+    try {
+      this.defaultProfile = await prisma.voiceProfile.findFirst({ where: { isDefault: true } });
+      this.cachedAt = Date.now();
+    } catch (error) {
+      // The engines' env voices still work if profiles can't be read
+      DebugLogger.logConfigError('voice_profile', error.message, 'engine defaults');
+      return null;
+    }
+    return this.defaultProfile;
+  }
+
+  /**
+   * The voice to speak with: the first profile given, else the default
+   * @param {...Object} profiles - Candidate profiles, most specific first (nulls skipped)
+   * @returns {Promise<Object|null>}
+   */
+  async resolve(...profiles) {
+    return profiles.find(Boolean) || this.getDefault();
+  }
+
+  /**
+   * The voice to speak a language with. A profile already in that language is
+   * kept; otherwise a profile saved for the language is used (the default one
+   * first), and failing that the same voice is asked to speak the language.
+   * @param {Object|null} profile - Resolved profile
+   * @param {string} language - Language code the call is held in
+   * @returns {Promise<Object|null>}
+   */
+  async forLanguage(profile, language) {
+    const code = this.languages.normalize(language);
+    const current = profile ? this.languages.normalize(profile.language) : 'en';
+    if (current === code) return profile;
+
+    const saved = await this.findForLanguage(code);
+    if (saved) return saved;
+
+    return { ...(profile || {}), language: this.languages.getLocale(code) };
+  }
+
+  async findForLanguage(code) {
+    const cached = this.languageProfiles.get(code);
+    if (cached && Date.now() - cached.cachedAt < CACHE_TTL) {
+      return cached.profile;
+    }
+
+    try {
+      const profile = await prisma.voiceProfile.findFirst({
+        where: { language: { startsWith: code } },
+        orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+      });
+      this.languageProfiles.set(code, { profile, cachedAt: Date.now() });
+      return profile;
+    } catch (error) {
+      DebugLogger.logConfigError('voice_profile', error.message, 'same voice');
+      return null;
+    }
+  }
+
+  clearCache() {
+    this.defaultProfile = undefined;
+    this.languageProfiles.clear();
+  }
+}
+
+module.exports = VoiceProfileService;
@@ -0,0 +1,286 @@
+const twilio = require('twilio');
+const { PrismaClient } = require('@prisma/client');
+const TtsService = require('./ttsService');
+const { getTelephonyProvider } = require('./telephonyProvider');
+const CallStateMachine = require('./callStateMachine');
+const LanguageService = require('./languageService');
+const BrandService = require('./brandService');
+const { DebugLogger } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// AMD results that mean the greeting has finished and we can start talking
+const MESSAGE_END_RESULTS = ['machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+
+// Fallback when no template is configured; its script is the language's voicemail phrase
+const BUILT_IN_TEMPLATE = {
+  id: null,
+  name: 'Built-in',
+  voiceId: null,
+  voiceProfile: null,
+  language: null
+};
+
+class VoicemailService {
+  constructor() {
+    this.tts = new TtsService();
+    this.stateMachine = new CallStateMachine();
+    this.languages = new LanguageService();
+    this.brands = new BrandService();
+  }
+
+  /**
+   * The built-in template in a language
+   * @param {string} language - Language code
+   * @returns {Object} Template
+   */
+  getBuiltInTemplate(language = 'en') {
+    return {
+      ...BUILT_IN_TEMPLATE,
+      language: language === 'en' ? null : language,
+      script: this.languages.getPhrase('voicemail', language)
+    };
+  }
+
+  /**
+   * Whether an AMD result means we reached a machine and the greeting is over
+   * @param {string} answeredBy - Twilio AnsweredBy value
+   * @returns {boolean}
+   */
+  isMessageEnd(answeredBy) {
+    return MESSAGE_END_RESULTS.includes(answeredBy);
+  }
+
+  /**
+   * Format a phone number for reading aloud
+   * @param {string} phone - E.164 or raw number
+   * @returns {string} e.g. "305-555-0100"
+   */
+  formatCallbackNumber(phone) {
+    const digits = String(phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    if (digits.length !== 10) return phone || '';
+    return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+  }
+
+  /**
+   * Fill {{variable}} placeholders in a template with lead and brand data
+   * @param {string} script - Template script
+   * @param {Object} lead - Lead record
+   * @param {string} fromNumber - Number the lead was called from (read out as the callback number)
+   * @param {string} language - Language the script is in
+   * @param {Object} brand - Company the call speaks for (null: the built-in one)
+   * @returns {string} Message text
+   */
+  renderScript(script, lead, fromNumber = null, language = 'en', brand = null) {
+    const variables = {
+      ...this.brands.getPhraseVariables(brand),
+      firstName: lead.firstName,
+      lastName: lead.lastName,
+      fullName: `${lead.firstName} ${lead.lastName}`.trim(),
+      address: lead.address,
+      city: lead.city,
+      state: lead.state,
+      area: lead.city || this.languages.getPhrase('yourArea', language),
+      company: lead.company,
+      callbackNumber: this.formatCallbackNumber(process.env.VOICEMAIL_CALLBACK_NUMBER || fromNumber || process.env.TWILIO_PHONE_NUMBER)
+    };
+
+    return script
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (variables[name] ? String(variables[name]) : ''))
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * The message a template leaves: the brand's disclosures, then the filled-in script
+   * @param {Object} template - Template with script and language
+   * @param {Object} lead - Lead record
+   * @param {string} fromNumber - Number the lead was called from
+   * @param {Object} brand - Resolved brand
+   * @returns {string} Message text
+   */
+  renderMessage(template, lead, fromNumber, brand) {
+    const text = this.renderScript(template.script, lead, fromNumber, this.languages.normalize(template.language), brand);
+    return this.brands.withDisclosures(text, brand);
+  }
+
+  /**
+   * Pick the template for a call in the call's language: its campaign's
+   * template, then that language's default, then any template in the
+   * language. A language with no template of its own gets the built-in
+   * message translated when there is a translation; otherwise the English
+   * choices apply (campaign template, default, built-in).
+   * @param {Object} call - Call record with lead and campaign included
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplateForCall(call) {
+    const language = this.languages.getCallLanguage(call);
+    const templates = await prisma.voicemailTemplate.findMany({
+      orderBy: { updatedAt: 'desc' },
+      include: { voiceProfile: true }
+    });
+    const inLanguage = templates.filter(template => this.languages.normalize(template.language) === language);
+
+    const campaignTemplate = call.campaign && call.campaign.voicemailTemplateId
+      ? templates.find(template => template.id === call.campaign.voicemailTemplateId)
+      : null;
+    if (campaignTemplate && inLanguage.includes(campaignTemplate)) return campaignTemplate;
+
+    const defaultTemplate = inLanguage.find(template => template.isDefault);
+    if (defaultTemplate) return defaultTemplate;
+
+    if (language !== 'en') {
+      if (inLanguage.length > 0) return inLanguage[0];
+      if (this.languages.hasPhrases(language)) return this.getBuiltInTemplate(language);
+    }
+
+    return campaignTemplate
+      || templates.find(template => template.isDefault && this.languages.normalize(template.language) === 'en')
+      || this.getBuiltInTemplate('en');
+  }
+
+  /**
+   * Voice a template is left in: its own profile, then the ElevenLabs voice
+   * templates named before profiles existed, then the campaign's voice (its
+   * script's profile before its own), speaking the template's language
+   * @param {Object} call - Call record with campaign (and its voice profiles) included
+   * @param {Object} template - Template with voiceProfile included
+   * @returns {Promise<Object>} { voice, engines }
+   */
+  async getVoice(call, template) {
+    const legacyVoice = template.voiceId ? { engine: 'elevenlabs', voiceId: template.voiceId } : null;
+    const resolved = await this.tts.voiceProfiles.resolve(
+      template.voiceProfile,
+      legacyVoice,
+      ...this.tts.getCampaignProfiles(call.campaign)
+    );
+    const voice = await this.tts.voiceProfiles.forLanguage(resolved, this.languages.normalize(template.language));
+    return { voice, engines: this.tts.getEngines(call.campaign, voice) };
+  }
+
+  /**
+   * Render a call's voicemail into the TTS cache in the template's voice with its campaign's engines
+   * @param {Object} call - Call record with lead and campaign included
+   * @param {Object} template - Template to render
+   * @param {Object} options - { record: count it as an utterance }
+   * @returns {Promise<Object>} { text, audio (null when <Say> serves it), format, sayAttributes }
+   */
+  async renderAudio(call, template, { record = true } = {}) {
+    const brand = await this.brands.getForCall(call);
+    const text = this.renderMessage(template, call.lead, call.fromNumber, brand);
+    const chain = await this.getVoice(call, template);
+    const result = await this.tts.speak(text, {
+      callId: call.id,
+      target: 'play',
+      ...chain,
+      record
+    });
+    return {
+      text,
+      audio: result.audio,
+      format: result.format,
+      sayAttributes: this.tts.getSayAttributes(chain.voice)
+    };
+  }
+
+  /**
+   * Leave a voicemail on a live call that reached an answering machine
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} { success, templateId }
+   */
+  async dropVoicemail(callId) {
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true, campaign: { include: { voiceProfile: true, salesScript: { include: { voiceProfile: true } } } } }
+    });
+
+    if (!call || !call.twilioCallSid) {
+      throw new Error(`Call ${callId} has no live Twilio call`);
+    }
+
+    if (call.voicemailLeftAt) {
+      return { success: true, templateId: call.voicemailTemplateId, duplicate: true };
+    }
+
+    const template = await this.getTemplateForCall(call);
+
+    // Render before touching the call so playback starts right after the beep
+    const { text: message, audio, sayAttributes } = await this.renderAudio(call, template);
+
+    const response = new twilio.twiml.VoiceResponse();
+    if (audio) {
+      response.play(`${process.env.BASE_URL}/api/voice/voicemail/${callId}/audio`);
+    } else {
+      response.say(sayAttributes, message);
+    }
+    response.hangup();
+
+    await getTelephonyProvider().updateCallTwiml(call.twilioCallSid, response.toString());
+
+    await prisma.call.update({
+      where: { id: callId },
+      data: {
+        outcome: 'VOICEMAIL',
+        voicemailTemplateId: template.id,
+        voicemailLeftAt: new Date()
+      }
+    });
+
+    await prisma.interaction.create({
+      data: {
+        callId: callId,
+        speaker: 'AI',
+        content: message,
+        interactionType: 'VOICEMAIL',
+        timestamp: new Date()
+      }
+    });
+
+    await this.stateMachine.recordEvent(callId, 'VOICEMAIL_DROPPED', {
+      source: 'voicemail',
+      dedupeKey: `${callId}:VOICEMAIL_DROPPED`,
+      data: { templateId: template.id, templateName: template.name }
+    });
+
+    DebugLogger.logSuccess('Voicemail dropped', {
+      callId,
+      templateId: template.id,
+      templateName: template.name
+    });
+
+    return { success: true, templateId: template.id };
+  }
+
+  /**
+   * Get the rendered voicemail audio for a call, rendering it again if it was evicted
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object|null>} { audio, format: mp3 or wav }
+   */
+  async getAudio(callId) {
+    const call = await prisma.call.findUnique({
+      where: { id: callId },
+      include: { lead: true, campaign: { include: { voiceProfile: true, salesScript: { include: { voiceProfile: true } }, brand: true } } }
+    });
+    if (!call) return null;
+
+    const template = call.voicemailTemplateId
+      ? await prisma.voicemailTemplate.findUnique({
+        where: { id: call.voicemailTemplateId },
+        include: { voiceProfile: true }
+      })
+      : await this.getTemplateForCall(call);
+
+    const resolved = template || this.getBuiltInTemplate(this.languages.getCallLanguage(call));
+    const brand = await this.brands.getForCall(call);
+    const cached = this.tts.findCached(this.renderMessage(resolved, call.lead, call.fromNumber, brand), {
+      target: 'play',
+      ...(await this.getVoice(call, resolved))
+    });
+    if (cached) return cached;
+
+    const { audio, format } = await this.renderAudio(call, resolved, { record: false });
+    return audio ? { audio, format } : null;
+  }
+}
+
+module.exports = VoicemailService;
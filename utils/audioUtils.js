@@ -1,6 +1,12 @@
+const os = require('os');
 const { spawn } = require('child_process');
 const ffmpegPath = require('ffmpeg-static');
 
+const MULAW_RATE = 8000;
+const MULAW_SILENCE = 0xFF;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
 // Decode a single 8-bit mu-law sample to 16-bit PCM
 function muLawDecodeSample(uVal) {
   let u = ~uVal & 0xff;
@@ -15,6 +21,27 @@ function muLawDecodeSample(uVal) {
   return sample;
 }
 
+// Encode a single 16-bit PCM sample to 8-bit mu-law (G.711)
+function muLawEncodeSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = sign ? -sample : sample;
+  if (magnitude > MULAW_CLIP) magnitude = MULAW_CLIP;
+  magnitude += MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// Every 16-bit sample's mu-law byte, indexed by the sample's unsigned bits
+const MULAW_ENCODE_TABLE = new Uint8Array(65536);
+for (let i = 0; i < 65536; i++) {
+  MULAW_ENCODE_TABLE[i] = muLawEncodeSample(i < 32768 ? i : i - 65536);
+}
+
 // Convert base64 mu-law payload to PCM16 Buffer (LE)
 function muLawBase64ToPCM16(base64Payload) {
   const mu = Buffer.from(base64Payload, 'base64');
@@ -26,58 +53,418 @@ function muLawBase64ToPCM16(base64Payload) {
   return out;
 }
 
-// Convert an MP3/Audio buffer to 8kHz mu-law and return an array of 20ms chunks (160 bytes each)
-async function mp3ToMulawChunks(mp3Buffer, frameMs = 20) {
-  if (!ffmpegPath) {
-    throw new Error('ffmpeg-static not available');
+/**
+ * Parse a TTS output format name, e.g. ulaw_8000, pcm_22050, mp3_44100_128
+ * @returns {Object} { encoding: 'ulaw'|'pcm'|'mp3', sampleRate }
+ */
+function parseAudioFormat(format) {
+  const [encoding, rate] = String(format || 'mp3').toLowerCase().split('_');
+  return { encoding, sampleRate: parseInt(rate) || null };
+}
+
+/**
+ * Incremental PCM16 (or 8kHz mu-law) to 20ms mu-law frames. Audio can be
+ * written in chunks of any size as it arrives; resampler state and partial
+ * frames carry over between writes.
+ */
+class MulawTranscoder {
+  /**
+   * @param {Object} options - { format: ulaw_8000 or pcm_<rate>, frameMs }
+   */
+  constructor({ format = 'pcm_16000', frameMs = 20 } = {}) {
+    const { encoding, sampleRate } = parseAudioFormat(format);
+    if (encoding !== 'pcm' && !(encoding === 'ulaw' && sampleRate === MULAW_RATE)) {
+      throw new Error(`Unsupported format for in-process transcoding: ${format}`);
+    }
+
+    this.passthrough = encoding === 'ulaw';
+    this.ratio = (sampleRate || MULAW_RATE) / MULAW_RATE; // input samples per output sample
+    this.frameBytes = Math.floor(MULAW_RATE * (frameMs / 1000));
+    this.carry = new Int16Array(0);   // input samples not consumed yet
+    this.consumed = 0;                // input samples dropped from carry so far
+    this.produced = 0;                // output samples so far; output n reads from input n * ratio
+    this.oddByte = null;              // half a sample split across writes
+    this.pending = Buffer.alloc(0);   // encoded bytes short of a whole frame
   }
 
-  // Spawn ffmpeg to transcode to raw mulaw 8k mono
-  const args = [
-    '-hide_banner',
-    '-loglevel', 'error',
-    '-i', 'pipe:0',
-    '-ar', '8000',
-    '-ac', '1',
-    '-f', 'mulaw',
-    'pipe:1'
-  ];
+  /**
+   * @param {Buffer} chunk - Raw audio
+   * @returns {Array<Buffer>} Whole frames now available
+   */
+  write(chunk) {
+    if (this.passthrough) {
+      return this.frame(chunk);
+    }
+
+    let bytes = chunk;
+    if (this.oddByte) {
+      bytes = Buffer.concat([this.oddByte, bytes]);
+      this.oddByte = null;
+    }
+    if (bytes.length % 2) {
+      this.oddByte = Buffer.from(bytes.subarray(bytes.length - 1));
+      bytes = bytes.subarray(0, bytes.length - 1);
+    }
+
+    const input = new Int16Array(this.carry.length + bytes.length / 2);
+    input.set(this.carry);
+    for (let i = 0, j = this.carry.length; i < bytes.length; i += 2, j++) {
+      input[j] = bytes.readInt16LE(i);
+    }
+
+    return this.frame(this.encode(input, false));
+  }
+
+  /**
+   * Flush what's left, padding the last frame with silence
+   * @returns {Array<Buffer>}
+   */
+  end() {
+    let tail = Buffer.alloc(0);
+    if (!this.passthrough && this.carry.length > 0) {
+      tail = this.encode(this.carry, true);
+    }
+
+    const frames = this.frame(tail);
+    if (this.pending.length > 0) {
+      const last = Buffer.alloc(this.frameBytes, MULAW_SILENCE);
+      this.pending.copy(last);
+      frames.push(last);
+      this.pending = Buffer.alloc(0);
+    }
+    return frames;
+  }
+
+  // Resample to 8kHz and mu-law encode; unread input is kept in carry.
+  // Positions come from the output count rather than a running sum, so the
+  // result doesn't depend on how the input was split into writes.
+  encode(input, final) {
+    const ratio = this.ratio;
+    const positionOf = (outIndex) => outIndex * ratio - this.consumed;
+    const out = Buffer.alloc(Math.ceil((input.length - positionOf(this.produced)) / ratio) + 1);
+    let n = 0;
+    let position = positionOf(this.produced);
+
+    if (ratio > 1) {
+      // Downsampling: average each output sample's window (a box filter against aliasing)
+      let next = positionOf(this.produced + 1);
+      while (next <= input.length || (final && position < input.length)) {
+        const start = Math.floor(position);
+        const end = Math.min(input.length, Math.max(start + 1, Math.floor(next)));
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += input[i];
+        out[n++] = MULAW_ENCODE_TABLE[Math.round(sum / (end - start)) & 0xffff];
+        position = next;
+        next = positionOf(++this.produced + 1);
+      }
+    } else {
+      // Same rate or upsampling: linear interpolation between neighbours
+      while (position + 1 < input.length || (final && position < input.length)) {
+        const i = Math.floor(position);
+        const fraction = position - i;
+        const next = i + 1 < input.length ? input[i + 1] : input[i];
+        out[n++] = MULAW_ENCODE_TABLE[Math.round(input[i] + (next - input[i]) * fraction) & 0xffff];
+        position = positionOf(++this.produced);
+      }
+    }
+
+    const drop = Math.max(0, Math.min(input.length, Math.floor(position)));
+    this.carry = final ? new Int16Array(0) : input.slice(drop);
+    this.consumed += drop;
+    return out.subarray(0, n);
+  }
+
+  frame(bytes) {
+    const buffer = this.pending.length ? Buffer.concat([this.pending, bytes]) : bytes;
+    const frames = [];
+    let offset = 0;
+    for (; offset + this.frameBytes <= buffer.length; offset += this.frameBytes) {
+      frames.push(Buffer.from(buffer.subarray(offset, offset + this.frameBytes)));
+    }
+    this.pending = Buffer.from(buffer.subarray(offset));
+    return frames;
+  }
+}
+
+/**
+ * 20ms mu-law frames for audio that is still arriving, read with for await
+ * while it's written. Raw PCM and 8kHz mu-law are framed chunk by chunk;
+ * anything else (MP3, WAV) is collected and converted once it's complete.
+ */
+class MulawFrameStream {
+  /**
+   * @param {Object} options - { frameMs }
+   */
+  constructor({ frameMs = 20 } = {}) {
+    this.frameMs = frameMs;
+    this.frames = [];
+    this.done = false;
+    this.error = null;
+    this.transcoder = null;
+    this.collected = null;  // { format, chunks } for audio converted as a whole
+    this.wake = null;       // resolves a reader waiting for frames
+  }
+
+  /**
+   * Frames available so far
+   * @returns {number}
+   */
+  get length() {
+    return this.frames.length;
+  }
+
+  /**
+   * @param {Buffer} chunk - Audio
+   * @param {string} format - Format it's in (ulaw_8000, pcm_16000, mp3_44100_128, wav, ...)
+   */
+  write(chunk, format) {
+    if (this.done) return;
+
+    if (!this.transcoder && !this.collected) {
+      const { encoding, sampleRate } = parseAudioFormat(format);
+      const raw = encoding === 'pcm' || (encoding === 'ulaw' && sampleRate === MULAW_RATE);
+      // A WAV header means the bytes aren't what was asked for (see toMulawChunks)
+      if (raw && chunk.toString('ascii', 0, 4) !== 'RIFF') {
+        this.transcoder = new MulawTranscoder({ format, frameMs: this.frameMs });
+      } else {
+        this.collected = { format, chunks: [] };
+      }
+    }
+
+    if (this.transcoder) {
+      this.push(this.transcoder.write(chunk));
+    } else {
+      this.collected.chunks.push(chunk);
+    }
+  }
 
-  const proc = spawn(ffmpegPath, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  /**
+   * No more audio is coming: flush the last frame
+   */
+  async end() {
+    if (this.done) return;
+    try {
+      if (this.transcoder) {
+        this.push(this.transcoder.end());
+      } else if (this.collected) {
+        this.push(await toMulawChunks(Buffer.concat(this.collected.chunks), this.collected.format, this.frameMs));
+      }
+    } catch (error) {
+      this.fail(error);
+      return;
+    }
+    this.done = true;
+    this.notify();
+  }
+
+  /**
+   * The audio couldn't be produced; readers get the error after the frames already written
+   * @param {Error} error
+   */
+  fail(error) {
+    if (this.done) return;
+    this.error = error;
+    this.done = true;
+    this.notify();
+  }
+
+  push(frames) {
+    if (frames.length === 0) return;
+    this.frames.push(...frames);
+    this.notify();
+  }
+
+  notify() {
+    if (this.wake) {
+      this.wake();
+      this.wake = null;
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    let read = 0;
+    while (true) {
+      if (read < this.frames.length) {
+        yield this.frames[read++];
+      } else if (this.error) {
+        throw this.error;
+      } else if (this.done) {
+        return;
+      } else {
+        await new Promise((resolve) => { this.wake = resolve; });
+      }
+    }
+  }
+}
+
+/**
+ * Find the audio in a WAV file
+ * @returns {Object|null} { format, channels, data } for PCM16 or 8kHz mu-law; null if not a WAV we can read
+ */
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      fmt = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data' && fmt) {
+      const data = buffer.subarray(body, Math.min(buffer.length, body + size));
+      if (fmt.audioFormat === 1 && fmt.bitsPerSample === 16) {
+        return { format: `pcm_${fmt.sampleRate}`, channels: fmt.channels, data };
+      }
+      if (fmt.audioFormat === 7 && fmt.sampleRate === MULAW_RATE && fmt.channels === 1) {
+        return { format: 'ulaw_8000', channels: 1, data };
+      }
+      return null;
+    }
+
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+// Keep the first channel of interleaved PCM16
+function firstChannel(data, channels) {
+  if (channels <= 1) return data;
+  const frameBytes = channels * 2;
+  const out = Buffer.alloc(Math.floor(data.length / frameBytes) * 2);
+  for (let i = 0, j = 0; j < out.length; i += frameBytes, j += 2) {
+    out[j] = data[i];
+    out[j + 1] = data[i + 1];
+  }
+  return out;
+}
+
+/**
+ * Wrap mono PCM16 in a WAV header, e.g. for Twilio <Play>
+ * @param {Buffer} pcm - 16-bit little-endian samples
+ * @param {number} sampleRate - Samples per second
+ * @returns {Buffer} WAV file contents
+ */
+function pcm16ToWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);              // block align
+  header.writeUInt16LE(16, 34);             // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// MP3 decoding still needs ffmpeg; cap how many run at once so a burst of
+// calls queues for a worker instead of spawning a process per utterance
+const FFMPEG_MAX_WORKERS = parseInt(process.env.FFMPEG_MAX_WORKERS) || Math.max(2, os.cpus().length);
+const ffmpegQueue = [];
+let ffmpegActive = 0;
+
+function runFfmpeg(input, args) {
+  return new Promise((resolve, reject) => {
+    ffmpegQueue.push({ input, args, resolve, reject });
+    drainFfmpegQueue();
+  });
+}
 
-  const chunks = [];
-  let stdoutBuffers = [];
+function drainFfmpegQueue() {
+  while (ffmpegActive < FFMPEG_MAX_WORKERS && ffmpegQueue.length > 0) {
+    const job = ffmpegQueue.shift();
+    ffmpegActive++;
+    spawnFfmpeg(job.input, job.args)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        ffmpegActive--;
+        drainFfmpegQueue();
+      });
+  }
+}
 
-  proc.stdout.on('data', (d) => stdoutBuffers.push(d));
-  const stderrChunks = [];
-  proc.stderr.on('data', (d) => stderrChunks.push(d));
+function spawnFfmpeg(input, args) {
+  if (!ffmpegPath) {
+    return Promise.reject(new Error('ffmpeg-static not available'));
+  }
 
-  const complete = new Promise((resolve, reject) => {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpegPath, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdoutBuffers = [];
+    const stderrChunks = [];
+
+    proc.stdout.on('data', (d) => stdoutBuffers.push(d));
+    proc.stderr.on('data', (d) => stderrChunks.push(d));
     proc.on('error', reject);
     proc.on('close', (code) => {
       if (code !== 0) {
         return reject(new Error(`ffmpeg exited with code ${code}: ${Buffer.concat(stderrChunks).toString()}`));
       }
-      resolve();
+      resolve(Buffer.concat(stdoutBuffers));
     });
+
+    // ffmpeg may exit before reading all input (e.g. on bad data); close reports that
+    proc.stdin.on('error', () => {});
+    proc.stdin.end(input);
   });
+}
 
-  // Feed input
-  proc.stdin.write(mp3Buffer);
-  proc.stdin.end();
+// Convert an MP3/Audio buffer to 8kHz mu-law and return an array of 20ms chunks (160 bytes each)
+async function mp3ToMulawChunks(mp3Buffer, frameMs = 20) {
+  // Transcode to raw mulaw 8k mono
+  const mulawBuffer = await runFfmpeg(mp3Buffer, [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-i', 'pipe:0',
+    '-ar', '8000',
+    '-ac', '1',
+    '-f', 'mulaw',
+    'pipe:1'
+  ]);
 
-  await complete;
+  const transcoder = new MulawTranscoder({ format: 'ulaw_8000', frameMs });
+  return [...transcoder.write(mulawBuffer), ...transcoder.end()];
+}
 
-  const mulawBuffer = Buffer.concat(stdoutBuffers);
-  // 8kHz mulaw: 1 byte per sample; 20ms frame = 160 bytes
-  const bytesPerFrame = Math.floor(8000 * (frameMs / 1000)); // 160
-  for (let i = 0; i < mulawBuffer.length; i += bytesPerFrame) {
-    const frame = mulawBuffer.slice(i, i + bytesPerFrame);
-    if (frame.length === bytesPerFrame) {
-      chunks.push(frame);
-    }
+/**
+ * Any TTS output as 20ms mu-law frames. ulaw_8000 is only split into frames,
+ * PCM and WAV are transcoded in-process, and everything else (MP3) goes
+ * through the ffmpeg pool.
+ * @param {Buffer} audio - Audio data
+ * @param {string} format - Output format it was requested in (ulaw_8000, pcm_16000, mp3_44100_128, ...)
+ * @param {number} frameMs - Frame length
+ * @returns {Promise<Array<Buffer>>}
+ */
+async function toMulawChunks(audio, format = null, frameMs = 20) {
+  // What the bytes are beats what was asked for (e.g. a WAV from a proxy or mock)
+  const wav = parseWav(audio);
+  if (wav) {
+    const transcoder = new MulawTranscoder({ format: wav.format, frameMs });
+    return [...transcoder.write(firstChannel(wav.data, wav.channels)), ...transcoder.end()];
   }
-  return chunks;
+
+  const { encoding, sampleRate } = parseAudioFormat(format);
+  if (encoding === 'pcm' || (encoding === 'ulaw' && sampleRate === MULAW_RATE)) {
+    const transcoder = new MulawTranscoder({ format, frameMs });
+    return [...transcoder.write(audio), ...transcoder.end()];
+  }
+
+  return mp3ToMulawChunks(audio, frameMs);
 }
 
 function sleep(ms) {
@@ -86,6 +473,12 @@ function sleep(ms) {
 
 module.exports = {
   muLawBase64ToPCM16,
+  muLawEncodeSample,
+  MulawTranscoder,
+  MulawFrameStream,
+  parseWav,
+  pcm16ToWav,
+  toMulawChunks,
   mp3ToMulawChunks,
   sleep,
 };
@@ -2,11 +2,13 @@ const { PrismaClient } = require('@prisma/client');
 const OpenAIService = require('../services/openAIService');
 const ElevenLabsService = require('../services/elevenLabsService');
 const TextMagicService = require('../services/textMagicService');
+const CallStateMachine = require('../services/callStateMachine');
 
 const prisma = new PrismaClient();
 const openAI = new OpenAIService();
 const elevenLabs = new ElevenLabsService();
 const textMagic = new TextMagicService();
+const stateMachine = new CallStateMachine();
 
 class CallManager {
   constructor() {
@@ -100,13 +102,13 @@ class CallManager {
       }
 
       // Update call status
-      await prisma.call.update({
-        where: { id: callId },
-        data: {
-          status: 'IN_PROGRESS',
-          startedAt: new Date()
-        }
+      const result = await stateMachine.transition(callId, 'IN_PROGRESS', {
+        data: { startedAt: new Date() },
+        source: 'call_manager'
       });
+      if (!result.applied) {
+        throw new Error(`Call ${callId} cannot be started (status: ${result.fromStatus || 'unknown'})`);
+      }
 
       // Update session
       session.startTime = new Date();
@@ -278,18 +280,19 @@ class CallManager {
       const duration = session.startTime ? 
         Math.floor((endTime - session.startTime) / 1000) : 0;
 
-      // Update call record
-      const updatedCall = await prisma.call.update({
-        where: { id: callId },
-        data: {
-          status: 'COMPLETED',
-          endedAt: endTime,
-          duration: duration,
-          outcome: endData.outcome || 'NO_ANSWER',
-          notes: endData.notes || '',
-          followUpDate: endData.followUpDate ? new Date(endData.followUpDate) : null
-        }
+      // Update call record (keeping the provider's end time if it already ended the call)
+      const resultData = {
+        outcome: endData.outcome || 'NO_ANSWER',
+        notes: endData.notes || '',
+        followUpDate: endData.followUpDate ? new Date(endData.followUpDate) : null
+      };
+      const completion = await stateMachine.transition(callId, 'COMPLETED', {
+        data: { ...resultData, endedAt: endTime, duration: duration },
+        source: 'call_manager'
       });
+      const updatedCall = completion.applied
+        ? completion.call
+        : await prisma.call.update({ where: { id: callId }, data: resultData });
 
       // Get full transcript for analysis
       const interactions = await prisma.interaction.findMany({
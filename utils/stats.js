@@ -0,0 +1,19 @@
+/**
+ * Statistics helpers for latency reports
+ */
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} Value at that rank, or null when there are no values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+module.exports = {
+  percentile
+};